@@ -0,0 +1,52 @@
+/**
+ * CREATE-USER.JS
+ *
+ * Creates a dashboard user from the command line. Registering users through the
+ * API needs a user with the users:manage permission, so this is how the first
+ * admin is created.
+ *
+ * Usage:
+ *   node create-user.js <username> <email> <password> [--role=<role>]
+ *
+ * Options:
+ *   --role   admin, supervisor, content_editor, analyst or viewer (default admin)
+ *
+ * MongoDB must be running.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('./src/models/User');
+const { ROLES } = require('./src/config/permissions');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const roleArg = args.find(arg => arg.startsWith('--role='));
+  const [username, email, password] = args.filter(arg => !arg.startsWith('--'));
+  const role = roleArg ? roleArg.slice('--role='.length) : 'admin';
+
+  if (!username || !email || !password) {
+    throw new Error('Usage: node create-user.js <username> <email> <password> [--role=<role>]');
+  }
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/secureVoiceAI');
+  if (await User.exists({ $or: [{ username }, { email }] })) {
+    await mongoose.disconnect();
+    throw new Error(`A user with username ${username} or email ${email} already exists`);
+  }
+
+  const user = await User.create({ username, email, password: await bcrypt.hash(password, 10), role });
+  console.log(`Created ${user.role} ${user.username}`);
+
+  await mongoose.disconnect();
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+/**
+ * MIGRATE-LANGUAGE-TEMPLATES.JS
+ *
+ * Moves workflow templates and knowledge base answers from the old english/hindi
+ * fields to language-keyed maps (src/services/languageTemplateMigration.js).
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node migrate-language-templates.js [--dry-run] [--verbose]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing
+ *   --verbose   List every changed map
+ *
+ * MongoDB must be running.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const languageTemplateMigration = require('./src/services/languageTemplateMigration');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => !['--dry-run', '--verbose'].includes(arg));
+  if (unknown.length > 0) throw new Error(`Unknown option ${unknown[0]}`);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/secureVoiceAI');
+  const report = await languageTemplateMigration.run({ dryRun: args.includes('--dry-run') });
+
+  const verb = report.dryRun ? 'would change' : 'updated';
+  console.log(`Workflows: ${report.workflows.updated} of ${report.workflows.scanned} ${verb}`);
+  console.log(`Knowledge base entries: ${report.knowledgeBase.updated} of ${report.knowledgeBase.scanned} ${verb}`);
+  if (args.includes('--verbose')) {
+    report.changes.forEach(change => {
+      console.log(`  ${change.collection} ${change.id} ${change.path}: ${change.changes.join('; ')}`);
+    });
+  }
+  report.unknownKeys.forEach(item => {
+    console.log(`  Unsupported language keys left in ${item.collection} ${item.id} ${item.path}: ${item.keys.join(', ')}`);
+  });
+
+  await mongoose.disconnect();
+  return report.unknownKeys.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
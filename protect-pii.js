@@ -0,0 +1,54 @@
+/**
+ * PROTECT-PII.JS
+ *
+ * Encrypts customer PAN, Aadhaar and income values with the current
+ * PII_ENCRYPTION_KEY and redacts PAN, Aadhaar and phone numbers from stored
+ * conversation history (src/services/piiProtectionMigration.js). Run it once after
+ * setting the key, and again after every key rotation to re-encrypt values under
+ * the new key. Safe to run more than once.
+ *
+ * Usage:
+ *   node protect-pii.js [--dry-run] [--verbose]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing
+ *   --verbose   List every changed value
+ *
+ * MongoDB must be running; PII_ENCRYPTION_KEY (and PII_PREVIOUS_KEYS when rotating) must be set.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const piiProtectionMigration = require('./src/services/piiProtectionMigration');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => !['--dry-run', '--verbose'].includes(arg));
+  if (unknown.length > 0) throw new Error(`Unknown option ${unknown[0]}`);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/secureVoiceAI');
+  const report = await piiProtectionMigration.run({ dryRun: args.includes('--dry-run') });
+
+  const verb = report.dryRun ? 'would change' : 'updated';
+  console.log(`Customers: ${report.customers.updated} of ${report.customers.scanned} ${verb}`);
+  console.log(`Calls: ${report.calls.updated} of ${report.calls.scanned} ${verb}`);
+  console.log(`Call states: ${report.callStates.updated} of ${report.callStates.scanned} ${verb}`);
+  if (args.includes('--verbose')) {
+    report.changes.forEach(change => {
+      console.log(`  ${change.collection} ${change.id} ${change.path}: ${change.change}`);
+    });
+  }
+  report.failures.forEach(failure => {
+    console.log(`  Could not decrypt ${failure.collection} ${failure.id} ${failure.path}; is its key in PII_PREVIOUS_KEYS?`);
+  });
+
+  await mongoose.disconnect();
+  return report.failures.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
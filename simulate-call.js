@@ -0,0 +1,123 @@
+/**
+ * SIMULATE-CALL.JS
+ *
+ * Runs an offline call through the media pipeline with the call simulator
+ * (src/services/callSimulator.js): caller audio goes in over the Twilio Media
+ * Streams protocol and the agent's answers, marks and barge-in decisions come out.
+ *
+ * Usage:
+ *   node simulate-call.js [scenario.json] [options]
+ *
+ * Options:
+ *   --target workflow|coordinator   Stream handler to call (default: workflow)
+ *   --say "text"                    Caller turn spoken by the mock TTS (repeatable)
+ *   --wav file.wav                  Caller turn from a WAV file (repeatable)
+ *   --transcript "text"             What the mock STT hears for the previous --wav turn
+ *   --reply "text"                  Mock LLM reply, in order (repeatable)
+ *   --report report.json            Write the full report
+ *   --audio agent.wav               Write what the phone played of the agent
+ *
+ * The scenario file has the shape callSimulator.run() takes; --say and --wav
+ * turns are added after the file's turns. MongoDB must be running.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const callSimulator = require('./src/services/callSimulator');
+
+function parseArgs(argv) {
+  const options = { turns: [], replies: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    switch (arg) {
+      case '--target': options.target = value; i++; break;
+      case '--say': options.turns.push({ text: value }); i++; break;
+      case '--wav': options.turns.push({ wav: path.resolve(value) }); i++; break;
+      case '--transcript':
+        if (options.turns.length > 0) options.turns[options.turns.length - 1].transcript = value;
+        i++;
+        break;
+      case '--reply': options.replies.push(value); i++; break;
+      case '--report': options.report = value; i++; break;
+      case '--audio': options.audio = value; i++; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.scenarioFile = arg;
+    }
+  }
+  return options;
+}
+
+function buildScenario(options) {
+  const scenario = options.scenarioFile
+    ? JSON.parse(fs.readFileSync(options.scenarioFile, 'utf8'))
+    : {};
+  // WAV paths in a scenario file are relative to the file
+  if (options.scenarioFile && Array.isArray(scenario.turns)) {
+    scenario.turns.forEach((turn) => {
+      if (turn.wav) turn.wav = path.resolve(path.dirname(options.scenarioFile), turn.wav);
+    });
+  }
+
+  scenario.turns = [...(scenario.turns || []), ...options.turns];
+  if (options.replies.length > 0) scenario.llmReplies = [...(scenario.llmReplies || []), ...options.replies];
+  if (options.target) scenario.target = options.target;
+  if (options.audio) scenario.saveAudio = true;
+  return scenario;
+}
+
+// Caller turns, agent utterances and barge-in decisions in call order
+function printTimeline(report) {
+  const seconds = (ms) => `${(ms / 1000).toFixed(2)}s`.padStart(8);
+  const lines = [
+    ...report.turns.map(turn => [turn.startMs, `CALLER  ${turn.transcript || '(audio)'}${turn.overAgent ? '  [over agent]' : ''}`]),
+    ...report.agent.utterances.map(utterance => [utterance.atMs, `AGENT   ${utterance.text}`]),
+    ...report.bargeIn.map(decision => [decision.atMs, `        barge-in: ${decision.action} (${decision.reason})`])
+  ].sort((a, b) => a[0] - b[0]);
+
+  lines.forEach(([atMs, text]) => console.log(`${seconds(atMs)}  ${text}`));
+  console.log('');
+  report.turns.forEach((turn) => {
+    const latency = turn.responseLatencyMs === null ? 'no answer' : `${turn.responseLatencyMs}ms`;
+    console.log(`Turn ${turn.index + 1}: response latency ${latency}`);
+  });
+  console.log(`Agent audio: ${report.agent.audioMs}ms, marks: ${report.marks.length}, clears: ${report.clears.length}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const scenario = buildScenario(options);
+  const errors = callSimulator.validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario:\n  ${errors.join('\n  ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/secureVoiceAI');
+  const report = await callSimulator.run(scenario);
+
+  console.log(`\nSimulated call ${report.callId} (${report.target}): ${report.status}${report.error ? ` - ${report.error}` : ''}\n`);
+  printTimeline(report);
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${options.report}`);
+  }
+  if (options.audio) {
+    fs.writeFileSync(options.audio, callSimulator.getRecording(report.id));
+    console.log(`Agent audio written to ${options.audio}`);
+  }
+
+  await callSimulator.close();
+  await mongoose.disconnect();
+  return report.status === 'completed' ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
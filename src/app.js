@@ -10,6 +10,8 @@ const setupWebSocketServer = require('./websocket/handlers'); // For general /ws
 const MediaWebSocketHandler = require('./websocket/mediaHandler'); // For Twilio /media
 const twilioWebSocketHandler = require('./services/twilioWebSocketHandler'); // For real-time Twilio streaming
 const callController = require('./controllers/callController'); // Singleton instance
+const { redactText } = require('./utils/piiRedaction');
+const { authenticate, authorize } = require('./middleware/auth');
 // Voice cloning components removed
 
 const app = express();
@@ -29,7 +31,9 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+// Simulator bodies are parsed by its router, after access control, with a larger limit
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path.startsWith('/api/simulator/') ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -117,8 +121,22 @@ if (!require('fs').existsSync(publicDir)) {
   require('fs').mkdirSync(publicDir, { recursive: true });
 }
 
-app.use('/uploads', express.static(uploadDir));
-app.use('/transcripts', express.static(transcriptDir));
+// Uploaded customer lists and call transcripts are customer data: signed-in users only
+app.use('/uploads', authenticate, authorize('customers:read'), express.static(uploadDir));
+
+// Transcript files are served with PAN, Aadhaar and phone numbers redacted
+app.use('/transcripts', authenticate, authorize('recordings:read'), (req, res, next) => {
+  const filePath = path.resolve(transcriptDir, `.${decodeURIComponent(req.path)}`);
+  if (!filePath.startsWith(transcriptDir + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return next();
+  }
+  fs.readFile(filePath, 'utf8', (err, text) => {
+    if (err) return next(err);
+    res.type(path.extname(filePath) || 'text/plain');
+    res.set('Cache-Control', 'no-store');
+    res.send(redactText(text));
+  });
+});
 
 // Custom middleware for serving audio files with correct Content-Type headers for Twilio
 app.use('/audio', (req, res, next) => {
@@ -226,6 +244,16 @@ async function startServer() {
     app.use('/api', routes);
     console.log('API routes initialized successfully');
 
+    // Resume persisted bulk campaigns now that the database is available
+    const campaignDialerService = require('./services/campaignDialerService');
+    await campaignDialerService.start();
+
+    // Warm the TTS phrase cache with published workflow prompts; runs in the background
+    if (process.env.TTS_PRERENDER_ON_STARTUP !== 'false') {
+      const ttsPrerenderService = require('./services/ttsPrerenderService');
+      ttsPrerenderService.prerenderAll();
+    }
+
     // Start HTTP server first
     const server = app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
@@ -455,6 +483,11 @@ async function startServer() {
         new TwilioWebSocketHandler(twilioWss, callController);
         console.log('Twilio streaming WebSocket Handler initialized successfully');
         
+        // Call event subscriptions at /subscribe (agent consoles receive handoff context here)
+        const { callSubscriptionHandler } = require('./services/CallSubscriptionHandler');
+        callSubscriptionHandler.initWebSocketServer(server);
+        console.log('Call subscription WebSocket server created on /subscribe path');
+        
       } catch (wsError) {
         console.error('Failed to initialize WebSocket server:', wsError);
         // Continue running even if WebSocket setup fails
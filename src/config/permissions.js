@@ -0,0 +1,253 @@
+/**
+ * Roles and Permissions
+ *
+ * Every /api request is checked against ROUTE_PERMISSIONS by the access control
+ * middleware (middleware/auth.js). A router entry gives the permission needed to
+ * read (GET) and to change (any other method); `routes` overrides that for single
+ * routes, keyed "METHOD /path" relative to the router, with Express-style
+ * `:params`. An override can also be:
+ * - PUBLIC: no token needed (login, token refresh)
+ * - AUTHENTICATED: any signed-in user
+ * - TWILIO: no token, but the request must carry a valid Twilio signature
+ *
+ * A request that matches no entry is allowed for admins only, so a router mounted
+ * without an entry here is locked down rather than left open.
+ */
+
+const ROLES = ['admin', 'supervisor', 'content_editor', 'analyst', 'viewer'];
+
+const DEFAULT_ROLE = 'viewer';
+
+// Roles from before role-based access; users still holding them get the mapped role
+const LEGACY_ROLES = {
+  user: 'viewer'
+};
+
+const PERMISSIONS = [
+  'customers:read',    // customer records (PII masked unless pii:view)
+  'customers:write',
+  'pii:view',          // PAN, Aadhaar, phone and income in full
+  'calls:read',        // calls, handoffs, live call state
+  'calls:write',       // place, transfer and drive calls; campaigns
+  'recordings:read',   // recordings and transcripts
+  'content:read',      // workflows, scripts, prompts, knowledge base, intents
+  'content:write',
+  'workflows:publish', // publish and roll back workflows that live calls use
+  'simulator:run',     // simulated calls and workflow test suites
+  'analytics:read',
+  'compliance:read',   // DNC list, calling rules, compliance audit
+  'compliance:write',
+  'settings:read',     // system settings and voice providers
+  'settings:write',
+  'users:manage',      // create users, revoke their sessions
+  'audit:read'         // access audit log
+];
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  supervisor: [
+    'customers:read', 'customers:write', 'pii:view',
+    'calls:read', 'calls:write', 'recordings:read',
+    'content:read', 'workflows:publish', 'simulator:run',
+    'analytics:read', 'compliance:read', 'compliance:write',
+    'settings:read', 'audit:read'
+  ],
+  content_editor: [
+    'calls:read',
+    'content:read', 'content:write', 'simulator:run',
+    'analytics:read', 'settings:read'
+  ],
+  analyst: [
+    'customers:read', 'calls:read', 'recordings:read',
+    'content:read', 'analytics:read', 'compliance:read'
+  ],
+  viewer: [
+    'calls:read', 'content:read', 'analytics:read'
+  ]
+};
+
+const PUBLIC = 'public';
+const AUTHENTICATED = 'authenticated';
+const TWILIO = 'twilio';
+
+const CONTENT = { read: 'content:read', write: 'content:write' };
+const CALLS = { read: 'calls:read', write: 'calls:write' };
+
+// Voice previews are part of editing content; the rest of voice provider admin is settings
+const VOICE_PROVIDERS = {
+  read: 'settings:read',
+  write: 'settings:write',
+  routes: {
+    'POST /voice-synthesis/test': 'content:write',
+    'POST /voice-synthesis/twilio': 'content:write',
+    'POST /voice-synthesis/stream': 'content:write',
+    'POST /generate': 'content:write',
+    'POST /preview': 'content:write',
+    'POST /preview-no-db': 'content:write',
+    'POST /audio-direct/:voiceId': 'content:write',
+    'POST /test-voice': 'content:write'
+  }
+};
+
+const ROUTE_PERMISSIONS = {
+  '/health': { read: PUBLIC },
+  '/auth': {
+    read: AUTHENTICATED,
+    write: 'users:manage',
+    routes: {
+      'POST /login': PUBLIC,
+      'POST /refresh': PUBLIC,
+      'POST /logout': AUTHENTICATED,
+      'POST /revoke': AUTHENTICATED, // Revoking another user's sessions is checked in the controller
+      'GET /me': AUTHENTICATED,
+      'GET /audit': 'audit:read'
+    }
+  },
+  '/calls': {
+    ...CALLS,
+    routes: {
+      'POST /:id/status': TWILIO,
+      'POST /:id/voice': TWILIO,
+      'POST /:id/recording': TWILIO,
+      'POST /:id/input': TWILIO,
+      'POST /:id/transfer/:handoffId/status': TWILIO,
+      'POST /:id/transfer/:handoffId/whisper': TWILIO
+    }
+  },
+  '/customers': { read: 'customers:read', write: 'customers:write' },
+  '/customer-data': {
+    read: 'customers:read',
+    write: 'customers:write',
+    routes: {
+      'GET /stats/customer-data': 'analytics:read'
+    }
+  },
+  '/dashboard': { read: 'analytics:read' },
+  '/prompts': CONTENT,
+  '/scripts': CONTENT,
+  '/recordings': {
+    read: 'recordings:read',
+    routes: {
+      'GET /analytics': 'analytics:read'
+    }
+  },
+  '/settings': { read: 'settings:read', write: 'settings:write' },
+  '/voice-providers': VOICE_PROVIDERS,
+  '/voice-provider': VOICE_PROVIDERS,
+  '/voice-synthesis': { write: 'content:write' },
+  '/stream': CALLS,
+  '/audio-stream': CALLS,
+  '/analytics': { read: 'analytics:read' },
+  '/compliance': { read: 'compliance:read', write: 'compliance:write' },
+  '/workflows': {
+    ...CONTENT,
+    routes: {
+      'POST /:id/publish': 'workflows:publish',
+      'POST /:id/rollback': 'workflows:publish',
+      'POST /:id/test': 'simulator:run',
+      'POST /:id/test-suites/run': 'simulator:run',
+      'GET /:id/analytics': 'analytics:read'
+    }
+  },
+  '/call-flows': {
+    ...CALLS,
+    routes: {
+      'POST /knowledge-base/query': 'content:read'
+    }
+  },
+  '/knowledge-base': {
+    ...CONTENT,
+    routes: {
+      'POST /query': 'content:read',
+      'POST /entries/:id/similar': 'content:read',
+      'POST /test-objection': 'content:read',
+      'GET /analytics': 'analytics:read'
+    }
+  },
+  '/intents': {
+    ...CONTENT,
+    routes: {
+      'POST /classify': 'content:read'
+    }
+  },
+  '/simulator': { read: 'simulator:run', write: 'simulator:run' }
+};
+
+function normalizeRole(role) {
+  return LEGACY_ROLES[role] || role;
+}
+
+/**
+ * Whether a role holds a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[normalizeRole(role)];
+  if (!granted) return false;
+  return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * Every permission a role holds
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsFor(role) {
+  const granted = ROLE_PERMISSIONS[normalizeRole(role)] || [];
+  return granted.includes('*') ? [...PERMISSIONS] : [...granted];
+}
+
+function routePattern(path) {
+  const source = path
+    .split('/')
+    .map(part => (part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+// Router prefixes longest first, each with its route overrides compiled
+const COMPILED_ROUTES = Object.entries(ROUTE_PERMISSIONS)
+  .sort(([a], [b]) => b.length - a.length)
+  .map(([prefix, entry]) => ({
+    prefix,
+    entry,
+    routes: Object.entries(entry.routes || {}).map(([key, permission]) => {
+      const [method, path] = key.split(' ');
+      return { method, pattern: routePattern(path), permission };
+    })
+  }));
+
+/**
+ * What a request needs
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api, e.g. "/workflows/abc/publish"
+ * @returns {string|null} A permission, PUBLIC, AUTHENTICATED or TWILIO; null when no entry covers the route
+ */
+function requiredPermission(method, path) {
+  const verb = method === 'HEAD' ? 'GET' : method;
+  const match = COMPILED_ROUTES.find(({ prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+  if (!match) return null;
+
+  const rest = path.slice(match.prefix.length) || '/';
+  const override = match.routes.find(route => route.method === verb && route.pattern.test(rest));
+  if (override) return override.permission;
+
+  return (verb === 'GET' ? match.entry.read : match.entry.write) || null;
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROUTE_PERMISSIONS,
+  PUBLIC,
+  AUTHENTICATED,
+  TWILIO,
+  normalizeRole,
+  hasPermission,
+  permissionsFor,
+  requiredPermission
+};
@@ -1,6 +1,20 @@
 const User = require('../models/User');
+const AccessAudit = require('../models/AccessAudit');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const authTokenService = require('../services/authTokenService');
+const { recordDenial } = require('../middleware/auth');
+const { ROLES, DEFAULT_ROLE, normalizeRole, hasPermission, permissionsFor } = require('../config/permissions');
+
+function userResponse(user) {
+  const role = normalizeRole(user.role);
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role,
+    permissions: permissionsFor(role)
+  };
+}
 
 // Controller for authentication
 const authController = {
@@ -21,21 +35,12 @@ const authController = {
         return res.status(401).json({ message: 'Invalid credentials' });
       }
       
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: user._id, username: user.username, role: user.role },
-        process.env.JWT_SECRET || 'securevoice_secret',
-        { expiresIn: '1d' }
-      );
+      // Generate access and refresh tokens
+      const tokens = authTokenService.issueTokens(user);
       
       res.json({
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role
-        }
+        ...tokens,
+        user: userResponse(user)
       });
     } catch (error) {
       console.error('Login error:', error);
@@ -43,11 +48,15 @@ const authController = {
     }
   },
   
-  // Register new user
+  // Register new user; only users with users:manage get here
   register: async (req, res) => {
     try {
       const { username, email, password, role } = req.body;
       
+      if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      
       // Check if user already exists
       let user = await User.findOne({ $or: [{ username }, { email }] });
       if (user) {
@@ -59,7 +68,7 @@ const authController = {
         username,
         email,
         password,
-        role: role || 'user'
+        role: role || DEFAULT_ROLE
       });
       
       // Hash password
@@ -69,26 +78,106 @@ const authController = {
       // Save user
       await user.save();
       
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: user._id, username: user.username, role: user.role },
-        process.env.JWT_SECRET || 'securevoice_secret',
-        { expiresIn: '1d' }
-      );
-      
+      // The new user signs in themselves; the admin registering them keeps their own session
       res.status(201).json({
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role
-        }
+        user: userResponse(user)
       });
     } catch (error) {
       console.error('Registration error:', error);
       res.status(500).json({ message: 'Server error' });
     }
+  },
+  
+  // Exchange a refresh token for a new token pair
+  refresh: async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        return res.status(400).json({ message: 'refreshToken is required' });
+      }
+      
+      const { tokens, user } = await authTokenService.refresh(refreshToken);
+      res.json({
+        ...tokens,
+        user: userResponse(user)
+      });
+    } catch (error) {
+      if (!error.code) {
+        console.error('Token refresh error:', error);
+        return res.status(500).json({ message: 'Server error' });
+      }
+      if (error.code === 'reused') {
+        const claims = authTokenService.claimsOf(req.body.refreshToken);
+        recordDenial(req, 'refresh_token_reused', { userId: claims.id });
+      }
+      res.status(401).json({ message: error.message, code: error.code });
+    }
+  },
+  
+  // Revoke the current session's access token and, when given, its refresh token
+  logout: async (req, res) => {
+    try {
+      await authTokenService.logout(req.auth, req.body.refreshToken);
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Revoke every session of a user (defaults to the current user); other users' need users:manage
+  revoke: async (req, res) => {
+    try {
+      const userId = req.body.userId || req.user.id;
+      if (String(userId) !== req.user.id && !hasPermission(req.user.role, 'users:manage')) {
+        recordDenial(req, 'permission_denied', { permission: 'users:manage' });
+        return res.status(403).json({ message: 'You do not have permission to do this', permission: 'users:manage' });
+      }
+      const user = await authTokenService.revokeAll(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      res.json({ message: `All sessions of ${user.username} revoked` });
+    } catch (error) {
+      console.error('Token revocation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // The signed-in user with their role and permissions
+  me: (req, res) => {
+    res.json({ user: req.user });
+  },
+  
+  // Requests refused by access control, newest first
+  getAudit: async (req, res) => {
+    try {
+      const { reason, userId, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (reason) filter.reason = reason;
+      if (userId) filter.userId = userId;
+      
+      const [records, total] = await Promise.all([
+        AccessAudit.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+          .limit(parseInt(limit, 10)),
+        AccessAudit.countDocuments(filter)
+      ]);
+      
+      res.json({
+        success: true,
+        data: records,
+        pagination: {
+          page: parseInt(page, 10),
+          limit: parseInt(limit, 10),
+          total
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching access audit:', error);
+      res.status(500).json({ success: false, message: 'Error fetching access audit', error: error.message });
+    }
   }
 };
 
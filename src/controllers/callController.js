@@ -30,11 +30,15 @@ const Call = require('../models/Call');
 const Script = require('../models/Script');
 const Prompt = require('../models/Prompt');
 const Customer = require('../models/Customer');
+const { redactText } = require('../utils/piiRedaction');
 const twilioService = require('../services/twilioService');
 const elevenlabsService = require('../services/elevenlabsService');
 const googleSpeechService = require('../services/googleSpeechService');
 const voiceProviderService = require('../services/voiceProviderService');
+const ttsProviderRegistry = require('../services/ttsProviderRegistry');
+const llmProviderRegistry = require('../services/llmProviderRegistry');
 const languageUtils = require('../utils/languageUtils');
+const languages = require('../utils/languages');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
@@ -50,6 +54,11 @@ const { logger } = require('../utils/logger');
 const openaiService = require('../services/openaiService');
 // Import real-time call service for basic call management
 const realTimeCallService = require('../services/realTimeCallService');
+// Import campaign dialer for persistent bulk call queues
+const campaignDialerService = require('../services/campaignDialerService');
+const knowledgeBaseExperimentService = require('../services/knowledgeBaseExperimentService');
+// Import compliance gate for DNC and calling-hours checks
+const complianceService = require('../services/complianceService');
 // Set up multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -71,36 +80,14 @@ const upload = multer({
   }
 }).single('file');
 
-// Simple in-memory cache for frequently used phrases
-const audioCache = new Map();
-const CACHE_MAX_SIZE = 50;
-const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
-
 // Helper function to determine TTS service - Returns database-compatible values
 const getTTSService = async (language, useClonedVoice = false) => {
-  try {
-    console.log(`[getTTSService] Checking TTS service for language: ${language}`);
-    
-    // Check if this is a language where ChatGPT TTS excels (Hindi, mixed, etc)
-    if (language.startsWith('hi') || language === 'mixed') {
-      console.log('[getTTSService] Language best suited for ChatGPT TTS');
-      return 'chatgpt_tts'; // Return database-compatible value
-    }
-    
-    // For English and other languages, prefer ElevenLabs
-    if (language.startsWith('en')) {
-      console.log('[getTTSService] Using ElevenLabs for English');
-      return 'elevenlabs';
-    }
-    
-    // Default to ChatGPT TTS for other languages
-    console.log('[getTTSService] Using ChatGPT TTS as default TTS service');
-    return 'chatgpt_tts'; // Return database-compatible value
-  } catch (error) {
-    console.error('[getTTSService] Error determining TTS service:', error);
-    // Default to ChatGPT TTS on error as it's more reliable
-    return 'chatgpt_tts'; // Return database-compatible value
-  }
+  // The TTS router ranks providers by language support, live latency and error rate
+  const [provider] = ttsProviderRegistry.route({ language });
+  console.log(`[getTTSService] Router picked ${provider || 'no provider'} for language: ${language}`);
+  
+  // Default to ChatGPT TTS when nothing is routable, as it's the most reliable
+  return provider ? ttsProviderRegistry.getRecordName(provider) : 'chatgpt_tts';
 };
 
 // Helper function to validate audio URL accessibility
@@ -464,11 +451,6 @@ async function cleanupCall(callId) {
       await audioStream.cleanup();
     }
 
-    // Clear any cached audio
-    if (audioCache.has(callId)) {
-      audioCache.delete(callId);
-    }
-
     console.log(`[CallController] Cleanup completed for call ${callId}`);
   } catch (error) {
     console.error(`[CallController] Error during cleanup for call ${callId}:`, error);
@@ -798,7 +780,9 @@ class CallController {
         voice,
         voiceId, // Accept voiceId from frontend
         enableInterruptions,
-        recordConversation
+        recordConversation,
+        campaignId,
+        campaignAttemptId
       } = req.body;
       
       // Handle both 'voice' and 'voiceId' parameter names for compatibility
@@ -811,14 +795,12 @@ class CallController {
         requestBody: req.body
       });
       
-      // Normalize language parameter
+      // Normalize language parameter: names and bare codes ('tamil', 'ta') become locales ('ta-IN')
       let normalizedLanguage = language;
-      if (language === 'english' || language === 'en') {
-        normalizedLanguage = 'en-US';
-      } else if (language === 'hindi' || language === 'hi') {
-        normalizedLanguage = 'hi-IN';
-      } else if (!language) {
+      if (!language) {
         normalizedLanguage = 'en-US';
+      } else if (languages.LANGUAGES[language.toLowerCase()] || /^[a-z]{2}$/i.test(language)) {
+        normalizedLanguage = languages.toLocale(language);
       }
       
       // Normalize voice provider and other provider parameters
@@ -852,10 +834,8 @@ class CallController {
         normalizedSttProvider = 'deepgram'; // Default to Deepgram
       }
       
-      // Handle mappings for LLM provider - Already compatible with database
-      if (!normalizedLlmProvider) {
-        normalizedLlmProvider = 'openai'; // Default to OpenAI
-      }
+      // Handle mappings for LLM provider - aliases such as 'ollama' or 'vllm' map to 'local'
+      normalizedLlmProvider = llmProviderRegistry.normalizeName(normalizedLlmProvider);
       
       console.log('[initiateCall] Initiating REAL-TIME call with:', { 
         phoneNumber, 
@@ -893,6 +873,24 @@ class CallController {
         });
       }
       
+      // Compliance gate: DNC list, calling hours and weekly attempt cap
+      const complianceDecision = await complianceService.checkOutboundCall(cleanPhoneNumber, {
+        source: campaignId ? 'campaign' : 'manual',
+        campaignId: campaignId || undefined
+      });
+      if (!complianceDecision.allowed) {
+        console.log('[initiateCall] Call blocked by compliance gate:', complianceDecision.reason);
+        return res.status(403).json({
+          message: complianceDecision.message,
+          error: 'COMPLIANCE_BLOCKED',
+          compliance: {
+            action: complianceDecision.action,
+            reason: complianceDecision.reason,
+            retryAt: complianceDecision.retryAt || null
+          }
+        });
+      }
+      
       // Check if customer exists with this phone number
       let customer = await Customer.findOne({ phoneNumber: cleanPhoneNumber });
       
@@ -928,7 +926,7 @@ class CallController {
 
       // Create a new call record for real-time streaming
       const call = await Call.create({
-        customerNumber: cleanPhoneNumber,
+        customerNumber: complianceService.normalizePhoneNumber(cleanPhoneNumber),
         scriptId: scriptId,
         promptId: promptId,
         script: script.content, // Store script content for real-time access
@@ -944,7 +942,9 @@ class CallController {
         language: normalizedLanguage, // Use normalized language
         streamingMode: 'real-time', // Flag to indicate this is a real-time streaming call
         enableInterruptions: enableInterruptions !== false,
-        recordConversation: recordConversation !== false
+        recordConversation: recordConversation !== false,
+        campaignId: campaignId || undefined, // Set when dialed by the campaign dialer
+        campaignAttemptId: campaignAttemptId || undefined
       });
 
       const callId = call._id.toString();
@@ -1238,86 +1238,6 @@ class CallController {
     }
   }
 
-  /**
-   * Upload and process bulk calls
-   * @param {Object} req - Express request object with file upload
-   * @param {Object} res - Express response object
-   * @returns {Object} Upload result
-   */
-  async uploadBulkCalls(req, res) {
-    upload(req, res, async (err) => {
-      if (err) {
-        return res.status(400).json({ message: err.message });
-      }
-      
-      try {
-        // Get script, prompt, and voice provider from the request
-        const { scriptId, promptId, voiceProvider } = req.body;
-        
-        if (!scriptId || !promptId) {
-          return res.status(400).json({ 
-            message: 'Missing required fields. Please provide scriptId and promptId',
-            error: 'MISSING_FIELDS'
-          });
-        }
-        
-        // Example implementation: parse CSV and initiate calls
-        const results = [];
-        const filePath = req.file.path;
-        fs.createReadStream(filePath)
-          .pipe(csv())
-          .on('data', (data) => results.push(data))
-          .on('end', async () => {
-            // Process each row for bulk calling
-            const processedCalls = [];
-            
-            for (const row of results) {
-              // Get phone number from the first column
-              const phoneNumber = Object.values(row)[0];
-              if (phoneNumber) {
-                try {
-                  // Initiate call with the specified voice provider
-                  const callData = {
-                    phoneNumber,
-                    scriptId,
-                    promptId,
-                    voiceProvider: voiceProvider || 'clone_voice' // Use provided voice provider or default
-                  };
-                  
-                  // Queue the call for processing (don't wait for each call to complete)
-                  processedCalls.push(callData);
-                } catch (callError) {
-                  console.error('Error processing call for number:', phoneNumber, callError);
-                }
-              }
-            }
-            
-            // Remove uploaded file after processing
-            fs.unlinkSync(filePath);
-            res.status(200).json({ 
-              message: 'Bulk calls processed successfully', 
-              count: results.length,
-              callsQueued: processedCalls.length
-            });
-            
-            // Process calls after sending response, to avoid timeout
-            for (const callData of processedCalls) {
-              try {
-                await this.initiateCall({ body: callData }, { status: () => ({ json: () => {} }) });
-              } catch (error) {
-                console.error('Error initiating call in bulk process:', error);
-              }
-            }
-          })
-          .on('error', (csvErr) => {
-            res.status(500).json({ message: 'Error processing CSV file', error: csvErr.message });
-          });
-      } catch (error) {
-        res.status(500).json({ message: 'Error processing bulk calls', error: error.message });
-      }
-    });
-  }
-
   /**
    * Handle Twilio voice webhook - REAL-TIME STREAMING VERSION
    * This method processes incoming voice webhooks from Twilio using WebSocket streaming
@@ -1674,6 +1594,16 @@ class CallController {
         }
       }
       
+      // Let the campaign dialer settle or retry bulk campaign attempts
+      if (updatedCall && updatedCall.campaignAttemptId) {
+        await campaignDialerService.handleCallStatus(updatedCall, status);
+      }
+      
+      // Credit knowledge base answer variants heard on this call with its outcome
+      if (updatedCall && updatedCall.kbVariants && updatedCall.kbVariants.length > 0) {
+        await knowledgeBaseExperimentService.attributeCallOutcome(updatedCall, status);
+      }
+      
       res.status(200).json({ 
         message: 'Call status updated successfully',
         call: updatedCall
@@ -2098,7 +2028,7 @@ class CallController {
           timestamp: new Date()
         });
 
-        console.log(`[handleSpeechInput] Added transcript to conversation: "${speechData.transcript}"`);
+        console.log(`[handleSpeechInput] Added transcript to conversation: "${redactText(speechData.transcript)}"`);
         
         // Update call state
         callState.lastActivity = Date.now();
@@ -2184,6 +2114,22 @@ class CallController {
             });
           }
           
+          // Optional dialer pacing and retry settings (multipart fields arrive as strings)
+          const toPositiveInt = (value) => {
+            const parsed = parseInt(value, 10);
+            return parsed > 0 ? parsed : undefined;
+          };
+          const pacing = {
+            maxConcurrentCalls: toPositiveInt(req.body.maxConcurrentCalls),
+            callsPerMinute: toPositiveInt(req.body.callsPerMinute)
+          };
+          const retryPolicy = {
+            maxAttempts: toPositiveInt(req.body.maxAttempts),
+            retryIntervalsMinutes: req.body.retryIntervalsMinutes
+              ? String(req.body.retryIntervalsMinutes).split(',').map(toPositiveInt).filter(Boolean)
+              : undefined
+          };
+          
           // Process CSV file
           const rows = [];
           const filePath = req.file.path;
@@ -2195,8 +2141,8 @@ class CallController {
               const phoneNumber = Object.values(row)[0];
               if (phoneNumber && typeof phoneNumber === 'string' && phoneNumber.trim()) {
                 rows.push({
-                  phoneNumber: phoneNumber.trim(),
-                  ...row
+                  phoneNumber: phoneNumber.trim().replace(/\s+/g, ''),
+                  rowData: row
                 });
                 results.phoneNumbers.push(phoneNumber.trim());
               }
@@ -2205,21 +2151,45 @@ class CallController {
               results.totalRows = rows.length;
               console.log(`[uploadBulkCalls] Processed ${rows.length} rows from CSV`);
               
-              // For now, we'll just acknowledge the receipt of valid phone numbers
-              // In a real implementation, calls would be scheduled
-              results.successfulImports = rows.length;
-              
               // Clean up - delete the temporary file
               fs.unlink(filePath, (err) => {
                 if (err) console.error(`[uploadBulkCalls] Error deleting temp file:`, err);
               });
               
-              // Return success response
-              return res.status(200).json({
-                message: `Successfully processed ${results.successfulImports} phone numbers for bulk calling`,
-                processed: results.successfulImports,
-                results
-              });
+              try {
+                // Numbers on the DNC list are recorded as blocked and never dialed
+                const dncNumbers = await complianceService.screenBulkNumbers(rows.map(row => row.phoneNumber));
+                rows.forEach(row => {
+                  if (dncNumbers.has(complianceService.normalizePhoneNumber(row.phoneNumber))) {
+                    row.blockedReason = 'dnc';
+                  }
+                });
+                results.blockedByCompliance = rows.filter(row => row.blockedReason).length;
+                
+                // Persist every row as a queued attempt; the dialer paces and retries them
+                const campaign = await campaignDialerService.createCampaign({
+                  name: req.body.campaignName || req.file.originalname,
+                  sourceFile: req.file.originalname,
+                  callConfig: { scriptId, promptId, ttsProvider, sttProvider, llmProvider, voiceId, language },
+                  pacing,
+                  retryPolicy
+                }, rows);
+                
+                results.successfulImports = rows.length - results.blockedByCompliance;
+                
+                return res.status(200).json({
+                  message: `Successfully queued ${results.successfulImports} phone numbers for bulk calling`,
+                  processed: results.successfulImports,
+                  campaignId: campaign._id,
+                  results
+                });
+              } catch (queueError) {
+                console.error(`[uploadBulkCalls] Error creating campaign:`, queueError);
+                return res.status(500).json({
+                  message: 'Error queuing bulk calls',
+                  error: queueError.message
+                });
+              }
             })
             .on('error', (csvError) => {
               console.error(`[uploadBulkCalls] CSV parsing error:`, csvError);
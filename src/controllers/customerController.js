@@ -1,4 +1,8 @@
 const Customer = require('../models/Customer');
+const { protectCustomer } = require('../utils/piiRedaction');
+
+// Customers as the signed-in user's role may see them
+const protect = (req, customer) => protectCustomer(customer, req.user ? req.user.role : null);
 
 // Controller for customer management
 const customerController = {
@@ -6,7 +10,7 @@ const customerController = {
   getAllCustomers: async (req, res) => {
     try {
       const customers = await Customer.find().sort({ createdAt: -1 });
-      res.json(customers);
+      res.json(customers.map(customer => protect(req, customer)));
     } catch (error) {
       console.error('Error fetching customers:', error);
       res.status(500).json({ message: 'Server error' });
@@ -22,7 +26,7 @@ const customerController = {
         return res.status(404).json({ message: 'Customer not found' });
       }
       
-      res.json(customer);
+      res.json(protect(req, customer));
     } catch (error) {
       console.error('Error fetching customer:', error);
       res.status(500).json({ message: 'Server error' });
@@ -55,7 +59,7 @@ const customerController = {
       
       await customer.save();
       
-      res.status(201).json(customer);
+      res.status(201).json(protect(req, customer));
     } catch (error) {
       console.error('Error creating customer:', error);
       res.status(500).json({ message: 'Server error' });
@@ -83,7 +87,7 @@ const customerController = {
         return res.status(404).json({ message: 'Customer not found' });
       }
       
-      res.json(customer);
+      res.json(protect(req, customer));
     } catch (error) {
       console.error('Error updating customer:', error);
       res.status(500).json({ message: 'Server error' });
@@ -2,6 +2,7 @@ const Call = require('../models/Call');
 const Recording = require('../models/Recording');
 const fs = require('fs');
 const path = require('path');
+const { redactText } = require('../utils/piiRedaction');
 
 // Controller for recording management
 const recordingController = {
@@ -116,7 +117,7 @@ const recordingController = {
 
       // Format conversation history into a readable transcript
       const transcript = call.conversationHistory
-        .map(entry => `${entry.speaker} (${new Date(entry.timestamp).toLocaleTimeString()}): ${entry.text}`)
+        .map(entry => `${entry.speaker} (${new Date(entry.timestamp).toLocaleTimeString()}): ${redactText(entry.text)}`)
         .join('\n\n');
 
       res.json(transcript);
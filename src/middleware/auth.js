@@ -0,0 +1,125 @@
+const AccessAudit = require('../models/AccessAudit');
+const authTokenService = require('../services/authTokenService');
+const { verifyTwilioRequest } = require('./twilioWebhook');
+const {
+  PUBLIC,
+  AUTHENTICATED,
+  TWILIO,
+  normalizeRole,
+  hasPermission,
+  permissionsFor,
+  requiredPermission
+} = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+/**
+ * Authentication and Access Control
+ *
+ * `accessControl` guards the whole /api router: it looks up what each request
+ * needs in config/permissions.js, checks the Bearer access token for everything
+ * that is not public and checks Twilio's signature on webhooks. `authenticate`
+ * and `authorize` are there for routes that need checks of their own.
+ *
+ * On success req.user is { id, username, email, role, permissions } and req.auth
+ * holds the token claims. Refused permissions, revoked tokens and unsigned
+ * webhooks are written to the AccessAudit collection.
+ */
+
+// Needed by routes missing from the permission map; only admin ('*') holds it
+const UNMAPPED_ROUTE = '*';
+
+/**
+ * Record a refused request in the access audit log; never fails the request
+ * @param {Object} req - Express request, or the plain HTTP request of a WebSocket upgrade
+ * @param {string} reason - AccessAudit reason
+ * @param {Object} [details] - { permission, userId, username, role } when not taken from req.user
+ */
+function recordDenial(req, reason, details = {}) {
+  const user = req.user || {};
+  AccessAudit.create({
+    reason,
+    userId: details.userId || user.id,
+    username: details.username || user.username,
+    role: details.role || user.role,
+    permission: details.permission,
+    method: req.method,
+    path: (req.originalUrl || req.url).split('?')[0],
+    ip: req.ip || (req.socket && req.socket.remoteAddress),
+    userAgent: req.headers['user-agent']
+  }).catch(error => logger.error(`[Auth] Could not record ${reason} in the access audit: ${error.message}`));
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Require a valid, unrevoked access token
+ */
+async function authenticate(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  try {
+    const { payload, user } = await authTokenService.verifyAccessToken(token);
+    const role = normalizeRole(user.role);
+    req.auth = payload;
+    req.user = {
+      id: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      role,
+      permissions: permissionsFor(role)
+    };
+    next();
+  } catch (error) {
+    if (!error.code) {
+      logger.error(`[Auth] Error verifying access token: ${error.message}`);
+      return res.status(500).json({ success: false, message: 'Error verifying access token', error: error.message });
+    }
+    if (error.code === 'revoked') {
+      const claims = authTokenService.claimsOf(token);
+      recordDenial(req, 'token_revoked', { userId: claims.id, username: claims.username, role: claims.role });
+    }
+    res.status(401).json({ success: false, message: error.message, code: error.code });
+  }
+}
+
+/**
+ * Require a permission of the authenticated user; use after authenticate
+ * @param {string} permission
+ */
+function authorize(permission) {
+  return (req, res, next) => {
+    if (req.user && hasPermission(req.user.role, permission)) return next();
+    recordDenial(req, 'permission_denied', { permission });
+    logger.warn(`[Auth] ${req.user ? req.user.username : 'Anonymous'} (${req.user ? req.user.role : 'no role'}) denied ${permission} for ${req.method} ${req.originalUrl}`);
+    res.status(403).json({ success: false, message: 'You do not have permission to do this', permission });
+  };
+}
+
+/**
+ * Access control for every route under the /api router, driven by ROUTE_PERMISSIONS
+ */
+function accessControl(req, res, next) {
+  const permission = requiredPermission(req.method, req.path);
+
+  if (permission === PUBLIC || req.method === 'OPTIONS') return next();
+  if (permission === TWILIO) return verifyTwilioRequest(req, res, next);
+
+  authenticate(req, res, () => {
+    if (permission === AUTHENTICATED) return next();
+    authorize(permission || UNMAPPED_ROUTE)(req, res, next);
+  });
+}
+
+module.exports = {
+  accessControl,
+  authenticate,
+  authorize,
+  recordDenial
+};
@@ -0,0 +1,59 @@
+const twilio = require('twilio');
+const AccessAudit = require('../models/AccessAudit');
+const { logger } = require('../utils/logger');
+
+/**
+ * Twilio Webhook Protection
+ *
+ * Twilio signs every webhook request with the account auth token
+ * (X-Twilio-Signature). The signature covers the full URL Twilio called, which is
+ * the NGROK_URL base the webhooks were registered with, so that is used to
+ * rebuild it; without NGROK_URL the URL is taken from the request itself.
+ *
+ * Without TWILIO_AUTH_TOKEN requests are let through with a warning, except in
+ * production where they are refused.
+ */
+
+let warnedMissingToken = false;
+
+function webhookUrl(req) {
+  const base = process.env.NGROK_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.endsWith('/') ? base.slice(0, -1) : base}${req.originalUrl}`;
+}
+
+/**
+ * Require a valid Twilio signature
+ */
+function verifyTwilioRequest(req, res, next) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    if (process.env.NODE_ENV === 'production') {
+      logger.error('[TwilioWebhook] TWILIO_AUTH_TOKEN is not set; refusing webhook requests');
+      return res.status(503).type('text/xml').send('<Response></Response>');
+    }
+    if (!warnedMissingToken) {
+      warnedMissingToken = true;
+      logger.warn('[TwilioWebhook] TWILIO_AUTH_TOKEN is not set; webhook signatures are not checked');
+    }
+    return next();
+  }
+
+  const signature = req.get('x-twilio-signature');
+  if (signature && twilio.validateRequest(authToken, signature, webhookUrl(req), req.body || {})) {
+    return next();
+  }
+
+  AccessAudit.create({
+    reason: 'invalid_twilio_signature',
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(error => logger.error(`[TwilioWebhook] Could not record a rejected webhook in the access audit: ${error.message}`));
+  logger.warn(`[TwilioWebhook] Rejected ${req.method} ${req.originalUrl}: ${signature ? 'invalid' : 'missing'} signature`);
+  res.status(403).type('text/xml').send('<Response></Response>');
+}
+
+module.exports = {
+  verifyTwilioRequest
+};
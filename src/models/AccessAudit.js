@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Audit trail of /api requests refused by access control
+const AccessAuditSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: ['permission_denied', 'token_revoked', 'refresh_token_reused', 'invalid_twilio_signature'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: {
+    type: String
+  },
+  role: {
+    type: String
+  },
+  permission: {
+    type: String
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+AccessAuditSchema.index({ reason: 1, createdAt: -1 });
+AccessAuditSchema.index({ userId: 1, createdAt: -1 });
+AccessAuditSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AccessAudit', AccessAuditSchema);
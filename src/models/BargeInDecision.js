@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { redactText } = require('../utils/piiRedaction');
+
+// A decision taken when the customer spoke over the agent (see services/interruption-handler.js)
+const BargeInDecisionSchema = new mongoose.Schema({
+  callId: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['stop', 'ignore', 'resume', 'drop', 'yield', 'defer'],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  mode: {
+    type: String
+  },
+  policySource: {
+    type: String // 'default', 'call' or 'step:<type>'
+  },
+  transcript: {
+    type: String,
+    set: redactText // PAN, Aadhaar and phone numbers never reach the stored decision
+  },
+  customerSpeechMs: {
+    type: Number
+  },
+  agentPlayedMs: {
+    type: Number
+  },
+  strategy: {
+    type: String
+  },
+  resumeText: {
+    type: String
+  },
+  language: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+BargeInDecisionSchema.index({ callId: 1, timestamp: 1 });
+BargeInDecisionSchema.index({ action: 1, reason: 1 });
+
+module.exports = mongoose.model('BargeInDecision', BargeInDecisionSchema);
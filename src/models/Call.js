@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { redactText } = require('../utils/piiRedaction');
 
 const CallSchema = new mongoose.Schema({
   customerNumber: {
@@ -20,6 +21,15 @@ const CallSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Workflow'
   },
+  // Bulk campaign this call was dialed for, if any
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  campaignAttemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CampaignAttempt'
+  },
   startTime: {
     type: Date,
     default: Date.now
@@ -53,12 +63,12 @@ const CallSchema = new mongoose.Schema({
   },
   sttProvider: {
     type: String,
-    enum: ['deepgram', 'google_stt', 'azure_stt', 'openai_whisper'],
+    enum: ['deepgram', 'google_stt', 'azure_stt', 'openai_whisper', 'mock'],
     default: 'deepgram'
   },
   llmProvider: {
     type: String,
-    enum: ['openai', 'gemini', 'claude', 'azure_openai'],
+    enum: ['openai', 'gemini', 'claude', 'azure_openai', 'local'],
     default: 'openai'
   },
   voiceId: {
@@ -114,19 +124,76 @@ const CallSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Knowledge base answer variants heard on this call, credited with the outcome when it ends
+  kbVariants: [{
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KnowledgeBase'
+    },
+    version: String, // 'control' or a variations[].version
+    usage: {
+      type: String,
+      enum: ['objection', 'faq']
+    },
+    servedAt: Date,
+    attributed: {
+      type: Boolean,
+      default: false
+    },
+    success: Boolean
+  }],
+  // Transfers to a human agent, with a summary of the context the agent received
+  handoffs: [{
+    trigger: {
+      type: String,
+      enum: ['workflow_step', 'repeated_objections', 'manual', 'client_request']
+    },
+    reason: String,
+    stepType: String,
+    targetType: {
+      type: String,
+      enum: ['number', 'queue']
+    },
+    target: String,
+    status: {
+      type: String,
+      enum: ['requested', 'dialing', 'completed', 'busy', 'no_answer', 'abandoned', 'failed'],
+      default: 'requested'
+    },
+    error: String,
+    requestedBy: String,
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    dialedAt: Date,
+    endedAt: Date,
+    context: {
+      language: String,
+      collectedFields: mongoose.Schema.Types.Mixed,
+      objections: [{
+        type: { type: String },
+        statement: String
+      }],
+      transcriptTurns: Number
+    }
+  }],
   conversationHistory: [{
     speaker: {
       type: String,
       enum: ['AI', 'Customer']
     },
-    text: String,
+    text: {
+      type: String,
+      set: redactText // PAN, Aadhaar and phone numbers never reach the stored history
+    },
     timestamp: {
       type: Date,
       default: Date.now
     },
     language: {
       type: String,
-      enum: ['english', 'hindi', 'spanish', 'french', 'german', 'japanese', 'chinese', 'arabic', 'russian', 'portuguese', 'unknown'],
+      enum: ['english', 'hindi', 'mixed', 'marathi', 'bengali', 'gujarati', 'tamil', 'telugu', 'kannada', 'spanish', 'french', 'german', 'japanese', 'chinese', 'arabic', 'russian', 'portuguese', 'unknown'],
       default: 'english'
     }
   }],
@@ -139,7 +206,7 @@ const CallSchema = new mongoose.Schema({
   },
   detectedLanguage: {
     type: String,
-    enum: ['english', 'hindi', 'spanish', 'french', 'german', 'japanese', 'chinese', 'arabic', 'russian', 'portuguese', 'unknown'],
+    enum: ['english', 'hindi', 'mixed', 'marathi', 'bengali', 'gujarati', 'tamil', 'telugu', 'kannada', 'spanish', 'french', 'german', 'japanese', 'chinese', 'arabic', 'russian', 'portuguese', 'unknown'],
     default: 'english'
   }
 }, {
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const languages = require('../utils/languages');
+const { redactText } = require('../utils/piiRedaction');
+const fieldEncryption = require('../utils/fieldEncryption');
+
+// Customer fields encrypted at rest (models/Customer.js); slot values for them are too,
+// along with what the customer said and spelled for them
+const ENCRYPTED_SLOT_FIELDS = ['panCard', 'aadharCard', 'monthlyIncome'];
+
+// Encrypted text is stored as it is; redaction could rewrite the ciphertext
+function redactPlaintext(text) {
+  return fieldEncryption.isEncrypted(text) ? text : redactText(text);
+}
 
 const CallStateSchema = new mongoose.Schema({
   callId: {
@@ -21,6 +33,12 @@ const CallStateSchema = new mongoose.Schema({
     required: true
   },
   
+  // Published workflow version this call is pinned to (null when running a draft)
+  workflowVersion: {
+    type: Number,
+    default: null
+  },
+  
   // Current position in the call flow
   currentStep: {
     stepId: String,
@@ -51,7 +69,8 @@ const CallStateSchema = new mongoose.Schema({
       type: Date
     },
     customerResponse: {
-      type: String
+      type: String,
+      set: redactText
     },
     agentResponse: {
       type: String
@@ -64,13 +83,17 @@ const CallStateSchema = new mongoose.Schema({
     },
     attemptNumber: {
       type: Number
+    },
+    // Corrected intent for this turn, set through the intent labelling endpoint
+    labelledIntent: {
+      type: String
     }
   }],
   
   // Current language preference
   language: {
     type: String,
-    enum: ['english', 'hindi'],
+    enum: [...languages.LANGUAGE_NAMES, 'mixed'],
     default: 'english'
   },
   
@@ -99,13 +122,57 @@ const CallStateSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed
   },
   
+  // Slot values collected at data collection steps (see slotFilling.js)
+  slots: [{
+    name: {
+      type: String
+    },
+    stepId: {
+      type: String
+    },
+    field: {
+      type: String
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    rawText: {
+      type: String, // What the customer said, with PAN, Aadhaar and phone numbers redacted
+      set: redactPlaintext
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'filled', 'failed'] // pending: waiting for the customer to confirm; unset: still asking
+    },
+    confirmed: {
+      type: Boolean
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    corrections: {
+      type: Number,
+      default: 0
+    },
+    // Email or PAN spelled so far: { chars: [{ char, certain }], asking } (see utils/dictation.js);
+    // for encrypted fields it is stored as encrypted JSON
+    capture: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    updatedAt: {
+      type: Date
+    }
+  }],
+  
   // Customer responses and analysis
   customerResponses: [{
     stepId: {
       type: String
     },
     response: {
-      type: String
+      type: String,
+      set: redactText
     },
     timestamp: {
       type: Date
@@ -119,6 +186,9 @@ const CallStateSchema = new mongoose.Schema({
     confidence: {
       type: Number
     },
+    classifier: {
+      type: String // 'naive_bayes', 'llm', 'keyword'
+    },
     audioUrl: {
       type: String
     }
@@ -216,7 +286,7 @@ const CallStateSchema = new mongoose.Schema({
 // Indexes for performance
 CallStateSchema.index({ callId: 1 });
 CallStateSchema.index({ callRecord: 1 });
-CallStateSchema.index({ workflowId: 1 });
+CallStateSchema.index({ workflowId: 1, workflowVersion: 1 });
 CallStateSchema.index({ 'currentStep.stepType': 1 });
 CallStateSchema.index({ language: 1 });
 CallStateSchema.index({ 'outcome.status': 1 });
@@ -263,6 +333,42 @@ CallStateSchema.methods.addObjection = function(objectionType, customerStatement
   this.objections.push(objectionEntry);
 };
 
+// Slot name -> state, as slotFilling.processSlotTurn takes them
+CallStateSchema.methods.getSlotStates = function() {
+  return Object.fromEntries(this.slots.map(slot => {
+    const state = slot.toObject();
+    if (ENCRYPTED_SLOT_FIELDS.includes(state.field)) {
+      state.value = fieldEncryption.decrypt(state.value);
+      state.rawText = fieldEncryption.decrypt(state.rawText);
+      if (typeof state.capture === 'string') {
+        const capture = fieldEncryption.decrypt(state.capture);
+        state.capture = capture ? JSON.parse(capture) : null;
+      }
+    }
+    return [slot.name, state];
+  }));
+};
+
+CallStateSchema.methods.setSlotState = function(name, stepId, state) {
+  const { _id, ...values } = state;
+  if (ENCRYPTED_SLOT_FIELDS.includes(values.field)) {
+    values.value = fieldEncryption.encrypt(values.value);
+    // Spelled fragments ("a b c") are PII that redaction cannot recognise
+    values.rawText = fieldEncryption.encrypt(redactText(values.rawText));
+    if (values.capture) values.capture = fieldEncryption.encrypt(JSON.stringify(values.capture));
+  }
+  const existing = this.slots.find(slot => slot.name === name);
+  if (existing) {
+    existing.set(values);
+  } else {
+    this.slots.push({ ...values, name, stepId });
+  }
+};
+
+CallStateSchema.statics.isEncryptedSlotField = function(field) {
+  return ENCRYPTED_SLOT_FIELDS.includes(field);
+};
+
 CallStateSchema.methods.switchLanguage = function(newLanguage, reason) {
   if (this.language !== newLanguage) {
     this.languageHistory.push({
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const languages = require('../utils/languages');
+
+// Text per language, keyed by language name (english, hindi, tamil, ...; see utils/languages.js)
+const languageMapValidator = {
+  validator: languages.isValidLanguageMap,
+  message: props => `${props.path} needs english text and only supported languages (${languages.LANGUAGE_NAMES.join(', ')})`
+};
 
 const CallWorkflowSchema = new mongoose.Schema({
   name: {
@@ -18,6 +25,20 @@ const CallWorkflowSchema = new mongoose.Schema({
     type: String,
     default: '1.0'
   },
+  
+  // Draft/publish lifecycle: this document is the editable draft,
+  // WorkflowVersion holds the immutable published snapshots
+  publishedVersion: {
+    type: Number,
+    default: null
+  },
+  publishedAt: {
+    type: Date
+  },
+  hasUnpublishedChanges: {
+    type: Boolean,
+    default: true
+  },
   steps: [{
     id: {
       type: String,
@@ -56,14 +77,10 @@ const CallWorkflowSchema = new mongoose.Schema({
       required: true
     },
     template: {
-      english: {
-        type: String,
-        required: true
-      },
-      hindi: {
-        type: String,
-        required: true
-      }
+      type: Map,
+      of: String,
+      required: true,
+      validate: languageMapValidator
     },
     expectedResponses: [{
       response: {
@@ -110,6 +127,65 @@ const CallWorkflowSchema = new mongoose.Schema({
         default: false
       }
     }],
+    // Values collected at this step (see slotFilling.js); collect_* steps without
+    // slots use the defaults for their type
+    slots: [{
+      name: {
+        type: String,
+        required: true
+      },
+      type: {
+        type: String,
+        enum: ['number', 'enum', 'email', 'pan', 'pincode', 'city', 'name', 'text'],
+        required: true
+      },
+      field: {
+        type: String // Customer field the value is saved to; defaults to name
+      },
+      variable: {
+        type: String // Call variable set for templates, e.g. customerAge for {{customerAge}}
+      },
+      required: {
+        type: Boolean,
+        default: true
+      },
+      confirm: {
+        type: Boolean // Read the value back before saving; defaults by type
+      },
+      maxRetries: {
+        type: Number,
+        min: 0,
+        max: 5 // Defaults to the step's maxRetries
+      },
+      min: Number,
+      max: Number,
+      // Numbers said without a multiplier below this are in these units (1000: "fifty" is 50,000)
+      unit: Number,
+      // Read a year of birth (1900-2010) as the age it gives, for age slots
+      birthYear: Boolean,
+      options: [{
+        _id: false,
+        value: {
+          type: String,
+          required: true
+        },
+        label: String,
+        synonyms: [String],
+        min: Number, // Amount range matched to this option
+        max: Number
+      }],
+      // Text per language replacing the defaults; {{value}} is the value read back
+      prompts: {
+        confirm: {
+          type: Map,
+          of: String
+        },
+        retry: {
+          type: Map,
+          of: String
+        }
+      }
+    }],
     maxRetries: {
       type: Number,
       default: 2
@@ -117,6 +193,35 @@ const CallWorkflowSchema = new mongoose.Schema({
     timeoutSeconds: {
       type: Number,
       default: 30
+    },
+    // End-of-utterance timing while listening for the answer to this step (ms);
+    // unset values fall back to the defaults for the step type in vadEngine.js
+    endpointing: {
+      endSilenceMs: { type: Number, min: 100, max: 10000 },
+      maxUtteranceMs: { type: Number, min: 1000, max: 60000 },
+      minSpeechMs: { type: Number, min: 20, max: 1000 },
+      hangoverMs: { type: Number, min: 0, max: 2000 },
+      preRollMs: { type: Number, min: 0, max: 1000 }
+    },
+    // What happens when the customer talks over this step; unset values fall back
+    // to the defaults for the step type in bargeInPolicy.js
+    bargeIn: {
+      mode: {
+        type: String,
+        enum: ['immediate', 'confirm', 'disabled'] // 'disabled' for mandatory disclosures
+      },
+      minSpeechMs: { type: Number, min: 0, max: 3000 },
+      maxBackchannelMs: { type: Number, min: 0, max: 5000 },
+      resumeAfterMs: { type: Number, min: 500, max: 15000 },
+      answerWindowMs: { type: Number, min: 0, max: 5000 },
+      resume: {
+        type: String,
+        enum: ['resume', 'rephrase', 'none']
+      },
+      backchannels: {
+        type: [String],
+        default: undefined
+      }
     }
   }],
   
@@ -227,8 +332,8 @@ const CallWorkflowSchema = new mongoose.Schema({
     customSteps: [{
       stepId: String,
       customContent: {
-        english: String,
-        hindi: String
+        type: Map,
+        of: String
       }
     }]
   }],
@@ -245,6 +350,28 @@ const CallWorkflowSchema = new mongoose.Schema({
     },
     escalationSteps: [String]
   },
+
+  // Human agent target for escalations; HUMAN_TRANSFER_TARGET is used when no target is set
+  humanTransfer: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    targetType: {
+      type: String,
+      enum: ['number', 'queue']
+    },
+    target: {
+      type: String
+    },
+    // Step ids or types that hand the call to a human agent when reached
+    triggerSteps: [String],
+    // Spoken to the customer before the transfer, per language
+    message: {
+      type: Map,
+      of: String
+    }
+  },
   
   isActive: {
     type: Boolean,
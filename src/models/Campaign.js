@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const CampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'completed', 'cancelled'],
+    default: 'running'
+  },
+  sourceFile: {
+    type: String
+  },
+
+  // Call configuration applied to every attempt in this campaign
+  callConfig: {
+    scriptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Script',
+      required: true
+    },
+    promptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prompt',
+      required: true
+    },
+    ttsProvider: String,
+    sttProvider: String,
+    llmProvider: String,
+    voiceId: String,
+    language: {
+      type: String,
+      default: 'english'
+    }
+  },
+
+  // Dialer pacing limits
+  pacing: {
+    maxConcurrentCalls: {
+      type: Number,
+      min: 1,
+      default: 3
+    },
+    callsPerMinute: {
+      type: Number,
+      min: 1,
+      default: 10
+    }
+  },
+
+  // Retry schedule for unanswered calls
+  retryPolicy: {
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      default: 3
+    },
+    retryIntervalsMinutes: {
+      type: [Number],
+      default: [30, 120]
+    },
+    retryOn: {
+      type: [String],
+      default: ['no_answer', 'busy']
+    }
+  },
+
+  totalContacts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pausedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+CampaignSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Campaign', CampaignSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One queued contact (CSV row) of a campaign, tracked across all its dial attempts
+const CampaignAttemptSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  rowNumber: {
+    type: Number
+  },
+  // Original CSV row, kept for reporting and personalisation
+  rowData: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'dialing', 'in_progress', 'retry_scheduled', 'completed', 'failed', 'blocked', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDialedAt: {
+    type: Date
+  },
+  currentCallId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  lastOutcome: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  history: [{
+    callId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Call'
+    },
+    dialedAt: Date,
+    endedAt: Date,
+    outcome: String,
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+CampaignAttemptSchema.index({ campaignId: 1, status: 1, nextAttemptAt: 1 });
+CampaignAttemptSchema.index({ campaignId: 1, lastDialedAt: 1 });
+CampaignAttemptSchema.index({ currentCallId: 1 });
+
+module.exports = mongoose.model('CampaignAttempt', CampaignAttemptSchema);
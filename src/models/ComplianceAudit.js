@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Audit trail of outbound dials blocked or deferred by the compliance gate
+const ComplianceAuditSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['rejected', 'deferred'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['dnc', 'outside_calling_hours', 'attempt_limit'],
+    required: true
+  },
+  details: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'campaign', 'bulk_upload'],
+    default: 'manual'
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ComplianceRule'
+  },
+  retryAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ComplianceAuditSchema.index({ phoneNumber: 1, createdAt: -1 });
+ComplianceAuditSchema.index({ reason: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ComplianceAudit', ComplianceAuditSchema);
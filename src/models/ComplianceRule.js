@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// IANA zone names, e.g. 'Asia/Kolkata'; anything else makes Intl.DateTimeFormat throw
+function isValidTimezone(value) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Calling window and attempt cap for numbers in one timezone
+const ComplianceRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: true,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  // E.164 prefixes this rule applies to, e.g. ['+91']; the longest match wins
+  countryPrefixes: [{
+    type: String
+  }],
+  // Used for numbers that match no other rule
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  startTime: {
+    type: String,
+    match: TIME_PATTERN,
+    default: '09:00'
+  },
+  endTime: {
+    type: String,
+    match: TIME_PATTERN,
+    default: '21:00'
+  },
+  // Days of the week calls are allowed on (0 = Sunday ... 6 = Saturday)
+  allowedDays: {
+    type: [Number],
+    default: [1, 2, 3, 4, 5, 6]
+  },
+  maxAttemptsPerWeek: {
+    type: Number,
+    min: 1,
+    default: 3
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+ComplianceRuleSchema.index({ isActive: 1, countryPrefixes: 1 });
+
+// An end before the start is a window past midnight; the same time for both is no window at all
+ComplianceRuleSchema.pre('validate', function(next) {
+  if (this.startTime && this.startTime === this.endTime) {
+    this.invalidate('endTime', 'endTime must differ from startTime', this.endTime);
+  }
+  next();
+});
+
+ComplianceRuleSchema.statics.isValidTimezone = isValidTimezone;
+
+module.exports = mongoose.model('ComplianceRule', ComplianceRuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encryptedField } = require('../utils/fieldEncryption');
 
 const CustomerSchema = new mongoose.Schema({
   name: {
@@ -23,18 +24,17 @@ const CustomerSchema = new mongoose.Schema({
     type: String,
     enum: ['salaried', 'self_employed', 'business_owner', 'retired', 'student', 'homemaker', 'other']
   },
-  monthlyIncome: {
-    type: String,
+  // Encrypted at rest (utils/fieldEncryption.js); reading the path on a document decrypts it,
+  // lean queries return the stored ciphertext
+  monthlyIncome: encryptedField({
     enum: ['below_25k', '25k_50k', '50k_1l', '1l_2l', '2l_5l', '5l_plus', 'not_disclosed']
-  },
-  panCard: {
-    type: String,
+  }),
+  panCard: encryptedField({
     match: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/
-  },
-  aadharCard: {
-    type: String,
+  }),
+  aadharCard: encryptedField({
     match: /^[0-9]{12}$/
-  },
+  }),
   city: {
     type: String
   },
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Locally managed do-not-call list
+const DncEntrySchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reason: {
+    type: String,
+    default: 'customer_request'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import', 'call_outcome'],
+    default: 'manual'
+  },
+  notes: {
+    type: String
+  },
+  // Optional expiry for temporary opt-outs
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DncEntry', DncEntrySchema);
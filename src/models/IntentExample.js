@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Labelled customer utterance used to train the local intent classifier
+const IntentExampleSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  intent: {
+    type: String,
+    enum: ['question', 'objection', 'not_interested', 'interested', 'neutral'],
+    required: true
+  },
+  // Only meaningful for intent 'objection'
+  objectionType: {
+    type: String,
+    enum: ['already_have_cards', 'high_fees', 'no_time', 'not_interested', null],
+    default: null
+  },
+  language: {
+    type: String,
+    default: 'english'
+  },
+  source: {
+    type: String,
+    enum: ['seed', 'labelled', 'import'],
+    default: 'labelled'
+  },
+  // Where a labelled turn came from, and what the classifier thought at the time
+  callId: {
+    type: String
+  },
+  stepType: {
+    type: String
+  },
+  turnIndex: {
+    type: Number
+  },
+  predictedIntent: {
+    type: String
+  },
+  labelledBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+IntentExampleSchema.index({ intent: 1 });
+IntentExampleSchema.index({ callId: 1, turnIndex: 1 });
+
+module.exports = mongoose.model('IntentExample', IntentExampleSchema);
@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
+const languages = require('../utils/languages');
 
 const KnowledgeBaseSchema = new mongoose.Schema({
+  // Stable identifier from the content team's spreadsheet, used for import upserts
+  key: {
+    type: String,
+    trim: true
+  },
+  
   category: {
     type: String,
     enum: ['credit_cards', 'objections', 'features', 'pricing', 'general', 'sbi_specific'],
@@ -18,15 +25,14 @@ const KnowledgeBaseSchema = new mongoose.Schema({
     type: String
   }],
   
-  // The response in both languages
+  // The response per language, keyed by language name (english, hindi, tamil, ...; see utils/languages.js)
   answer: {
-    english: {
-      type: String,
-      required: true
-    },
-    hindi: {
-      type: String,
-      required: true
+    type: Map,
+    of: String,
+    required: true,
+    validate: {
+      validator: languages.isValidLanguageMap,
+      message: `answer needs english text and only supported languages (${languages.LANGUAGE_NAMES.join(', ')})`
     }
   },
   
@@ -90,6 +96,15 @@ const KnowledgeBaseSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Finished calls that heard this entry, and how many of them started an application
+    attributedUses: {
+      type: Number,
+      default: 0
+    },
+    successes: {
+      type: Number,
+      default: 0
+    },
     lastUsed: Date
   },
   
@@ -99,25 +114,63 @@ const KnowledgeBaseSchema = new mongoose.Schema({
       type: String
     },
     content: {
-      english: {
-        type: String
-      },
-      hindi: {
-        type: String
-      }
+      type: Map,
+      of: String
     },
     performance: {
       uses: {
         type: Number,
         default: 0
       },
+      successes: {
+        type: Number,
+        default: 0
+      },
       successRate: {
         type: Number,
         default: 0
       }
+    },
+    // Inactive variations are no longer served (retired or already promoted)
+    isActive: {
+      type: Boolean,
+      default: true
     }
   }],
   
+  // A/B test of variations against the main answer ("control")
+  abTest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    autoPromote: {
+      type: Boolean,
+      default: true
+    },
+    minSamplesPerArm: {
+      type: Number,
+      default: 100
+    },
+    control: {
+      uses: {
+        type: Number,
+        default: 0
+      },
+      successes: {
+        type: Number,
+        default: 0
+      },
+      successRate: {
+        type: Number,
+        default: 0
+      }
+    },
+    promotedVersion: String,
+    promotedAt: Date,
+    promotedBy: String
+  },
+  
   isActive: {
     type: Boolean,
     default: true
@@ -136,6 +189,7 @@ const KnowledgeBaseSchema = new mongoose.Schema({
 KnowledgeBaseSchema.index({ category: 1, cardType: 1, isActive: 1 });
 KnowledgeBaseSchema.index({ objectionType: 1, cardType: 1 });
 KnowledgeBaseSchema.index({ keywords: 1 });
+KnowledgeBaseSchema.index({ key: 1 }, { unique: true, sparse: true });
 KnowledgeBaseSchema.index({ question: 'text', 'alternateQuestions': 'text' });
 
 // Methods for semantic search
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Stored embeddings of a knowledge base entry's question and alternate phrasings
+const KnowledgeBaseEmbeddingSchema = new mongoose.Schema({
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Hash of the embedded texts; a mismatch means the entry changed and must be re-embedded
+  contentHash: {
+    type: String,
+    required: true
+  },
+  texts: [{
+    type: String
+  }],
+  vectors: [[Number]]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('KnowledgeBaseEmbedding', KnowledgeBaseEmbeddingSchema);
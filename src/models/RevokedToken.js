@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// JWT ids revoked before they expire (logout, rotated refresh tokens); each entry expires with its token
+const RevokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['access', 'refresh'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'refreshed', 'revoked'],
+    default: 'revoked'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
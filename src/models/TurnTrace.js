@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { redactText } = require('../utils/piiRedaction');
+
+// Latency trace of one conversational turn: from the end of the customer's speech
+// to the first frame of the agent's answer sent to Twilio (see services/turnTracer.js)
+const TurnTraceSchema = new mongoose.Schema({
+  callId: {
+    type: String,
+    required: true
+  },
+  turnIndex: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // 'answered' when the first audio frame was sent; otherwise why the turn ended without one
+  outcome: {
+    type: String,
+    enum: ['answered', 'not_answered', 'superseded', 'call_ended'],
+    default: 'answered'
+  },
+  providers: {
+    stt: String,
+    llm: String,
+    tts: String
+  },
+  // '<stt>/<llm>/<tts>', the key latency aggregates are grouped by
+  combination: {
+    type: String
+  },
+  // Milliseconds from startedAt (the end of speech) to each mark reached
+  marks: {
+    speech_end: Number,
+    endpoint: Number,
+    stt_final: Number,
+    llm_first_token: Number,
+    llm_complete: Number,
+    tts_start: Number,
+    tts_first_byte: Number,
+    first_audio_sent: Number
+  },
+  spans: [{
+    _id: false,
+    name: String,
+    startMs: Number,
+    endMs: Number,
+    durationMs: Number
+  }],
+  totalMs: {
+    type: Number
+  },
+  transcript: {
+    type: String,
+    set: redactText // PAN, Aadhaar and phone numbers never reach the stored trace
+  }
+}, {
+  timestamps: true
+});
+
+TurnTraceSchema.index({ callId: 1, turnIndex: 1 });
+TurnTraceSchema.index({ combination: 1, startedAt: -1 });
+
+module.exports = mongoose.model('TurnTrace', TurnTraceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -17,8 +18,14 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'user'],
-    default: 'user'
+    // 'user' is the role from before role-based access and is treated as viewer
+    enum: [...ROLES, 'user'],
+    default: DEFAULT_ROLE
+  },
+  // Bumped to revoke every token issued to the user so far
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
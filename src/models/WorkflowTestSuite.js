@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const languages = require('../utils/languages');
+
+// Scripted customer conversations with expectations, replayed against a workflow
+const WorkflowTestSuiteSchema = new mongoose.Schema({
+  workflowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallWorkflow',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  cases: [{
+    name: {
+      type: String,
+      required: true
+    },
+    language: {
+      type: String,
+      enum: [...languages.LANGUAGE_NAMES, 'mixed'],
+      default: languages.DEFAULT_LANGUAGE
+    },
+    // Extra template variables (cardType, agentName, ...)
+    variables: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    customerResponses: [{
+      type: String
+    }],
+    expectations: {
+      // Step ids or step types, in the order they should be visited
+      stepSequence: [{
+        type: String
+      }],
+      stepSequenceMode: {
+        type: String,
+        enum: ['exact', 'prefix', 'subsequence'],
+        default: 'exact'
+      },
+      // Customer fields expected after the conversation, e.g. { age: 28, city: 'Pune' }
+      collectedFields: {
+        type: mongoose.Schema.Types.Mixed
+      },
+      // Final step id/type, or 'completed' / 'in_progress'
+      finalOutcome: {
+        type: String
+      },
+      // Phrases the agent must never say in this conversation
+      forbiddenPhrases: [{
+        type: String
+      }]
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastRun: {
+    runAt: Date,
+    target: String, // 'draft' or a published version number
+    passed: Number,
+    failed: Number
+  }
+}, {
+  timestamps: true
+});
+
+WorkflowTestSuiteSchema.index({ workflowId: 1, isActive: 1 });
+
+module.exports = mongoose.model('WorkflowTestSuite', WorkflowTestSuiteSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Immutable published snapshot of a CallWorkflow; calls are pinned to one of these
+const WorkflowVersionSchema = new mongoose.Schema({
+  workflowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallWorkflow',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Free-text version label of the workflow at publish time
+  label: {
+    type: String
+  },
+  // steps, flowStructure, cardConfigurations, objectionConfig and descriptive fields
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  notes: {
+    type: String
+  },
+  publishedBy: {
+    type: String
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when this version was created by rolling back to an earlier one
+  rolledBackFrom: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+WorkflowVersionSchema.index({ workflowId: 1, version: -1 }, { unique: true });
+
+// Published versions must never change once written
+WorkflowVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Published workflow versions are immutable'));
+  }
+  next();
+});
+
+WorkflowVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Published workflow versions are immutable'));
+});
+
+module.exports = mongoose.model('WorkflowVersion', WorkflowVersionSchema);
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const streamingAnalyticsService = require('../services/streamingAnalyticsService');
+const turnTracer = require('../services/turnTracer');
 const { logger } = require('../utils/logger');
 
 // Get streaming analytics for a time period
@@ -87,4 +88,52 @@ router.get('/streaming/call/:callId', async (req, res) => {
   }
 });
 
+// Per-turn latency waterfall of a call (end of speech to first audio frame sent),
+// with p50/p95 per STT/LLM/TTS provider combination
+router.get('/calls/:callId/turns', async (req, res) => {
+  try {
+    const trace = await turnTracer.getCallTurns(req.params.callId);
+
+    if (trace.turns.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No turn traces found for call ${req.params.callId}`
+      });
+    }
+
+    res.json(trace);
+  } catch (error) {
+    logger.error('[Analytics API] Error getting turn traces:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Turn latency p50/p95 per provider combination across calls, optionally for a time period
+router.get('/turns', async (req, res) => {
+  try {
+    const { startTime, endTime, combination } = req.query;
+    const start = startTime ? new Date(startTime) : null;
+    const end = endTime ? new Date(endTime) : null;
+
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      return res.status(400).json({
+        error: 'Invalid date format',
+        message: 'startTime and endTime must be valid ISO dates'
+      });
+    }
+
+    const aggregates = await turnTracer.getAggregates({ startTime: start, endTime: end, combination });
+    res.json(aggregates);
+  } catch (error) {
+    logger.error('[Analytics API] Error getting turn latency aggregates:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -2,8 +2,13 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 
-// Routes for authentication
+// Routes for authentication; who may call each is set in config/permissions.js
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.get('/me', authController.me);
 router.post('/register', authController.register);
+router.post('/revoke', authController.revoke);
+router.get('/audit', authController.getAudit);
 
 module.exports = router;
@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const workflowEngine = require('../services/workflowEngine');
 const knowledgeBaseService = require('../services/knowledgeBaseService');
+const humanTransferService = require('../services/humanTransferService');
 const CallState = require('../models/CallState');
 const Call = require('../models/Call');
+const languages = require('../utils/languages');
 
 // Start new call flow
 router.post('/start', async (req, res) => {
@@ -101,6 +103,11 @@ router.post('/:callId/response', async (req, res) => {
       });
     }
 
+    // No audio is played through this endpoint, so an escalation is connected right away
+    if (nextStep.transferRequested) {
+      nextStep.handoff = await humanTransferService.connectTransfer(nextStep.callRecordId, nextStep.handoffId);
+    }
+
     res.json({
       success: true,
       message: 'Response processed successfully',
@@ -147,7 +154,8 @@ router.post('/:callId/objection', async (req, res) => {
       { 
         cardType, 
         language: callState.language,
-        stepType: callState.currentStep.stepType 
+        stepType: callState.currentStep.stepType,
+        callRecordId: callState.callRecord
       }
     );
 
@@ -173,6 +181,14 @@ router.post('/:callId/objection', async (req, res) => {
       );
     }
 
+    const escalation = await workflowEngine.checkEscalation(callState, nextStep, { intent: 'objection' });
+    if (escalation) {
+      nextStep = escalation;
+      nextStep.handoff = await humanTransferService.connectTransfer(nextStep.callRecordId, nextStep.handoffId);
+    } else {
+      await callState.save();
+    }
+
     res.json({
       success: true,
       message: 'Objection handled successfully',
@@ -197,12 +213,12 @@ router.post('/:callId/objection', async (req, res) => {
 router.put('/:callId/language', async (req, res) => {
   try {
     const { callId } = req.params;
-    const { language } = req.body;
+    const language = languages.toLanguageName(req.body.language, null);
 
-    if (!language || !['english', 'hindi'].includes(language)) {
+    if (!language || language === 'mixed') {
       return res.status(400).json({
         success: false,
-        message: 'Valid language (english/hindi) is required'
+        message: `Valid language (${languages.LANGUAGE_NAMES.join('/')}) is required`
       });
     }
 
@@ -419,7 +435,7 @@ router.post('/knowledge-base/query', async (req, res) => {
         success: true,
         data: {
           question,
-          answer: answer.answer[language] || answer.answer.english,
+          answer: languages.getLocalizedText(answer.answer, language),
           source: 'knowledge_base',
           confidence: 0.9
         }
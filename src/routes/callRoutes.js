@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const CallController = require('../controllers/callController');
+const campaignRoutes = require('./campaignRoutes');
+const campaignDialerService = require('../services/campaignDialerService');
+const humanTransferService = require('../services/humanTransferService');
 // Import the class and create an instance
 const callController = new CallController();
 
+// The campaign dialer places bulk calls through this controller instance
+campaignDialerService.attachController(callController);
+
 // Debug: Verify the callController instance
 console.log('[callRoutes] CallController instance created');
 console.log('[callRoutes] activeCallState type:', typeof callController.activeCallState);
@@ -30,14 +36,78 @@ router.post('/initiate', async (req, res) => {
   }
 });
 router.post('/bulk', callController.uploadBulkCalls);
+router.use('/campaigns', campaignRoutes);
 router.get('/active', callController.getActiveCalls);
 router.get('/', callController.getAllCalls);
 router.get('/:id', callController.getCall);
 
+// Hand a live call to a human agent; target/targetType override the configured target
+router.post('/:id/transfer', async (req, res) => {
+  try {
+    const { reason, target, targetType, requestedBy } = req.body;
+    if (targetType && !['number', 'queue'].includes(targetType)) {
+      return res.status(400).json({ success: false, message: 'targetType must be number or queue' });
+    }
+
+    const handoff = await humanTransferService.transferCall(req.params.id, {
+      trigger: 'manual',
+      reason,
+      target,
+      targetType,
+      requestedBy
+    });
+    if (!handoff) {
+      return res.status(400).json({ success: false, message: 'No transfer target configured for this call' });
+    }
+
+    res.json({
+      success: handoff.status !== 'failed',
+      message: handoff.status === 'failed' ? `Transfer failed: ${handoff.error}` : 'Transfer started',
+      data: handoff
+    });
+  } catch (error) {
+    console.error('[callRoutes] Error transferring call:', error);
+    res.status(500).json({ success: false, message: 'Error transferring call', error: error.message });
+  }
+});
+
+router.get('/:id/handoffs', async (req, res) => {
+  try {
+    const handoffs = await humanTransferService.getHandoffs(req.params.id);
+    if (!handoffs) {
+      return res.status(404).json({ success: false, message: 'Call not found' });
+    }
+    res.json({ success: true, data: handoffs });
+  } catch (error) {
+    console.error('[callRoutes] Error fetching handoffs:', error);
+    res.status(500).json({ success: false, message: 'Error fetching handoffs', error: error.message });
+  }
+});
+
 // Twilio webhook routes
 router.post('/:id/status', callController.handleCallStatus);
 router.post('/:id/voice', callController.handleVoiceWebhook);
 router.post('/:id/recording', callController.handleRecordingWebhook);
 router.post('/:id/input', callController.handleSpeechInput);
 
+// Human transfer webhooks: <Dial>/<Enqueue> action and the agent whisper
+router.post('/:id/transfer/:handoffId/status', async (req, res) => {
+  try {
+    const twiml = await humanTransferService.handleTransferResult(req.params.id, req.params.handoffId, req.body);
+    res.type('text/xml').send(twiml);
+  } catch (error) {
+    console.error('[callRoutes] Error handling transfer result:', error);
+    res.type('text/xml').send('<Response><Hangup/></Response>');
+  }
+});
+router.post('/:id/transfer/:handoffId/whisper', async (req, res) => {
+  try {
+    const twiml = await humanTransferService.getWhisperTwiML(req.params.id, req.params.handoffId);
+    res.type('text/xml').send(twiml);
+  } catch (error) {
+    console.error('[callRoutes] Error building transfer whisper:', error);
+    res.type('text/xml').send('<Response></Response>');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const Campaign = require('../models/Campaign');
+const CampaignAttempt = require('../models/CampaignAttempt');
+const campaignDialerService = require('../services/campaignDialerService');
+
+// Respond to a pause/resume/cancel request that did not apply to the campaign
+async function sendTransitionError(res, campaignId, action) {
+  const campaign = await Campaign.findById(campaignId);
+
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+  }
+
+  return res.status(409).json({
+    success: false,
+    message: `Cannot ${action} a campaign that is ${campaign.status}`
+  });
+}
+
+// Get all campaigns
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const campaigns = await Campaign.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: campaigns
+    });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching campaigns',
+      error: error.message
+    });
+  }
+});
+
+// Get campaign with progress counts
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await campaignDialerService.getCampaignProgress(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching campaign',
+      error: error.message
+    });
+  }
+});
+
+// Get queued attempts of a campaign
+router.get('/:id/attempts', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const filter = { campaignId: req.params.id };
+    if (status) filter.status = status;
+
+    const [attempts, total] = await Promise.all([
+      CampaignAttempt.find(filter)
+        .sort({ rowNumber: 1 })
+        .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+        .limit(parseInt(limit, 10)),
+      CampaignAttempt.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: attempts,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching campaign attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching campaign attempts',
+      error: error.message
+    });
+  }
+});
+
+// Pause a running campaign
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const campaign = await campaignDialerService.pauseCampaign(req.params.id);
+
+    if (!campaign) {
+      return sendTransitionError(res, req.params.id, 'pause');
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign paused successfully',
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Error pausing campaign:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing campaign',
+      error: error.message
+    });
+  }
+});
+
+// Resume a paused campaign
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const campaign = await campaignDialerService.resumeCampaign(req.params.id);
+
+    if (!campaign) {
+      return sendTransitionError(res, req.params.id, 'resume');
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign resumed successfully',
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Error resuming campaign:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming campaign',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a campaign and drop its remaining queue
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const campaign = await campaignDialerService.cancelCampaign(req.params.id);
+
+    if (!campaign) {
+      return sendTransitionError(res, req.params.id, 'cancel');
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign cancelled successfully',
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling campaign',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,361 @@
+const express = require('express');
+const fs = require('fs');
+const csv = require('csv-parser');
+const router = express.Router();
+const DncEntry = require('../models/DncEntry');
+const ComplianceRule = require('../models/ComplianceRule');
+const ComplianceAudit = require('../models/ComplianceAudit');
+const complianceService = require('../services/complianceService');
+
+// Read DNC rows from an uploaded CSV; accepts phoneNumber/phone/number columns
+function parseDncCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', (row) => {
+        rows.push({
+          phoneNumber: row.phoneNumber || row.phone || row.number || Object.values(row)[0],
+          reason: row.reason,
+          notes: row.notes,
+          expiresAt: row.expiresAt
+        });
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+// Get DNC list
+router.get('/dnc', async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+    const filter = search ? { phoneNumber: { $regex: search.replace(/[^\d+]/g, '') } } : {};
+
+    const [entries, total] = await Promise.all([
+      DncEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+        .limit(parseInt(limit, 10)),
+      DncEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching DNC list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching DNC list',
+      error: error.message
+    });
+  }
+});
+
+// Add a number to the DNC list
+router.post('/dnc', async (req, res) => {
+  try {
+    const { phoneNumber, reason, notes, expiresAt } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'phoneNumber is required'
+      });
+    }
+
+    const entry = await complianceService.addToDnc({ phoneNumber, reason, notes, expiresAt });
+
+    res.status(201).json({
+      success: true,
+      message: 'Number added to DNC list',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error adding DNC entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding DNC entry',
+      error: error.message
+    });
+  }
+});
+
+// Import DNC entries from a CSV upload (field "file") or a JSON array of entries
+router.post('/dnc/import', async (req, res) => {
+  try {
+    let rows;
+    if (req.files && req.files.file) {
+      const file = req.files.file;
+      rows = await parseDncCsv(file.tempFilePath);
+      fs.unlink(file.tempFilePath, () => {});
+    } else if (Array.isArray(req.body.entries)) {
+      rows = req.body.entries;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV file or provide an entries array'
+      });
+    }
+
+    const results = await complianceService.importDnc(rows);
+
+    res.json({
+      success: true,
+      message: `Imported ${results.imported} DNC entries`,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error importing DNC list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing DNC list',
+      error: error.message
+    });
+  }
+});
+
+// Export DNC list as CSV
+router.get('/dnc/export', async (req, res) => {
+  try {
+    const csvContent = await complianceService.exportDncCsv();
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="dnc-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csvContent);
+  } catch (error) {
+    console.error('Error exporting DNC list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting DNC list',
+      error: error.message
+    });
+  }
+});
+
+// Remove a number from the DNC list
+router.delete('/dnc/:phoneNumber', async (req, res) => {
+  try {
+    const entry = await complianceService.removeFromDnc(req.params.phoneNumber);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Number not found on DNC list'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Number removed from DNC list'
+    });
+  } catch (error) {
+    console.error('Error removing DNC entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing DNC entry',
+      error: error.message
+    });
+  }
+});
+
+// Get calling window rules
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await ComplianceRule.find().sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching compliance rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching compliance rules',
+      error: error.message
+    });
+  }
+});
+
+// Create calling window rule
+router.post('/rules', async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.timezone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and timezone are required'
+      });
+    }
+    if (!ComplianceRule.isValidTimezone(req.body.timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `${req.body.timezone} is not a valid IANA timezone, e.g. Asia/Kolkata`
+      });
+    }
+
+    const rule = new ComplianceRule(req.body);
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Compliance rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating compliance rule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating compliance rule',
+      error: error.message
+    });
+  }
+});
+
+// Update calling window rule
+router.put('/rules/:id', async (req, res) => {
+  try {
+    if (req.body.timezone !== undefined && !ComplianceRule.isValidTimezone(req.body.timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `${req.body.timezone} is not a valid IANA timezone, e.g. Asia/Kolkata`
+      });
+    }
+    if (req.body.startTime || req.body.endTime) {
+      const existing = await ComplianceRule.findById(req.params.id).select('startTime endTime');
+      const startTime = req.body.startTime || (existing && existing.startTime);
+      const endTime = req.body.endTime || (existing && existing.endTime);
+      if (startTime && startTime === endTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'startTime and endTime must differ'
+        });
+      }
+    }
+
+    const rule = await ComplianceRule.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compliance rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Compliance rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error updating compliance rule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating compliance rule',
+      error: error.message
+    });
+  }
+});
+
+// Delete calling window rule
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compliance rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Compliance rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting compliance rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting compliance rule',
+      error: error.message
+    });
+  }
+});
+
+// Check whether a number could be dialed right now (no audit record is written)
+router.get('/check/:phoneNumber', async (req, res) => {
+  try {
+    const phoneNumber = complianceService.normalizePhoneNumber(req.params.phoneNumber);
+    const [dncEntry, rule] = await Promise.all([
+      complianceService.findDncEntry(phoneNumber),
+      complianceService.getRuleForNumber(phoneNumber)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        phoneNumber,
+        onDncList: !!dncEntry,
+        rule,
+        callingWindow: complianceService.evaluateCallingWindow(rule)
+      }
+    });
+  } catch (error) {
+    console.error('Error checking compliance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking compliance',
+      error: error.message
+    });
+  }
+});
+
+// Get audit trail of blocked dials
+router.get('/audit', async (req, res) => {
+  try {
+    const { phoneNumber, reason, campaignId, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (phoneNumber) filter.phoneNumber = complianceService.normalizePhoneNumber(phoneNumber);
+    if (reason) filter.reason = reason;
+    if (campaignId) filter.campaignId = campaignId;
+
+    const [records, total] = await Promise.all([
+      ComplianceAudit.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+        .limit(parseInt(limit, 10)),
+      ComplianceAudit.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: records,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching compliance audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching compliance audit',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
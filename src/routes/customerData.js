@@ -3,6 +3,10 @@ const router = express.Router();
 const customerDataCollectionService = require('../services/customerDataCollectionService');
 const Call = require('../models/Call');
 const Customer = require('../models/Customer');
+const { protectCustomer } = require('../utils/piiRedaction');
+
+// Role of the signed-in user; PII is masked for roles that may not see it
+const roleOf = (req) => (req.user ? req.user.role : null);
 
 /**
  * Get all customers with their data for dashboard
@@ -12,7 +16,7 @@ router.get('/customers', async (req, res) => {
     const customers = await customerDataCollectionService.getCustomersForDashboard();
     res.json({
       success: true,
-      customers: customers,
+      customers: customers.map(customer => protectCustomer(customer, roleOf(req))),
       total: customers.length
     });
   } catch (error) {
@@ -44,7 +48,7 @@ router.get('/customers/:customerId', async (req, res) => {
 
     res.json({
       success: true,
-      customer: customer
+      customer: protectCustomer(customer, roleOf(req))
     });
   } catch (error) {
     console.error('Error fetching customer details:', error);
@@ -87,7 +91,7 @@ router.get('/calls/:callId/customer-data', async (req, res) => {
         duration: call.duration,
         dataCollectionStatus: call.dataCollectionStatus
       },
-      customerData: call.collectedCustomerData,
+      customerData: protectCustomer(call.collectedCustomerData, roleOf(req)),
       collectionProgress: progress
     });
   } catch (error) {
@@ -140,7 +144,7 @@ router.put('/customers/:customerId/status', async (req, res) => {
 
     res.json({
       success: true,
-      customer: customer
+      customer: protectCustomer(customer, roleOf(req))
     });
   } catch (error) {
     console.error('Error updating customer status:', error);
@@ -187,7 +191,7 @@ router.get('/stats/customer-data', async (req, res) => {
           acc[item._id] = item.count;
           return acc;
         }, {}),
-        recentCustomers: recentCustomers
+        recentCustomers: recentCustomers.map(customer => protectCustomer(customer, roleOf(req)))
       }
     });
   } catch (error) {
@@ -227,7 +231,7 @@ router.get('/search/customers', async (req, res) => {
 
     res.json({
       success: true,
-      customers: customers,
+      customers: customers.map(customer => protectCustomer(customer, roleOf(req))),
       total: customers.length
     });
   } catch (error) {
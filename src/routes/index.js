@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { accessControl } = require('../middleware/auth');
 
 // Import all route modules
 const authRoutes = require('./authRoutes');
@@ -14,17 +15,24 @@ const settingsRoutes = require('./settingsRoutes');
 const voiceProviderRoutes = require('./voiceProviderRoutes');
 const streamingRoutes = require('./streamingRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
+const complianceRoutes = require('./complianceRoutes');
 
 // New workflow and AI-driven call flow routes
 const workflowRoutes = require('./workflowRoutes');
 const callFlowRoutes = require('./callFlowRoutes');
 const knowledgeBaseRoutes = require('./knowledgeBaseRoutes');
+const intentRoutes = require('./intentRoutes');
+const simulatorRoutes = require('./simulatorRoutes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Every route below needs a token with the permission config/permissions.js gives
+// it, apart from login, token refresh and the Twilio webhooks (signature checked)
+router.use(accessControl);
+
 // Mount all routes
 router.use('/auth', authRoutes);
 router.use('/calls', callRoutes);
@@ -40,11 +48,14 @@ router.use('/voice-provider', voiceProviderRoutes); // Add compatibility alias
 router.use('/stream', streamingRoutes);
 router.use('/audio-stream', streamingRoutes); // Add alias for audio-stream endpoints
 router.use('/analytics', analyticsRoutes);
+router.use('/compliance', complianceRoutes);
 
 // New AI-driven call flow routes
 router.use('/workflows', workflowRoutes);
 router.use('/call-flows', callFlowRoutes);
 router.use('/knowledge-base', knowledgeBaseRoutes);
+router.use('/intents', intentRoutes);
+router.use('/simulator', simulatorRoutes);
 
 // Direct voice synthesis endpoints
 router.post('/voice-synthesis/test', async (req, res) => {
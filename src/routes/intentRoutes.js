@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const IntentExample = require('../models/IntentExample');
+const CallState = require('../models/CallState');
+const intentClassifierService = require('../services/intentClassifierService');
+
+const INTENTS = IntentExample.schema.path('intent').enumValues;
+
+// Classifier chain, thresholds and model statistics
+router.get('/status', async (req, res) => {
+  try {
+    await intentClassifierService.initialize();
+
+    res.json({
+      success: true,
+      data: intentClassifierService.getStatus()
+    });
+  } catch (error) {
+    console.error('Error fetching intent classifier status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching intent classifier status',
+      error: error.message
+    });
+  }
+});
+
+// Classify a piece of text with every classifier's candidate answer
+router.post('/classify', async (req, res) => {
+  try {
+    const { text, stepType, language } = req.body;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'text is required'
+      });
+    }
+
+    const result = await intentClassifierService.classify(text, { stepType, language });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error classifying text:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error classifying text',
+      error: error.message
+    });
+  }
+});
+
+// Recent customer turns for labelling; ?unlabelled=true skips turns already corrected
+router.get('/turns', async (req, res) => {
+  try {
+    const { callId, intent, unlabelled, limit = 20 } = req.query;
+    const filter = callId ? { callId } : { 'stepHistory.0': { $exists: true } };
+    const callStates = await CallState.find(filter)
+      .select('callId')
+      .sort({ createdAt: -1 })
+      .limit(callId ? 1 : parseInt(limit, 10));
+
+    const calls = [];
+    for (const callState of callStates) {
+      let turns = await intentClassifierService.getCallTurns(callState.callId);
+      if (intent) turns = turns.filter(turn => turn.predictedIntent === intent);
+      if (unlabelled === 'true') turns = turns.filter(turn => !turn.labelledIntent);
+      if (turns.length > 0) {
+        calls.push({ callId: callState.callId, turns });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: calls
+    });
+  } catch (error) {
+    console.error('Error fetching call turns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching call turns',
+      error: error.message
+    });
+  }
+});
+
+// Correct the intent of a call turn; the model is retrained straight away
+router.post('/label', async (req, res) => {
+  try {
+    const { callId, turnIndex, intent, objectionType, labelledBy } = req.body;
+
+    if (!callId || turnIndex === undefined || !INTENTS.includes(intent)) {
+      return res.status(400).json({
+        success: false,
+        message: `callId, turnIndex and intent (${INTENTS.join(', ')}) are required`
+      });
+    }
+
+    const result = await intentClassifierService.labelTurn(callId, parseInt(turnIndex, 10), {
+      intent,
+      objectionType,
+      labelledBy
+    });
+
+    if (!result || !result.example) {
+      return res.status(404).json({
+        success: false,
+        message: result ? 'Turn not found' : 'Call state not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Turn labelled and model retrained',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error labelling turn:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error labelling turn',
+      error: error.message
+    });
+  }
+});
+
+// Get training examples
+router.get('/examples', async (req, res) => {
+  try {
+    const { intent, source, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (intent) filter.intent = intent;
+    if (source) filter.source = source;
+
+    const [examples, total] = await Promise.all([
+      IntentExample.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+        .limit(parseInt(limit, 10)),
+      IntentExample.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: examples,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching intent examples:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching intent examples',
+      error: error.message
+    });
+  }
+});
+
+// Add a training example that did not come from a call
+router.post('/examples', async (req, res) => {
+  try {
+    if (!req.body.text || !INTENTS.includes(req.body.intent)) {
+      return res.status(400).json({
+        success: false,
+        message: `text and intent (${INTENTS.join(', ')}) are required`
+      });
+    }
+
+    const result = await intentClassifierService.addExample(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Example added and model retrained',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error adding intent example:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error adding intent example',
+      error: error.message
+    });
+  }
+});
+
+// Delete a training example
+router.delete('/examples/:id', async (req, res) => {
+  try {
+    const example = await IntentExample.findByIdAndDelete(req.params.id);
+
+    if (!example) {
+      return res.status(404).json({
+        success: false,
+        message: 'Example not found'
+      });
+    }
+
+    await intentClassifierService.train();
+
+    res.json({
+      success: true,
+      message: 'Example deleted and model retrained'
+    });
+  } catch (error) {
+    console.error('Error deleting intent example:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting intent example',
+      error: error.message
+    });
+  }
+});
+
+// Retrain the local model from all stored examples
+router.post('/train', async (req, res) => {
+  try {
+    const stats = await intentClassifierService.train();
+
+    res.json({
+      success: true,
+      message: 'Intent model retrained',
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error training intent model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error training intent model',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
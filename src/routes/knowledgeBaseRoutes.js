@@ -1,9 +1,13 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
 const KnowledgeBase = require('../models/KnowledgeBase');
 const knowledgeBaseService = require('../services/knowledgeBaseService');
+const knowledgeBaseExperimentService = require('../services/knowledgeBaseExperimentService');
+const knowledgeBaseImportService = require('../services/knowledgeBaseImportService');
+const languages = require('../utils/languages');
 
-// Query knowledge base
+// Query knowledge base; ?explain=true adds the ranking of candidate entries and why
 router.post('/query', async (req, res) => {
   try {
     const { question, cardType = 'general', language = 'english', context = {} } = req.body;
@@ -15,6 +19,26 @@ router.post('/query', async (req, res) => {
       });
     }
 
+    let explanation;
+    if (req.query.explain === 'true') {
+      const ranked = await knowledgeBaseService.search(question, { cardType, ...context }, {
+        limit: parseInt(req.query.limit, 10) || 5
+      });
+      explanation = {
+        minScore: knowledgeBaseService.minScore,
+        vectorWeight: knowledgeBaseService.vectorWeight,
+        ranking: ranked.map(({ entry, score, explanation: reasons }) => ({
+          entryId: entry._id,
+          question: entry.question,
+          category: entry.category,
+          cardType: entry.cardType,
+          score,
+          aboveThreshold: score >= knowledgeBaseService.minScore,
+          ...reasons
+        }))
+      };
+    }
+
     const answer = await knowledgeBaseService.findAnswer(question, {
       cardType,
       language,
@@ -26,11 +50,12 @@ router.post('/query', async (req, res) => {
         success: true,
         data: {
           question,
-          answer: answer.answer[language] || answer.answer.english,
+          answer: languages.getLocalizedText(answer.answer, language),
           category: answer.category,
           cardType: answer.cardType,
           confidence: 0.9,
-          source: 'knowledge_base'
+          source: 'knowledge_base',
+          explanation
         }
       });
     } else {
@@ -46,7 +71,8 @@ router.post('/query', async (req, res) => {
           question,
           answer: llmResponse.response,
           confidence: llmResponse.confidence,
-          source: llmResponse.source
+          source: llmResponse.source,
+          explanation
         }
       });
     }
@@ -162,12 +188,9 @@ router.post('/entries', async (req, res) => {
       });
     }
 
-    // Ensure answer has both languages if not provided
+    // A plain answer is the English text; other languages fall back to it until translated
     if (typeof entryData.answer === 'string') {
-      entryData.answer = {
-        english: entryData.answer,
-        hindi: entryData.answer // You can translate this later
-      };
+      entryData.answer = { english: entryData.answer };
     }
 
     const entry = await knowledgeBaseService.addEntry(entryData);
@@ -217,11 +240,7 @@ router.put('/entries/:id', async (req, res) => {
 // Delete knowledge base entry
 router.delete('/entries/:id', async (req, res) => {
   try {
-    const entry = await KnowledgeBase.findByIdAndUpdate(
-      req.params.id,
-      { isActive: false },
-      { new: true }
-    );
+    const entry = await knowledgeBaseService.updateEntry(req.params.id, { isActive: false });
     
     if (!entry) {
       return res.status(404).json({
@@ -244,64 +263,301 @@ router.delete('/entries/:id', async (req, res) => {
   }
 });
 
-// Bulk import knowledge base entries
+// Bulk import knowledge base entries from a CSV/JSONL upload (field "file") or a JSON entries array.
+// Options (query or form fields): format=csv|jsonl, dryRun=true, mapping={"answerEnglish": "English Answer", ...},
+// skipNearDuplicates=true
 router.post('/import', async (req, res) => {
   try {
-    const { entries } = req.body;
-    
-    if (!Array.isArray(entries) || entries.length === 0) {
+    const options = { ...req.query, ...req.body };
+    let mapping = {};
+    if (options.mapping) {
+      try {
+        mapping = typeof options.mapping === 'string' ? JSON.parse(options.mapping) : options.mapping;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'mapping must be a JSON object of entry field to column name'
+        });
+      }
+    }
+
+    let rows;
+    if (req.files && req.files.file) {
+      const file = req.files.file;
+      const format = knowledgeBaseImportService.detectFormat(file.name, options.format);
+      if (!['csv', 'jsonl'].includes(format)) {
+        fs.unlink(file.tempFilePath, () => {});
+        return res.status(400).json({
+          success: false,
+          message: 'format must be csv or jsonl'
+        });
+      }
+      try {
+        rows = await knowledgeBaseImportService.parseFile(file.tempFilePath, format);
+      } finally {
+        fs.unlink(file.tempFilePath, () => {});
+      }
+    } else if (Array.isArray(req.body.entries) && req.body.entries.length > 0) {
+      rows = req.body.entries.map((data, index) => ({ rowNumber: index + 1, data }));
+    } else {
       return res.status(400).json({
         success: false,
-        message: 'Entries array is required'
+        message: 'Upload a CSV/JSONL file or provide an entries array'
       });
     }
 
-    const results = {
-      successful: [],
-      failed: []
-    };
+    const results = await knowledgeBaseImportService.importRows(rows, {
+      mapping,
+      dryRun: String(options.dryRun) === 'true',
+      skipNearDuplicates: String(options.skipNearDuplicates) === 'true'
+    });
 
-    for (const entryData of entries) {
-      try {
-        // Validate entry
-        if (!entryData.category || !entryData.question || !entryData.answer) {
-          results.failed.push({
-            entry: entryData,
-            error: 'Missing required fields: category, question, answer'
-          });
-          continue;
-        }
+    res.json({
+      success: true,
+      message: `${results.dryRun ? 'Dry run' : 'Import'} completed. ${results.created} created, ${results.updated} updated, ${results.skipped} skipped, ${results.failed} failed.`,
+      data: results
+    });
 
-        // Ensure answer format
-        if (typeof entryData.answer === 'string') {
-          entryData.answer = {
-            english: entryData.answer,
-            hindi: entryData.answer
-          };
-        }
+  } catch (error) {
+    console.error('Error importing KB entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing knowledge base entries',
+      error: error.message
+    });
+  }
+});
 
-        const entry = await knowledgeBaseService.addEntry(entryData);
-        results.successful.push(entry);
+// Export knowledge base entries as CSV (default) or JSONL, in the import format
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv', category, cardType, includeInactive } = req.query;
 
-      } catch (entryError) {
-        results.failed.push({
-          entry: entryData,
-          error: entryError.message
-        });
-      }
+    if (!['csv', 'jsonl'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or jsonl'
+      });
     }
 
+    const filter = includeInactive === 'true' ? {} : { isActive: true };
+    if (category) filter.category = category;
+    if (cardType) filter.cardType = cardType;
+
+    const content = await knowledgeBaseImportService.exportEntries(format, filter);
+
+    res.set('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="knowledge-base-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Error exporting KB entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting knowledge base entries',
+      error: error.message
+    });
+  }
+});
+
+// Re-embed all active entries, e.g. after changing KB_EMBEDDING_PROVIDER
+router.post('/index/rebuild', async (req, res) => {
+  try {
+    const stats = await knowledgeBaseService.rebuildIndex();
+
     res.json({
       success: true,
-      message: `Import completed. ${results.successful.length} successful, ${results.failed.length} failed.`,
-      data: results
+      message: `Indexed ${stats.entries} entries`,
+      data: stats
     });
+  } catch (error) {
+    console.error('Error rebuilding KB index:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rebuilding knowledge base index',
+      error: error.message
+    });
+  }
+});
+
+// A/B test report for every entry with answer variations
+router.get('/experiments', async (req, res) => {
+  try {
+    const filter = { isActive: true, 'variations.0': { $exists: true } };
+    if (req.query.running === 'true') filter['abTest.enabled'] = true;
+
+    const entries = await KnowledgeBase.find(filter).sort({ 'usage.attributedUses': -1 });
 
+    res.json({
+      success: true,
+      data: entries.map(entry => knowledgeBaseExperimentService.buildReport(entry))
+    });
   } catch (error) {
-    console.error('Error importing KB entries:', error);
+    console.error('Error building KB experiment report:', error);
     res.status(500).json({
       success: false,
-      message: 'Error importing knowledge base entries',
+      message: 'Error building knowledge base experiment report',
+      error: error.message
+    });
+  }
+});
+
+// A/B test report for one entry
+router.get('/entries/:id/experiment', async (req, res) => {
+  try {
+    const entry = await KnowledgeBase.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Knowledge base entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: knowledgeBaseExperimentService.buildReport(entry)
+    });
+  } catch (error) {
+    console.error('Error building KB experiment report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building knowledge base experiment report',
+      error: error.message
+    });
+  }
+});
+
+// Start/stop an A/B test or change its settings
+router.put('/entries/:id/experiment', async (req, res) => {
+  try {
+    const entry = await KnowledgeBase.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Knowledge base entry not found'
+      });
+    }
+
+    const { enabled, autoPromote, minSamplesPerArm } = req.body;
+    if (enabled && knowledgeBaseExperimentService.getActiveVariations(entry).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one active variation before starting a test'
+      });
+    }
+
+    if (enabled !== undefined) entry.abTest.enabled = !!enabled;
+    if (autoPromote !== undefined) entry.abTest.autoPromote = !!autoPromote;
+    if (minSamplesPerArm !== undefined) entry.abTest.minSamplesPerArm = parseInt(minSamplesPerArm, 10);
+    await entry.save();
+
+    res.json({
+      success: true,
+      message: `A/B test ${entry.abTest.enabled ? 'running' : 'stopped'}`,
+      data: knowledgeBaseExperimentService.buildReport(entry)
+    });
+  } catch (error) {
+    console.error('Error updating KB experiment:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating knowledge base experiment',
+      error: error.message
+    });
+  }
+});
+
+// Add an answer variation to test against the current answer
+router.post('/entries/:id/variations', async (req, res) => {
+  try {
+    const { version, content } = req.body;
+
+    if (!version || !content || languages.getTextLanguages(content).length === 0 || version === knowledgeBaseExperimentService.CONTROL) {
+      return res.status(400).json({
+        success: false,
+        message: 'version (not "control") and content text in at least one language are required'
+      });
+    }
+
+    const unsupported = Object.keys(content).filter(language => !languages.LANGUAGES[language]);
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported content languages: ${unsupported.join(', ')}`
+      });
+    }
+
+    const entry = await KnowledgeBase.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Knowledge base entry not found'
+      });
+    }
+
+    if (entry.variations.some(variation => variation.version === version)) {
+      return res.status(409).json({
+        success: false,
+        message: `Variation "${version}" already exists`
+      });
+    }
+
+    entry.variations.push({ version, content });
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Variation added successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error adding KB variation:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error adding knowledge base variation',
+      error: error.message
+    });
+  }
+});
+
+// End the A/B test by promoting an arm ("control" keeps the current answer)
+router.post('/entries/:id/experiment/promote', async (req, res) => {
+  try {
+    const entry = await KnowledgeBase.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Knowledge base entry not found'
+      });
+    }
+
+    const version = req.body.version || knowledgeBaseExperimentService.buildReport(entry).winner;
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'No significant winner yet; pass the version to promote'
+      });
+    }
+
+    const promoted = await knowledgeBaseExperimentService.promote(entry, version, req.body.promotedBy || 'manual');
+    if (!promoted) {
+      return res.status(404).json({
+        success: false,
+        message: `Active variation "${version}" not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Promoted "${version}"`,
+      data: promoted
+    });
+  } catch (error) {
+    console.error('Error promoting KB variation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error promoting knowledge base variation',
       error: error.message
     });
   }
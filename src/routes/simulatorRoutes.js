@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const callSimulator = require('../services/callSimulator');
+
+// Scenarios carry the caller's audio as base64 WAV; app.js leaves these bodies unparsed
+router.use(express.json({ limit: '20mb' }));
+
+// Start a simulated call; ?wait=true answers with the report once the call has ended
+router.post('/runs', async (req, res) => {
+  try {
+    const scenario = req.body || {};
+    const errors = callSimulator.validateScenario(scenario);
+    // Caller audio is uploaded with the scenario, never read from the server's disk
+    (Array.isArray(scenario.turns) ? scenario.turns : []).forEach((turn, index) => {
+      if (turn && turn.wav) {
+        errors.push(`turns[${index}].wav is not accepted here; send the WAV base64-encoded as audio`);
+      }
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scenario',
+        errors
+      });
+    }
+
+    const { id, done } = callSimulator.start(scenario);
+
+    if (req.query.wait === 'true') {
+      const report = await done;
+      return res.json({
+        success: true,
+        data: report
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: { id, status: 'running' }
+    });
+  } catch (error) {
+    console.error('Error starting simulated call:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting simulated call',
+      error: error.message
+    });
+  }
+});
+
+// Recent simulated calls, newest first
+router.get('/runs', (req, res) => {
+  res.json({
+    success: true,
+    data: callSimulator.listRuns()
+  });
+});
+
+// Report of a simulated call: turns, agent utterances and audio, marks, clears and barge-in decisions
+router.get('/runs/:id', (req, res) => {
+  const report = callSimulator.getRun(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Simulated call not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: report
+  });
+});
+
+// What the simulated phone played of the agent (runs started with saveAudio)
+router.get('/runs/:id/audio', (req, res) => {
+  const recording = callSimulator.getRecording(req.params.id);
+
+  if (!recording) {
+    return res.status(404).json({
+      success: false,
+      message: 'No recording for this simulated call'
+    });
+  }
+
+  res.set('Content-Type', 'audio/wav');
+  res.set('Content-Disposition', `attachment; filename="simulated-call-${req.params.id}.wav"`);
+  res.send(recording);
+});
+
+module.exports = router;
@@ -119,12 +119,8 @@ router.post('/call/:callId/init', async (req, res) => {
       cardType: call.cardType || 'premium'
     });
     
-    // Initialize interruption handler
+    // Initialize interruption handler with the default barge-in policy
     interruptionHandler.initializeCall(callId);
-    interruptionHandler.configure({
-      latencyMs: 2000, // 2-second latency
-      sensitivityLevel: 0.7 // Higher sensitivity for credit card sales
-    });
     
     res.json({ 
       success: true, 
@@ -6,6 +6,13 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
 const elevenlabsService = require('../services/elevenlabsService');
+const sttProviderRegistry = require('../services/sttProviderRegistry');
+const ttsProviderRegistry = require('../services/ttsProviderRegistry');
+const llmProviderRegistry = require('../services/llmProviderRegistry');
+const ttsPhraseCache = require('../services/ttsPhraseCache');
+const ttsPrerenderService = require('../services/ttsPrerenderService');
+const vadCallRegistry = require('../services/vadCallRegistry');
+const { DEFAULT_ENDPOINTING } = require('../services/vadEngine');
 const axios = require('axios');
 
 // Helper to ensure audio directory exists
@@ -48,6 +55,158 @@ router.get('/:provider/status', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/voice-providers/stt/health
+ * @description Get configuration, capabilities and rolling health score of each speech-to-text provider
+ * @access Public
+ */
+router.get('/stt/health', (req, res) => {
+  try {
+    res.status(200).json({
+      defaultProvider: sttProviderRegistry.getDefaultProvider(),
+      failoverOrder: sttProviderRegistry.getProviderOrder(),
+      providers: sttProviderRegistry.getHealth()
+    });
+  } catch (error) {
+    console.error('Error getting STT provider health:', error);
+    res.status(500).json({ message: 'Failed to get STT provider health', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/voice-providers/llm/health
+ * @description Get the default LLM provider, the fallback order and the circuit state of each LLM provider
+ * @access Public
+ */
+router.get('/llm/health', (req, res) => {
+  try {
+    res.status(200).json({
+      defaultProvider: llmProviderRegistry.getDefaultProvider(),
+      fallbackOrder: llmProviderRegistry.getFallbackOrder(),
+      providers: llmProviderRegistry.getHealth()
+    });
+  } catch (error) {
+    console.error('Error getting LLM provider health:', error);
+    res.status(500).json({ message: 'Failed to get LLM provider health', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/voice-providers/vad/calls
+ * @description List active and recently finished calls with a voice activity detection trace
+ * @access Public
+ */
+router.get('/vad/calls', (req, res) => {
+  try {
+    res.status(200).json({ defaults: DEFAULT_ENDPOINTING, calls: vadCallRegistry.listCalls() });
+  } catch (error) {
+    console.error('Error listing VAD traces:', error);
+    res.status(500).json({ message: 'Failed to list VAD traces', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/voice-providers/vad/calls/:callId/trace
+ * @description Get the voice activity detection event trace of a call (onsets, endpoints, noise floor, endpointing changes)
+ * @access Public
+ */
+router.get('/vad/calls/:callId/trace', (req, res) => {
+  try {
+    const trace = vadCallRegistry.getTrace(req.params.callId);
+    if (!trace) {
+      return res.status(404).json({ message: `No VAD trace for call ${req.params.callId}` });
+    }
+    res.status(200).json(trace);
+  } catch (error) {
+    console.error(`Error getting VAD trace for call ${req.params.callId}:`, error);
+    res.status(500).json({ message: 'Failed to get VAD trace', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/voice-providers/tts/providers
+ * @description Get capability metadata of each text-to-speech provider (add ?voices=true for voice lists)
+ * @access Public
+ */
+router.get('/tts/providers', async (req, res) => {
+  try {
+    const providers = await ttsProviderRegistry.getCapabilities({ includeVoices: req.query.voices === 'true' });
+    res.status(200).json({
+      failoverOrder: ttsProviderRegistry.getProviderOrder(),
+      providers
+    });
+  } catch (error) {
+    console.error('Error getting TTS provider capabilities:', error);
+    res.status(500).json({ message: 'Failed to get TTS provider capabilities', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/voice-providers/tts/stats
+ * @description Get rolling latency, error rate, routing score and estimated cost of each text-to-speech provider
+ * @access Public
+ */
+router.get('/tts/stats', (req, res) => {
+  try {
+    res.status(200).json({ providers: ttsProviderRegistry.getStats() });
+  } catch (error) {
+    console.error('Error getting TTS provider stats:', error);
+    res.status(500).json({ message: 'Failed to get TTS provider stats', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/voice-providers/tts/cache
+ * @description Get phrase cache size, hit rate and the status of the pre-render job
+ * @access Public
+ */
+router.get('/tts/cache', async (req, res) => {
+  try {
+    await ttsPhraseCache.init();
+    res.status(200).json({
+      cache: ttsPhraseCache.getStats(),
+      prerender: ttsPrerenderService.getStatus()
+    });
+  } catch (error) {
+    console.error('Error getting TTS phrase cache stats:', error);
+    res.status(500).json({ message: 'Failed to get TTS phrase cache stats', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/voice-providers/tts/cache/prerender
+ * @description Start pre-rendering published workflow templates into the phrase cache (optionally for one workflowId)
+ * @access Public
+ */
+router.post('/tts/cache/prerender', (req, res) => {
+  try {
+    const { workflowId } = req.body || {};
+    ttsPrerenderService.prerender(workflowId || null);
+    res.status(202).json({
+      message: workflowId ? `Pre-render started for workflow ${workflowId}` : 'Pre-render started for all published workflows',
+      prerender: ttsPrerenderService.getStatus()
+    });
+  } catch (error) {
+    console.error('Error starting TTS pre-render:', error);
+    res.status(500).json({ message: 'Failed to start TTS pre-render', error: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/voice-providers/tts/cache
+ * @description Remove every cached phrase
+ * @access Public
+ */
+router.delete('/tts/cache', async (req, res) => {
+  try {
+    await ttsPhraseCache.clear();
+    res.status(200).json({ message: 'TTS phrase cache cleared', cache: ttsPhraseCache.getStats() });
+  } catch (error) {
+    console.error('Error clearing TTS phrase cache:', error);
+    res.status(500).json({ message: 'Failed to clear TTS phrase cache', error: error.message });
+  }
+});
+
 /**
  * @route GET /api/voice-providers/check-audio-dir
  * @description Check if the audio directory exists and has proper permissions
@@ -500,37 +659,15 @@ router.post('/preview', async (req, res) => {
     const outputFileName = `preview_${Date.now()}.mp3`;
     const outputPath = path.join(audioDir, outputFileName);
 
-    let audioBuffer;
-    if (provider === 'elevenlabs') {
-      // Check if ElevenLabs service is properly configured
-      const settings = await elevenlabsService.getSettings();
-      if (!settings.apiKey) {
-        throw new Error('ElevenLabs API key is not configured');
-      }
+    // Previews must come from the selected provider, so the registry does not fail over
+    const { audio: audioBuffer } = await ttsProviderRegistry.synthesize(text, {
+      provider,
+      voiceId,
+      language: 'en-US',
+      fallback: false
+    });
 
-      audioBuffer = await elevenlabsService.generateSpeech(text, 'en-US', {
-        voiceId: voiceId
-      });
-    } else if (provider === 'openai_fm') {
-      // Add openAiFm support
-      const openAiFmService = require('../services/openAiFmService');
-      audioBuffer = await openAiFmService.generateSpeech(text, 'en-US', {
-        voiceId: voiceId
-      });
-    } else if (provider === 'rime') {
-      // Add Rime TTS support
-      const rimeTtsService = require('../services/simpleRimeTtsService');
-      const apiKey = await rimeTtsService.getApiKey();
-      if (!apiKey) {
-        throw new Error('Rime TTS API key is not configured');
-      }
-      
-      audioBuffer = await rimeTtsService.generateSpeech(text, 'en-US', {
-        voiceId: voiceId
-      });
-    } else {
-      throw new Error(`Unsupported provider: ${provider}`);
-    }if (!audioBuffer) {
+    if (!audioBuffer) {
       throw new Error('Failed to generate preview audio - no audio data received');
     }    // Save the audio buffer to file
     try {
@@ -788,30 +925,13 @@ router.post('/audio-direct/:voiceId', async (req, res) => {
       });
     }
 
-    // Generate audio buffer based on provider
-    let audioBuffer;
-    if (provider === 'elevenlabs') {
-      const settings = await elevenlabsService.getSettings();
-      if (!settings.apiKey) {
-        throw new Error('ElevenLabs API key is not configured');
-      }
-
-      audioBuffer = await elevenlabsService.generateSpeech(text, 'en-US', {
-        voiceId: voiceId
-      });
-    } else if (provider === 'openai_fm') {
-      const openAiFmService = require('../services/openAiFmService');
-      audioBuffer = await openAiFmService.generateSpeech(text, 'en-US', {
-        voiceId: voiceId
-      });
-    } else if (provider === 'rime') {
-      const rimeTtsService = require('../services/simpleRimeTtsService');
-      audioBuffer = await rimeTtsService.generateSpeech(text, 'en-US', {
-        voiceId: voiceId
-      });
-    } else {
-      throw new Error(`Unsupported provider: ${provider}`);
-    }
+    // Generate audio buffer with the selected provider only
+    const { audio: audioBuffer } = await ttsProviderRegistry.synthesize(text, {
+      provider,
+      voiceId,
+      language: 'en-US',
+      fallback: false
+    });
 
     if (!audioBuffer) {
       throw new Error('Failed to generate audio - no audio data received');
@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const CallWorkflow = require('../models/CallWorkflow');
 const workflowEngine = require('../services/workflowEngine');
+const workflowValidator = require('../services/workflowValidator');
+const workflowVersionService = require('../services/workflowVersionService');
+const workflowTestRunner = require('../services/workflowTestRunner');
+const ttsPrerenderService = require('../services/ttsPrerenderService');
+const WorkflowTestSuite = require('../models/WorkflowTestSuite');
+const CallState = require('../models/CallState');
 
 // Get all workflows
 router.get('/', async (req, res) => {
@@ -63,12 +69,32 @@ router.post('/', async (req, res) => {
     }
     
     const workflow = new CallWorkflow(workflowData);
+    
+    // Reject workflows with broken step graphs
+    const validation = workflowValidator.validate(workflow);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workflow graph validation failed',
+        validation
+      });
+    }
+    
     await workflow.save();
     
+    // New workflows start as drafts unless asked to publish straight away
+    let published = null;
+    if (req.query.publish === 'true') {
+      published = (await workflowVersionService.publish(workflow._id, { notes: 'Initial version' })).version;
+      ttsPrerenderService.prerenderWorkflow(workflow._id);
+    }
+    
     res.status(201).json({
       success: true,
       message: 'Workflow created successfully',
-      data: workflow
+      data: published ? await CallWorkflow.findById(workflow._id) : workflow,
+      publishedVersion: published ? published.version : null,
+      warnings: validation.warnings
     });
   } catch (error) {
     console.error('Error creating workflow:', error);
@@ -83,9 +109,39 @@ router.post('/', async (req, res) => {
 // Update workflow
 router.put('/:id', async (req, res) => {
   try {
+    // Validate the step graph as it will look after the update
+    let validation = null;
+    if (req.body.steps || req.body.flowStructure) {
+      const existing = await CallWorkflow.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workflow not found'
+        });
+      }
+      
+      validation = workflowValidator.validate({
+        steps: req.body.steps || existing.steps,
+        flowStructure: req.body.flowStructure || existing.flowStructure
+      });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Workflow graph validation failed',
+          validation
+        });
+      }
+    }
+    
+    // Edits only ever touch the draft; published versions stay as they are
+    const update = { ...req.body };
+    delete update.publishedVersion;
+    delete update.publishedAt;
+    update.hasUnpublishedChanges = true;
+    
     const workflow = await CallWorkflow.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
     
@@ -99,7 +155,8 @@ router.put('/:id', async (req, res) => {
     res.json({
       success: true,
       message: 'Workflow updated successfully',
-      data: workflow
+      data: workflow,
+      warnings: validation ? validation.warnings : []
     });
   } catch (error) {
     console.error('Error updating workflow:', error);
@@ -141,6 +198,210 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Validate workflow step graph
+router.get('/:id/validate', async (req, res) => {
+  try {
+    const workflow = await CallWorkflow.findById(req.params.id);
+    
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: workflowValidator.validate(workflow)
+    });
+  } catch (error) {
+    console.error('Error validating workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating workflow',
+      error: error.message
+    });
+  }
+});
+
+// Publish the current draft as a new immutable version
+router.post('/:id/publish', async (req, res) => {
+  try {
+    // Optionally refuse to publish a draft that fails its regression suites
+    if (req.body.runTests) {
+      const testReport = await workflowTestRunner.runAllSuites(req.params.id, 'draft');
+      if (!testReport.success) {
+        return res.status(400).json({
+          success: false,
+          message: `Workflow test suites failed (${testReport.failed} failing case(s))`,
+          testReport
+        });
+      }
+    }
+
+    const result = await workflowVersionService.publish(req.params.id, {
+      notes: req.body.notes,
+      publishedBy: req.body.publishedBy
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow not found'
+      });
+    }
+    
+    if (result.validation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workflow graph validation failed',
+        validation: result.validation
+      });
+    }
+    
+    // Warm the phrase cache with the new version's fixed prompts in the background
+    ttsPrerenderService.prerenderWorkflow(req.params.id);
+    
+    res.status(201).json({
+      success: true,
+      message: `Workflow published as version ${result.version.version}`,
+      data: result.version
+    });
+  } catch (error) {
+    console.error('Error publishing workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing workflow',
+      error: error.message
+    });
+  }
+});
+
+// List published versions
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const versions = await workflowVersionService.listVersions(req.params.id);
+    
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error fetching workflow versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workflow versions',
+      error: error.message
+    });
+  }
+});
+
+// Diff two versions; either side may be 'draft'
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const { from, to = 'draft' } = req.query;
+    
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter "from" is required'
+      });
+    }
+    
+    const [before, after] = await Promise.all([
+      workflowVersionService.getSnapshot(req.params.id, from),
+      workflowVersionService.getSnapshot(req.params.id, to)
+    ]);
+    
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${!before ? from : to} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...workflowVersionService.diffSnapshots(before, after)
+      }
+    });
+  } catch (error) {
+    console.error('Error diffing workflow versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error diffing workflow versions',
+      error: error.message
+    });
+  }
+});
+
+// Roll back to an earlier version (republished as the newest version)
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const { version, notes, publishedBy } = req.body;
+    
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'version is required'
+      });
+    }
+    
+    const result = await workflowVersionService.rollback(req.params.id, parseInt(version, 10), { notes, publishedBy });
+    
+    if (!result || !result.version) {
+      return res.status(404).json({
+        success: false,
+        message: !result ? 'Workflow not found' : `Version ${version} not found`
+      });
+    }
+    
+    ttsPrerenderService.prerenderWorkflow(req.params.id);
+    
+    res.json({
+      success: true,
+      message: `Rolled back to version ${version} as version ${result.version.version}`,
+      data: result.version
+    });
+  } catch (error) {
+    console.error('Error rolling back workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back workflow',
+      error: error.message
+    });
+  }
+});
+
+// Get a single published version
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const version = await workflowVersionService.getVersion(req.params.id, parseInt(req.params.version, 10));
+    
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow version not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Error fetching workflow version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workflow version',
+      error: error.message
+    });
+  }
+});
+
 // Test workflow logic
 router.post('/:id/test', async (req, res) => {
   try {
@@ -162,7 +423,8 @@ router.post('/:id/test', async (req, res) => {
       // Start the flow
       const startResult = await workflowEngine.startCallFlow(testCallId, workflow._id, {
         variables: { cardType, agentName: 'Test Agent', bankName: 'SBI' },
-        language: 'english'
+        language: 'english',
+        useDraft: true // Test the draft so changes can be checked before publishing
       });
       
       testResults.push({
@@ -212,6 +474,156 @@ router.post('/:id/test', async (req, res) => {
   }
 });
 
+// List test suites of a workflow
+router.get('/:id/test-suites', async (req, res) => {
+  try {
+    const suites = await WorkflowTestSuite.find({ workflowId: req.params.id })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: suites
+    });
+  } catch (error) {
+    console.error('Error fetching workflow test suites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workflow test suites',
+      error: error.message
+    });
+  }
+});
+
+// Create a test suite of scripted conversations
+router.post('/:id/test-suites', async (req, res) => {
+  try {
+    const workflow = await CallWorkflow.findById(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow not found'
+      });
+    }
+
+    const suite = new WorkflowTestSuite({
+      ...req.body,
+      workflowId: workflow._id,
+      lastRun: undefined
+    });
+    await suite.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Test suite created successfully',
+      data: suite
+    });
+  } catch (error) {
+    console.error('Error creating workflow test suite:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating workflow test suite',
+      error: error.message
+    });
+  }
+});
+
+// Run every active test suite against the draft (default) or a published version
+router.post('/:id/test-suites/run', async (req, res) => {
+  try {
+    const workflow = await CallWorkflow.findById(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow not found'
+      });
+    }
+
+    const target = req.body.version || 'draft';
+    if (target !== 'draft' && !(await workflowVersionService.getVersion(workflow._id, parseInt(target, 10)))) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${target} not found`
+      });
+    }
+
+    const report = await workflowTestRunner.runAllSuites(workflow._id, target);
+
+    res.json({
+      success: true,
+      message: `${report.passed} passed, ${report.failed} failed`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error running workflow test suites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running workflow test suites',
+      error: error.message
+    });
+  }
+});
+
+// Update a test suite
+router.put('/:id/test-suites/:suiteId', async (req, res) => {
+  try {
+    const { workflowId, lastRun, ...updateData } = req.body;
+    const suite = await WorkflowTestSuite.findOneAndUpdate(
+      { _id: req.params.suiteId, workflowId: req.params.id },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!suite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test suite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Test suite updated successfully',
+      data: suite
+    });
+  } catch (error) {
+    console.error('Error updating workflow test suite:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating workflow test suite',
+      error: error.message
+    });
+  }
+});
+
+// Delete a test suite
+router.delete('/:id/test-suites/:suiteId', async (req, res) => {
+  try {
+    const suite = await WorkflowTestSuite.findOneAndDelete({
+      _id: req.params.suiteId,
+      workflowId: req.params.id
+    });
+
+    if (!suite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test suite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Test suite deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting workflow test suite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting workflow test suite',
+      error: error.message
+    });
+  }
+});
+
 // Get workflow analytics
 router.get('/:id/analytics', async (req, res) => {
   try {
@@ -224,9 +636,39 @@ router.get('/:id/analytics', async (req, res) => {
       });
     }
     
+    // Break call outcomes down by the published version each call was pinned to
+    const byVersion = await CallState.aggregate([
+      { $match: { workflowId: workflow._id } },
+      {
+        $group: {
+          _id: '$workflowVersion',
+          totalCalls: { $sum: 1 },
+          completedCalls: {
+            $sum: { $cond: [{ $in: ['$outcome.status', ['completed', 'application_submitted']] }, 1, 0] }
+          },
+          applicationsStarted: {
+            $sum: { $cond: [{ $eq: ['$flags.applicationStarted', true] }, 1, 0] }
+          },
+          averageDuration: { $avg: '$metrics.totalDuration' },
+          averageObjections: { $avg: { $size: { $ifNull: ['$objections', []] } } }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]);
+    
     res.json({
       success: true,
       data: {
+        publishedVersion: workflow.publishedVersion,
+        byVersion: byVersion.map(entry => ({
+          version: entry._id, // null for draft test runs
+          totalCalls: entry.totalCalls,
+          completedCalls: entry.completedCalls,
+          applicationsStarted: entry.applicationsStarted,
+          successRate: entry.totalCalls > 0 ? entry.completedCalls / entry.totalCalls : 0,
+          averageDuration: entry.averageDuration || 0,
+          averageObjections: entry.averageObjections || 0
+        })),
         analytics: workflow.analytics,
         performance: {
           totalCalls: workflow.analytics.totalCalls,
@@ -264,6 +706,9 @@ router.post('/:id/duplicate', async (req, res) => {
     delete duplicateData.createdAt;
     delete duplicateData.updatedAt;
     duplicateData.name = `${duplicateData.name} (Copy)`;
+    duplicateData.publishedVersion = null;
+    duplicateData.publishedAt = null;
+    duplicateData.hasUnpublishedChanges = true;
     duplicateData.analytics = {
       totalCalls: 0,
       successRate: 0,
@@ -6,15 +6,24 @@
  */
 
 const WebSocket = require('ws');
-const openaiService = require('./openaiService');
-const elevenlabsService = require('./elevenlabsService');
-const googleSpeechService = require('./googleSpeechService');
-const deepgramService = require('./deepgramService');
 const languageUtils = require('../utils/languageUtils');
+const audioDsp = require('../utils/audioDsp');
 const audioStreamService = require('./audioStreamService');
 const { AudioStream } = require('./audioStreamService');
 const voiceActivityDetectionService = require('./voiceActivityDetectionService');
 const { interruptionHandler } = require('./interruption-handler');
+const humanTransferService = require('./humanTransferService');
+const sttProviderRegistry = require('./sttProviderRegistry');
+const ttsProviderRegistry = require('./ttsProviderRegistry');
+const ttsPhraseCache = require('./ttsPhraseCache');
+const mockLlmService = require('./mockLlmService');
+const llmProviderRegistry = require('./llmProviderRegistry');
+const turnTracer = require('./turnTracer');
+const { SpeechPipeline } = require('./speechPipeline');
+
+// Twilio audio is 8 kHz μ-law, one byte per sample
+const MULAW_BYTES_PER_MS = audioDsp.TWILIO_SAMPLE_RATE / 1000;
+
 // Create a fallback logger in case the imported one is undefined
 let logger = {
   info: console.log,
@@ -43,11 +52,14 @@ class CallCoordinator {
     this.audioStreams = new Map(); // Map of audio streams by call ID
     this.conversationStates = new Map(); // Map of conversation states by call ID
     this.transcriptionBuffer = new Map(); // Buffer for continuous transcription
+    this.playbacks = new Map(); // TTS audio being sent to the caller, by call ID
+    this.pipelines = new Map(); // Answers spoken while they are generated, by call ID
     
-    // Configure interruption handler for real-time interruptions with 2-second latency
-    interruptionHandler.configure({
-      latencyMs: 2000, // 2-second latency for interruption detection
-      sensitivityLevel: 0.7 // Higher sensitivity for credit card sales scenarios
+    // Act on barge-in decisions (stop, resume) for this coordinator's calls
+    interruptionHandler.on('bargeIn', (decision) => {
+      if (this.activeCalls.has(decision.callId)) {
+        this._handleBargeInDecision(decision);
+      }
     });
   }
   /**
@@ -78,18 +90,17 @@ class CallCoordinator {
         // Set up WebSocket properties
         ws.isAlive = true;
           // Handle incoming WebSocket messages
-        ws.on('message', async (message) => {
+        ws.on('message', async (message, isBinary) => {
           try {
             if (!isInitialized) {
               // First message should contain connection info from Twilio
               const data = JSON.parse(message.toString());
               
               if (data.event === 'connected' && data.protocol) {
-                // This is Twilio's initial connection message
+                // This is Twilio's initial connection message; the call is identified by 'start'
                 logger.info('Twilio WebSocket connection established');
                 // Don't send confirmation yet - let _handleWebSocketMessage handle it
-                isInitialized = true;
-                await this._handleWebSocketMessage(ws, message);
+                await this._handleWebSocketMessage(ws, message, isBinary);
                 return;
               }
               
@@ -116,14 +127,14 @@ class CallCoordinator {
                 
                 isInitialized = true;
                 // Handle the start message
-                await this._handleWebSocketMessage(ws, message);
+                await this._handleWebSocketMessage(ws, message, isBinary);
                 return;
               }
             }
             
             // Handle regular WebSocket messages
             if (callId) {
-              await this._handleWebSocketMessage(ws, message);
+              await this._handleWebSocketMessage(ws, message, isBinary);
             }
           } catch (error) {
             logger.error(`Error handling WebSocket message:`, error);
@@ -195,34 +206,6 @@ class CallCoordinator {
       });
     });
     
-    // Handle speech detection with enhanced interruption handling
-    audioStream.on('speechDetected', (data) => {
-      logger.debug(`Speech detected for call ${callId}: ${data.speaking}`);
-      
-      // Update interruption handler with speaking status
-      const interruptionDetected = interruptionHandler.processAudioSegment(
-        callId,
-        data,
-        data.speaking
-      );
-      
-      // Update AI speaking status in interruption handler
-      interruptionHandler.updateAiSpeakingStatus(
-        callId, 
-        this._isAiSpeaking(callId)
-      );
-      
-      if (data.speaking) {
-        // User started speaking - handle interruption if AI is currently speaking
-        if (this._isAiSpeaking(callId) && interruptionDetected) {
-          this._handleUserInterruption(callId);
-          
-          // Update call analytics for interruption
-          this._updateCallInterruptionAnalytics(callId);
-        }
-      }
-    });
-    
     // Handle transcription with credit card sales specific analysis
     audioStream.on('transcription', (data) => {
       logger.info(`Transcription for call ${callId}: ${data.text}`);
@@ -242,6 +225,13 @@ class CallCoordinator {
         language: data.language || 'en-US'
       });
       
+      // Backchannels ("haan", "ok") spoken over the agent are not answered
+      if (!interruptionHandler.onTranscript(callId, data.text).processTurn) {
+        logger.debug(`Not answering "${data.text}" on call ${callId}: barge-in policy`);
+        turnTracer.cancelTurn(callId);
+        return;
+      }
+      
       // Credit card sales specific analysis
       this._analyzeCreditCardSalesResponse(callId, data.text);
       
@@ -380,12 +370,13 @@ class CallCoordinator {
    * Handle incoming WebSocket message
    * @param {WebSocket} ws - WebSocket connection
    * @param {Buffer|String} message - Message data
+   * @param {boolean} [isBinary] - Binary frame (raw audio); text frames arrive as Buffers too
    */
-  async _handleWebSocketMessage(ws, message) {
+  async _handleWebSocketMessage(ws, message, isBinary = false) {
     const callId = ws.callId;
     
     // Handle binary audio data
-    if (Buffer.isBuffer(message)) {
+    if (isBinary) {
       // Push to audio stream for processing
       const audioStream = this.audioStreams.get(callId);
       if (audioStream && audioStream.active) {
@@ -421,6 +412,11 @@ class CallCoordinator {
             const audioStream = this.audioStreams.get(callId);
             if (audioStream && audioStream.active) {
               audioStream.input.push(audioBuffer);
+              // Decoded in-process to 16 kHz PCM for voice activity detection
+              const vadResult = audioStream.processTwilioAudio(audioBuffer);
+              if (vadResult) {
+                interruptionHandler.processAudioSegment(callId, vadResult, vadResult.voiced);
+              }
             }
           }
           break;
@@ -442,7 +438,7 @@ class CallCoordinator {
               break;
               
             case 'transferToHuman':
-              this._transferToHuman(callId);
+              await this._transferToHuman(callId, data.reason);
               break;
               
             default:
@@ -496,7 +492,7 @@ class CallCoordinator {
         language: config.language || 'english',
         ttsProvider: config.ttsProvider || 'openai_fm',
         sttProvider: config.sttProvider || 'deepgram',
-        llmProvider: config.llmProvider || 'openai',
+        llmProvider: llmProviderRegistry.normalizeName(config.llmProvider),
         voiceId: config.voiceId || null,
         cardType,
         enableInterruptions: config.enableInterruptions !== false,
@@ -521,6 +517,18 @@ class CallCoordinator {
         }
       });
       
+      // Transcription of the call's speech starts with its STT provider, answers with its LLM provider
+      sttProviderRegistry.setCallProvider(callId, callState.sttProvider);
+      llmProviderRegistry.setCallProvider(callId, callState.llmProvider);
+      turnTracer.setProviders(callId, {
+        stt: callState.sttProvider,
+        llm: callState.llmProvider,
+        tts: callState.ttsProvider
+      });
+      if (callState.llmProvider === 'mock') {
+        mockLlmService.startCall(callId);
+      }
+      
       // Initialize VAD service with the STT provider
       try {
         const vadServiceAdapter = require('./vadServiceAdapter');
@@ -530,8 +538,11 @@ class CallCoordinator {
         logger.error(`Error setting STT provider for call ${callId}: ${error.message}`);
       }
       
-      // Initialize interruption handler for this call
-      interruptionHandler.initializeCall(callId);
+      // Initialize interruption handler for this call with its barge-in policy
+      interruptionHandler.initializeCall(
+        callId,
+        callState.enableInterruptions ? config.bargeIn : { mode: 'disabled' }
+      );
       
       // Start the conversation with introduction
       await this._startConversation(callId);
@@ -580,11 +591,8 @@ class CallCoordinator {
         timestamp: Date.now()
       });
       
-      // Generate AI response
-      const response = await this._generateAIResponse(callId, message);
-      
-      // Convert to speech and send to customer
-      await this._speakAIResponse(callId, response, language);
+      // Generate the AI response and speak it as it is generated
+      await this._streamAIResponse(callId, language);
     } catch (error) {
       logger.error(`Error processing customer message for call ${callId}:`, error);
     }
@@ -608,48 +616,115 @@ class CallCoordinator {
     try {
       // Get conversation history
       const history = this._getTranscriptionBuffer(callId);
-        // Generate response based on LLM provider
-      if (callState.llmProvider === 'gemini') {
-        try {
-          // Use Gemini API if available
-          const geminiService = require('../services/geminiService');
-          return await geminiService.generateResponse(
-            history, 
-            callState.scriptContent,
-            callState.promptContent,
-            callState.language,
-            callId,
-            isIntro
-          );
-        } catch (geminiError) {
-          logger.error(`Error using Gemini API: ${geminiError.message}. Falling back to OpenAI.`);
-          // Fall back to OpenAI if there's an error with Gemini
-          return await openaiService.generateResponse(
-            history,
-            callState.scriptContent,
-            callState.promptContent,
-            callState.language,
-            callId,
-            isIntro
-          );
-        }
-      } else {
-        // Default to OpenAI (including when llmProvider is explicitly 'openai')
-        return await openaiService.generateResponse(
-          history,
-          callState.scriptContent,
-          callState.promptContent,
-          callState.language,
-          callId,
-          isIntro
-        );
-      }
+      // Generate response with the call's LLM provider, or the fallback when it fails
+      const { result: response, provider: llmProvider } = await llmProviderRegistry.run(callId, 'generateResponse', [
+        history,
+        callState.scriptContent,
+        callState.promptContent,
+        callState.language,
+        callId,
+        isIntro
+      ]);
+      
+      // The answer is not streamed, so its first token arrives with the rest of it
+      turnTracer.mark(callId, 'llm_first_token', { provider: llmProvider });
+      turnTracer.mark(callId, 'llm_complete', { provider: llmProvider });
+      
+      // The LLM services answer with { text, language, emotion }
+      return typeof response === 'string' ? response : response.text;
     } catch (error) {
       logger.error(`Error generating AI response for call ${callId}:`, error);
       return "I apologize for the technical difficulty. Let me get back to your question.";
     }
   }
   
+  /**
+   * Answer the customer, speaking the answer clause by clause while the LLM generates it.
+   * The whole answer goes into the history, cut down to what the caller heard if they
+   * barge in before it has finished playing (see _cancelPipeline).
+   * @param {string} callId - Call identifier
+   * @param {string} language - Language of the answer
+   */
+  async _streamAIResponse(callId, language) {
+    const callState = this.activeCalls.get(callId);
+    if (!callState) return;
+    
+    await this._waitForPlayback(callId);
+    
+    const abortController = new AbortController();
+    const pipeline = new SpeechPipeline({
+      tokens: this._streamLlmTokens(callId, abortController.signal),
+      abortController,
+      synthesize: async (text) => {
+        const { mediaStream, provider } = await this._synthesizeSegment(callId, text, language);
+        return { stream: mediaStream, provider };
+      },
+      send: (chunk, segment) => {
+        turnTracer.mark(callId, 'tts_first_byte', { provider: segment.provider });
+        this._sendAudioToTwilio(callId, chunk);
+        turnTracer.mark(callId, 'first_audio_sent');
+        interruptionHandler.addPlayedAudio(callId, chunk.length / MULAW_BYTES_PER_MS);
+      }
+    });
+    pipeline.on('segment', ({ index, text }) => {
+      if (index === 0) {
+        this._updateCallState(callId, { aiSpeaking: true });
+        interruptionHandler.startUtterance(callId, { text, language });
+      } else {
+        interruptionHandler.extendUtterance(callId, text);
+      }
+    });
+    const current = { pipeline, language, message: null, timer: null };
+    this.pipelines.set(callId, current);
+    
+    const result = await pipeline.run();
+    // A cancelled pipeline has been taken out of the map, with what was played committed
+    if (this.pipelines.get(callId) !== current) return;
+    
+    if (result.spokenText) {
+      current.message = this._commitAgentSpeech(callId, result.spokenText, language);
+      this._sendUtteranceMark(callId);
+    } else if (result.text) {
+      // TTS failed for the whole answer
+      turnTracer.cancelTurn(callId);
+    }
+    interruptionHandler.finishUtterance(callId);
+    this._updateCallState(callId, { aiSpeaking: false });
+    
+    // The audio was sent faster than it plays; until the caller has heard it, a barge-in still cuts the history short
+    const playingMs = pipeline.playEndsAt - Date.now();
+    if (current.message && playingMs > 0) {
+      current.timer = setTimeout(() => {
+        if (this.pipelines.get(callId) === current) this.pipelines.delete(callId);
+      }, playingMs);
+    } else {
+      this.pipelines.delete(callId);
+    }
+    
+    if (!result.text) {
+      logger.error(`No AI response for call ${callId}${result.error ? `: ${result.error.message}` : ''}`);
+      await this._speakAIResponse(callId, "I apologize for the technical difficulty. Let me get back to your question.", language);
+    }
+  }
+  
+  /**
+   * Text deltas of the answer to the conversation so far, from the call's LLM provider or its fallback
+   * @param {string} callId - Call identifier
+   * @param {AbortSignal} signal - Aborts the LLM request
+   */
+  async *_streamLlmTokens(callId, signal) {
+    const callState = this.activeCalls.get(callId);
+    const history = this._getTranscriptionBuffer(callId);
+    const args = [history, callState.scriptContent, callState.promptContent, callState.language, callId, { signal }];
+    
+    const { provider, tokens } = await llmProviderRegistry.openStream(callId, args);
+    for await (const delta of tokens) {
+      turnTracer.mark(callId, 'llm_first_token', { provider });
+      yield delta;
+    }
+    turnTracer.mark(callId, 'llm_complete', { provider });
+  }
+  
   /**
    * Convert AI response to speech and send to customer
    * @param {string} callId - Call identifier
@@ -661,79 +736,42 @@ class CallCoordinator {
       const callState = this.activeCalls.get(callId);
       if (!callState) return;
       
-      // Add to transcription buffer
-      this._addToTranscriptionBuffer(callId, {
-        text,
-        speaker: 'Agent',
-        timestamp: Date.now()
-      });
+      this._commitAgentSpeech(callId, text, language);
       
-      // Notify client of AI message
-      this._sendWebSocketMessage(callId, {
-        type: 'transcription',
-        text,
-        speaker: 'Agent',
-        language
-      });
+      await this._waitForPlayback(callId);
       
       // Set AI as speaking
       this._updateCallState(callId, { aiSpeaking: true });
-        // Generate audio based on TTS provider
-      let audioStream;
+      const { audioStream, mediaStream, provider } = await this._synthesizeSegment(callId, text, language);
+      mediaStream.on('error', (error) => {
+        logger.error(`Error encoding TTS audio for call ${callId}:`, error);
+        this._updateCallState(callId, { aiSpeaking: false });
+      });
       
-      try {
-        if (callState.ttsProvider === 'openai_fm' || callState.ttsProvider === 'chatgpt') {
-          // Use OpenAI for TTS
-          let openaiVoice = callState.voiceId || 'alloy';
-          
-          // If a voice wasn't explicitly selected, choose appropriate voice based on language
-          if (!callState.voiceId) {
-            openaiVoice = language.startsWith('hi') ? 'nova' : 
-                          language.startsWith('es') ? 'alloy' : 'alloy';
-          }
-          
-          audioStream = await openaiService.textToSpeechStream(text, openaiVoice);
-          
-        } else if (callState.ttsProvider === 'elevenlabs') {
-          // Use ElevenLabs for TTS
-          audioStream = await elevenlabsService.synthesizeSpeech(text, callState.voiceId);
-          
-        } else if (callState.ttsProvider === 'rime') {
-          // Use Rime TTS
-          const rimeTtsService = require('../services/rimeTtsService');
-          audioStream = await rimeTtsService.synthesizeSpeech(text, callState.voiceId);
-          
-        } else {
-          // Fallback to OpenAI if the specified provider isn't supported
-          logger.warn(`Unsupported TTS provider ${callState.ttsProvider}, falling back to OpenAI FM`);
-          const openaiVoice = language.startsWith('hi') ? 'nova' : 'alloy';
-          audioStream = await openaiService.textToSpeechStream(text, openaiVoice);
-        }
-      } catch (ttsError) {
-        // If the selected provider fails, fallback to OpenAI
-        logger.error(`Error with TTS provider ${callState.ttsProvider}: ${ttsError.message}. Falling back to OpenAI FM.`);
-        
-        try {
-          const openaiVoice = language.startsWith('hi') ? 'nova' : 'alloy';
-          audioStream = await openaiService.textToSpeechStream(text, openaiVoice);
-        } catch (fallbackError) {
-          logger.error(`Fallback to OpenAI FM failed: ${fallbackError.message}`);
-          throw new Error(`TTS generation failed with both ${callState.ttsProvider} and fallback: ${fallbackError.message}`);
-        }
-      }
+      // Played audio is tracked so a barge-in can stop it and resume from where it was cut off
+      this.playbacks.set(callId, { audioStream, mediaStream });
+      interruptionHandler.startUtterance(callId, { text, language });
         // Send audio to WebSocket
       const ws = this.webSockets.get(callId);
       if (ws && ws.readyState === WebSocket.OPEN) {
-        audioStream.on('data', (chunk) => {
+        mediaStream.on('data', (chunk) => {
           if (ws.readyState === WebSocket.OPEN) {
+            turnTracer.mark(callId, 'tts_first_byte', { provider });
             // Use the proper Twilio protocol function
             this._sendAudioToTwilio(callId, chunk);
+            turnTracer.mark(callId, 'first_audio_sent');
+            interruptionHandler.addPlayedAudio(callId, chunk.length / MULAW_BYTES_PER_MS);
           }
         });
         
-        audioStream.on('end', () => {
+        mediaStream.on('end', () => {
           // Set AI as no longer speaking
           this._updateCallState(callId, { aiSpeaking: false });
+          interruptionHandler.finishUtterance(callId);
+          this._sendUtteranceMark(callId);
+          if (this.playbacks.get(callId) && this.playbacks.get(callId).mediaStream === mediaStream) {
+            this.playbacks.delete(callId);
+          }
         });
       }
     } catch (error) {
@@ -741,16 +779,121 @@ class CallCoordinator {
       this._updateCallState(callId, { aiSpeaking: false });
     }
   }
-    /**
-   * Handle user interruption during AI speech with 2-second latency
+  
+  /**
+   * Start TTS of an utterance, encoded for Twilio
+   * @param {string} callId - Call identifier
+   * @param {string} text - Text to speak
+   * @param {string} language - Language of text
+   * @returns {Promise<Object>} { audioStream, mediaStream, provider }, mediaStream carrying μ-law audio
+   */
+  async _synthesizeSegment(callId, text, language) {
+    const callState = this.activeCalls.get(callId);
+    
+    // Generate audio with the provider the router picks for this utterance, or from the phrase cache
+    // Only formats the DSP module can encode to μ-law in-process are requested
+    turnTracer.mark(callId, 'tts_start', { provider: callState.ttsProvider });
+    const { stream: audioStream, provider, format } = await ttsPhraseCache.stream(text, {
+      callId,
+      provider: callState.ttsProvider,
+      language,
+      voiceId: callState.voiceId,
+      formats: audioDsp.DECODABLE_FORMATS
+    });
+    if (provider !== ttsProviderRegistry.normalizeName(callState.ttsProvider)) {
+      logger.warn(`TTS provider ${callState.ttsProvider} unavailable for call ${callId}, used ${provider}`);
+    }
+    const mediaStream = audioStream.pipe(audioDsp.createTwilioEncoder({ format }));
+    audioStream.on('error', (error) => mediaStream.destroy(error));
+    // Audio dropped before it was sent stops the TTS request too
+    mediaStream.on('close', () => {
+      if (!audioStream.destroyed && typeof audioStream.destroy === 'function') {
+        audioStream.destroy();
+      }
+    });
+    return { audioStream, mediaStream, provider };
+  }
+  
+  /**
+   * An answer to a turn taken during speech that could not be interrupted (a mandatory
+   * disclosure) waits until that speech has been sent; Twilio plays media in order
+   * @param {string} callId - Call identifier
+   */
+  async _waitForPlayback(callId) {
+    const current = this.pipelines.get(callId);
+    if (current) {
+      await current.pipeline.run();
+    }
+    const previous = this.playbacks.get(callId);
+    if (previous && !previous.mediaStream.destroyed) {
+      await new Promise(resolve => previous.mediaStream.once('close', resolve));
+    }
+  }
+  
+  /**
+   * Record what the agent said in the conversation history and notify the client
+   * @param {string} callId - Call identifier
+   * @param {string} text - Text spoken
+   * @param {string} language - Language of text
+   * @param {Object} [options] - interrupted: the caller barged in and heard only this text
+   * @returns {Object} The history entry
+   */
+  _commitAgentSpeech(callId, text, language, { interrupted = false } = {}) {
+    const message = {
+      text,
+      speaker: 'Agent',
+      timestamp: Date.now(),
+      ...(interrupted && { interrupted: true })
+    };
+    this._addToTranscriptionBuffer(callId, message);
+    
+    this._sendWebSocketMessage(callId, {
+      type: 'transcription',
+      text,
+      speaker: 'Agent',
+      language,
+      ...(interrupted && { interrupted: true })
+    });
+    return message;
+  }
+  
+  /**
+   * Twilio sends the mark back once the audio sent before it has been played
+   * @param {string} callId - Call identifier
+   */
+  _sendUtteranceMark(callId) {
+    const ws = this.webSockets.get(callId);
+    if (ws && ws.readyState === WebSocket.OPEN && ws.streamSid) {
+      ws.markCount = (ws.markCount || 0) + 1;
+      ws.send(JSON.stringify({ event: 'mark', streamSid: ws.streamSid, mark: { name: `utterance-${ws.markCount}` } }));
+    }
+  }
+  /**
+   * Act on a barge-in decision of the interruption handler
+   * @param {Object} decision - { callId, action, reason, resumeText, language }
+   */
+  _handleBargeInDecision(decision) {
+    if (decision.action === 'stop') {
+      this._handleUserInterruption(decision.callId, decision);
+      this._updateCallInterruptionAnalytics(decision.callId);
+    } else if (decision.action === 'resume') {
+      logger.info(`Resuming interrupted speech on call ${decision.callId} (${decision.reason})`);
+      const callState = this.activeCalls.get(decision.callId);
+      this._speakAIResponse(decision.callId, decision.resumeText, decision.language || (callState && callState.language));
+    }
+  }
+  
+  /**
+   * Handle user interruption during AI speech, once the barge-in policy decided to stop
    * @param {string} callId - Call identifier
+   * @param {Object} decision - Barge-in decision
    */
-  _handleUserInterruption(callId) {
+  _handleUserInterruption(callId, decision) {
     try {
       const callState = this.activeCalls.get(callId);
-      if (!callState || !callState.enableInterruptions) return;
+      if (!callState) return;
       
-      logger.info(`User interrupted call ${callId} - handling with 2-second latency`);
+      logger.info(`User interrupted call ${callId} (${decision.reason}) - stopping AI speech`);
       
       // Stop current AI speech
       this._stopCallAudio(callId);
@@ -783,6 +926,7 @@ class CallCoordinator {
       // Notify client of interruption
       this._sendWebSocketMessage(callId, {
         type: 'interrupted',
+        reason: decision.reason,
         timestamp: Date.now(),
         cardType: callState.cardType
       });
@@ -797,9 +941,13 @@ class CallCoordinator {
    */
   _stopCallAudio(callId) {
     try {
-      const audioStream = this.audioStreams.get(callId);
-      if (audioStream) {
-        audioStream.stopSpeaking();
+      this._cancelPipeline(callId);
+      this._stopPlayback(callId);
+      
+      // Twilio plays the media it has buffered unless told to clear it
+      const ws = this.webSockets.get(callId);
+      if (ws && ws.readyState === WebSocket.OPEN && ws.streamSid) {
+        ws.send(JSON.stringify({ event: 'clear', streamSid: ws.streamSid }));
       }
       
       this._updateCallState(callId, { aiSpeaking: false });
@@ -807,6 +955,58 @@ class CallCoordinator {
       logger.error(`Error stopping call audio for call ${callId}:`, error);
     }
   }
+  
+  /**
+   * Stop an answer being spoken while it is generated, keeping in the history only what the caller heard
+   * @param {string} callId - Call identifier
+   */
+  _cancelPipeline(callId) {
+    const current = this.pipelines.get(callId);
+    if (!current) return;
+    
+    this.pipelines.delete(callId);
+    clearTimeout(current.timer);
+    current.pipeline.cancel();
+    const playedText = current.pipeline.getPlayedText();
+    
+    if (!current.message) {
+      if (playedText) {
+        this._commitAgentSpeech(callId, playedText, current.language, { interrupted: true });
+      }
+    } else if (playedText !== current.message.text) {
+      // The answer was committed when it had been sent, but the caller stopped it while it played
+      const buffer = this._getTranscriptionBuffer(callId);
+      if (playedText) {
+        Object.assign(current.message, { text: playedText, interrupted: true });
+      } else if (buffer.includes(current.message)) {
+        buffer.splice(buffer.indexOf(current.message), 1);
+      }
+      this._sendWebSocketMessage(callId, {
+        type: 'transcription',
+        text: playedText,
+        speaker: 'Agent',
+        language: current.language,
+        interrupted: true
+      });
+    }
+  }
+  
+  /**
+   * Stop sending the TTS audio of the current utterance
+   * @param {string} callId - Call identifier
+   */
+  _stopPlayback(callId) {
+    const playback = this.playbacks.get(callId);
+    if (!playback) return;
+    
+    this.playbacks.delete(callId);
+    playback.mediaStream.removeAllListeners('data');
+    playback.audioStream.unpipe(playback.mediaStream);
+    if (typeof playback.audioStream.destroy === 'function') {
+      playback.audioStream.destroy();
+    }
+    playback.mediaStream.destroy();
+  }
     /**
    * Send message to client via WebSocket
    * @param {string} callId - Call identifier
@@ -831,17 +1031,19 @@ class CallCoordinator {
     try {
       const ws = this.webSockets.get(callId);
       if (ws && ws.readyState === WebSocket.OPEN && ws.streamSid) {
-        const message = {
-          event: 'media',
-          streamSid: ws.streamSid,
-          media: {
-            track: 'outbound',
-            chunk: String(Date.now()),
-            timestamp: String(Date.now()),
-            payload: audioBuffer.toString('base64')
-          }
-        };
-        ws.send(JSON.stringify(message));
+        // Twilio expects 8 kHz μ-law in 20 ms (160 byte) frames
+        audioDsp.splitFrames(audioBuffer).forEach(frame => {
+          ws.send(JSON.stringify({
+            event: 'media',
+            streamSid: ws.streamSid,
+            media: {
+              track: 'outbound',
+              chunk: String(Date.now()),
+              timestamp: String(Date.now()),
+              payload: frame.toString('base64')
+            }
+          }));
+        });
         logger.debug(`Sent audio chunk to Twilio for call ${callId}`, {
           streamSid: ws.streamSid,
           payloadSize: audioBuffer.length
@@ -925,15 +1127,26 @@ class CallCoordinator {
   /**
    * Handle transfer to human agent
    * @param {string} callId - Call identifier
+   * @param {string} [reason] - Why the client asked for a transfer
    */
-  _transferToHuman(callId) {
+  async _transferToHuman(callId, reason) {
     try {
-      // This would integrate with your CRM or call center system
       logger.info(`Transfer to human requested for call ${callId}`);
       
-      // For now, just notify client
+      // Stop the AI talking over the agent
+      this._stopCallAudio(callId);
+      this._updateCallState(callId, { status: 'transferring' });
+      
+      const handoff = await humanTransferService.transferCall(callId, {
+        trigger: 'client_request',
+        reason: reason || 'Requested by client'
+      });
+      
       this._sendWebSocketMessage(callId, {
-        type: 'transferToHuman'
+        type: 'transferToHuman',
+        handoffId: handoff ? handoff._id : null,
+        status: handoff ? handoff.status : 'unavailable',
+        error: handoff ? handoff.error : 'No transfer target configured'
       });
     } catch (error) {
       logger.error(`Error transferring to human for call ${callId}:`, error);
@@ -951,13 +1164,19 @@ class CallCoordinator {
         ws.close();
       }
       this.webSockets.delete(callId);
+      this._cancelPipeline(callId);
+      this._stopPlayback(callId);
       
       // Clean up audio stream
       const audioStream = this.audioStreams.get(callId);
       if (audioStream) {
-        audioStream.destroy();
+        audioStream.cleanup();
       }
       this.audioStreams.delete(callId);
+      sttProviderRegistry.clearCall(callId);
+      llmProviderRegistry.clearCall(callId);
+      mockLlmService.endCall(callId);
+      turnTracer.endCall(callId);
       
       // Get conversation state for final analysis
       const callState = this.activeCalls.get(callId);
@@ -1,12 +1,26 @@
 /**
  * Call Subscription Handler
  * 
- * Manages WebSocket-based subscriptions to call events for frontends
+ * Manages WebSocket-based subscriptions to call events for frontends. Events carry
+ * customer details and transcripts, so clients connect with an access token
+ * (Authorization: Bearer header, or ?token= since browsers cannot set headers on
+ * WebSockets) of a user holding calls:read.
  */
 
 const WebSocket = require('ws');
+const authTokenService = require('./authTokenService');
+const { hasPermission, normalizeRole } = require('../config/permissions');
+const { recordDenial } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
+const SUBSCRIBE_PERMISSION = 'calls:read';
+
+function subscriptionToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) return token;
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
 class CallSubscriptionHandler {
   constructor() {
     this.subscriptions = new Map(); // Map of subscription IDs to WebSocket connections
@@ -24,18 +38,19 @@ class CallSubscriptionHandler {
       perMessageDeflate: false,        // Disable compression to prevent frame issues
       skipUTF8Validation: true,        // Allow binary audio data
       fragmentOutgoingMessages: false, // CRITICAL: Prevent control frame fragmentation (fixes Error 31924)
-      maxPayload: 65536                // Set appropriate payload size
+      maxPayload: 65536,               // Set appropriate payload size
+      verifyClient: (info, done) => this.verifyClient(info, done)
     });
 
     logger.info('WebSocket server initialized for call event subscriptions');
 
     // Setup connection handler
-    wss.on('connection', (ws) => {
+    wss.on('connection', (ws, req) => {
       const subscriptionId = this.generateSubscriptionId();
       
       this.subscriptions.set(subscriptionId, ws);
       
-      logger.info(`New subscription connection established: ${subscriptionId}`);
+      logger.info(`New subscription connection established: ${subscriptionId} (${req.user.username})`);
       
       // Send welcome message
       ws.send(JSON.stringify({
@@ -67,6 +82,38 @@ class CallSubscriptionHandler {
     });
   }
   
+  /**
+   * Accept only connections with a valid, unrevoked access token of a user allowed to see calls
+   * @param {Object} info - { req } as passed by ws
+   * @param {Function} done - ws callback (accepted, code, message)
+   */
+  verifyClient(info, done) {
+    const { req } = info;
+    const token = subscriptionToken(req);
+    if (!token) return done(false, 401, 'Authentication required');
+
+    authTokenService.verifyAccessToken(token).then(({ user }) => {
+      const role = normalizeRole(user.role);
+      req.user = { id: user._id.toString(), username: user.username, role };
+      if (!hasPermission(role, SUBSCRIBE_PERMISSION)) {
+        recordDenial(req, 'permission_denied', { permission: SUBSCRIBE_PERMISSION });
+        logger.warn(`[CallSubscriptions] ${user.username} (${role}) denied ${SUBSCRIBE_PERMISSION} for call subscriptions`);
+        return done(false, 403, 'You do not have permission to do this');
+      }
+      done(true);
+    }).catch((error) => {
+      if (!error.code) {
+        logger.error(`[CallSubscriptions] Error verifying access token: ${error.message}`);
+        return done(false, 500, 'Error verifying access token');
+      }
+      if (error.code === 'revoked') {
+        const claims = authTokenService.claimsOf(token);
+        recordDenial(req, 'token_revoked', { userId: claims.id, username: claims.username, role: claims.role });
+      }
+      done(false, 401, error.message);
+    });
+  }
+
   /**
    * Generate a unique subscription ID
    * @returns {string} Subscription ID
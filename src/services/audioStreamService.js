@@ -2,13 +2,15 @@ const { Readable } = require('stream');
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
 const voiceActivityDetectionService = require('./voiceActivityDetectionService_new');
+const { redactText } = require('../utils/piiRedaction');
 const ZeroLatencyAudioProcessor = require('./zeroLatencyAudioProcessor');
-const openAiFmService = require('./openAiFmService');
 // Removing conquiTtsService as it's no longer needed
-const elevenlabsService = require('./elevenlabsService');
+const ttsPhraseCache = require('./ttsPhraseCache');
 const realTimeLanguageSwitcher = require('./realTimeLanguageSwitcher');
 const languageAdaptiveResponseHandler = require('./languageAdaptiveResponseHandler');
 const multilingualSpeechProcessor = require('./multilingualSpeechProcessor');
+const audioDsp = require('../utils/audioDsp');
+const vadCallRegistry = require('./vadCallRegistry');
 const fs = require('fs');
 const path = require('path');
 
@@ -35,7 +37,6 @@ class AudioStream extends EventEmitter {
     this.zeroLatencyProcessor = new ZeroLatencyAudioProcessor(callId, {
       responseInitiationTarget: 50,   // Start responding within 50ms (human-like)
       firstAudioChunkTarget: 100,    // First audio within 100ms
-      vadSensitivity: 0.01,          // Ultra-sensitive voice detection
       silenceThreshold: 200,         // 200ms silence = user finished
       interruptionGrace: 150         // Natural pause allowance
     });
@@ -58,6 +59,9 @@ class AudioStream extends EventEmitter {
     this.voiceProvider = 'openai_fm'; // Updated from 'clone_voice' to 'openai_fm'
     this.currentVoiceId = null;
     this.lastVoiceSwitch = Date.now();
+    
+    // Twilio sends 8 kHz μ-law; VAD and STT work on 16 kHz PCM
+    this.inboundResampler = new audioDsp.Pcm16Resampler(audioDsp.TWILIO_SAMPLE_RATE, 16000);
     this.languageSwitchCount = 0;
     
     // Initialize real-time language switching
@@ -286,7 +290,7 @@ class AudioStream extends EventEmitter {
    */
   handleTranscriptionResult(text, language, isInterim) {
     if (!this.active) return;
-      console.log(`[AudioStream ${this.id}] Transcription received: ${text.substring(0, 50)}... (${language}, interim: ${isInterim})`);
+      console.log(`[AudioStream ${this.id}] Transcription received: ${redactText(text).substring(0, 50)}... (${language}, interim: ${isInterim})`);
     
     // If AI is speaking and we get user speech, handle potential barge-in
     if (this.aiSpeaking && !isInterim) {
@@ -703,6 +707,9 @@ async close() {
     console.error(`[AudioStream ${this.id}] Error during cleanup:`, error);
   }
 
+  // Release the call's VAD engine; its trace stays available for debugging
+  vadCallRegistry.endCall(this.id);
+
   // Remove all listeners
   this.removeAllListeners();
   
@@ -749,6 +756,9 @@ cleanup() {
     console.error(`[AudioStream ${this.id}] Error during cleanup:`, error);
   }
 
+  // Release the call's VAD engine; its trace stays available for debugging
+  vadCallRegistry.endCall(this.id);
+
   // Remove all listeners
   this.removeAllListeners();
   
@@ -802,6 +812,15 @@ setAISpeaking(isSpeaking) {
   }
 }
 
+/**
+ * Decode a Twilio media payload (8 kHz μ-law) to 16 kHz PCM in memory and run VAD on it
+ * @param {Buffer} payload - μ-law audio from a Twilio media message
+ */
+processTwilioAudio(payload) {
+  if (!this.active) return;
+  return this.processAudioWithVAD(this.inboundResampler.process(audioDsp.mulawToPcm16(payload)));
+}
+
 /**
  * Process incoming audio with VAD
  * @param {Buffer} audioChunk - Audio buffer
@@ -828,10 +847,7 @@ processAudioWithVAD(audioChunk) {
       this.emit('userBargeIn');
     }
     
-    // Add audio to collection if user is speaking
-    if (this.speaking) {
-      voiceActivityDetectionService.addAudioToCollection(this.id, audioChunk);
-    }
+    // The VAD service collects the utterance audio itself, from the pre-roll to the endpoint
     
     return vadResult;
   } catch (error) {
@@ -1005,19 +1021,14 @@ async streamAudioBuffer(audioBuffer, chunkSize = 3200, interval = 20) {
       const ngrokUrl = process.env.NGROK_URL || 'http://localhost:5002';
       const streamUrl = `${ngrokUrl}/stream/call/${this.id}/audio`;
       
-      // Start real-time synthesis based on voice provider
-      let audioStream;
-        switch (voiceProvider) {
-        case 'openai_fm':
-          audioStream = await this.synthesizeWithOpenAI(text, language, emotion);
-          break;        case 'elevenlabs':
-          audioStream = await this.synthesizeWithElevenLabs(text, language);
-          break;
-        // Removed case for clone_voice as it's no longer needed
-        default:
-          // Fallback to OpenAI FM
-          audioStream = await this.synthesizeWithOpenAI(text, language, emotion);
-      }
+      // Start real-time synthesis with the provider the router picks for this utterance, or from the phrase cache
+      const { stream: audioStream } = await ttsPhraseCache.stream(text, {
+        callId: this.id,
+        provider: voiceProvider,
+        language,
+        voiceId: this.currentVoiceId,
+        emotion
+      });
       
       if (!audioStream) {
         throw new Error(`Failed to create audio stream with provider: ${voiceProvider}`);
@@ -1097,74 +1108,6 @@ async streamAudioBuffer(audioBuffer, chunkSize = 3200, interval = 20) {
     }
   }
   
-  /**
-   * Synthesize audio using OpenAI TTS with real-time streaming
-   * @param {string} text - Text to synthesize
-   * @param {string} language - Language code
-   * @param {string} emotion - Emotional context
-   * @returns {Promise<Stream>} Audio stream
-   */
-  async synthesizeWithOpenAI(text, language, emotion) {
-    try {
-      console.log(`[AudioStream ${this.id}] Starting OpenAI TTS synthesis`);
-      
-      // Use the current voice ID if set, otherwise use default
-      const voiceId = this.currentVoiceId || 'alloy';
-      
-      // Call OpenAI TTS service with streaming enabled
-      const audioStream = await openAiFmService.synthesizeToStream(text, {
-        voice: voiceId,
-        language: language,
-        emotion: emotion,
-        streaming: true
-      });
-      
-      if (!audioStream) {
-        throw new Error('OpenAI TTS returned null stream');
-      }
-      
-      console.log(`[AudioStream ${this.id}] OpenAI TTS synthesis started with voice: ${voiceId}`);
-      return audioStream;
-      
-    } catch (error) {
-      console.error(`[AudioStream ${this.id}] OpenAI synthesis error:`, error);
-      throw error;
-    }
-  }
-
-  /**
-   * Synthesize audio using ElevenLabs with real-time streaming
-   * @param {string} text - Text to synthesize
-   * @param {string} language - Language code
-   * @returns {Promise<Stream>} Audio stream
-   */
-  async synthesizeWithElevenLabs(text, language) {
-    try {
-      console.log(`[AudioStream ${this.id}] Starting ElevenLabs TTS synthesis`);
-      
-      // Use the current voice ID if set, otherwise use default
-      const voiceId = this.currentVoiceId || 'EXAVITQu4vr4xnSDxMaL'; // Default Bella voice
-      
-      // Call ElevenLabs service with streaming enabled
-      const audioStream = await elevenlabsService.synthesizeToStream(text, {
-        voiceId: voiceId,
-        language: language,
-        streaming: true
-      });
-      
-      if (!audioStream) {
-        throw new Error('ElevenLabs TTS returned null stream');
-      }
-      
-      console.log(`[AudioStream ${this.id}] ElevenLabs TTS synthesis started with voice: ${voiceId}`);
-      return audioStream;
-      
-    } catch (error) {
-      console.error(`[AudioStream ${this.id}] ElevenLabs synthesis error:`, error);
-      throw error;
-    }
-  }
-
   /**
    * Set the current voice ID for TTS synthesis
    * @param {string} voiceId - Voice ID to use
@@ -1396,3 +1339,5 @@ class AudioStreamService extends EventEmitter {
 const audioStreamService = new AudioStreamService();
 
 module.exports = audioStreamService;
+// CallCoordinator creates one stream per call
+module.exports.AudioStream = AudioStream;
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { normalizeRole } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+/**
+ * Auth Token Service
+ *
+ * Issues short-lived access tokens with a longer-lived refresh token alongside.
+ * Both carry a jti (token id) and the user's tokenVersion:
+ * - Logging out revokes the jti of both tokens
+ * - Refreshing revokes the refresh token used and issues a new pair; presenting a
+ *   refresh token that was already used revokes every session of its user, since
+ *   it has most likely been copied
+ * - Revoking a user bumps User.tokenVersion, which invalidates everything issued before
+ *
+ * Lifetimes come from JWT_ACCESS_EXPIRES_IN (default 15m) and JWT_REFRESH_EXPIRES_IN
+ * (default 7d). Verification failures are thrown as errors with a `code` of
+ * 'invalid', 'expired', 'revoked' or, for a refresh token used twice, 'reused'.
+ */
+
+const DEFAULT_SECRET = 'securevoice_secret';
+
+function authError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class AuthTokenService {
+  get secret() {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET is not set; refusing to sign tokens with the default secret');
+    }
+    return DEFAULT_SECRET;
+  }
+
+  get accessExpiresIn() {
+    return process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+  }
+
+  get refreshExpiresIn() {
+    return process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+  }
+
+  /**
+   * A new access and refresh token pair for a user
+   * @param {Object} user - User document
+   * @returns {{ token: string, refreshToken: string, expiresIn: string }}
+   */
+  issueTokens(user) {
+    const ver = user.tokenVersion || 0;
+    const token = jwt.sign(
+      { id: user._id, username: user.username, role: normalizeRole(user.role), ver, type: 'access' },
+      this.secret,
+      { expiresIn: this.accessExpiresIn, jwtid: crypto.randomUUID() }
+    );
+    const refreshToken = jwt.sign(
+      { id: user._id, ver, type: 'refresh' },
+      this.secret,
+      { expiresIn: this.refreshExpiresIn, jwtid: crypto.randomUUID() }
+    );
+    return { token, refreshToken, expiresIn: this.accessExpiresIn };
+  }
+
+  decode(token, type) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') throw authError('Token has expired', 'expired');
+      throw authError('Invalid token', 'invalid');
+    }
+    if (payload.type !== type || !payload.jti || !payload.id) {
+      throw authError('Invalid token', 'invalid');
+    }
+    return payload;
+  }
+
+  // Claims of a token without verifying it, for logging who presented it
+  claimsOf(token) {
+    return jwt.decode(token) || {};
+  }
+
+  // The token's user, checked against revocations; throws when the token may no longer be used
+  async checkRevocation(payload) {
+    const [revoked, user] = await Promise.all([
+      RevokedToken.exists({ jti: payload.jti }),
+      User.findById(payload.id).select('username email role tokenVersion')
+    ]);
+    if (!user) throw authError('User no longer exists', 'invalid');
+    if (revoked || (user.tokenVersion || 0) !== payload.ver) {
+      throw authError('Token has been revoked', 'revoked');
+    }
+    return user;
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token
+   * @returns {Promise<{ payload: Object, user: Object }>} The token claims and the user it was issued to
+   */
+  async verifyAccessToken(token) {
+    const payload = this.decode(token, 'access');
+    const user = await this.checkRevocation(payload);
+    return { payload, user };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair; the refresh token cannot be used again
+   * @param {string} refreshToken
+   * @returns {Promise<{ tokens: Object, user: Object }>}
+   */
+  async refresh(refreshToken) {
+    const payload = this.decode(refreshToken, 'refresh');
+
+    if (await RevokedToken.exists({ jti: payload.jti, reason: 'refreshed' })) {
+      await this.revokeAll(payload.id);
+      logger.warn(`[AuthTokens] Refresh token reused for user ${payload.id}; all of their sessions were revoked`);
+      throw authError('Refresh token has already been used', 'reused');
+    }
+
+    const user = await this.checkRevocation(payload);
+    // Only one of two concurrent refreshes with the same token gets a new pair
+    if (!(await this.revoke(payload, 'refreshed'))) {
+      throw authError('Token has been revoked', 'revoked');
+    }
+    return { tokens: this.issueTokens(user), user };
+  }
+
+  /**
+   * Revoke the tokens of one session
+   * @param {Object} accessPayload - Claims of the access token used to log out
+   * @param {string} [refreshToken] - Refresh token of the same session
+   */
+  async logout(accessPayload, refreshToken) {
+    await this.revoke(accessPayload, 'logout');
+    if (!refreshToken) return;
+    try {
+      const payload = this.decode(refreshToken, 'refresh');
+      if (String(payload.id) === String(accessPayload.id)) await this.revoke(payload, 'logout');
+    } catch (error) {
+      // An expired or invalid refresh token cannot be used anyway
+    }
+  }
+
+  /**
+   * Revoke every token issued to a user so far
+   * @param {string} userId
+   * @returns {Promise<Object|null>} The user, or null when there is none with that id
+   */
+  async revokeAll(userId) {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+    if (user) logger.info(`[AuthTokens] Revoked all sessions of ${user.username}`);
+    return user;
+  }
+
+  // Whether the token was revoked by this call rather than before it
+  async revoke(payload, reason) {
+    const result = await RevokedToken.updateOne(
+      { jti: payload.jti },
+      {
+        $setOnInsert: {
+          jti: payload.jti,
+          userId: payload.id,
+          type: payload.type,
+          reason,
+          expiresAt: new Date(payload.exp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  }
+}
+
+module.exports = new AuthTokenService();
@@ -0,0 +1,191 @@
+/**
+ * Barge-in Policy
+ *
+ * What happens when the customer talks over the agent, per workflow step:
+ * - 'immediate': the agent stops as soon as minSpeechMs of speech is heard
+ * - 'confirm': the agent keeps talking until the (partial) transcript shows real
+ *   words, or the speech runs longer than a backchannel can (maxBackchannelMs)
+ * - 'disabled': the agent never stops (mandatory disclosures); the customer's
+ *   turn is answered once the agent has finished
+ *
+ * Backchannels ("haan", "ok", "hmm") never stop the agent, unless they come within
+ * answerWindowMs of the end of a question: "yes" there is the customer's answer
+ * and is taken as their turn. When the agent was
+ * stopped and the customer turns out to have said only a backchannel, or nothing,
+ * the interrupted utterance is resumed from the sentence that was cut off, or
+ * rephrased, or dropped (resume: 'resume' | 'rephrase' | 'none').
+ */
+
+const languages = require('../utils/languages');
+
+const BARGE_IN_MODES = ['immediate', 'confirm', 'disabled'];
+const RESUME_STRATEGIES = ['resume', 'rephrase', 'none'];
+
+const DEFAULT_BARGE_IN_POLICY = {
+  mode: 'confirm',
+  minSpeechMs: 200,           // Shorter speech is ignored (coughs, line clicks)
+  maxBackchannelMs: 800,      // Speech running longer is a real interruption
+  resumeAfterMs: 4000,        // After the customer stops, wait this long for a transcript
+  answerWindowMs: 1500,       // Backchannels this close to the end of a question answer it
+  resume: 'resume',
+  backchannels: []            // Extra words or phrases treated as backchannels
+};
+
+// Customers cut in on long benefit and objection pitches to ask questions
+const STEP_TYPE_BARGE_IN = {
+  benefits: { mode: 'immediate' },
+  present_benefits: { mode: 'immediate' },
+  objection_handling: { mode: 'immediate', resume: 'rephrase' }
+};
+
+const POLICY_NUMBER_KEYS = ['minSpeechMs', 'maxBackchannelMs', 'resumeAfterMs', 'answerWindowMs'];
+
+// English, Hinglish and Hindi acknowledgements
+const BACKCHANNELS = new Set([
+  'ok', 'okay', 'k', 'yes', 'yeah', 'yep', 'yup', 'right', 'sure', 'alright', 'all right',
+  'fine', 'i see', 'got it', 'go on', 'go ahead', 'uh huh', 'mm hmm', 'hmm', 'hm', 'mm',
+  'haan', 'han', 'haa', 'ha', 'haanji', 'haan ji', 'hanji', 'ji', 'ji haan', 'achha', 'acha',
+  'accha', 'achcha', 'theek hai', 'thik hai', 'theek', 'thik', 'sahi', 'sahi hai', 'bolo', 'boliye',
+  'हाँ', 'हां', 'हा', 'जी', 'हाँ जी', 'हां जी', 'जी हाँ', 'जी हां', 'अच्छा', 'ठीक', 'ठीक है',
+  'ओके', 'हम्म', 'हूँ', 'हूं', 'सही', 'सही है', 'बोलिए', 'बोलो'
+]);
+
+// Drawn-out sounds: "hmmm", "mmm", "uhh", "haaan", "okkk"
+const FILLER_PATTERN = /^(h+m+|m+h*m*|u+h+|u+m+|a+h+|o+h+|ha+n*|o+k+a*y*)$/;
+
+const MAX_BACKCHANNEL_WORDS = 4;
+const MAX_PHRASE_WORDS = 3;
+
+// Used to place the cut-off point when the audio's full length is not known yet
+const ESTIMATED_CHARS_PER_SECOND = 15;
+
+// By language name; Hinglish ('mixed') is spoken from the Hindi text
+const REPHRASE_PREFIX = {
+  english: 'Sorry, as I was saying, ',
+  hindi: 'जी, तो ',
+  marathi: 'बरं, तर '
+};
+
+// Languages without a prefix of their own are rephrased without one rather than in English
+function rephrasePrefix(language) {
+  const name = languages.toLanguageName(language);
+  const prefix = languages.getLocalizedText(REPHRASE_PREFIX, name);
+  return name !== languages.DEFAULT_LANGUAGE && prefix === REPHRASE_PREFIX.english ? '' : prefix;
+}
+
+/**
+ * Policy from overrides on top of a base policy; unknown or invalid values are ignored
+ */
+function resolveBargeInPolicy(overrides, base = DEFAULT_BARGE_IN_POLICY) {
+  const policy = { ...base, backchannels: [...(base.backchannels || [])] };
+  if (!overrides) return policy;
+
+  if (BARGE_IN_MODES.includes(overrides.mode)) policy.mode = overrides.mode;
+  if (RESUME_STRATEGIES.includes(overrides.resume)) policy.resume = overrides.resume;
+  POLICY_NUMBER_KEYS.forEach(key => {
+    if (typeof overrides[key] === 'number' && overrides[key] >= 0) policy[key] = overrides[key];
+  });
+  if (Array.isArray(overrides.backchannels) && overrides.backchannels.length > 0) {
+    policy.backchannels = overrides.backchannels.filter(word => typeof word === 'string' && word.trim());
+  }
+  return policy;
+}
+
+/**
+ * Barge-in policy for a workflow step: defaults, then the step type's defaults,
+ * then values set on the step itself
+ */
+function resolveStepBargeIn(step) {
+  const typeDefaults = resolveBargeInPolicy(step && STEP_TYPE_BARGE_IN[step.type]);
+  return resolveBargeInPolicy(step && step.bargeIn, typeDefaults);
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Whether a transcript is only acknowledgement ("haan", "ok ok", "hmm theek hai")
+ * @param {string} text - Partial or final transcript
+ * @param {string[]} [extra] - Policy-specific backchannels
+ */
+function isBackchannel(text, extra = []) {
+  const words = tokenize(text);
+  if (words.length === 0 || words.length > MAX_BACKCHANNEL_WORDS) return false;
+  const custom = new Set(extra.map(phrase => tokenize(phrase).join(' ')));
+
+  let i = 0;
+  while (i < words.length) {
+    let matched = 0;
+    for (let n = Math.min(MAX_PHRASE_WORDS, words.length - i); n > 0; n--) {
+      const phrase = words.slice(i, i + n).join(' ');
+      if (BACKCHANNELS.has(phrase) || custom.has(phrase) || (n === 1 && FILLER_PATTERN.test(phrase))) {
+        matched = n;
+        break;
+      }
+    }
+    if (!matched) return false;
+    i += matched;
+  }
+  return true;
+}
+
+/**
+ * Whether agent text ends by asking the customer something
+ * @param {string} text - Utterance text
+ */
+function endsWithQuestion(text) {
+  return /[?？]["'”’)\s]*$/.test(text || '');
+}
+
+/**
+ * Text to speak after an interruption, starting at the sentence the customer cut off
+ * @param {Object} interrupted - { text, language, playedMs, totalMs } (totalMs null while synthesis was running)
+ * @param {string} strategy - 'resume' | 'rephrase' | 'none'
+ * @returns {string|null} Null when nothing is left or the strategy is 'none'
+ */
+function getResumeText(interrupted, strategy) {
+  if (!interrupted || !interrupted.text || strategy === 'none') return null;
+  const { text, playedMs } = interrupted;
+  const totalMs = interrupted.totalMs
+    || Math.max(playedMs, (text.length / ESTIMATED_CHARS_PER_SECOND) * 1000);
+  const cutAt = Math.floor(text.length * Math.min(1, playedMs / Math.max(totalMs, 1)));
+
+  let resumeFrom = null;
+  const sentences = /[^.!?।]+[.!?।]*\s*/g;
+  let match;
+  while ((match = sentences.exec(text)) !== null) {
+    if (match.index + match[0].length > cutAt && match[0].trim()) {
+      resumeFrom = match.index;
+      break;
+    }
+  }
+  if (resumeFrom === null) return null;
+
+  const remainder = text.slice(resumeFrom).trim();
+  if (strategy !== 'rephrase') return remainder;
+
+  const prefix = rephrasePrefix(interrupted.language);
+  if (prefix !== REPHRASE_PREFIX.english) return prefix + remainder;
+  // Keep "I" and acronyms capitalised after the prefix
+  const firstWord = remainder.split(/\s/)[0];
+  const keepCase = firstWord === 'I' || firstWord.startsWith("I'") || firstWord === firstWord.toUpperCase();
+  return REPHRASE_PREFIX.english + (keepCase ? remainder : remainder[0].toLowerCase() + remainder.slice(1));
+}
+
+module.exports = {
+  BARGE_IN_MODES,
+  RESUME_STRATEGIES,
+  DEFAULT_BARGE_IN_POLICY,
+  STEP_TYPE_BARGE_IN,
+  ESTIMATED_CHARS_PER_SECOND,
+  resolveBargeInPolicy,
+  resolveStepBargeIn,
+  isBackchannel,
+  endsWithQuestion,
+  getResumeText
+};
@@ -0,0 +1,600 @@
+/**
+ * Call Simulator
+ *
+ * Runs a call through the real media pipeline without Twilio. The simulator plays
+ * Twilio's part on a loopback WebSocket with the Media Streams protocol (connected,
+ * start, media, stop), streams the caller's audio in real time from WAV files or
+ * from text spoken by a TTS provider, and plays the agent's media back like a
+ * phone would: 20 ms at a time, dropping what is buffered on 'clear' and echoing
+ * each mark once the audio before it has been played.
+ *
+ * Targets:
+ * - 'workflow': twilioWebSocketHandler on /media, the handler of live calls
+ * - 'coordinator': CallCoordinator on /ws/twilio, set up with its 'init' message
+ *
+ * Calls use the mock STT, TTS and LLM providers unless the scenario picks others:
+ * the mock STT hears each turn's transcript and the mock LLM answers with the
+ * scenario's llmReplies, so a run needs no API keys (the workflow and Call
+ * records still live in MongoDB).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const { logger } = require('../utils/logger');
+const audioDsp = require('../utils/audioDsp');
+const twilioWebSocketHandler = require('./twilioWebSocketHandler');
+const { callCoordinator } = require('./CallCoordinator');
+const { interruptionHandler } = require('./interruption-handler');
+const sttProviderRegistry = require('./sttProviderRegistry');
+const ttsProviderRegistry = require('./ttsProviderRegistry');
+const mockLlmService = require('./mockLlmService');
+
+const TARGETS = {
+  workflow: '/media',
+  coordinator: '/ws/twilio'
+};
+
+const FRAME_MS = audioDsp.TWILIO_FRAME_MS;
+const SILENCE_FRAME = Buffer.alloc(audioDsp.TWILIO_FRAME_BYTES, audioDsp.MULAW_SILENCE);
+const MAX_STORED_RUNS = 20;
+
+const DEFAULTS = {
+  target: 'workflow',
+  language: 'en-US',
+  providers: { stt: 'mock', tts: 'mock', llm: 'mock' },
+  agentSilenceMs: 1200,   // The agent has finished its answer after this much silence
+  turnTimeoutMs: 20000,   // Longest wait for the agent before the caller speaks anyway
+  pauseMs: 400,           // Caller's pause before speaking
+  hangupAfterMs: 500      // After the agent's last answer
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Problems with a scenario, empty when it can be run
+ */
+function validateScenario(scenario) {
+  const errors = [];
+  if (!scenario || typeof scenario !== 'object') {
+    return ['scenario must be an object'];
+  }
+  if (scenario.target && !TARGETS[scenario.target]) {
+    errors.push(`target must be one of: ${Object.keys(TARGETS).join(', ')}`);
+  }
+  if (scenario.callId && !mongoose.Types.ObjectId.isValid(scenario.callId)) {
+    errors.push('callId must be a Call record id');
+  }
+  if (scenario.turns !== undefined && !Array.isArray(scenario.turns)) {
+    errors.push('turns must be an array');
+  }
+  if (scenario.llmReplies !== undefined && !Array.isArray(scenario.llmReplies)) {
+    errors.push('llmReplies must be an array');
+  }
+  (Array.isArray(scenario.turns) ? scenario.turns : []).forEach((turn, index) => {
+    if (!turn || (!turn.text && !turn.wav && !turn.audio)) {
+      errors.push(`turns[${index}] needs text, wav or audio`);
+    } else if (turn.wav && !fs.existsSync(turn.wav)) {
+      errors.push(`turns[${index}].wav not found: ${turn.wav}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * One simulated call: the fake phone on the Twilio side of the stream
+ */
+class SimulatedCall {
+  constructor(scenario) {
+    this.scenario = {
+      ...DEFAULTS,
+      ...scenario,
+      providers: { ...DEFAULTS.providers, ...(scenario.providers || {}) },
+      turns: scenario.turns || []
+    };
+    this.callId = scenario.callId || new mongoose.Types.ObjectId().toString();
+    this.streamSid = `MZ${crypto.randomBytes(16).toString('hex')}`;
+    this.callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+
+    this.ws = null;
+    this.startedAt = null;
+    this.pump = null;
+    this.framesSent = 0;
+    this.sequenceNumber = 0;
+
+    this.callerFrames = [];       // Caller audio still to be sent
+    this.playQueue = [];          // Agent audio and marks still to be played: { frame } | { mark }
+    this.lastAgentAudioAt = null; // Call time the phone last played agent audio
+    this.agentSpeechStartedAt = null;
+    this.recording = [];          // What the phone played, 20 ms per entry
+
+    this.report = {
+      id: this.callId,
+      callId: this.callId,
+      target: this.scenario.target,
+      streamSid: this.streamSid,
+      status: 'running',
+      startedAt: new Date(),
+      durationMs: null,
+      turns: [],
+      agent: { utterances: [], segments: [], audioMs: 0 },
+      marks: [],
+      clears: [],
+      bargeIn: [],
+      messages: [],
+      error: null
+    };
+
+    this.onUtterance = (event) => {
+      if (event.callId === this.callId) {
+        this.report.agent.utterances.push({ text: event.text, atMs: this.now() });
+      }
+    };
+    // Streamed answers grow after they start
+    this.onUtteranceText = (event) => {
+      const utterances = this.report.agent.utterances;
+      if (event.callId === this.callId && utterances.length > 0) {
+        utterances[utterances.length - 1].text = event.text;
+      }
+    };
+    this.onBargeIn = (decision) => {
+      if (decision.callId === this.callId) {
+        const { callId, timestamp, ...details } = decision;
+        this.report.bargeIn.push({ atMs: this.now(), ...details });
+      }
+    };
+  }
+
+  now() {
+    return this.startedAt ? Date.now() - this.startedAt : 0;
+  }
+
+  get agentSpeaking() {
+    return this.playQueue.some(item => item.frame);
+  }
+
+  /**
+   * Caller audio of a turn as 8 kHz μ-law
+   */
+  async getCallerAudio(turn) {
+    if (turn.wav || turn.audio) {
+      const wav = turn.wav ? await fs.promises.readFile(turn.wav) : Buffer.from(turn.audio, 'base64');
+      if (!audioDsp.parseWavHeader(wav)) {
+        throw new Error('Caller audio must be a WAV file');
+      }
+      return audioDsp.toTwilioMulaw(wav, 'wav');
+    }
+
+    const result = await ttsProviderRegistry.synthesize(turn.text, {
+      provider: turn.voice || this.scenario.callerVoice || 'mock',
+      language: turn.language || this.scenario.language,
+      formats: audioDsp.DECODABLE_FORMATS,
+      fallback: false
+    });
+    return audioDsp.toTwilioMulaw(result.audio, result.format);
+  }
+
+  // Mock providers hear and answer what the scenario scripts
+  scriptMocks() {
+    const { providers, turns, llmReplies, language } = this.scenario;
+    if (providers.stt === 'mock') {
+      sttProviderRegistry.getProvider('mock').setScript(this.callId, turns.map(turn => ({
+        text: turn.transcript !== undefined ? turn.transcript : (turn.text || ''),
+        language: turn.language || language
+      })));
+    }
+    if (providers.llm === 'mock' && llmReplies) {
+      mockLlmService.setScript(this.callId, llmReplies);
+    }
+  }
+
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  async connect(url) {
+    this.ws = new WebSocket(url, { perMessageDeflate: false });
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+    this.ws.on('message', (message) => this.handleAgentMessage(message));
+    this.ws.on('error', (error) => logger.warn(`[Simulator] Call ${this.callId} socket error: ${error.message}`));
+    this.startedAt = Date.now();
+
+    const { providers, language, script, prompt, voiceId } = this.scenario;
+    this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    this.send({
+      event: 'start',
+      sequenceNumber: String(++this.sequenceNumber),
+      streamSid: this.streamSid,
+      start: {
+        streamSid: this.streamSid,
+        callSid: this.callSid,
+        accountSid: 'ACsimulator',
+        tracks: ['inbound'],
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: audioDsp.TWILIO_SAMPLE_RATE, channels: 1 },
+        customParameters: {
+          callId: this.callId,
+          language,
+          ttsProvider: providers.tts,
+          sttProvider: providers.stt,
+          llmProvider: providers.llm,
+          ...(script ? { script } : {}),
+          ...(prompt ? { prompt } : {}),
+          ...(voiceId ? { selectedVoice: voiceId } : {})
+        }
+      }
+    });
+
+    // CallCoordinator is configured with its own control message after 'start'
+    if (this.scenario.target === 'coordinator') {
+      this.send({
+        type: 'init',
+        config: {
+          language,
+          ttsProvider: providers.tts,
+          sttProvider: providers.stt,
+          llmProvider: providers.llm,
+          voiceId: voiceId || null,
+          scriptId: this.scenario.scriptId,
+          promptId: this.scenario.promptId,
+          bargeIn: this.scenario.bargeIn
+        }
+      });
+    }
+
+    this.pump = setInterval(() => this.tick(), FRAME_MS / 2);
+  }
+
+  handleAgentMessage(message) {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      return;
+    }
+
+    switch (data.event) {
+      case 'media': {
+        const audio = Buffer.from(data.media.payload, 'base64');
+        audioDsp.splitFrames(audio).forEach(frame => this.playQueue.push({ frame }));
+        break;
+      }
+      case 'mark':
+        this.playQueue.push({ mark: { name: data.mark && data.mark.name, sentMs: this.now() } });
+        break;
+      case 'clear': {
+        // Twilio drops the buffered audio and returns the marks that were waiting in it
+        const dropped = this.playQueue.filter(item => item.frame).length;
+        const marks = this.playQueue.filter(item => item.mark).map(item => item.mark);
+        this.playQueue = [];
+        this.report.clears.push({ atMs: this.now(), droppedMs: dropped * FRAME_MS });
+        this.endSegment(true);
+        marks.forEach(mark => this.playMark(mark, true));
+        break;
+      }
+      default:
+        // CallCoordinator also reports transcripts and language changes on the stream
+        this.report.messages.push({ atMs: this.now(), ...data });
+    }
+  }
+
+  playMark(mark, cleared = false) {
+    this.report.marks.push({ ...mark, playedMs: this.now(), cleared });
+    this.send({
+      event: 'mark',
+      sequenceNumber: String(++this.sequenceNumber),
+      streamSid: this.streamSid,
+      mark: { name: mark.name }
+    });
+  }
+
+  endSegment(cleared = false) {
+    if (this.agentSpeechStartedAt === null) return;
+    const endMs = this.now();
+    this.report.agent.segments.push({
+      startMs: this.agentSpeechStartedAt,
+      endMs,
+      durationMs: endMs - this.agentSpeechStartedAt,
+      cleared
+    });
+    this.agentSpeechStartedAt = null;
+  }
+
+  /**
+   * Send the caller frames and play the agent frames that are due, in real time
+   */
+  tick() {
+    const due = Math.floor(this.now() / FRAME_MS);
+    while (this.framesSent < due) {
+      const frame = this.callerFrames.shift() || SILENCE_FRAME;
+      this.framesSent++;
+      this.send({
+        event: 'media',
+        sequenceNumber: String(++this.sequenceNumber),
+        streamSid: this.streamSid,
+        media: {
+          track: 'inbound',
+          chunk: String(this.framesSent),
+          timestamp: String(this.framesSent * FRAME_MS),
+          payload: frame.toString('base64')
+        }
+      });
+      this.playFrame();
+    }
+  }
+
+  playFrame() {
+    while (this.playQueue.length > 0 && this.playQueue[0].mark) {
+      this.playMark(this.playQueue.shift().mark);
+    }
+
+    const item = this.playQueue.shift();
+    if (item) {
+      if (this.agentSpeechStartedAt === null) {
+        this.agentSpeechStartedAt = this.now();
+      }
+      this.lastAgentAudioAt = this.now();
+      this.report.agent.audioMs += FRAME_MS;
+    } else {
+      this.endSegment();
+    }
+    if (this.scenario.saveAudio) {
+      this.recording.push(item ? item.frame : SILENCE_FRAME);
+    }
+
+    while (this.playQueue.length > 0 && this.playQueue[0].mark) {
+      this.playMark(this.playQueue.shift().mark);
+    }
+  }
+
+  async waitUntil(predicate, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+      if (Date.now() >= deadline || !this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+      await sleep(FRAME_MS);
+    }
+    return true;
+  }
+
+  /**
+   * Wait until the agent has spoken since `sinceMs` and gone quiet again
+   * @returns {Promise<boolean>} false when the agent did not answer in time
+   */
+  async waitForAgent(sinceMs) {
+    const { agentSilenceMs, turnTimeoutMs } = this.scenario;
+    return this.waitUntil(() => this.lastAgentAudioAt !== null
+      && this.lastAgentAudioAt >= sinceMs
+      && !this.agentSpeaking
+      && this.now() - this.lastAgentAudioAt >= agentSilenceMs, turnTimeoutMs);
+  }
+
+  async speak(turn, index, previousEndMs) {
+    const entry = {
+      index,
+      source: turn.wav || turn.audio ? 'wav' : 'tts',
+      text: turn.text || null,
+      transcript: turn.transcript !== undefined ? turn.transcript : (turn.text || null),
+      agentAnswered: true,
+      overAgent: false
+    };
+
+    if (turn.overAgentMs !== undefined) {
+      // Barge in: start talking this long after the agent starts
+      entry.agentAnswered = await this.waitUntil(() => this.agentSpeaking, this.scenario.turnTimeoutMs);
+      await sleep(turn.overAgentMs);
+    } else if (turn.waitForAgent !== false) {
+      entry.agentAnswered = await this.waitForAgent(previousEndMs);
+    }
+
+    const audio = await this.getCallerAudio(turn);
+    await sleep(turn.pauseMs !== undefined ? turn.pauseMs : this.scenario.pauseMs);
+
+    entry.overAgent = this.agentSpeaking;
+    entry.startMs = this.now();
+    this.callerFrames.push(...audioDsp.splitFrames(audio));
+    await this.waitUntil(() => this.callerFrames.length === 0, audio.length / 8 + this.scenario.turnTimeoutMs);
+    entry.endMs = this.now();
+    entry.durationMs = entry.endMs - entry.startMs;
+
+    this.report.turns.push(entry);
+    return entry.endMs;
+  }
+
+  async run(url) {
+    interruptionHandler.on('utterance', this.onUtterance);
+    interruptionHandler.on('utteranceText', this.onUtteranceText);
+    interruptionHandler.on('bargeIn', this.onBargeIn);
+    try {
+      this.scriptMocks();
+      await this.connect(url);
+
+      let lastEndMs = 0;
+      for (let index = 0; index < this.scenario.turns.length; index++) {
+        lastEndMs = await this.speak(this.scenario.turns[index], index, lastEndMs);
+      }
+      this.report.lastTurnAnswered = await this.waitForAgent(lastEndMs);
+      await sleep(this.scenario.hangupAfterMs);
+
+      this.report.status = 'completed';
+    } catch (error) {
+      logger.error(`[Simulator] Call ${this.callId} failed: ${error.message}`);
+      this.report.status = 'failed';
+      this.report.error = error.message;
+    } finally {
+      await this.hangUp();
+      interruptionHandler.removeListener('utterance', this.onUtterance);
+      interruptionHandler.removeListener('utteranceText', this.onUtteranceText);
+      interruptionHandler.removeListener('bargeIn', this.onBargeIn);
+      sttProviderRegistry.clearCall(this.callId);
+      mockLlmService.endCall(this.callId);
+    }
+    return this.summarize();
+  }
+
+  async hangUp() {
+    clearInterval(this.pump);
+    this.endSegment();
+    if (!this.ws) return;
+
+    this.send({
+      event: 'stop',
+      sequenceNumber: String(++this.sequenceNumber),
+      streamSid: this.streamSid,
+      stop: { accountSid: 'ACsimulator', callSid: this.callSid }
+    });
+    if (this.ws.readyState === WebSocket.OPEN) {
+      const closed = new Promise(resolve => this.ws.once('close', resolve));
+      this.ws.close(1000, 'Simulated call ended');
+      await Promise.race([closed, sleep(2000)]);
+    }
+  }
+
+  // Response latency: from the end of each caller turn to the agent's next audio
+  summarize() {
+    const { turns, agent } = this.report;
+    turns.forEach((turn, index) => {
+      const nextTurn = turns[index + 1];
+      const answer = agent.segments.find(segment => segment.startMs >= turn.endMs
+        && (!nextTurn || segment.startMs < nextTurn.startMs));
+      turn.responseLatencyMs = answer ? answer.startMs - turn.endMs : null;
+    });
+    this.report.durationMs = this.now();
+    return this.report;
+  }
+
+  getRecording() {
+    return audioDsp.wrapWav(Buffer.concat(this.recording), {
+      sampleRate: audioDsp.TWILIO_SAMPLE_RATE,
+      encoding: 'mulaw'
+    });
+  }
+}
+
+class CallSimulator {
+  constructor() {
+    this.servers = new Map(); // target -> Promise of { server, url }
+    this.runs = new Map();    // run id -> SimulatedCall, most recent last
+  }
+
+  /**
+   * Loopback server with the target's stream handler, started on first use
+   */
+  getTargetUrl(target) {
+    if (!this.servers.has(target)) {
+      this.servers.set(target, this.listen(target).catch((error) => {
+        this.servers.delete(target);
+        throw error;
+      }));
+    }
+    return this.servers.get(target).then(({ url }) => url);
+  }
+
+  async listen(target) {
+    const server = http.createServer((req, res) => {
+      res.writeHead(426);
+      res.end();
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', resolve);
+    });
+
+    // Each target gets its own server: a WebSocket server refuses upgrades for other paths
+    if (target === 'coordinator') {
+      callCoordinator.initWebSocketServer(server);
+    } else {
+      const wss = new WebSocket.Server({ server, path: TARGETS.workflow, perMessageDeflate: false });
+      twilioWebSocketHandler.initialize(wss);
+    }
+
+    const url = `ws://127.0.0.1:${server.address().port}${TARGETS[target]}`;
+    logger.info(`[Simulator] ${target} stream handler listening on ${url}`);
+    return { server, url };
+  }
+
+  /**
+   * Start a simulated call
+   * @param {Object} scenario - { target, callId, language, script, prompt, providers: { stt, tts, llm },
+   *   voiceId, callerVoice, bargeIn, scriptId, promptId, llmReplies, agentSilenceMs, turnTimeoutMs,
+   *   pauseMs, saveAudio, turns: [{ text | wav | audio (base64 WAV), transcript, voice, language,
+   *   pauseMs, waitForAgent, overAgentMs }] }
+   * @returns {Object} { id, done } where done resolves to the report
+   */
+  start(scenario) {
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+      throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+    }
+
+    const call = new SimulatedCall(scenario);
+    if (this.runs.has(call.callId)) {
+      throw new Error(`Call ${call.callId} is already being simulated`);
+    }
+    this.runs.set(call.callId, call);
+    while (this.runs.size > MAX_STORED_RUNS) {
+      this.runs.delete(this.runs.keys().next().value);
+    }
+
+    const done = this.getTargetUrl(call.scenario.target)
+      .then(url => call.run(url))
+      .catch((error) => {
+        call.report.status = 'failed';
+        call.report.error = error.message;
+        return call.report;
+      });
+
+    return { id: call.callId, done };
+  }
+
+  /**
+   * Simulate a call and wait for its report
+   */
+  async run(scenario) {
+    return this.start(scenario).done;
+  }
+
+  getRun(id) {
+    const call = this.runs.get(id);
+    return call ? call.report : null;
+  }
+
+  listRuns() {
+    return Array.from(this.runs.values()).reverse().map(call => ({
+      id: call.callId,
+      target: call.report.target,
+      status: call.report.status,
+      startedAt: call.report.startedAt,
+      durationMs: call.report.durationMs,
+      turns: call.report.turns.length
+    }));
+  }
+
+  /**
+   * What the simulated phone played of the agent, as an 8 kHz μ-law WAV
+   * (runs with saveAudio only)
+   */
+  getRecording(id) {
+    const call = this.runs.get(id);
+    return call && call.scenario.saveAudio ? call.getRecording() : null;
+  }
+
+  validateScenario(scenario) {
+    return validateScenario(scenario);
+  }
+
+  async close() {
+    for (const listening of this.servers.values()) {
+      const { server } = await listening;
+      await new Promise(resolve => server.close(resolve));
+    }
+    this.servers.clear();
+  }
+}
+
+module.exports = new CallSimulator();
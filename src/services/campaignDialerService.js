@@ -0,0 +1,499 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const CampaignAttempt = require('../models/CampaignAttempt');
+const Call = require('../models/Call');
+const twilioService = require('./twilioService');
+
+const TICK_INTERVAL_MS = parseInt(process.env.DIALER_TICK_INTERVAL_MS, 10) || 5000;
+// Attempts that never receive a terminal status callback are checked after this long,
+// and settled unless their call is still live
+const STALE_ATTEMPT_MINUTES = parseInt(process.env.DIALER_STALE_ATTEMPT_MINUTES, 10) || 30;
+
+const IN_FLIGHT_STATUSES = ['dialing', 'in_progress'];
+const PENDING_STATUSES = ['queued', 'retry_scheduled'];
+
+// Twilio CallStatus values that end a call, mapped to campaign outcomes
+const TERMINAL_CALL_OUTCOMES = {
+  completed: 'completed',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+class CampaignDialerService {
+  constructor() {
+    this.controller = null;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register the CallController used to place calls (set up by callRoutes)
+   */
+  attachController(controller) {
+    this.controller = controller;
+  }
+
+  /**
+   * Recover attempts interrupted by a restart and start the dialing loop
+   */
+  async start() {
+    if (this.timer) return;
+
+    try {
+      await this.recoverInterruptedAttempts();
+    } catch (error) {
+      console.error('[CampaignDialer] Error recovering interrupted attempts:', error);
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    console.log(`[CampaignDialer] Dialer started (tick every ${TICK_INTERVAL_MS}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Create a campaign and persist one queued attempt per contact row
+   */
+  async createCampaign(options, rows) {
+    const campaign = await Campaign.create({
+      name: options.name || `Bulk campaign ${new Date().toISOString()}`,
+      sourceFile: options.sourceFile,
+      callConfig: options.callConfig,
+      pacing: options.pacing,
+      retryPolicy: options.retryPolicy,
+      totalContacts: rows.length
+    });
+
+    const attempts = rows.map((row, index) => ({
+      campaignId: campaign._id,
+      phoneNumber: row.phoneNumber,
+      rowNumber: index + 1,
+      rowData: row.rowData,
+      status: row.blockedReason ? 'blocked' : 'queued',
+      lastOutcome: row.blockedReason,
+      nextAttemptAt: new Date()
+    }));
+
+    if (attempts.length > 0) {
+      await CampaignAttempt.insertMany(attempts, { ordered: false });
+    }
+
+    console.log(`[CampaignDialer] Created campaign ${campaign._id} with ${attempts.length} contacts`);
+
+    // Start dialing straight away instead of waiting for the next tick
+    setImmediate(() => this.tick());
+
+    return campaign;
+  }
+
+  /**
+   * Requeue attempts that were claimed but never reached Twilio before a restart
+   */
+  async recoverInterruptedAttempts() {
+    const requeued = await CampaignAttempt.updateMany(
+      { status: 'dialing', currentCallId: null },
+      { $set: { status: 'queued', nextAttemptAt: new Date() }, $inc: { attempts: -1 } }
+    );
+
+    // Calls created before the restart still get status callbacks, so keep tracking them
+    const resumed = await CampaignAttempt.updateMany(
+      { status: 'dialing', currentCallId: { $ne: null } },
+      { $set: { status: 'in_progress' } }
+    );
+
+    if (requeued.modifiedCount || resumed.modifiedCount) {
+      console.log(`[CampaignDialer] Recovered ${requeued.modifiedCount} requeued and ${resumed.modifiedCount} in-flight attempts`);
+    }
+  }
+
+  /**
+   * One pass of the dialing loop over every running campaign
+   */
+  async tick() {
+    if (this.ticking || mongoose.connection.readyState !== 1) return;
+    this.ticking = true;
+
+    try {
+      await this.settleStaleAttempts();
+
+      const campaigns = await Campaign.find({ status: 'running' });
+      for (const campaign of campaigns) {
+        await this.dispatchCampaign(campaign);
+      }
+    } catch (error) {
+      console.error('[CampaignDialer] Error during dialer tick:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Dial as many attempts as the campaign's concurrency and pacing limits allow
+   */
+  async dispatchCampaign(campaign) {
+    if (!this.controller) {
+      console.warn('[CampaignDialer] No call controller attached, skipping dispatch');
+      return;
+    }
+
+    const now = new Date();
+    const [inFlight, dialedLastMinute] = await Promise.all([
+      CampaignAttempt.countDocuments({ campaignId: campaign._id, status: { $in: IN_FLIGHT_STATUSES } }),
+      CampaignAttempt.countDocuments({ campaignId: campaign._id, lastDialedAt: { $gte: new Date(now.getTime() - 60000) } })
+    ]);
+
+    const available = Math.min(
+      campaign.pacing.maxConcurrentCalls - inFlight,
+      campaign.pacing.callsPerMinute - dialedLastMinute
+    );
+
+    for (let i = 0; i < available; i++) {
+      const attempt = await CampaignAttempt.findOneAndUpdate(
+        {
+          campaignId: campaign._id,
+          status: { $in: PENDING_STATUSES },
+          nextAttemptAt: { $lte: now }
+        },
+        {
+          $set: { status: 'dialing', lastDialedAt: new Date(), currentCallId: null, lastError: null },
+          $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1, rowNumber: 1 }, new: true }
+      );
+
+      if (!attempt) break;
+      await this.dialAttempt(campaign, attempt);
+    }
+
+    if (inFlight === 0) {
+      await this.checkCampaignCompletion(campaign._id);
+    }
+  }
+
+  /**
+   * Place a single call through CallController.initiateCall
+   */
+  async dialAttempt(campaign, attempt) {
+    const { callConfig } = campaign;
+    const callData = {
+      phoneNumber: attempt.phoneNumber,
+      scriptId: callConfig.scriptId.toString(),
+      promptId: callConfig.promptId.toString(),
+      ttsProvider: callConfig.ttsProvider,
+      sttProvider: callConfig.sttProvider,
+      llmProvider: callConfig.llmProvider,
+      voiceId: callConfig.voiceId,
+      language: callConfig.language,
+      campaignId: campaign._id.toString(),
+      campaignAttemptId: attempt._id.toString()
+    };
+
+    console.log(`[CampaignDialer] Dialing ${attempt.phoneNumber} (campaign ${campaign._id}, attempt ${attempt.attempts})`);
+
+    let result;
+    try {
+      result = await this.invokeController('initiateCall', callData);
+    } catch (error) {
+      result = { statusCode: 500, payload: { message: error.message } };
+    }
+
+    const { statusCode, payload = {} } = result;
+    if (statusCode === 200 && payload.callId) {
+      await CampaignAttempt.updateOne(
+        { _id: attempt._id, status: 'dialing' },
+        { $set: { status: 'in_progress', currentCallId: payload.callId } }
+      );
+      return;
+    }
+
+    if (payload.compliance) {
+      await this.applyComplianceDecision(attempt, payload.compliance, payload.message);
+      return;
+    }
+
+    const reason = payload.error || payload.message || `HTTP ${statusCode}`;
+    console.error(`[CampaignDialer] Failed to dial ${attempt.phoneNumber}: ${reason}`);
+    await this.settleAttempt(attempt._id, 'failed', reason);
+  }
+
+  /**
+   * Defer or block an attempt refused by the compliance gate; deferrals do not use up an attempt
+   */
+  async applyComplianceDecision(attempt, compliance, message) {
+    if (compliance.action === 'defer' && compliance.retryAt) {
+      await CampaignAttempt.updateOne(
+        { _id: attempt._id, status: 'dialing' },
+        this.withLastDialRestored(attempt, {
+          $set: {
+            status: 'retry_scheduled',
+            nextAttemptAt: new Date(compliance.retryAt),
+            lastOutcome: `deferred_${compliance.reason}`,
+            lastError: message
+          },
+          $inc: { attempts: -1 }
+        })
+      );
+      console.log(`[CampaignDialer] Deferred ${attempt.phoneNumber} until ${compliance.retryAt} (${compliance.reason})`);
+      return;
+    }
+
+    await CampaignAttempt.updateOne(
+      { _id: attempt._id, status: 'dialing' },
+      this.withLastDialRestored(attempt, {
+        $set: { status: 'blocked', lastOutcome: compliance.reason, lastError: message }
+      })
+    );
+    console.log(`[CampaignDialer] Blocked ${attempt.phoneNumber} (${compliance.reason})`);
+    await this.checkCampaignCompletion(attempt.campaignId);
+  }
+
+  /**
+   * Nothing is dialled when the compliance gate refuses a claim, so the claim must not
+   * count against callsPerMinute: lastDialedAt goes back to the attempt's last real dial
+   */
+  withLastDialRestored(attempt, update) {
+    const lastDial = attempt.history.length > 0 ? attempt.history[attempt.history.length - 1].dialedAt : null;
+    if (lastDial) {
+      update.$set.lastDialedAt = lastDial;
+    } else {
+      update.$unset = { lastDialedAt: 1 };
+    }
+    return update;
+  }
+
+  /**
+   * Call a CallController handler with a synthetic request and capture its JSON response
+   */
+  async invokeController(method, body) {
+    const captured = { statusCode: 200, payload: undefined };
+    const res = {
+      status(code) {
+        captured.statusCode = code;
+        return res;
+      },
+      json(payload) {
+        captured.payload = payload;
+        return res;
+      },
+      send(payload) {
+        captured.payload = payload;
+        return res;
+      }
+    };
+
+    await this.controller[method]({ body, params: {} }, res);
+    return captured;
+  }
+
+  /**
+   * Update the attempt for a campaign call from a Twilio status callback
+   */
+  async handleCallStatus(call, callStatus) {
+    try {
+      const attempt = await CampaignAttempt.findById(call.campaignAttemptId);
+      if (!attempt || !IN_FLIGHT_STATUSES.includes(attempt.status)) return;
+
+      const outcome = TERMINAL_CALL_OUTCOMES[callStatus];
+      if (!outcome) {
+        await CampaignAttempt.updateOne(
+          { _id: attempt._id, status: 'dialing' },
+          { $set: { status: 'in_progress', currentCallId: call._id } }
+        );
+        return;
+      }
+
+      await this.settleAttempt(attempt._id, outcome, null, call._id);
+    } catch (error) {
+      console.error(`[CampaignDialer] Error handling status ${callStatus} for call ${call._id}:`, error);
+    }
+  }
+
+  /**
+   * Record the outcome of an attempt and schedule a retry when the policy allows it
+   */
+  async settleAttempt(attemptId, outcome, error = null, callId = null) {
+    const attempt = await CampaignAttempt.findById(attemptId);
+    if (!attempt) return;
+
+    const campaign = await Campaign.findById(attempt.campaignId);
+    const retryPolicy = campaign ? campaign.retryPolicy : null;
+
+    let status = outcome === 'completed' ? 'completed' : 'failed';
+    let nextAttemptAt = attempt.nextAttemptAt;
+
+    if (campaign && campaign.status === 'cancelled') {
+      status = 'cancelled';
+    } else if (retryPolicy && retryPolicy.retryOn.includes(outcome) && attempt.attempts < retryPolicy.maxAttempts) {
+      const intervals = retryPolicy.retryIntervalsMinutes.length > 0 ? retryPolicy.retryIntervalsMinutes : [30];
+      const delayMinutes = intervals[Math.min(attempt.attempts - 1, intervals.length - 1)];
+      status = 'retry_scheduled';
+      nextAttemptAt = new Date(Date.now() + delayMinutes * 60000);
+    }
+
+    const updated = await CampaignAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: { $in: IN_FLIGHT_STATUSES } },
+      {
+        $set: { status, nextAttemptAt, lastOutcome: outcome, lastError: error, currentCallId: null },
+        $push: {
+          history: {
+            callId: callId || attempt.currentCallId,
+            dialedAt: attempt.lastDialedAt,
+            endedAt: new Date(),
+            outcome,
+            error
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) return;
+
+    console.log(`[CampaignDialer] Attempt ${attempt._id} (${attempt.phoneNumber}) ended with ${outcome} -> ${status}`);
+    if (status !== 'retry_scheduled') {
+      await this.checkCampaignCompletion(attempt.campaignId);
+    }
+  }
+
+  /**
+   * Settle attempts whose calls never reported a terminal status (lost webhooks, crashes).
+   * A call that is still live is left alone, so its number is not dialled again while connected.
+   */
+  async settleStaleAttempts() {
+    const cutoff = new Date(Date.now() - STALE_ATTEMPT_MINUTES * 60000);
+    const staleAttempts = await CampaignAttempt.find({
+      status: { $in: IN_FLIGHT_STATUSES },
+      lastDialedAt: { $lt: cutoff }
+    });
+
+    for (const attempt of staleAttempts) {
+      const call = attempt.currentCallId ? await Call.findById(attempt.currentCallId) : null;
+      const status = await this.getFinalCallStatus(call);
+      if (status === null) continue;
+
+      const outcome = TERMINAL_CALL_OUTCOMES[status];
+      await this.settleAttempt(attempt._id, outcome || 'failed', outcome ? null : 'No final call status received', attempt.currentCallId);
+    }
+  }
+
+  /**
+   * Terminal status of a stale attempt's call: the recorded one, else Twilio's.
+   * Returns null while the call is live or its status cannot be checked, and
+   * undefined when there is no call to check.
+   */
+  async getFinalCallStatus(call) {
+    if (!call) return undefined;
+    if (TERMINAL_CALL_OUTCOMES[call.status]) return call.status;
+    if (!call.twilioSid) return undefined;
+
+    try {
+      const status = await twilioService.getCallStatus(call.twilioSid);
+      if (TERMINAL_CALL_OUTCOMES[status]) return status;
+      console.log(`[CampaignDialer] Call ${call._id} is still ${status} on Twilio, leaving its attempt in flight`);
+    } catch (error) {
+      console.error(`[CampaignDialer] Could not check Twilio status of call ${call._id}, leaving its attempt in flight:`, error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Mark a running campaign completed once nothing is left to dial
+   */
+  async checkCampaignCompletion(campaignId) {
+    const remaining = await CampaignAttempt.countDocuments({
+      campaignId,
+      status: { $in: [...PENDING_STATUSES, ...IN_FLIGHT_STATUSES] }
+    });
+
+    if (remaining === 0) {
+      const campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, status: 'running' },
+        { status: 'completed', completedAt: new Date() },
+        { new: true }
+      );
+      if (campaign) {
+        console.log(`[CampaignDialer] Campaign ${campaignId} completed`);
+      }
+    }
+  }
+
+  async pauseCampaign(campaignId) {
+    return Campaign.findOneAndUpdate(
+      { _id: campaignId, status: 'running' },
+      { status: 'paused', pausedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  async resumeCampaign(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: 'paused' },
+      { status: 'running', pausedAt: null },
+      { new: true }
+    );
+
+    if (campaign) {
+      setImmediate(() => this.tick());
+    }
+    return campaign;
+  }
+
+  /**
+   * Cancel a campaign; calls already in progress are left to finish
+   */
+  async cancelCampaign(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: ['running', 'paused'] } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (campaign) {
+      await CampaignAttempt.updateMany(
+        { campaignId, status: { $in: PENDING_STATUSES } },
+        { $set: { status: 'cancelled' } }
+      );
+    }
+    return campaign;
+  }
+
+  /**
+   * Campaign document with attempt counts per status
+   */
+  async getCampaignProgress(campaignId) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) return null;
+
+    const counts = await CampaignAttempt.aggregate([
+      { $match: { campaignId: campaign._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = {};
+    counts.forEach(({ _id, count }) => { byStatus[_id] = count; });
+
+    const finished = ['completed', 'failed', 'blocked', 'cancelled']
+      .reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+
+    return {
+      campaign,
+      progress: {
+        total: campaign.totalContacts,
+        byStatus,
+        finished,
+        percentComplete: campaign.totalContacts > 0
+          ? Math.round((finished / campaign.totalContacts) * 100)
+          : 100
+      }
+    };
+  }
+}
+
+module.exports = new CampaignDialerService();
@@ -0,0 +1,289 @@
+const DncEntry = require('../models/DncEntry');
+const ComplianceRule = require('../models/ComplianceRule');
+const ComplianceAudit = require('../models/ComplianceAudit');
+const Call = require('../models/Call');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Applied when no ComplianceRule matches a number: 9am-9pm IST, no Sundays
+const DEFAULT_RULE = {
+  name: 'Default (IST)',
+  timezone: 'Asia/Kolkata',
+  startTime: '09:00',
+  endTime: '21:00',
+  allowedDays: [1, 2, 3, 4, 5, 6],
+  maxAttemptsPerWeek: 3
+};
+
+const DNC_EXPORT_COLUMNS = ['phoneNumber', 'reason', 'source', 'notes', 'expiresAt', 'createdAt'];
+
+class ComplianceService {
+  /**
+   * Normalise a phone number to the E.164 form used for DNC lookups
+   */
+  normalizePhoneNumber(phoneNumber) {
+    if (!phoneNumber) return '';
+    const trimmed = String(phoneNumber).trim();
+    const digits = trimmed.replace(/[^\d]/g, '');
+    return trimmed.startsWith('+') ? `+${digits}` : digits;
+  }
+
+  /**
+   * Pattern matching a number however a Call row stored it: with or without
+   * separators and, for Indian numbers, with +91, 91, a leading 0 or just the
+   * 10 digits. Rows written before numbers were normalised are not in E.164.
+   */
+  phoneNumberPattern(phoneNumber) {
+    const digits = this.normalizePhoneNumber(phoneNumber).replace(/^\+/, '');
+    const indian = /^91[6-9]\d{9}$/.test(digits) || /^0?[6-9]\d{9}$/.test(digits);
+    const significant = indian ? digits.slice(-10) : digits;
+    const prefix = indian ? '\\D*(?:91)?\\D*0?' : '';
+    return new RegExp(`^\\D*${prefix}${significant.split('').join('\\D*')}\\D*$`);
+  }
+
+  /**
+   * Decide whether an outbound call may be placed now.
+   * Returns { allowed: true } or { allowed: false, action: 'reject'|'defer', reason, message, retryAt }
+   */
+  async checkOutboundCall(phoneNumber, context = {}) {
+    const number = this.normalizePhoneNumber(phoneNumber);
+    const now = context.now || new Date();
+
+    const dncEntry = await this.findDncEntry(number, now);
+    if (dncEntry) {
+      return this.recordBlockDecision(number, {
+        action: 'reject',
+        reason: 'dnc',
+        message: `Number is on the do-not-call list (${dncEntry.reason})`
+      }, context);
+    }
+
+    const rule = await this.getRuleForNumber(number);
+
+    const window = this.evaluateCallingWindow(rule, now);
+    if (!window.allowed) {
+      return this.recordBlockDecision(number, {
+        action: window.retryAt ? 'defer' : 'reject',
+        reason: 'outside_calling_hours',
+        message: `Outside calling hours for ${rule.name} (${rule.startTime}-${rule.endTime} ${rule.timezone})`,
+        retryAt: window.retryAt,
+        ruleId: rule._id
+      }, context);
+    }
+
+    const recentCalls = await Call.find({
+      customerNumber: this.phoneNumberPattern(number),
+      createdAt: { $gte: new Date(now.getTime() - WEEK_MS) }
+    }).select('createdAt').sort({ createdAt: 1 });
+
+    if (recentCalls.length >= rule.maxAttemptsPerWeek) {
+      return this.recordBlockDecision(number, {
+        action: 'defer',
+        reason: 'attempt_limit',
+        message: `Weekly attempt limit of ${rule.maxAttemptsPerWeek} reached`,
+        retryAt: new Date(recentCalls[0].createdAt.getTime() + WEEK_MS),
+        ruleId: rule._id
+      }, context);
+    }
+
+    return { allowed: true, ruleId: rule._id };
+  }
+
+  /**
+   * Screen bulk upload numbers against the DNC list, auditing each blocked row.
+   * Returns the set of blocked (normalised) numbers.
+   */
+  async screenBulkNumbers(phoneNumbers, context = {}) {
+    const numbers = [...new Set(phoneNumbers.map(number => this.normalizePhoneNumber(number)))];
+    const entries = await DncEntry.find({
+      phoneNumber: { $in: numbers },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    const blocked = new Set(entries.map(entry => entry.phoneNumber));
+    if (blocked.size > 0) {
+      await ComplianceAudit.insertMany([...blocked].map(phoneNumber => ({
+        phoneNumber,
+        decision: 'rejected',
+        reason: 'dnc',
+        details: 'Number is on the do-not-call list',
+        source: 'bulk_upload',
+        campaignId: context.campaignId
+      })));
+    }
+
+    return blocked;
+  }
+
+  async recordBlockDecision(phoneNumber, decision, context = {}) {
+    try {
+      await ComplianceAudit.create({
+        phoneNumber,
+        decision: decision.action === 'defer' ? 'deferred' : 'rejected',
+        reason: decision.reason,
+        details: decision.message,
+        source: context.source || 'manual',
+        campaignId: context.campaignId,
+        ruleId: decision.ruleId,
+        retryAt: decision.retryAt
+      });
+    } catch (error) {
+      console.error('[ComplianceService] Error writing audit record:', error);
+    }
+
+    console.log(`[ComplianceService] ${decision.action} ${phoneNumber}: ${decision.message}`);
+    return { allowed: false, ...decision };
+  }
+
+  async findDncEntry(phoneNumber, now = new Date()) {
+    return DncEntry.findOne({
+      phoneNumber,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+  }
+
+  /**
+   * Pick the active rule with the longest matching country prefix, then the default rule
+   */
+  async getRuleForNumber(phoneNumber) {
+    const rules = await ComplianceRule.find({ isActive: true });
+
+    let bestRule = null;
+    let bestLength = -1;
+    for (const rule of rules) {
+      for (const prefix of rule.countryPrefixes) {
+        if (phoneNumber.startsWith(prefix) && prefix.length > bestLength) {
+          bestRule = rule;
+          bestLength = prefix.length;
+        }
+      }
+    }
+
+    return bestRule || rules.find(rule => rule.isDefault) || DEFAULT_RULE;
+  }
+
+  /**
+   * Check a time against a rule's calling window and find the next opening if closed.
+   * A window whose end is before its start (21:00-02:00) runs past midnight and
+   * belongs to the day it starts on.
+   */
+  evaluateCallingWindow(rule, now = new Date()) {
+    const { day, minutes } = this.getLocalTime(now, rule.timezone);
+    const start = this.toMinutes(rule.startTime);
+    const end = this.toMinutes(rule.endTime);
+    const allowedDays = rule.allowedDays || [];
+
+    const inWindow = start < end
+      ? allowedDays.includes(day) && minutes >= start && minutes < end
+      : (allowedDays.includes(day) && minutes >= start) || (allowedDays.includes((day + 6) % 7) && minutes < end);
+    if (inWindow) {
+      return { allowed: true };
+    }
+
+    // Offsets are counted from the start of the current local minute
+    const minuteStart = now.getTime() - (now.getTime() % 60000);
+    for (let offset = 0; offset <= 7; offset++) {
+      if (!allowedDays.includes((day + offset) % 7)) continue;
+      if (offset === 0 && minutes >= start) continue;
+
+      const delta = offset * 1440 + start - minutes;
+      return { allowed: false, retryAt: new Date(minuteStart + delta * 60000) };
+    }
+
+    return { allowed: false, retryAt: null };
+  }
+
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => parts.find(p => p.type === type).value;
+    return {
+      day: WEEKDAYS.indexOf(part('weekday')),
+      minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+    };
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  async addToDnc({ phoneNumber, reason, source = 'manual', notes, expiresAt }) {
+    return DncEntry.findOneAndUpdate(
+      { phoneNumber: this.normalizePhoneNumber(phoneNumber) },
+      { reason: reason || 'customer_request', source, notes, expiresAt },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async removeFromDnc(phoneNumber) {
+    return DncEntry.findOneAndDelete({ phoneNumber: this.normalizePhoneNumber(phoneNumber) });
+  }
+
+  /**
+   * Upsert DNC rows from an import; rows without a usable number are reported back
+   */
+  async importDnc(rows) {
+    const results = { imported: 0, skipped: 0, errors: [] };
+    const operations = [];
+
+    rows.forEach((row, index) => {
+      const phoneNumber = this.normalizePhoneNumber(row.phoneNumber);
+      if (phoneNumber.replace('+', '').length < 6) {
+        results.skipped++;
+        results.errors.push({ row: index + 1, error: `Invalid phone number: ${row.phoneNumber}` });
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { phoneNumber },
+          update: {
+            $set: {
+              reason: row.reason || 'customer_request',
+              source: 'import',
+              notes: row.notes,
+              expiresAt: row.expiresAt ? new Date(row.expiresAt) : undefined
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      const result = await DncEntry.bulkWrite(operations, { ordered: false });
+      results.imported = result.upsertedCount + result.matchedCount;
+    }
+
+    return results;
+  }
+
+  /**
+   * Export the DNC list as CSV
+   */
+  async exportDncCsv() {
+    const entries = await DncEntry.find().sort({ createdAt: 1 }).lean();
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [DNC_EXPORT_COLUMNS.join(',')];
+    entries.forEach(entry => {
+      lines.push(DNC_EXPORT_COLUMNS.map(column => escape(entry[column])).join(','));
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new ComplianceService();
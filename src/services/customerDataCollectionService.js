@@ -1,5 +1,6 @@
 const Customer = require('../models/Customer');
 const Call = require('../models/Call');
+const slotFilling = require('./slotFilling');
 
 /**
  * Customer Data Collection Service
@@ -58,7 +59,7 @@ class CustomerDataCollectionService {
    */
   async collectBasicInformation(callId, data) {
     try {
-      console.log(`[CustomerData] Collecting basic info for call ${callId}:`, data);
+      console.log(`[CustomerData] Collecting basic info for call ${callId}: ${Object.keys(data).join(', ')}`);
       
       // Get the call to find associated customer
       let call;
@@ -106,6 +107,10 @@ class CustomerDataCollectionService {
       if (data.panCard) {
         updateFields.panCard = data.panCard.toUpperCase();
       }
+
+      if (data.pincode) {
+        updateFields.pincode = data.pincode;
+      }
       
       if (data.cardType) {
         updateFields.interestedCardType = data.cardType;
@@ -161,81 +166,15 @@ class CustomerDataCollectionService {
   }
 
   /**
-   * Parse customer information from natural language response
+   * Parse customer information from natural language response with the
+   * default slot for the field (see slotFilling.js)
+   * @param {string} currentField - 'name', 'age', 'occupation', 'income', 'city', 'email', 'pan' or 'pincode'
    */
   parseCustomerInformation(response, currentField) {
     try {
-      const lowerResponse = response.toLowerCase().trim();
-      const parsedData = {};
-
-      // Parse based on current field being collected
-      switch (currentField) {
-        case 'name':
-          // Extract name (remove common prefixes)
-          const nameMatch = response.replace(/^(my name is|i am|this is|mera naam|naam hai)/i, '').trim();
-          if (nameMatch && nameMatch.length > 1) {
-            parsedData.name = this.capitalizeWords(nameMatch);
-          }
-          break;
-
-        case 'age':
-          // Extract age
-          const ageMatch = response.match(/(\d{1,2})/);
-          if (ageMatch && parseInt(ageMatch[1]) >= 18 && parseInt(ageMatch[1]) <= 100) {
-            parsedData.age = parseInt(ageMatch[1]);
-          }
-          break;
-
-        case 'occupation':
-          // Map occupation types
-          if (lowerResponse.includes('job') || lowerResponse.includes('salaried') || lowerResponse.includes('employee')) {
-            parsedData.occupation = 'salaried';
-          } else if (lowerResponse.includes('business') || lowerResponse.includes('own')) {
-            parsedData.occupation = 'business_owner';
-          } else if (lowerResponse.includes('self employed') || lowerResponse.includes('freelance')) {
-            parsedData.occupation = 'self_employed';
-          }
-          break;
-
-        case 'income':
-          // Parse income ranges
-          if (lowerResponse.includes('25') || lowerResponse.includes('twenty five')) {
-            parsedData.monthlyIncome = '25k_50k';
-          } else if (lowerResponse.includes('50') || lowerResponse.includes('fifty')) {
-            parsedData.monthlyIncome = '50k_1l';
-          } else if (lowerResponse.includes('lakh') || lowerResponse.includes('1l')) {
-            parsedData.monthlyIncome = '1l_2l';
-          } else if (lowerResponse.includes('2') && lowerResponse.includes('lakh')) {
-            parsedData.monthlyIncome = '2l_5l';
-          }
-          break;
-
-        case 'city':
-          // Extract city name
-          const cityMatch = response.replace(/^(i live in|from|city is)/i, '').trim();
-          if (cityMatch && cityMatch.length > 2) {
-            parsedData.city = this.capitalizeWords(cityMatch);
-          }
-          break;
-
-        case 'email':
-          // Extract email
-          const emailMatch = response.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-          if (emailMatch) {
-            parsedData.email = emailMatch[1].toLowerCase();
-          }
-          break;
-
-        case 'pan':
-          // Extract PAN card
-          const panMatch = response.match(/([A-Z]{5}[0-9]{4}[A-Z]{1})/i);
-          if (panMatch) {
-            parsedData.panCard = panMatch[1].toUpperCase();
-          }
-          break;
-      }
-
-      return parsedData;
+      const slot = slotFilling.getFieldSlot(currentField);
+      const value = slot ? slotFilling.parseSlotValue(slot, response) : null;
+      return value === null ? {} : { [slot.field]: value };
     } catch (error) {
       console.error('[CustomerData] Error parsing customer information:', error);
       return {};
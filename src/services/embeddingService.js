@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const openaiService = require('./openaiService');
+
+/**
+ * Embedding Service
+ *
+ * Turns text into unit-length vectors through a pluggable provider, chosen with
+ * KB_EMBEDDING_PROVIDER:
+ * - hashed_ngram (default): offline, deterministic; word unigrams/bigrams and
+ *   character trigrams hashed into a fixed-size vector. Good at catching
+ *   spelling variants and Hinglish paraphrases, needs no API key.
+ * - openai: OpenAI embeddings API (KB_EMBEDDING_MODEL, default text-embedding-3-small)
+ */
+
+class HashedNgramProvider {
+  constructor(dimensions = 512) {
+    this.name = 'hashed_ngram';
+    this.dimensions = dimensions;
+  }
+
+  // FNV-1a, 32 bit
+  hash(feature) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      hash ^= feature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  features(text) {
+    const words = text
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const features = [];
+    words.forEach((word, index) => {
+      features.push({ key: `w:${word}`, weight: 1 });
+      if (index < words.length - 1) {
+        features.push({ key: `b:${word} ${words[index + 1]}`, weight: 0.7 });
+      }
+      const padded = `#${word}#`;
+      for (let i = 0; i <= padded.length - 3; i++) {
+        features.push({ key: `c:${padded.slice(i, i + 3)}`, weight: 0.5 });
+      }
+    });
+    return features;
+  }
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+      this.features(text).forEach(({ key, weight }) => {
+        const hash = this.hash(key);
+        // The top bit picks the sign so collisions tend to cancel out
+        vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+      });
+      return normalize(vector);
+    });
+  }
+}
+
+class OpenAIEmbeddingProvider {
+  constructor(model = 'text-embedding-3-small') {
+    this.name = 'openai';
+    this.model = model;
+    this.dimensions = null; // Known after the first call
+  }
+
+  async embed(texts) {
+    const client = await openaiService.getClient();
+    const response = await client.embeddings.create({ model: this.model, input: texts });
+    const vectors = response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalize(item.embedding));
+    this.dimensions = vectors[0] ? vectors[0].length : this.dimensions;
+    return vectors;
+  }
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+class EmbeddingService {
+  constructor() {
+    this.providers = {
+      hashed_ngram: () => new HashedNgramProvider(parseInt(process.env.KB_EMBEDDING_DIMENSIONS, 10) || 512),
+      openai: () => new OpenAIEmbeddingProvider(process.env.KB_EMBEDDING_MODEL)
+    };
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const name = process.env.KB_EMBEDDING_PROVIDER || 'hashed_ngram';
+      const factory = this.providers[name];
+      if (!factory) {
+        console.warn(`[Embedding] Unknown provider "${name}", using hashed_ngram`);
+      }
+      this.provider = (factory || this.providers.hashed_ngram)();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Register another provider factory, e.g. for a self-hosted model
+   */
+  registerProvider(name, factory) {
+    this.providers[name] = factory;
+  }
+
+  /**
+   * Provider identity stored with each vector, so a provider change triggers re-embedding
+   */
+  getProviderKey() {
+    const provider = this.getProvider();
+    return provider.model ? `${provider.name}:${provider.model}` : `${provider.name}:${provider.dimensions}`;
+  }
+
+  async embed(texts) {
+    if (texts.length === 0) return [];
+    return this.getProvider().embed(texts);
+  }
+
+  async embedOne(text) {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return dot; // Vectors are already unit length
+  }
+
+  contentHash(texts) {
+    return crypto.createHash('sha1').update(texts.join('\n')).digest('hex');
+  }
+}
+
+module.exports = new EmbeddingService();
@@ -9,6 +9,7 @@ const realTimeLanguageSwitcher = require('./realTimeLanguageSwitcher');
 const languageAdaptiveResponseHandler = require('./languageAdaptiveResponseHandler');
 const audioStreamService = require('./audioStreamService');
 const multilingualSpeechProcessor = require('./multilingualSpeechProcessor');
+const { redactText } = require('../utils/piiRedaction');
 
 class EnhancedCallControllerIntegration {
   constructor() {
@@ -154,7 +155,7 @@ class EnhancedCallControllerIntegration {
    */
   async processUserTranscription(callId, transcription, isInterruption = false) {
     try {
-      console.log(`[EnhancedCallController] Processing transcription for call ${callId}: "${transcription.substring(0, 50)}..." (interruption: ${isInterruption})`);
+      console.log(`[EnhancedCallController] Processing transcription for call ${callId}: "${redactText(transcription).substring(0, 50)}..." (interruption: ${isInterruption})`);
 
       const callConfig = this.activeCalls.get(callId);
       if (!callConfig) {
@@ -2,6 +2,7 @@ const speech = require('@google-cloud/speech');
 const textToSpeech = require('@google-cloud/text-to-speech');
 const fs = require('fs').promises;
 const Setting = require('../models/Setting');
+const { redactText } = require('../utils/piiRedaction');
 const { Transform } = require('stream');
 const audioStreamService = require('./audioStreamService');
 
@@ -374,7 +375,7 @@ const enhancedGoogleSpeechService = {
       const transcription = results.join(' ').trim();
       const processingTime = Date.now() - startTime;
       
-      console.log(`✅ Ultra-fast transcription completed in ${processingTime}ms: "${transcription}"`);
+      console.log(`✅ Ultra-fast transcription completed in ${processingTime}ms: "${redactText(transcription)}"`);
       
       // Log performance metrics
       if (processingTime > 500) {
@@ -8,30 +8,14 @@
 const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
+const ttsProviderRegistry = require('./ttsProviderRegistry');
 
+/**
+ * Provider statistics, ranking and timeouts live in ttsProviderRegistry;
+ * this service keeps the fallback audio and error classification.
+ */
 class EnhancedTTSFallbackService {
   constructor() {
-    this.providerStats = {
-      openai_fm: { success: 0, failure: 0, avgTime: 0 },
-      elevenlabs: { success: 0, failure: 0, avgTime: 0 },
-      rime: { success: 0, failure: 0, avgTime: 0 }
-    };
-    
-    this.fallbackChains = {
-      'timeout': ['rime', 'openai_fm', 'elevenlabs'],
-      'invalid_voice': ['openai_fm', 'rime'], 
-      'api_error': ['elevenlabs', 'rime', 'openai_fm'],
-      'network_error': ['openai_fm', 'elevenlabs'],
-      'default': ['openai_fm', 'elevenlabs', 'rime']
-    };
-    
-    this.timeouts = {
-      openai_fm: 8000,
-      chatgpt_tts: 8000,
-      elevenlabs: 10000,
-      rime: 6000
-    };
-    
     this.initializeFallbackAudio();
   }
 
@@ -133,59 +117,26 @@ class EnhancedTTSFallbackService {
   }
 
   /**
-   * Get next provider in fallback chain
+   * Get next provider after a failure, ranked by the TTS registry
    */
-  getNextProvider(currentProvider, errorType) {
-    const chain = this.fallbackChains[errorType] || this.fallbackChains.default;
-    const currentIndex = chain.indexOf(currentProvider);
-    
-    if (currentIndex !== -1 && currentIndex < chain.length - 1) {
-      return chain[currentIndex + 1];
-    }
-    
-    return chain.filter(p => p !== currentProvider)[0];
+  getNextProvider(currentProvider, errorType, options = {}) {
+    const ranked = ttsProviderRegistry.route({ language: options.language, exclude: [currentProvider] });
+    return ranked[0] || null;
   }
 
   /**
    * Update provider statistics
    */
   updateStats(provider, success, duration) {
-    if (!this.providerStats[provider]) return;
-    
-    const stats = this.providerStats[provider];
-    
-    if (success) {
-      stats.success++;
-      stats.avgTime = (stats.avgTime * (stats.success - 1) + duration) / stats.success;
-    } else {
-      stats.failure++;
-    }
-    
-    logger.info(`Updated stats for ${provider}: ${stats.success} success, ${stats.failure} failures, avg ${stats.avgTime}ms`);
+    ttsProviderRegistry.recordOutcome(provider, success, duration);
   }
 
   /**
    * Get best performing provider
    */
-  getBestProvider() {
-    let bestProvider = 'openai_fm';
-    let bestScore = 0;
-    
-    for (const [provider, stats] of Object.entries(this.providerStats)) {
-      const total = stats.success + stats.failure;
-      if (total < 3) continue; // Need minimum samples
-      
-      const successRate = stats.success / total;
-      const speedScore = stats.avgTime > 0 ? Math.min(5000 / stats.avgTime, 1) : 0;
-      const score = successRate * 0.7 + speedScore * 0.3;
-      
-      if (score > bestScore) {
-        bestScore = score;
-        bestProvider = provider;
-      }
-    }
-    
-    logger.info(`Best performing provider: ${bestProvider} (score: ${bestScore.toFixed(2)})`);
+  getBestProvider(language) {
+    const bestProvider = ttsProviderRegistry.route({ language })[0] || 'openai_fm';
+    logger.info(`Best performing provider: ${bestProvider} (score: ${ttsProviderRegistry.getScore(bestProvider).toFixed(2)})`);
     return bestProvider;
   }
 
@@ -193,7 +144,11 @@ class EnhancedTTSFallbackService {
    * Get timeout for specific provider
    */
   getTimeout(provider) {
-    return this.timeouts[provider] || 8000;
+    try {
+      return ttsProviderRegistry.getProvider(provider).capabilities.timeoutMs;
+    } catch (error) {
+      return 8000;
+    }
   }
 
   /**
@@ -240,7 +195,7 @@ class EnhancedTTSFallbackService {
     this.updateStats(provider, false, 0);
     
     // Get next provider in chain
-    const nextProvider = this.getNextProvider(provider, errorType);
+    const nextProvider = this.getNextProvider(provider, errorType, options);
     
     if (nextProvider && nextProvider !== provider) {
       logger.info(`Attempting fallback to ${nextProvider} for error type: ${errorType}`);
@@ -266,23 +221,23 @@ class EnhancedTTSFallbackService {
   getPerformanceReport() {
     const report = { providers: {}, recommendations: [] };
     
-    for (const [provider, stats] of Object.entries(this.providerStats)) {
-      const total = stats.success + stats.failure;
-      const successRate = total > 0 ? (stats.success / total * 100).toFixed(1) : 'N/A';
+    for (const stats of ttsProviderRegistry.getStats()) {
+      const successRate = stats.samples > 0 ? ((1 - stats.errorRate) * 100).toFixed(1) : 'N/A';
       
-      report.providers[provider] = {
-        success: stats.success,
-        failure: stats.failure,
+      report.providers[stats.name] = {
+        samples: stats.samples,
         successRate: `${successRate}%`,
-        avgTime: `${stats.avgTime.toFixed(0)}ms`
+        p50Latency: stats.p50LatencyMs !== null ? `${stats.p50LatencyMs}ms` : 'N/A',
+        p95Latency: stats.p95LatencyMs !== null ? `${stats.p95LatencyMs}ms` : 'N/A',
+        circuitOpen: stats.circuitOpen
       };
       
-      if (total >= 5) {
-        if (stats.success / total < 0.8) {
-          report.recommendations.push(`${provider}: Low success rate (${successRate}%)`);
+      if (stats.samples >= 5) {
+        if (stats.errorRate > 0.2) {
+          report.recommendations.push(`${stats.name}: Low success rate (${successRate}%)`);
         }
-        if (stats.avgTime > 5000) {
-          report.recommendations.push(`${provider}: Slow response time (${stats.avgTime.toFixed(0)}ms)`);
+        if (stats.p50LatencyMs > 5000) {
+          report.recommendations.push(`${stats.name}: Slow response time (${stats.p50LatencyMs}ms)`);
         }
       }
     }
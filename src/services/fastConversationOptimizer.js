@@ -3,8 +3,12 @@
  * Optimizes conversation flow for natural, real-time interactions
  */
 
+const audioDsp = require('../utils/audioDsp');
+const vadCallRegistry = require('./vadCallRegistry');
+
 class FastConversationOptimizer {
-  constructor() {
+  constructor(events) {
+    this.events = events;
     this.conversationState = new Map();
     this.silenceThreshold = parseInt(process.env.SILENCE_DETECTION_THRESHOLD) || 1500; // 1.5 seconds
     this.fastMode = process.env.FAST_CONVERSATION_MODE === 'true';
@@ -25,63 +29,29 @@ class FastConversationOptimizer {
   }
 
   /**
-   * Process incoming audio chunk for faster silence detection
+   * Process incoming audio chunk (8 kHz μ-law from Twilio) for end-of-utterance detection.
+   * The call's VAD engine applies the endpointing of the current workflow step.
+   * @returns {Object|undefined} The VAD engine's result for the chunk
    */
   processAudioChunk(callId, audioChunk) {
     const state = this.conversationState.get(callId);
     if (!state) return;
 
+    const engine = vadCallRegistry.getEngine(callId, { sampleRate: audioDsp.TWILIO_SAMPLE_RATE });
+    const vad = engine.process(audioDsp.mulawToPcm16(audioChunk));
     const now = Date.now();
-    const audioLevel = this.calculateAudioLevel(audioChunk);
-    
-    // Fast silence detection - threshold for human speech
-    const silenceThreshold = 0.02; // Adjust based on audio levels
-    
-    if (audioLevel < silenceThreshold) {
-      if (!state.silenceStart) {
-        state.silenceStart = now;
-      }
-      
-      // Check if silence duration meets threshold for faster processing
-      const silenceDuration = now - state.silenceStart;
-      if (silenceDuration >= this.silenceThreshold && !state.isProcessing) {
-        this.triggerFastProcessing(callId);
-      }
-    } else {
-      // Reset silence detection on audio activity
+
+    if (vad.isSpeaking) {
       state.silenceStart = null;
       state.lastAudioChunk = now;
+    } else if (!state.silenceStart) {
+      state.silenceStart = now;
     }
-  }
 
-  /**
-   * Calculate audio level for silence detection
-   */
-  calculateAudioLevel(audioChunk) {
-    if (!audioChunk || audioChunk.length === 0) return 0;
-    
-    let sum = 0;
-    for (let i = 0; i < audioChunk.length; i++) {
-      // Convert μ-law to linear for level calculation
-      const linear = this.mulawToLinear(audioChunk[i]);
-      sum += Math.abs(linear);
+    if (vad.utterance && !state.isProcessing) {
+      this.triggerFastProcessing(callId);
     }
-    
-    return sum / audioChunk.length / 32768; // Normalize to 0-1 range
-  }
-
-  /**
-   * Convert μ-law sample to linear PCM
-   */
-  mulawToLinear(mulaw) {
-    const sign = (mulaw & 0x80) ? -1 : 1;
-    const exponent = (mulaw & 0x70) >> 4;
-    const mantissa = mulaw & 0x0F;
-    
-    let sample = mantissa << (exponent + 3);
-    if (exponent > 0) sample += (1 << (exponent + 7));
-    
-    return sign * (sample - 128);
+    return vad;
   }
 
   /**
@@ -95,9 +65,9 @@ class FastConversationOptimizer {
     const startTime = Date.now();
 
     // Emit fast processing event
-    this.emit('fastProcessingTriggered', {
+    this.events.emit('fastProcessingTriggered', {
       callId,
-      silenceDuration: Date.now() - state.silenceStart,
+      silenceDuration: state.silenceStart ? Date.now() - state.silenceStart : 0,
       conversationTurn: state.conversationTurn
     });
 
@@ -178,6 +148,7 @@ class FastConversationOptimizer {
    */
   cleanup(callId) {
     this.conversationState.delete(callId);
+    vadCallRegistry.endCall(callId);
   }
 
   /**
@@ -201,7 +172,7 @@ const EventEmitter = require('events');
 class OptimizedFastConversationService extends EventEmitter {
   constructor() {
     super();
-    this.optimizer = new FastConversationOptimizer();
+    this.optimizer = new FastConversationOptimizer(this);
   }
 
   // Delegate methods to optimizer
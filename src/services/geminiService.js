@@ -112,102 +112,116 @@ const geminiService = {
     return state;
   },
   
+  // System prompt and chat history for answering the customer's last message, or null when the
+  // customer has not spoken yet. History entries are { role, content } or the call transcript's { speaker, text }
+  buildChatContext: (conversationHistory, script, prompt, callId) => {
+    const messages = conversationHistory.map(msg => (msg.role ? msg : {
+      role: msg.speaker === 'Customer' ? 'user' : 'assistant',
+      content: msg.text
+    }));
+    const lastCustomerMessage = [...messages]
+      .reverse()
+      .find(msg => msg.role === 'user');
+    if (!lastCustomerMessage) return null;
+    
+    const detectedLanguage = languageUtils.detectLanguage(lastCustomerMessage.content);
+    const emotions = geminiService.analyzeEmotionalContext(lastCustomerMessage.content);
+    
+    // Update conversation state with new context
+    const state = geminiService.updateConversationState(callId, lastCustomerMessage.content);
+    
+    // Adjust personality based on emotions
+    let personality;
+    if (emotions.includes('interested') || emotions.includes('considering')) {
+      personality = PERSONALITY_TRAITS.sales;
+    } else if (emotions.includes('confused') || emotions.includes('skeptical')) {
+      personality = PERSONALITY_TRAITS.empathetic;
+    } else if (emotions.includes('frustrated')) {
+      personality = PERSONALITY_TRAITS.empathetic;
+    } else {
+      personality = PERSONALITY_TRAITS.credit_card_specialist;
+    }
+    // Use the custom prompt content from the dashboard as the primary system prompt
+    const customPromptContent = prompt || script || `You are a professional telecaller helping customers.`;
+    
+    const systemPrompt = `${customPromptContent}
+      
+      You are Priya, a human telecaller from SBI Bank calling to sell credit cards. You are NOT an assistant.
+      
+      STRICT TELECALLER RULES:
+      ❌ NEVER ask "How can I help you?" or "What can I do for you?" or similar assistant questions
+      ❌ NEVER act like a general assistant waiting for customer requests
+      ✅ ALWAYS follow the predefined workflow and sales script
+      ✅ You called the customer to sell a specific credit card - stay focused on that goal
+      ✅ Answer customer questions but always return to the sales process
+      
+      - Personality: ${personality.tone}, ${personality.traits}
+      - Speaking style: ${personality.pacing}
+      - Language preference: ${languageUtils.getLanguageSystemPrompt(detectedLanguage)}
+      
+      TELECALLER BEHAVIOR (NOT ASSISTANT):
+      - You initiated this call to sell a credit card
+      - Follow the workflow: Greeting → Language → Benefits → Data Collection → Application → Confirmation → Closing
+      - If customer asks questions, answer them but continue with the sales process
+      - If customer is not interested, politely close the call
+      - Never ask "How can I help you?" - you're here to sell a specific product
+      
+      HUMAN TELECALLER BEHAVIOR OPTIMIZATION:
+      1. Use natural conversation fillers like "umm", "so", "well", "you know", "actually"
+      2. Ask follow-up questions to show genuine interest and build rapport
+      3. Use the customer's name when available to personalize the conversation
+      4. Pause for responses and acknowledge customer input with "I understand", "That makes sense", "Absolutely"
+      5. Share brief relevant examples or stories to build trust
+      6. Use transitional phrases like "Speaking of that...", "Now that you mention it...", "I'm glad you asked..."
+      7. Show empathy with phrases like "I completely understand your concern", "That's a valid point"
+      8. Use gentle persuasion techniques rather than aggressive sales tactics
+      
+      ${detectedLanguage === 'mixed' ? `
+      HINGLISH CONVERSATION STYLE:
+      - Mix Hindi and English naturally as Indians do in daily conversation
+      - Use English for technical terms (credit card, cashback, interest rate, billing cycle)
+      - Use Hindi for emotional expressions and relationship building
+      - Example phrases: "Aap ka credit history kaisa hai?", "Yeh card main feature hai...", "Interest rate bahut competitive hai"
+      - Sound like a friendly Indian sales person, not a robot
+      - Use respectful address forms: "Aap", "Sir/Madam" appropriately
+      ` : ''}
+      
+      Context from conversation:
+      - Customer's emotional state: ${emotions.join(', ')}
+      - Topics discussed: ${[...state.topics].join(', ')}
+      - Previous preferences: ${JSON.stringify(state.customerPreferences)}`;
+    
+    const formattedHistory = [
+      { role: "user", parts: [{ text: systemPrompt }] },
+      ...messages.map(msg => ({
+        role: msg.role === 'system' || msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      }))
+    ];
+    
+    return {
+      history: formattedHistory,
+      lastMessage: lastCustomerMessage.content,
+      detectedLanguage
+    };
+  },
+  
   // Generate response using Gemini
   generateResponse: async (conversationHistory, script, prompt, initialLanguage, callId, isIntro = false) => {
     try {
-      let detectedLanguage = initialLanguage || 'english';
-      let lastCustomerMessage = null;
-      let emotions = ['neutral'];
-      let personality = PERSONALITY_TRAITS.credit_card_specialist;
+      const detectedLanguage = initialLanguage || 'english';
+      const personality = PERSONALITY_TRAITS.credit_card_specialist;
       
       if (conversationHistory.length > 0 && !isIntro) {
-        lastCustomerMessage = [...conversationHistory]
-          .reverse()
-          .find(msg => msg.role === 'user');
-          
-        if (lastCustomerMessage) {
-          detectedLanguage = languageUtils.detectLanguage(lastCustomerMessage.content);
-          emotions = geminiService.analyzeEmotionalContext(lastCustomerMessage.content);
-          
-          // Update conversation state with new context
-          const state = geminiService.updateConversationState(callId, lastCustomerMessage.content);
-          
-          // Adjust personality based on emotions
-          if (emotions.includes('interested') || emotions.includes('considering')) {
-            personality = PERSONALITY_TRAITS.sales;
-          } else if (emotions.includes('confused') || emotions.includes('skeptical')) {
-            personality = PERSONALITY_TRAITS.empathetic;
-          } else if (emotions.includes('frustrated')) {
-            personality = PERSONALITY_TRAITS.empathetic;
-          } else {
-            personality = PERSONALITY_TRAITS.credit_card_specialist;
-          }
-            // Use the custom prompt content from the dashboard as the primary system prompt
-          const customPromptContent = prompt || script || `You are a professional telecaller helping customers.`;
-          
-          const systemPrompt = `${customPromptContent}
-            
-            You are Priya, a human telecaller from SBI Bank calling to sell credit cards. You are NOT an assistant.
-            
-            STRICT TELECALLER RULES:
-            ❌ NEVER ask "How can I help you?" or "What can I do for you?" or similar assistant questions
-            ❌ NEVER act like a general assistant waiting for customer requests
-            ✅ ALWAYS follow the predefined workflow and sales script
-            ✅ You called the customer to sell a specific credit card - stay focused on that goal
-            ✅ Answer customer questions but always return to the sales process
-            
-            - Personality: ${personality.tone}, ${personality.traits}
-            - Speaking style: ${personality.pacing}
-            - Language preference: ${languageUtils.getLanguageSystemPrompt(detectedLanguage)}
-            
-            TELECALLER BEHAVIOR (NOT ASSISTANT):
-            - You initiated this call to sell a credit card
-            - Follow the workflow: Greeting → Language → Benefits → Data Collection → Application → Confirmation → Closing
-            - If customer asks questions, answer them but continue with the sales process
-            - If customer is not interested, politely close the call
-            - Never ask "How can I help you?" - you're here to sell a specific product
-            
-            HUMAN TELECALLER BEHAVIOR OPTIMIZATION:
-            1. Use natural conversation fillers like "umm", "so", "well", "you know", "actually"
-            2. Ask follow-up questions to show genuine interest and build rapport
-            3. Use the customer's name when available to personalize the conversation
-            4. Pause for responses and acknowledge customer input with "I understand", "That makes sense", "Absolutely"
-            5. Share brief relevant examples or stories to build trust
-            6. Use transitional phrases like "Speaking of that...", "Now that you mention it...", "I'm glad you asked..."
-            7. Show empathy with phrases like "I completely understand your concern", "That's a valid point"
-            8. Use gentle persuasion techniques rather than aggressive sales tactics
-            
-            ${detectedLanguage === 'mixed' ? `
-            HINGLISH CONVERSATION STYLE:
-            - Mix Hindi and English naturally as Indians do in daily conversation
-            - Use English for technical terms (credit card, cashback, interest rate, billing cycle)
-            - Use Hindi for emotional expressions and relationship building
-            - Example phrases: "Aap ka credit history kaisa hai?", "Yeh card main feature hai...", "Interest rate bahut competitive hai"
-            - Sound like a friendly Indian sales person, not a robot
-            - Use respectful address forms: "Aap", "Sir/Madam" appropriately
-            ` : ''}
-            
-            Context from conversation:
-            - Customer's emotional state: ${emotions.join(', ')}
-            - Topics discussed: ${[...state.topics].join(', ')}
-            - Previous preferences: ${JSON.stringify(state.customerPreferences)}`;
-          
+        const context = geminiService.buildChatContext(conversationHistory, script, prompt, callId);
+        if (context) {
           // Initialize Gemini AI
           const gemini = await geminiService.getClient();
           const model = gemini.getGenerativeModel({ model: "gemini-pro" });
           
-          // Format conversation for Gemini
-          const formattedHistory = [
-            { role: "user", parts: [{ text: systemPrompt }] },
-            ...conversationHistory.map(msg => ({
-              role: msg.role === 'system' || msg.role === 'assistant' ? 'model' : 'user',
-              parts: [{ text: msg.content }]
-            }))
-          ];
-          
           // Generate chat response
-          const chat = model.startChat({ history: formattedHistory });
-          const result = await chat.sendMessage(lastCustomerMessage.content);
+          const chat = model.startChat({ history: context.history });
+          const result = await chat.sendMessage(context.lastMessage);
           const response = result.response.text();
           
           // Update conversation state with the AI's response
@@ -258,6 +272,28 @@ const geminiService = {
     }
   },
   
+  // Stream the answer to the customer's last message as text deltas (see speechPipeline.js).
+  // options: signal aborts the request
+  streamResponse: async function* (conversationHistory, script, prompt, initialLanguage, callId, { signal } = {}) {
+    const context = geminiService.buildChatContext(conversationHistory, script, prompt, callId);
+    if (!context) return;
+
+    const gemini = await geminiService.getClient();
+    const model = gemini.getGenerativeModel({ model: "gemini-pro" });
+    const chat = model.startChat({ history: context.history });
+    const result = await chat.sendMessageStream(context.lastMessage, { signal });
+
+    let response = '';
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) {
+        response += delta;
+        yield delta;
+      }
+    }
+    geminiService.updateConversationState(callId, response);
+  },
+
   // Clean up resources for a call
   cleanupCall: (callId) => {
     conversationStates.delete(callId);
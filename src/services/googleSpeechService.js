@@ -2,6 +2,7 @@ const speech = require('@google-cloud/speech');
 const textToSpeech = require('@google-cloud/text-to-speech');
 const fs = require('fs').promises;
 const Setting = require('../models/Setting');
+const { redactText } = require('../utils/piiRedaction');
 const { Transform } = require('stream');
 const audioStreamService = require('./audioStreamService');
 
@@ -157,7 +158,7 @@ const googleSpeechService = {
         .map(result => result.alternatives[0].transcript)
         .join(' ');
       
-      console.log(`Google Speech transcription result: "${transcription}"`);
+      console.log(`Google Speech transcription result: "${redactText(transcription)}"`);
       return transcription;
     } catch (error) {
       console.error('Error in Google Speech transcription:', error);
@@ -516,7 +517,7 @@ const googleSpeechService = {
             languageCode: data.results[0].languageCode || languageConfig.languageCode
           };
 
-          console.log(`[GoogleSpeech] Recognition result: "${result.transcript}" (final: ${result.isFinal}, confidence: ${result.confidence})`);
+          console.log(`[GoogleSpeech] Recognition result: "${redactText(result.transcript)}" (final: ${result.isFinal}, confidence: ${result.confidence})`);
           
           // Emit recognition event directly on the audio stream
           audioStream.emit('recognition', result);
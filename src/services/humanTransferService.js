@@ -0,0 +1,320 @@
+const twilio = require('twilio');
+const Call = require('../models/Call');
+const CallState = require('../models/CallState');
+const twilioService = require('./twilioService');
+const customerDataCollectionService = require('./customerDataCollectionService');
+const { callSubscriptionHandler } = require('./CallSubscriptionHandler');
+const languages = require('../utils/languages');
+const { redactText } = require('../utils/piiRedaction');
+
+// Customer fields handed to the agent when they have been collected. The packet goes
+// out over /subscribe, so PII (phone, email, income, PAN, Aadhaar) stays out of it;
+// agents see those on the customer record.
+const CONTEXT_FIELDS = ['name', 'age', 'occupation', 'city'];
+
+const DEFAULT_TRANSFER_MESSAGES = {
+  english: 'Please stay on the line, I am connecting you to one of our specialists.',
+  hindi: 'कृपया लाइन पर बने रहें, मैं आपको हमारे एक विशेषज्ञ से जोड़ रही हूँ।',
+  marathi: 'कृपया लाईनवर थांबा, मी तुम्हाला आमच्या एका तज्ज्ञाशी जोडत आहे.',
+  bengali: 'অনুগ্রহ করে লাইনে থাকুন, আমি আপনাকে আমাদের একজন বিশেষজ্ঞের সাথে যুক্ত করছি।',
+  gujarati: 'કૃપા કરીને લાઇન પર રહો, હું તમને અમારા એક નિષ્ણાત સાથે જોડી રહી છું.',
+  tamil: 'தயவுசெய்து இணைப்பில் இருங்கள், உங்களை எங்கள் நிபுணர் ஒருவருடன் இணைக்கிறேன்.',
+  telugu: 'దయచేసి లైన్‌లో ఉండండి, మిమ్మల్ని మా నిపుణులలో ఒకరితో కలుపుతున్నాను.',
+  kannada: 'ದಯವಿಟ್ಟು ಲೈನ್‌ನಲ್ಲಿರಿ, ನಿಮ್ಮನ್ನು ನಮ್ಮ ತಜ್ಞರೊಬ್ಬರೊಂದಿಗೆ ಸಂಪರ್ಕಿಸುತ್ತಿದ್ದೇನೆ.'
+};
+
+// Dial action DialCallStatus / Enqueue action QueueResult -> handoff status
+const DIAL_RESULT_STATUS = {
+  completed: 'completed',
+  answered: 'completed',
+  bridged: 'completed',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  hangup: 'abandoned',
+  leave: 'abandoned',
+  failed: 'failed',
+  canceled: 'failed',
+  error: 'failed',
+  'system-error': 'failed'
+};
+
+/**
+ * Human Transfer Service
+ *
+ * Warm transfer of a live call to a human agent. A transfer is first requested:
+ * the handoff is recorded on the Call and a context packet (redacted transcript,
+ * collected non-PII customer fields, language, objections) is pushed to /subscribe
+ * subscribers of the call. It is then connected: the Twilio call is redirected to <Dial> TwiML for the
+ * configured phone number, or <Enqueue> for a queue.
+ */
+class HumanTransferService {
+  /**
+   * Transfer settings for a call: the workflow's humanTransfer block, then the
+   * HUMAN_TRANSFER_* environment variables. Transfers are disabled without a target.
+   */
+  getTransferConfig(workflow, overrides = {}) {
+    const configured = (workflow && workflow.humanTransfer) || {};
+    const target = overrides.target || configured.target || process.env.HUMAN_TRANSFER_TARGET;
+
+    return {
+      enabled: configured.enabled !== false && !!target,
+      targetType: overrides.targetType || configured.targetType || process.env.HUMAN_TRANSFER_TARGET_TYPE || 'number',
+      target,
+      message: configured.message || {}
+    };
+  }
+
+  getTransferMessage(config, language) {
+    const message = config.message || {};
+    const name = languages.toLanguageName(language);
+    // The workflow's message in the customer's language, else ours, else the workflow's in another language
+    const own = languages.getTextLanguages(message).includes(name) ? languages.getLocalizedText(message, name) : null;
+    return own || DEFAULT_TRANSFER_MESSAGES[name] || languages.getLocalizedText(message, name) || DEFAULT_TRANSFER_MESSAGES.english;
+  }
+
+  /**
+   * Everything the agent needs to pick up the conversation
+   */
+  async buildContextPacket(call, callState) {
+    const progress = await customerDataCollectionService.getCollectionProgress(call._id.toString());
+    const collectedFields = {};
+    if (progress.customer) {
+      CONTEXT_FIELDS.forEach(field => {
+        const value = progress.customer[field];
+        if (value && value !== 'Unknown') collectedFields[field] = value;
+      });
+    }
+
+    return {
+      callId: call._id.toString(),
+      language: (callState && callState.language) || call.detectedLanguage || call.language,
+      currentStep: callState ? callState.currentStep.stepType : null,
+      transcript: this.getTranscript(call, callState),
+      collectedFields,
+      objections: this.getObjections(call, callState)
+    };
+  }
+
+  /**
+   * Transcript so far: the call's conversation history, or the workflow turns for
+   * calls driven by the workflow engine
+   */
+  getTranscript(call, callState) {
+    if (call.conversationHistory && call.conversationHistory.length > 0) {
+      return call.conversationHistory.map(turn => ({
+        speaker: turn.speaker === 'AI' ? 'agent' : 'customer',
+        text: redactText(turn.text),
+        timestamp: turn.timestamp
+      }));
+    }
+    if (!callState) return [];
+
+    const turns = [];
+    callState.customerResponses.forEach(response => {
+      turns.push({ speaker: 'customer', text: redactText(response.response), timestamp: response.timestamp, intent: response.intent });
+    });
+    callState.customerQuestions.forEach(question => {
+      turns.push({ speaker: 'customer', text: redactText(question.question), timestamp: question.timestamp, intent: 'question' });
+      if (question.answer) {
+        turns.push({ speaker: 'agent', text: question.answer, timestamp: question.timestamp });
+      }
+    });
+    callState.objections.forEach(objection => {
+      if (objection.response) {
+        turns.push({ speaker: 'agent', text: objection.response, timestamp: objection.timestamp });
+      }
+    });
+    return turns.sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+  }
+
+  getObjections(call, callState) {
+    if (callState && callState.objections.length > 0) {
+      return callState.objections.map(objection => ({
+        type: objection.type,
+        statement: redactText(objection.customerStatement),
+        response: objection.response,
+        stepId: objection.stepId
+      }));
+    }
+    return (call.objections || []).map(type => ({ type }));
+  }
+
+  /**
+   * Record a handoff and send the context packet to the call's subscribers.
+   * Options: { trigger, reason, config, callState, targetType, target, requestedBy }
+   * Returns the recorded handoff, or null when the call cannot be transferred.
+   */
+  async requestTransfer(callRecordId, options = {}) {
+    const call = await Call.findById(callRecordId);
+    if (!call) {
+      throw new Error(`Call ${callRecordId} not found`);
+    }
+
+    const callState = options.callState || await CallState.findOne({ callRecord: call._id });
+    const config = options.config || this.getTransferConfig(
+      callState ? await this.loadWorkflow(callState) : null,
+      { target: options.target, targetType: options.targetType }
+    );
+    if (!config.enabled) {
+      console.warn(`[HumanTransfer] No transfer target configured for call ${call._id}`);
+      return null;
+    }
+
+    const context = await this.buildContextPacket(call, callState);
+    call.handoffs.push({
+      trigger: options.trigger || 'manual',
+      reason: options.reason,
+      stepType: context.currentStep,
+      targetType: config.targetType,
+      target: config.target,
+      requestedBy: options.requestedBy,
+      context: {
+        language: context.language,
+        collectedFields: context.collectedFields,
+        objections: context.objections.map(({ type, statement }) => ({ type, statement })),
+        transcriptTurns: context.transcript.length
+      }
+    });
+    await call.save();
+    const handoff = call.handoffs[call.handoffs.length - 1];
+
+    console.log(`[HumanTransfer] Handoff ${handoff._id} requested for call ${call._id} (${handoff.trigger}: ${handoff.reason || 'no reason'})`);
+    this.publish(call, {
+      type: 'handoff_requested',
+      handoffId: handoff._id,
+      trigger: handoff.trigger,
+      reason: handoff.reason,
+      targetType: handoff.targetType,
+      target: handoff.target,
+      context
+    });
+
+    return handoff;
+  }
+
+  /**
+   * Redirect the Twilio call to the agent for a requested handoff
+   */
+  async connectTransfer(callRecordId, handoffId) {
+    const call = await Call.findById(callRecordId);
+    const handoff = call && call.handoffs.id(handoffId);
+    if (!handoff) {
+      throw new Error(`Handoff ${handoffId} not found for call ${callRecordId}`);
+    }
+
+    try {
+      if (!call.twilioSid) {
+        throw new Error('Call has no Twilio SID to transfer');
+      }
+
+      const webhookBase = `${this.getWebhookBaseUrl()}/api/calls/${call._id}/transfer/${handoff._id}`;
+      const twiml = twilioService.generateTransferTwiML({
+        targetType: handoff.targetType,
+        target: handoff.target,
+        callerId: process.env.TWILIO_PHONE_NUMBER,
+        timeoutSeconds: parseInt(process.env.HUMAN_TRANSFER_TIMEOUT_SECONDS, 10) || 30,
+        actionUrl: `${webhookBase}/status`,
+        whisperUrl: `${webhookBase}/whisper`
+      });
+      await twilioService.transferCall(call.twilioSid, twiml);
+
+      handoff.status = 'dialing';
+      handoff.dialedAt = new Date();
+    } catch (error) {
+      console.error(`[HumanTransfer] Error connecting handoff ${handoffId} for call ${callRecordId}:`, error.message);
+      handoff.status = 'failed';
+      handoff.error = error.message;
+      handoff.endedAt = new Date();
+    }
+
+    await call.save();
+    this.publish(call, { type: `handoff_${handoff.status}`, handoffId: handoff._id, error: handoff.error });
+    return handoff;
+  }
+
+  /**
+   * Request and connect in one go, for transfers that are not waiting on a spoken message
+   */
+  async transferCall(callRecordId, options = {}) {
+    const handoff = await this.requestTransfer(callRecordId, options);
+    if (!handoff) return null;
+    return this.connectTransfer(callRecordId, handoff._id);
+  }
+
+  /**
+   * Dial/Enqueue action callback: record how the transfer ended and return TwiML for
+   * the rest of the customer's call
+   */
+  async handleTransferResult(callRecordId, handoffId, body = {}) {
+    const result = body.DialCallStatus || body.QueueResult;
+    const status = DIAL_RESULT_STATUS[result] || 'failed';
+
+    const call = await Call.findById(callRecordId);
+    const handoff = call && call.handoffs.id(handoffId);
+    if (handoff) {
+      handoff.status = status;
+      handoff.endedAt = new Date();
+      if (status === 'failed') handoff.error = `Transfer ended with ${result || 'unknown result'}`;
+      await call.save();
+      this.publish(call, { type: `handoff_${status}`, handoffId: handoff._id, result });
+    }
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    if (status !== 'completed' && status !== 'abandoned') {
+      twiml.say({ language: 'en-IN' }, 'Sorry, our specialists are not available right now. We will call you back shortly. Thank you.');
+    }
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  /**
+   * Briefing played to the agent when they answer, before the customer is connected
+   */
+  async getWhisperTwiML(callRecordId, handoffId) {
+    const call = await Call.findById(callRecordId).populate('collectedCustomerData');
+    const handoff = call && call.handoffs.id(handoffId);
+
+    const parts = ['Incoming transfer from the AI agent.'];
+    if (handoff) {
+      if (handoff.reason) parts.push(`Reason: ${handoff.reason}.`);
+      if (handoff.context && handoff.context.language) parts.push(`Customer language: ${handoff.context.language}.`);
+      const fields = (handoff.context && handoff.context.collectedFields) || {};
+      if (fields.name) parts.push(`Customer name: ${fields.name}.`);
+      const objections = (handoff.context && handoff.context.objections) || [];
+      if (objections.length > 0) {
+        parts.push(`Objections raised: ${[...new Set(objections.map(objection => objection.type))].join(', ')}.`);
+      }
+    }
+    parts.push('Full details are on your screen.');
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.say({ language: 'en-IN' }, parts.join(' '));
+    return twiml.toString();
+  }
+
+  async getHandoffs(callRecordId) {
+    const call = await Call.findById(callRecordId).select('handoffs');
+    return call ? call.handoffs : null;
+  }
+
+  loadWorkflow(callState) {
+    // Required lazily: the workflow engine itself requests transfers
+    const workflowEngine = require('./workflowEngine');
+    return workflowEngine.loadWorkflowForCall(callState);
+  }
+
+  getWebhookBaseUrl() {
+    const ngrokUrl = process.env.NGROK_URL;
+    if (!ngrokUrl) {
+      throw new Error('Missing NGROK_URL configuration');
+    }
+    return ngrokUrl.endsWith('/') ? ngrokUrl.slice(0, -1) : ngrokUrl;
+  }
+
+  // Handoff events go to subscribers of the call record id
+  publish(call, event) {
+    callSubscriptionHandler.publishEvent(call._id.toString(), { ...event, timestamp: new Date() });
+  }
+}
+
+module.exports = new HumanTransferService();
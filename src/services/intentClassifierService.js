@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const IntentExample = require('../models/IntentExample');
+const CallState = require('../models/CallState');
+const naiveBayesIntentClassifier = require('./naiveBayesIntentClassifier');
+const llmIntentClassifier = require('./llmIntentClassifier');
+const keywordIntentClassifier = require('./keywordIntentClassifier');
+
+const CLASSIFIERS = {
+  naive_bayes: naiveBayesIntentClassifier,
+  llm: llmIntentClassifier,
+  keyword: keywordIntentClassifier
+};
+
+const SENTIMENT_BY_INTENT = {
+  question: 'neutral',
+  objection: 'negative',
+  not_interested: 'negative',
+  interested: 'positive',
+  neutral: 'neutral'
+};
+
+// Starter examples so the local model works before anything has been labelled
+const SEED_EXAMPLES = [
+  { text: 'What is the annual fee?', intent: 'question' },
+  { text: 'how much cashback will I get', intent: 'question' },
+  { text: 'Can you tell me about the reward points', intent: 'question' },
+  { text: 'what documents are needed', intent: 'question' },
+  { text: 'is there any joining fee', intent: 'question' },
+  { text: 'iska annual charge kitna hai', intent: 'question', language: 'hinglish' },
+  { text: 'kya lounge access milega', intent: 'question', language: 'hinglish' },
+  { text: 'card kab tak aayega', intent: 'question', language: 'hinglish' },
+  { text: 'वार्षिक शुल्क कितना है', intent: 'question', language: 'hindi' },
+  { text: 'इस कार्ड के क्या फायदे हैं', intent: 'question', language: 'hindi' },
+  { text: 'I already have two credit cards', intent: 'objection', objectionType: 'already_have_cards' },
+  { text: 'I have enough cards already', intent: 'objection', objectionType: 'already_have_cards' },
+  { text: 'mere paas pehle se card hai', intent: 'objection', objectionType: 'already_have_cards', language: 'hinglish' },
+  { text: 'मेरे पास पहले से कार्ड है', intent: 'objection', objectionType: 'already_have_cards', language: 'hindi' },
+  { text: 'the fees are too high', intent: 'objection', objectionType: 'high_fees' },
+  { text: 'it sounds expensive', intent: 'objection', objectionType: 'high_fees' },
+  { text: 'charges bahut zyada hain', intent: 'objection', objectionType: 'high_fees', language: 'hinglish' },
+  { text: 'फीस बहुत ज्यादा है', intent: 'objection', objectionType: 'high_fees', language: 'hindi' },
+  { text: 'I am busy right now', intent: 'objection', objectionType: 'no_time' },
+  { text: 'call me later', intent: 'objection', objectionType: 'no_time' },
+  { text: 'abhi time nahi hai baad mein call karo', intent: 'objection', objectionType: 'no_time', language: 'hinglish' },
+  { text: 'मैं अभी व्यस्त हूँ', intent: 'objection', objectionType: 'no_time', language: 'hindi' },
+  { text: 'I am not interested', intent: 'not_interested' },
+  { text: 'no thanks, please stop calling', intent: 'not_interested' },
+  { text: 'I do not want any card', intent: 'not_interested' },
+  { text: 'mujhe nahi chahiye', intent: 'not_interested', language: 'hinglish' },
+  { text: 'nahi chahiye bhai rehne do', intent: 'not_interested', language: 'hinglish' },
+  { text: 'मुझे कोई कार्ड नहीं चाहिए', intent: 'not_interested', language: 'hindi' },
+  { text: 'yes please go ahead', intent: 'interested' },
+  { text: 'sounds good, I want to apply', intent: 'interested' },
+  { text: 'sure tell me more', intent: 'interested' },
+  { text: 'haan boliye', intent: 'interested', language: 'hinglish' },
+  { text: 'haan theek hai apply kar do', intent: 'interested', language: 'hinglish' },
+  { text: 'हाँ बताइए', intent: 'interested', language: 'hindi' },
+  { text: 'ठीक है आगे बढ़िए', intent: 'interested', language: 'hindi' },
+  { text: 'okay', intent: 'neutral' },
+  { text: 'hmm', intent: 'neutral' },
+  { text: 'hello', intent: 'neutral' },
+  { text: 'accha', intent: 'neutral', language: 'hinglish' },
+  { text: 'हेलो', intent: 'neutral', language: 'hindi' },
+  // Plain answers to data collection questions; without them anything with "is" looked like a question
+  { text: 'my name is Priya Verma', intent: 'neutral' },
+  { text: 'I am 32 years old', intent: 'neutral' },
+  { text: 'my age is thirty five', intent: 'neutral' },
+  { text: 'I work as a teacher', intent: 'neutral' },
+  { text: 'I am a doctor', intent: 'neutral' },
+  { text: 'I have my own business', intent: 'neutral' },
+  { text: 'my monthly income is 60000', intent: 'neutral' },
+  { text: 'salary is around 1 lakh per month', intent: 'neutral' },
+  { text: 'my email is priya at gmail dot com', intent: 'neutral' },
+  { text: 'I live in Pune', intent: 'neutral' },
+  { text: 'no, it is 42 not 52', intent: 'neutral' },
+  { text: 'mera naam Amit Kumar hai', intent: 'neutral', language: 'hinglish' },
+  { text: 'meri age 30 saal hai', intent: 'neutral', language: 'hinglish' },
+  { text: 'main Delhi mein rehta hoon', intent: 'neutral', language: 'hinglish' },
+  { text: 'मेरा नाम सुनील है', intent: 'neutral', language: 'hindi' },
+  { text: 'मेरी उम्र चालीस साल है', intent: 'neutral', language: 'hindi' }
+];
+
+/**
+ * Intent Classifier Service
+ *
+ * Runs the configured classifiers in order (INTENT_CLASSIFIERS, default
+ * "naive_bayes,keyword") and accepts the first answer that clears its confidence
+ * threshold. The last classifier's answer is used when nothing else is confident.
+ */
+class IntentClassifierService {
+  constructor() {
+    this.initialized = false;
+    this.initializing = null;
+    this.chain = (process.env.INTENT_CLASSIFIERS || 'naive_bayes,keyword')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => CLASSIFIERS[name]);
+    if (!this.chain.includes('keyword')) {
+      this.chain.push('keyword');
+    }
+
+    // not_interested ends the call, so it needs more certainty than the other intents
+    this.thresholds = {
+      default: parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6,
+      not_interested: 0.75,
+      ...this.parseThresholdOverrides(process.env.INTENT_THRESHOLDS)
+    };
+  }
+
+  parseThresholdOverrides(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn('[IntentClassifier] Ignoring invalid INTENT_THRESHOLDS:', error.message);
+      return {};
+    }
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        try {
+          // Seed examples added since the collection was first seeded are stored too
+          const seeded = new Set(await IntentExample.distinct('text', { source: 'seed' }));
+          const missing = SEED_EXAMPLES.filter(example => !seeded.has(example.text));
+          if (missing.length > 0) {
+            await IntentExample.insertMany(missing.map(example => ({ ...example, source: 'seed' })));
+            console.log(`[IntentClassifier] Seeded ${missing.length} training examples`);
+          }
+          await this.train();
+          this.initialized = true;
+        } catch (error) {
+          console.error('[IntentClassifier] Initialization failed:', error.message);
+        } finally {
+          this.initializing = null;
+        }
+      })();
+    }
+    await this.initializing;
+  }
+
+  /**
+   * Retrain the local model from every stored example
+   */
+  async train() {
+    const examples = await IntentExample.find().select('text intent objectionType').lean();
+    naiveBayesIntentClassifier.train(examples);
+    console.log(`[IntentClassifier] Trained on ${examples.length} examples`);
+    return naiveBayesIntentClassifier.getStats();
+  }
+
+  getThreshold(intent) {
+    return this.thresholds[intent] !== undefined ? this.thresholds[intent] : this.thresholds.default;
+  }
+
+  /**
+   * Classify an utterance. Returns { intent, confidence, sentiment, objectionType, classifier, candidates }
+   */
+  async classify(text, context = {}) {
+    if (mongoose.connection.readyState === 1) {
+      await this.initialize();
+    }
+
+    const candidates = [];
+    let accepted = null;
+
+    for (const name of this.chain) {
+      const classifier = CLASSIFIERS[name];
+      if (!classifier.isReady()) continue;
+
+      const result = await classifier.classify(text, context);
+      if (!result) continue;
+
+      const candidate = { ...result, classifier: name };
+      candidates.push(candidate);
+      if (result.confidence >= this.getThreshold(result.intent)) {
+        accepted = candidate;
+        break;
+      }
+    }
+
+    // Nothing was confident: trust the last classifier (the keyword rules)
+    if (!accepted) {
+      accepted = candidates[candidates.length - 1];
+    }
+
+    return {
+      intent: accepted.intent,
+      confidence: accepted.confidence,
+      sentiment: SENTIMENT_BY_INTENT[accepted.intent] || 'neutral',
+      objectionType: accepted.objectionType || (accepted.intent === 'objection' ? keywordIntentClassifier.getObjectionType(text) : undefined),
+      classifier: accepted.classifier,
+      candidates
+    };
+  }
+
+  /**
+   * Customer turns of a call, with what was predicted and any label already given
+   */
+  async getCallTurns(callId) {
+    const callState = await CallState.findOne({ callId }).lean();
+    if (!callState) return null;
+
+    const predictions = callState.customerResponses || [];
+    return (callState.stepHistory || [])
+      .map((entry, turnIndex) => {
+        const prediction = predictions.find(response =>
+          response.stepId === entry.stepId && response.response === entry.customerResponse
+        );
+        return {
+          turnIndex,
+          stepId: entry.stepId,
+          stepType: entry.stepType,
+          text: entry.customerResponse,
+          predictedIntent: prediction ? prediction.intent : null,
+          confidence: prediction ? prediction.confidence : null,
+          classifier: prediction ? prediction.classifier : null,
+          labelledIntent: entry.labelledIntent || null
+        };
+      })
+      .filter(turn => turn.text);
+  }
+
+  /**
+   * Correct the intent of a stored call turn and add it to the training data
+   */
+  async labelTurn(callId, turnIndex, { intent, objectionType, labelledBy }) {
+    const callState = await CallState.findOne({ callId });
+    if (!callState) return null;
+
+    const turns = await this.getCallTurns(callId);
+    const turn = turns.find(entry => entry.turnIndex === turnIndex);
+    if (!turn) return { example: null };
+
+    const example = await IntentExample.findOneAndUpdate(
+      { callId, turnIndex },
+      {
+        text: turn.text,
+        intent,
+        objectionType: intent === 'objection' ? objectionType || null : null,
+        language: callState.language,
+        source: 'labelled',
+        stepType: turn.stepType,
+        predictedIntent: turn.predictedIntent,
+        labelledBy
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    callState.stepHistory[turnIndex].labelledIntent = intent;
+    await callState.save();
+
+    const stats = await this.train();
+    return { example, stats };
+  }
+
+  async addExample(data) {
+    const example = await IntentExample.create({
+      text: data.text,
+      intent: data.intent,
+      objectionType: data.intent === 'objection' ? data.objectionType || null : null,
+      language: data.language,
+      source: data.source || 'labelled',
+      labelledBy: data.labelledBy
+    });
+    const stats = await this.train();
+    return { example, stats };
+  }
+
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      chain: this.chain,
+      thresholds: this.thresholds,
+      naiveBayes: naiveBayesIntentClassifier.getStats()
+    };
+  }
+}
+
+module.exports = new IntentClassifierService();
+module.exports.SEED_EXAMPLES = SEED_EXAMPLES;
@@ -1,10 +1,23 @@
 /**
  * Interruption Handler Service
- * 
- * Specialized service for managing real-time interruptions during AI voice calls
- * with sensitivity tuning and response management for credit card sales conversations
+ *
+ * Barge-in decisions for real-time AI voice calls. Each call follows the barge-in
+ * policy of the workflow step it is on (see bargeInPolicy.js): customer speech that
+ * overlaps the agent is judged from its duration and partial transcript, and the
+ * agent is stopped, kept talking, or resumed after a backchannel. A backchannel
+ * heard as the agent finishes a question is the answer to it and is a turn.
+ *
+ * Every decision is emitted as a 'bargeIn' event { callId, action, reason, ... }
+ * for the call's audio path to act on ('stop' and 'resume'), and stored in the
+ * BargeInDecision collection. Each agent utterance is emitted as
+ * an 'utterance' event { callId, text, language } when it starts, and as an
+ * 'utteranceText' event { callId, text } whenever a streamed answer adds to it.
  */
 
+const EventEmitter = require('events');
+const BargeInDecision = require('../models/BargeInDecision');
+const { resolveBargeInPolicy, isBackchannel, endsWithQuestion, getResumeText } = require('./bargeInPolicy');
+
 // Create a fallback logger in case the imported one is undefined
 let logger = {
   info: console.log,
@@ -22,143 +35,269 @@ try {
   console.warn('Could not load logger module, using fallback logger');
 }
 
-class InterruptionHandler {
+const DECISION_HISTORY_SIZE = 50;
+
+class InterruptionHandler extends EventEmitter {
   constructor() {
-    this.interruptionBuffers = new Map(); // Audio buffer windows for interruption detection
-    this.interruptionStatus = new Map();  // Status of interruptions by call
-    this.latencyMs = 2000; // Default 2-second latency
-    this.sensitivityLevel = 0.5; // 0-1 scale (0 = less sensitive, 1 = more sensitive)
-    this.interruptionCooldown = new Map(); // Cooldown periods after interruptions
-  }
-  
-  /**
-   * Configure interruption handler settings
-   * @param {Object} config - Configuration object
-   */
-  configure(config = {}) {
-    if (config.latencyMs !== undefined) {
-      this.latencyMs = Math.max(500, Math.min(5000, config.latencyMs));
-    }
-    
-    if (config.sensitivityLevel !== undefined) {
-      this.sensitivityLevel = Math.max(0, Math.min(1, config.sensitivityLevel));
-    }
-    
-    logger.info(`Interruption handler configured: latency=${this.latencyMs}ms, sensitivity=${this.sensitivityLevel}`);
+    super();
+    this.interruptionStatus = new Map(); // Barge-in state by call
+    this.transcriptTimers = new Map();   // Calls waiting for the transcript of overlapping speech
   }
-  
+
   /**
    * Initialize interruption handling for a call
    * @param {string} callId - Call identifier
+   * @param {Object} [policy] - Barge-in policy overrides for the whole call
    */
-  initializeCall(callId) {
-    this.interruptionBuffers.set(callId, []);
+  initializeCall(callId, policy = null) {
     this.interruptionStatus.set(callId, {
+      policy: resolveBargeInPolicy(policy),
+      policySource: policy ? 'call' : 'default',
       lastInterruptionTime: 0,
       interruptionCount: 0,
       isUserSpeaking: false,
-      isAiSpeaking: false,
-      waitingToSpeak: false
+      waitingToSpeak: false,
+      utterance: null,    // Agent speech being played
+      playbackEndsAt: 0,
+      candidate: null,    // Customer speech overlapping the agent, until its transcript arrives
+      interrupted: null,  // Agent speech the customer stopped, kept for resuming
+      decisions: []
     });
-    this.interruptionCooldown.set(callId, false);
-    
+
     logger.info(`Interruption handler initialized for call ${callId}`);
   }
-  
+
   /**
-   * Process audio segment for interruption detection
+   * Switch the call to another barge-in policy, typically the workflow step's
    * @param {string} callId - Call identifier
-   * @param {Object} audioData - Audio data object
-   * @param {boolean} isUserSpeaking - Whether user is currently speaking
-   * @returns {boolean} - Whether an interruption was detected
+   * @param {Object} policy - Barge-in policy (see bargeInPolicy.js)
+   * @param {string} [source] - Where the policy came from, e.g. 'step:benefits'
    */
-  processAudioSegment(callId, audioData, isUserSpeaking) {
+  setPolicy(callId, policy, source = 'call') {
     const status = this.interruptionStatus.get(callId);
-    if (!status) return false;
-    
-    // Update speaking status
-    status.isUserSpeaking = isUserSpeaking;
-    
-    // If in cooldown period, don't process interruptions
-    if (this.interruptionCooldown.get(callId)) {
-      return false;
+    if (!status || !policy) return;
+
+    status.policy = resolveBargeInPolicy(policy);
+    status.policySource = source;
+    logger.debug(`[BargeIn] Call ${callId} policy ${status.policy.mode} (${source})`);
+  }
+
+  /**
+   * Agent started an utterance; audio is reported with addPlayedAudio as it is sent
+   * @param {string} callId - Call identifier
+   * @param {Object} utterance - { text, language }
+   */
+  startUtterance(callId, { text, language } = {}) {
+    const status = this.interruptionStatus.get(callId);
+    if (!status) return;
+
+    status.utterance = { text, language, startedAt: null, sentMs: 0, complete: false };
+    status.interrupted = null;
+    this.emit('utterance', { callId, text, language });
+  }
+
+  /**
+   * Append text to the current utterance, for answers spoken while they are generated
+   * @param {string} callId - Call identifier
+   * @param {string} text - Text added to the utterance
+   */
+  extendUtterance(callId, text) {
+    const status = this.interruptionStatus.get(callId);
+    if (!status || !status.utterance) return;
+
+    status.utterance.text = status.utterance.text ? `${status.utterance.text} ${text}` : text;
+    this.emit('utteranceText', { callId, text: status.utterance.text });
+  }
+
+  /**
+   * Account for agent audio sent to the caller; the phone plays it in real time
+   * after what was already sent
+   * @param {string} callId - Call identifier
+   * @param {number} durationMs - Duration of the audio sent
+   */
+  addPlayedAudio(callId, durationMs) {
+    const status = this.interruptionStatus.get(callId);
+    if (!status || !status.utterance) return;
+
+    const now = Date.now();
+    if (status.utterance.startedAt === null) {
+      // Audio sent while earlier speech is still playing is heard after it
+      status.utterance.startedAt = Math.max(now, status.playbackEndsAt);
     }
-    
-    // If AI is not speaking, no interruption possible
-    if (!status.isAiSpeaking) {
-      return false;
+    status.playbackEndsAt = Math.max(now, status.playbackEndsAt) + durationMs;
+    status.utterance.sentMs += durationMs;
+  }
+
+  /**
+   * All audio of the current utterance has been sent; it keeps playing until playbackEndsAt
+   * @param {string} callId - Call identifier
+   */
+  finishUtterance(callId) {
+    const status = this.interruptionStatus.get(callId);
+    if (status && status.utterance) {
+      status.utterance.complete = true;
     }
-    
-    // If user starts speaking while AI is speaking, potential interruption
-    if (isUserSpeaking) {
-      // Add to buffer window
-      const buffer = this.interruptionBuffers.get(callId) || [];
-      buffer.push({
-        timestamp: Date.now(),
-        isUserSpeaking
-      });
-      
-      // Keep only recent buffer within latency window
-      const cutoffTime = Date.now() - this.latencyMs;
-      const filteredBuffer = buffer.filter(item => item.timestamp >= cutoffTime);
-      this.interruptionBuffers.set(callId, filteredBuffer);
-      
-      // Count segments with user speaking
-      const speakingSegments = filteredBuffer.filter(item => item.isUserSpeaking).length;
-      
-      // Calculate interruption threshold based on sensitivity
-      // More sensitive = fewer speaking segments needed to trigger
-      const thresholdSegments = Math.max(2, Math.floor(10 * (1 - this.sensitivityLevel)));
-      
-      // If enough speaking segments within window, trigger interruption
-      if (speakingSegments >= thresholdSegments) {
-        this._triggerInterruption(callId);
-        return true;
-      }
+  }
+
+  /**
+   * Whether the caller is hearing the agent right now
+   * @param {string} callId - Call identifier
+   * @returns {boolean}
+   */
+  isAiSpeaking(callId) {
+    const status = this.interruptionStatus.get(callId);
+    const utterance = status && status.utterance;
+    if (!utterance || utterance.startedAt === null) return false;
+
+    if (utterance.complete && Date.now() >= status.playbackEndsAt) {
+      status.utterance = null;
+      return false;
     }
-    
-    return false;
+    return true;
   }
-  
+
   /**
-   * Update AI speaking status
+   * Update AI speaking status, for audio paths that do not report played audio
    * @param {string} callId - Call identifier
    * @param {boolean} isAiSpeaking - Whether AI is speaking
    */
   updateAiSpeakingStatus(callId, isAiSpeaking) {
     const status = this.interruptionStatus.get(callId);
     if (!status) return;
-    
-    status.isAiSpeaking = isAiSpeaking;
-    
-    // If AI stopped speaking, clear any waiting flag
-    if (!isAiSpeaking) {
+
+    if (isAiSpeaking && !status.utterance) {
+      status.utterance = { text: null, language: null, startedAt: Date.now(), sentMs: 0, complete: false };
+    } else if (!isAiSpeaking) {
+      status.utterance = null;
+      // If AI stopped speaking, clear any waiting flag
       status.waitingToSpeak = false;
     }
   }
-  
+
   /**
-   * Trigger an interruption
+   * Process a voice activity result for barge-in detection; call it for every audio chunk
    * @param {string} callId - Call identifier
-   * @private
+   * @param {Object} audioData - Audio data object
+   * @param {boolean} isUserSpeaking - Whether user is currently speaking
+   * @returns {boolean} - Whether the agent was stopped
    */
-  _triggerInterruption(callId) {
+  processAudioSegment(callId, audioData, isUserSpeaking) {
     const status = this.interruptionStatus.get(callId);
-    if (!status) return;
-    
-    // Record interruption
-    status.lastInterruptionTime = Date.now();
-    status.interruptionCount++;
-    
-    // Set cooldown to prevent multiple rapid interruptions
-    this.interruptionCooldown.set(callId, true);
-    setTimeout(() => {
-      this.interruptionCooldown.set(callId, false);
-    }, 3000); // 3-second cooldown
-    
-    logger.info(`Interruption detected for call ${callId} (#${status.interruptionCount})`);
+    if (!status) return false;
+
+    status.isUserSpeaking = isUserSpeaking;
+    const now = Date.now();
+    let candidate = status.candidate;
+
+    if (isUserSpeaking) {
+      if (!candidate) {
+        // Speech while the agent is silent is an ordinary turn
+        if (!this.isAiSpeaking(callId)) return false;
+        candidate = status.candidate = {
+          startedAt: now,
+          endedAt: null,
+          speechMs: 0,
+          decision: null,
+          transcript: '',
+          answersQuestion: this._nearQuestionEnd(status, now)
+        };
+      } else if (candidate.endedAt !== null) {
+        // The customer carried on after a pause
+        candidate.speechMs += candidate.endedAt - candidate.startedAt;
+        candidate.startedAt = now;
+        candidate.endedAt = null;
+        this._clearTranscriptTimer(callId);
+      }
+    } else {
+      if (candidate && candidate.endedAt === null) {
+        candidate.endedAt = now;
+        if (!candidate.decision && this._speechMs(candidate, now) < status.policy.minSpeechMs) {
+          this._decide(callId, 'ignore', 'too_short');
+          status.candidate = null;
+        } else {
+          this._startTranscriptTimer(callId);
+        }
+      }
+      return false;
+    }
+
+    if (candidate.decision) return false;
+
+    const { policy } = status;
+    const speechMs = this._speechMs(candidate, now);
+    if (policy.mode === 'disabled') {
+      candidate.decision = 'ignore';
+      this._decide(callId, 'ignore', 'barge_in_disabled');
+      return false;
+    }
+    if (speechMs < policy.minSpeechMs) return false;
+    if (policy.mode === 'immediate') {
+      return this._stop(callId, 'speech_detected');
+    }
+    if (speechMs >= policy.maxBackchannelMs) {
+      return this._stop(callId, 'sustained_speech');
+    }
+    return false;
+  }
+
+  /**
+   * Judge a transcript of customer speech; call it for partial and final results,
+   * including empty final results
+   * @param {string} callId - Call identifier
+   * @param {string} text - Transcript
+   * @param {Object} [options] - { isFinal }
+   * @returns {Object} - { processTurn } whether the transcript should be answered as a customer turn
+   */
+  onTranscript(callId, text, { isFinal = true } = {}) {
+    const status = this.interruptionStatus.get(callId);
+    const candidate = status && status.candidate;
+    // Speech that did not overlap the agent is always a turn, "ok" included
+    if (!candidate) return { processTurn: true };
+
+    const { policy } = status;
+    const hasWords = Boolean(text && text.trim());
+    const backchannel = hasWords && isBackchannel(text, policy.backchannels);
+    // "Yes" over the end of "Shall I go ahead?" answers the question
+    const answer = backchannel && candidate.answersQuestion;
+    candidate.transcript = text || candidate.transcript;
+
+    if (!isFinal) {
+      if (!candidate.decision && hasWords && !backchannel && policy.mode !== 'disabled') {
+        this._stop(callId, 'partial_transcript');
+      }
+      return { processTurn: false };
+    }
+
+    this._clearTranscriptTimer(callId);
+    const realTurn = hasWords && (!backchannel || answer);
+    const turnReason = answer ? 'answer' : 'customer_turn';
+
+    if (!candidate.decision) {
+      if (realTurn) {
+        if (this.isAiSpeaking(callId)) {
+          this._stop(callId, 'transcript');
+        }
+        this._decide(callId, 'yield', turnReason);
+        status.interrupted = null;
+      } else {
+        this._decide(callId, 'ignore', backchannel ? 'backchannel' : 'no_speech');
+      }
+    } else if (candidate.decision === 'stop') {
+      if (realTurn) {
+        this._decide(callId, 'yield', turnReason);
+        status.interrupted = null;
+      } else {
+        this._resume(callId, backchannel ? 'backchannel' : 'no_speech');
+      }
+    } else if (realTurn) {
+      // Barge-in was not allowed; the turn is answered after the agent finishes
+      this._decide(callId, 'defer', 'barge_in_disabled');
+    }
+
+    status.candidate = null;
+    return { processTurn: realTurn };
   }
-  
+
   /**
    * Check if AI should wait before speaking
    * @param {string} callId - Call identifier
@@ -167,10 +306,10 @@ class InterruptionHandler {
   shouldWaitBeforeSpeaking(callId) {
     const status = this.interruptionStatus.get(callId);
     if (!status) return false;
-    
+
     return status.isUserSpeaking;
   }
-  
+
   /**
    * Mark AI as waiting to speak
    * @param {string} callId - Call identifier
@@ -178,22 +317,21 @@ class InterruptionHandler {
   markWaitingToSpeak(callId) {
     const status = this.interruptionStatus.get(callId);
     if (!status) return;
-    
+
     status.waitingToSpeak = true;
   }
-  
+
   /**
    * Clean up resources for a call
    * @param {string} callId - Call identifier
    */
   cleanupCall(callId) {
-    this.interruptionBuffers.delete(callId);
+    this._clearTranscriptTimer(callId);
     this.interruptionStatus.delete(callId);
-    this.interruptionCooldown.delete(callId);
-    
+
     logger.info(`Cleaned up interruption handler for call ${callId}`);
   }
-  
+
   /**
    * Get interruption statistics for a call
    * @param {string} callId - Call identifier
@@ -202,14 +340,135 @@ class InterruptionHandler {
   getStatistics(callId) {
     const status = this.interruptionStatus.get(callId);
     if (!status) return null;
-    
+
     return {
       interruptionCount: status.interruptionCount,
       lastInterruptionTime: status.lastInterruptionTime,
       isUserSpeaking: status.isUserSpeaking,
-      isAiSpeaking: status.isAiSpeaking,
-      waitingToSpeak: status.waitingToSpeak
+      isAiSpeaking: this.isAiSpeaking(callId),
+      waitingToSpeak: status.waitingToSpeak,
+      policy: status.policy,
+      policySource: status.policySource,
+      decisions: status.decisions.slice()
+    };
+  }
+
+  // Whether the agent is in the last moments of a question it has finished sending
+  _nearQuestionEnd(status, now) {
+    const { utterance } = status;
+    return Boolean(utterance && utterance.complete && endsWithQuestion(utterance.text)
+      && status.playbackEndsAt - now <= status.policy.answerWindowMs);
+  }
+
+  _speechMs(candidate, now) {
+    return candidate.speechMs + ((candidate.endedAt || now) - candidate.startedAt);
+  }
+
+  /**
+   * Stop the agent, keeping what was left of the utterance for resuming
+   * @private
+   */
+  _stop(callId, reason) {
+    const status = this.interruptionStatus.get(callId);
+    const now = Date.now();
+    const utterance = status.utterance;
+
+    status.interrupted = utterance && utterance.text ? {
+      text: utterance.text,
+      language: utterance.language,
+      playedMs: utterance.startedAt === null ? 0 : Math.max(0, Math.min(utterance.sentMs, now - utterance.startedAt)),
+      totalMs: utterance.complete ? utterance.sentMs : null
+    } : null;
+    status.utterance = null;
+    status.playbackEndsAt = now;
+    status.lastInterruptionTime = now;
+    status.interruptionCount++;
+    if (status.candidate) {
+      status.candidate.decision = 'stop';
+    }
+
+    this._decide(callId, 'stop', reason, {
+      agentPlayedMs: status.interrupted ? status.interrupted.playedMs : undefined
+    });
+    return true;
+  }
+
+  /**
+   * Continue the utterance the customer stopped, as the policy says
+   * @private
+   */
+  _resume(callId, reason) {
+    const status = this.interruptionStatus.get(callId);
+    const interrupted = status.interrupted;
+    status.interrupted = null;
+
+    const resumeText = getResumeText(interrupted, status.policy.resume);
+    this._decide(callId, resumeText ? 'resume' : 'drop', reason, {
+      resumeText: resumeText || undefined,
+      language: interrupted ? interrupted.language : undefined,
+      strategy: status.policy.resume
+    });
+  }
+
+  /**
+   * Settle overlapping speech whose transcript never arrived (discarded as too short, STT failure)
+   * @private
+   */
+  _startTranscriptTimer(callId) {
+    const status = this.interruptionStatus.get(callId);
+    this._clearTranscriptTimer(callId);
+    this.transcriptTimers.set(callId, setTimeout(() => {
+      this.transcriptTimers.delete(callId);
+      const candidate = status.candidate;
+      if (!candidate || this.interruptionStatus.get(callId) !== status) return;
+
+      if (candidate.decision === 'stop') {
+        this._resume(callId, 'no_transcript');
+      } else if (!candidate.decision) {
+        this._decide(callId, 'ignore', 'no_transcript');
+      }
+      status.candidate = null;
+    }, status.policy.resumeAfterMs));
+  }
+
+  _clearTranscriptTimer(callId) {
+    const timer = this.transcriptTimers.get(callId);
+    if (timer) {
+      clearTimeout(timer);
+      this.transcriptTimers.delete(callId);
+    }
+  }
+
+  /**
+   * Record, emit and persist a barge-in decision
+   * @private
+   */
+  _decide(callId, action, reason, details = {}) {
+    const status = this.interruptionStatus.get(callId);
+    const candidate = status.candidate;
+    const decision = {
+      timestamp: new Date(),
+      action,
+      reason,
+      mode: status.policy.mode,
+      policySource: status.policySource,
+      transcript: candidate && candidate.transcript ? candidate.transcript : undefined,
+      customerSpeechMs: candidate ? this._speechMs(candidate, Date.now()) : undefined,
+      ...details
     };
+
+    status.decisions.push(decision);
+    if (status.decisions.length > DECISION_HISTORY_SIZE) {
+      status.decisions.shift();
+    }
+    logger.info(`[BargeIn] Call ${callId}: ${action} (${reason}, ${decision.mode} via ${decision.policySource})`);
+
+    BargeInDecision.create({ callId, ...decision }).catch(error => {
+      logger.warn(`[BargeIn] Could not log barge-in decision for call ${callId}: ${error.message}`);
+    });
+
+    this.emit('bargeIn', { callId, ...decision });
+    return decision;
   }
 }
 
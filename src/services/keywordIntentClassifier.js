@@ -0,0 +1,66 @@
+/**
+ * Keyword Intent Classifier
+ *
+ * The original English/Hindi keyword rules from workflowEngine. Kept as the last
+ * classifier in the chain so there is always an answer when no model is trained
+ * or the other classifiers are not confident.
+ */
+
+const QUESTION_WORDS = ['what', 'how', 'when', 'where', 'why', 'which', 'who', 'can you', 'could you', 'will you', 'would you', 'is there', 'are there', 'do you', 'does it'];
+const INFO_REQUEST_WORDS = ['tell me', 'about', 'explain', 'details', 'more about', 'information', 'know about', 'learn about'];
+const NOT_INTERESTED_WORDS = ['not interested', 'no thanks', 'not now', 'cancel', 'stop', 'don\'t want', 'not need'];
+const OBJECTION_WORDS = [
+  'already have', 'have cards', 'don\'t need', 'expensive', 'costly', 'too many',
+  'high fee', 'no time', 'busy', 'later', 'charges', 'annual fee'
+];
+
+class KeywordIntentClassifier {
+  constructor() {
+    this.name = 'keyword';
+  }
+
+  isReady() {
+    return true;
+  }
+
+  async classify(text) {
+    const lowerText = text.toLowerCase().trim();
+
+    const hasQuestionWord = QUESTION_WORDS.some(word => lowerText.includes(word));
+    const hasInfoRequest = INFO_REQUEST_WORDS.some(phrase => lowerText.includes(phrase));
+    if (text.includes('?') || hasQuestionWord || hasInfoRequest) {
+      return { intent: 'question', confidence: 0.95 };
+    }
+
+    if (NOT_INTERESTED_WORDS.some(phrase => lowerText.includes(phrase))) {
+      return { intent: 'not_interested', confidence: 0.95 };
+    }
+
+    if (this.detectObjection(lowerText)) {
+      return { intent: 'objection', objectionType: this.getObjectionType(lowerText), confidence: 0.9 };
+    }
+
+    return { intent: 'interested', confidence: 0.7 };
+  }
+
+  detectObjection(text) {
+    const lowerText = text.toLowerCase();
+    return OBJECTION_WORDS.some(indicator => lowerText.includes(indicator));
+  }
+
+  getObjectionType(text) {
+    const lowerText = text.toLowerCase();
+    if (lowerText.includes('already have') || lowerText.includes('have card')) {
+      return 'already_have_cards';
+    }
+    if (lowerText.includes('expensive') || lowerText.includes('costly') || lowerText.includes('fee')) {
+      return 'high_fees';
+    }
+    if (lowerText.includes('no time') || lowerText.includes('busy') || lowerText.includes('later')) {
+      return 'no_time';
+    }
+    return 'not_interested';
+  }
+}
+
+module.exports = new KeywordIntentClassifier();
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const Call = require('../models/Call');
+const languages = require('../utils/languages');
+
+const CONTROL = 'control';
+
+// Twilio statuses after which a call's outcome no longer changes
+const FINAL_CALL_STATUSES = ['completed', 'failed', 'busy', 'no-answer', 'canceled'];
+
+/**
+ * Knowledge Base Experiment Service
+ *
+ * A/B tests answer variants of a knowledge base entry. The entry's own answer is
+ * the "control" arm and each active entry.variations[] item is another arm. A
+ * call always hears the same arm of an entry; once the call ends, every arm it
+ * heard is credited with a success when an application was started or completed.
+ */
+class KnowledgeBaseExperimentService extends EventEmitter {
+  constructor() {
+    super();
+    this.alpha = parseFloat(process.env.KB_AB_SIGNIFICANCE) || 0.05;
+  }
+
+  isRunning(entry) {
+    return !!(entry.abTest && entry.abTest.enabled) && this.getActiveVariations(entry).length > 0;
+  }
+
+  getActiveVariations(entry) {
+    return (entry.variations || []).filter(variation => variation.isActive !== false && variation.version);
+  }
+
+  /**
+   * Pick the arm for this call; sticky per call and entry, random without a call
+   */
+  chooseVersion(entry, callRecordId) {
+    const arms = [CONTROL, ...this.getActiveVariations(entry).map(variation => variation.version)];
+    if (!callRecordId) {
+      return arms[Math.floor(Math.random() * arms.length)];
+    }
+    const digest = crypto.createHash('md5').update(`${callRecordId}:${entry._id}`).digest();
+    return arms[digest.readUInt32BE(0) % arms.length];
+  }
+
+  /**
+   * Answer text to speak for an entry, and which arm it came from.
+   * Records the served arm on the call when a call record id is given.
+   */
+  async serveAnswer(entry, language, context = {}) {
+    let version = CONTROL;
+    let text = languages.getLocalizedText(entry.answer, language);
+
+    if (this.isRunning(entry)) {
+      version = this.chooseVersion(entry, context.callRecordId);
+      const variation = this.getActiveVariations(entry).find(item => item.version === version);
+      if (variation && variation.content) {
+        // Languages the variation has no text for are answered from the main answer
+        text = languages.getLocalizedText(languages.mergeLanguageMaps(entry.answer, variation.content), language);
+      }
+    }
+
+    if (context.callRecordId) {
+      await this.recordServedVariant(context.callRecordId, entry, version, context.usage || 'objection');
+    }
+
+    return { text, version };
+  }
+
+  async recordServedVariant(callRecordId, entry, version, usage) {
+    try {
+      // Only the first serving of an entry counts for a call
+      await Call.updateOne(
+        { _id: callRecordId, 'kbVariants.entryId': { $ne: entry._id } },
+        { $push: { kbVariants: { entryId: entry._id, version, usage, servedAt: new Date() } } }
+      );
+    } catch (error) {
+      console.error('[KBExperiment] Error recording served variant:', error.message);
+    }
+  }
+
+  /**
+   * Credit every arm a finished call heard with its outcome
+   */
+  async attributeCallOutcome(call, callStatus) {
+    if (!FINAL_CALL_STATUSES.includes(callStatus)) return;
+
+    const pending = (call.kbVariants || []).filter(served => !served.attributed);
+    if (pending.length === 0) return;
+
+    const success = !!(call.applicationStarted || call.applicationCompleted);
+
+    // Claim the served records first so a repeated status webhook cannot count them twice
+    const claimed = await Call.findOneAndUpdate(
+      { _id: call._id, kbVariants: { $elemMatch: { attributed: { $ne: true } } } },
+      { $set: { 'kbVariants.$[pending].attributed': true, 'kbVariants.$[pending].success': success } },
+      { arrayFilters: [{ 'pending.attributed': { $ne: true } }] }
+    );
+    if (!claimed) return;
+
+    for (const served of claimed.kbVariants.filter(item => !item.attributed)) {
+      try {
+        await this.recordResult(served.entryId, served.version, success);
+      } catch (error) {
+        console.error(`[KBExperiment] Error attributing outcome to ${served.entryId}/${served.version}:`, error.message);
+      }
+    }
+  }
+
+  async recordResult(entryId, version, success) {
+    const increment = { 'usage.attributedUses': 1, 'usage.successes': success ? 1 : 0 };
+    let update;
+    let options = { new: true };
+
+    if (version === CONTROL) {
+      update = { $inc: { ...increment, 'abTest.control.uses': 1, 'abTest.control.successes': success ? 1 : 0 } };
+    } else {
+      update = { $inc: { ...increment, 'variations.$[arm].performance.uses': 1, 'variations.$[arm].performance.successes': success ? 1 : 0 } };
+      options = { ...options, arrayFilters: [{ 'arm.version': version }] };
+    }
+
+    const entry = await KnowledgeBase.findByIdAndUpdate(entryId, update, options);
+    if (!entry) return;
+
+    // Keep the stored rates in step with the counters
+    entry.usage.successRate = this.rate(entry.usage.successes, entry.usage.attributedUses);
+    entry.abTest.control.successRate = this.rate(entry.abTest.control.successes, entry.abTest.control.uses);
+    entry.variations.forEach(variation => {
+      variation.performance.successRate = this.rate(variation.performance.successes, variation.performance.uses);
+    });
+    await entry.save();
+
+    if (this.isRunning(entry) && entry.abTest.autoPromote) {
+      const report = this.buildReport(entry);
+      if (report.winner) {
+        await this.promote(entry, report.winner, 'auto');
+      }
+    }
+  }
+
+  rate(successes, uses) {
+    return uses > 0 ? successes / uses : 0;
+  }
+
+  /**
+   * Per-arm conversion, each variation compared with control by a two-proportion z-test
+   */
+  buildReport(entry) {
+    const control = entry.abTest && entry.abTest.control ? entry.abTest.control : { uses: 0, successes: 0 };
+    const minSamples = (entry.abTest && entry.abTest.minSamplesPerArm) || 100;
+    const controlArm = this.describeArm(CONTROL, control.uses || 0, control.successes || 0);
+
+    const variations = this.getActiveVariations(entry).map(variation => {
+      const performance = variation.performance || {};
+      const arm = this.describeArm(variation.version, performance.uses || 0, performance.successes || 0);
+      const test = this.twoProportionTest(controlArm, arm);
+      return {
+        ...arm,
+        lift: controlArm.conversionRate > 0 ? (arm.conversionRate - controlArm.conversionRate) / controlArm.conversionRate : null,
+        zScore: test.zScore,
+        pValue: test.pValue,
+        significant: test.pValue !== null && test.pValue < this.alpha
+      };
+    });
+
+    const enoughData = [controlArm, ...variations].every(arm => arm.uses >= minSamples);
+    let winner = null;
+    if (enoughData && variations.length > 0) {
+      const significantWinners = variations
+        .filter(arm => arm.significant && arm.conversionRate > controlArm.conversionRate)
+        .sort((a, b) => b.conversionRate - a.conversionRate);
+
+      if (significantWinners.length > 0) {
+        winner = significantWinners[0].version;
+      } else if (variations.every(arm => arm.significant && arm.conversionRate < controlArm.conversionRate)) {
+        winner = CONTROL; // Every variation is significantly worse
+      }
+    }
+
+    return {
+      entryId: entry._id,
+      question: entry.question,
+      running: this.isRunning(entry),
+      autoPromote: !!(entry.abTest && entry.abTest.autoPromote),
+      minSamplesPerArm: minSamples,
+      significanceLevel: this.alpha,
+      enoughData,
+      control: controlArm,
+      variations,
+      winner,
+      promotedVersion: entry.abTest ? entry.abTest.promotedVersion : null,
+      promotedAt: entry.abTest ? entry.abTest.promotedAt : null
+    };
+  }
+
+  describeArm(version, uses, successes) {
+    return { version, uses, successes, conversionRate: this.rate(successes, uses) };
+  }
+
+  twoProportionTest(a, b) {
+    if (a.uses === 0 || b.uses === 0) return { zScore: null, pValue: null };
+
+    const pooled = (a.successes + b.successes) / (a.uses + b.uses);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.uses + 1 / b.uses));
+    if (standardError === 0) return { zScore: null, pValue: null };
+
+    const zScore = (b.conversionRate - a.conversionRate) / standardError;
+    const pValue = 2 * (1 - this.normalCdf(Math.abs(zScore)));
+    return { zScore, pValue };
+  }
+
+  // Abramowitz & Stegun 7.1.26 approximation of the standard normal CDF
+  normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - polynomial * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * End the test with the given arm as the answer. A promoted variation replaces
+   * entry.answer and the previous answer is kept as an inactive variation.
+   */
+  async promote(entry, version, promotedBy = 'manual') {
+    if (version !== CONTROL) {
+      const variation = this.getActiveVariations(entry).find(item => item.version === version);
+      if (!variation) return null;
+
+      entry.variations.push({
+        version: `control_${Date.now()}`,
+        content: languages.mergeLanguageMaps(entry.answer),
+        performance: {
+          uses: entry.abTest.control.uses,
+          successes: entry.abTest.control.successes,
+          successRate: entry.abTest.control.successRate
+        },
+        isActive: false
+      });
+      // Languages the variation has no text for keep their current answer
+      entry.answer = languages.mergeLanguageMaps(entry.answer, variation.content);
+    }
+
+    entry.variations.forEach(variation => {
+      variation.isActive = false;
+    });
+    entry.abTest.enabled = false;
+    entry.abTest.promotedVersion = version;
+    entry.abTest.promotedAt = new Date();
+    entry.abTest.promotedBy = promotedBy;
+    entry.abTest.control = { uses: 0, successes: 0, successRate: 0 };
+    await entry.save();
+
+    console.log(`[KBExperiment] Promoted "${version}" for entry ${entry._id} (${promotedBy})`);
+    this.emit('promoted', { entryId: entry._id, version, promotedBy });
+    return entry;
+  }
+}
+
+module.exports = new KnowledgeBaseExperimentService();
+module.exports.CONTROL = CONTROL;
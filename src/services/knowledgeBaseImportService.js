@@ -0,0 +1,311 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const knowledgeBaseIndex = require('./knowledgeBaseIndex');
+const embeddingService = require('./embeddingService');
+const languages = require('../utils/languages');
+
+// Answer field per language (answerEnglish, answerTamil, ...) -> its column (answer_english, answer_tamil, ...)
+const ANSWER_FIELDS = Object.fromEntries(languages.LANGUAGE_NAMES.map(language => [
+  `answer${language.charAt(0).toUpperCase()}${language.slice(1)}`,
+  language
+]));
+
+// Entry field -> column name in an uploaded file; override per upload with a mapping
+const DEFAULT_COLUMN_MAPPING = {
+  key: 'key',
+  category: 'category',
+  question: 'question',
+  alternateQuestions: 'alternateQuestions',
+  ...Object.fromEntries(Object.entries(ANSWER_FIELDS).map(([field, language]) => [field, `answer_${language}`])),
+  objectionType: 'objectionType',
+  cardType: 'cardType',
+  priority: 'priority',
+  keywords: 'keywords',
+  isActive: 'isActive'
+};
+
+const EXPORT_COLUMNS = Object.values(DEFAULT_COLUMN_MAPPING);
+
+// Separator for list columns (alternateQuestions, keywords) in CSV files
+const LIST_SEPARATOR = '|';
+
+/**
+ * Knowledge Base Import Service
+ *
+ * Bulk CSV/JSONL import with column mapping, validation, near-duplicate detection
+ * and upsert-by-key, plus the matching export. A row updates an existing entry
+ * when its key matches, or (without a key) when question and cardType match.
+ */
+class KnowledgeBaseImportService {
+  constructor() {
+    this.duplicateSimilarity = parseFloat(process.env.KB_DUPLICATE_SIMILARITY) || 0.85;
+  }
+
+  detectFormat(fileName = '', format) {
+    if (format) return format.toLowerCase();
+    return /\.jsonl?$/i.test(fileName) ? 'jsonl' : 'csv';
+  }
+
+  /**
+   * Read rows from an uploaded file; each row keeps its 1-based line/row number
+   */
+  parseFile(filePath, format) {
+    if (format === 'jsonl') {
+      const rows = [];
+      fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          rows.push({ rowNumber: index + 1, data: JSON.parse(line) });
+        } catch (error) {
+          rows.push({ rowNumber: index + 1, parseError: `Invalid JSON: ${error.message}` });
+        }
+      });
+      return Promise.resolve(rows);
+    }
+
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      fs.createReadStream(filePath)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+        .on('data', (data) => rows.push({ rowNumber: rows.length + 2, data })) // Row 1 is the header
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Turn a raw row (flat CSV columns or nested JSON) into KnowledgeBase fields
+   */
+  mapRow(data, mapping = {}) {
+    const columns = { ...DEFAULT_COLUMN_MAPPING, ...mapping };
+    const read = (field) => {
+      const value = data[columns[field]];
+      return typeof value === 'string' ? value.trim() : value;
+    };
+    const readList = (field) => {
+      const value = read(field);
+      if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+      return value ? String(value).split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : [];
+    };
+
+    let answer = languages.mergeLanguageMaps(Object.fromEntries(
+      Object.entries(ANSWER_FIELDS).map(([field, language]) => [language, read(field)])
+    ));
+    if (typeof data.answer === 'string') {
+      answer = { english: data.answer };
+    } else if (data.answer && typeof data.answer === 'object') {
+      answer = languages.mergeLanguageMaps(data.answer);
+    }
+    // Entries from Hindi-only sheets keep working: the Hindi text stands in for English
+    if (!answer.english && answer.hindi) answer.english = answer.hindi;
+
+    const entry = {
+      key: read('key') || undefined,
+      category: read('category'),
+      question: read('question'),
+      alternateQuestions: readList('alternateQuestions'),
+      answer,
+      objectionType: read('objectionType') || undefined,
+      cardType: read('cardType') || 'general',
+      keywords: readList('keywords')
+    };
+
+    const priority = read('priority');
+    if (priority !== undefined && priority !== '') entry.priority = Number(priority);
+
+    const isActive = read('isActive');
+    if (isActive !== undefined && isActive !== '') entry.isActive = !['false', '0', 'no'].includes(String(isActive).toLowerCase());
+
+    return entry;
+  }
+
+  validate(entry) {
+    const error = new KnowledgeBase(entry).validateSync();
+    return error ? Object.values(error.errors).map(item => item.message) : [];
+  }
+
+  normalizeQuestion(question) {
+    return (question || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+  }
+
+  async findExisting(entry) {
+    if (entry.key) {
+      return KnowledgeBase.findOne({ key: entry.key });
+    }
+    const escaped = entry.question.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return KnowledgeBase.findOne({
+      question: { $regex: `^${escaped}$`, $options: 'i' },
+      cardType: entry.cardType
+    });
+  }
+
+  /**
+   * Import parsed rows. With dryRun nothing is written and each row reports what would happen.
+   * Options: { mapping, dryRun, skipNearDuplicates }
+   */
+  async importRows(rows, options = {}) {
+    const { mapping = {}, dryRun = false, skipNearDuplicates = false } = options;
+    const results = {
+      dryRun,
+      total: rows.length,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      failed: 0,
+      rows: []
+    };
+
+    // Validate and map every row first
+    const prepared = rows.map(row => {
+      if (row.parseError) {
+        return { rowNumber: row.rowNumber, errors: [row.parseError] };
+      }
+      const entry = this.mapRow(row.data, mapping);
+      return { rowNumber: row.rowNumber, entry, errors: this.validate(entry) };
+    });
+
+    await knowledgeBaseIndex.ensureReady();
+    const valid = prepared.filter(item => item.errors.length === 0);
+    const vectors = await embeddingService.embed(valid.map(item => item.entry.question));
+    valid.forEach((item, index) => {
+      item.vector = vectors[index];
+    });
+
+    // Exact duplicates within the file: the last row for a key/question wins
+    const lastRowByIdentity = new Map();
+    valid.forEach(item => {
+      lastRowByIdentity.set(this.getIdentity(item.entry), item.rowNumber);
+    });
+
+    for (const item of prepared) {
+      const report = { row: item.rowNumber, question: item.entry ? item.entry.question : undefined };
+
+      if (item.errors.length > 0) {
+        results.failed++;
+        results.rows.push({ ...report, status: 'invalid', errors: item.errors });
+        continue;
+      }
+
+      if (lastRowByIdentity.get(this.getIdentity(item.entry)) !== item.rowNumber) {
+        results.skipped++;
+        results.rows.push({ ...report, status: 'skipped', reason: `Superseded by row ${lastRowByIdentity.get(this.getIdentity(item.entry))}` });
+        continue;
+      }
+
+      try {
+        const existing = await this.findExisting(item.entry);
+        const nearDuplicates = this.findNearDuplicates(item, valid, existing);
+        if (nearDuplicates.length > 0) {
+          report.nearDuplicates = nearDuplicates;
+        }
+
+        if (nearDuplicates.length > 0 && skipNearDuplicates && !existing) {
+          results.skipped++;
+          results.rows.push({ ...report, status: 'skipped', reason: 'Near-duplicate question' });
+          continue;
+        }
+
+        if (dryRun) {
+          results[existing ? 'updated' : 'created']++;
+          results.rows.push({ ...report, status: existing ? 'would_update' : 'would_create', entryId: existing ? existing._id : undefined });
+          continue;
+        }
+
+        const saved = existing
+          ? await knowledgeBaseService.updateEntry(existing._id, item.entry)
+          : await knowledgeBaseService.addEntry(item.entry);
+        results[existing ? 'updated' : 'created']++;
+        results.rows.push({ ...report, status: existing ? 'updated' : 'created', entryId: saved._id });
+      } catch (error) {
+        results.failed++;
+        results.rows.push({ ...report, status: 'failed', errors: [error.message] });
+      }
+    }
+
+    return results;
+  }
+
+  getIdentity(entry) {
+    return entry.key ? `key:${entry.key}` : `question:${entry.cardType}:${this.normalizeQuestion(entry.question)}`;
+  }
+
+  /**
+   * Similar questions among existing entries and earlier rows of the same file,
+   * ignoring the entry this row will update
+   */
+  findNearDuplicates(item, validRows, existing) {
+    const matches = [];
+
+    knowledgeBaseIndex.searchVector(item.vector, { cardTypes: [...new Set([item.entry.cardType, 'general'])] })
+      .filter(match => match.similarity >= this.duplicateSimilarity)
+      .filter(match => !existing || match.entryId !== existing._id.toString())
+      .forEach(match => matches.push({
+        entryId: match.entryId,
+        question: match.matchedText,
+        similarity: Number(match.similarity.toFixed(3))
+      }));
+
+    validRows
+      .filter(other => other.rowNumber < item.rowNumber && this.getIdentity(other.entry) !== this.getIdentity(item.entry))
+      .forEach(other => {
+        const similarity = embeddingService.cosineSimilarity(item.vector, other.vector);
+        if (similarity >= this.duplicateSimilarity) {
+          matches.push({ row: other.rowNumber, question: other.entry.question, similarity: Number(similarity.toFixed(3)) });
+        }
+      });
+
+    return matches;
+  }
+
+  /**
+   * Export entries as CSV (default columns) or JSONL (full entry documents)
+   */
+  async exportEntries(format = 'csv', filter = {}) {
+    const entries = await KnowledgeBase.find(filter).sort({ category: 1, createdAt: 1 }).lean();
+
+    if (format === 'jsonl') {
+      return entries.map(entry => JSON.stringify({
+        key: entry.key,
+        category: entry.category,
+        question: entry.question,
+        alternateQuestions: entry.alternateQuestions,
+        answer: entry.answer,
+        objectionType: entry.objectionType,
+        cardType: entry.cardType,
+        priority: entry.priority,
+        keywords: entry.keywords,
+        isActive: entry.isActive
+      })).join('\n');
+    }
+
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [EXPORT_COLUMNS.join(',')];
+    entries.forEach(entry => {
+      const row = {
+        key: entry.key,
+        category: entry.category,
+        question: entry.question,
+        alternateQuestions: (entry.alternateQuestions || []).join(LIST_SEPARATOR),
+        ...Object.fromEntries(languages.LANGUAGE_NAMES.map(language => [`answer_${language}`, (entry.answer || {})[language]])),
+        objectionType: entry.objectionType,
+        cardType: entry.cardType,
+        priority: entry.priority,
+        keywords: (entry.keywords || []).join(LIST_SEPARATOR),
+        isActive: entry.isActive
+      };
+      lines.push(EXPORT_COLUMNS.map(column => escape(row[column])).join(','));
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new KnowledgeBaseImportService();
+module.exports.DEFAULT_COLUMN_MAPPING = DEFAULT_COLUMN_MAPPING;
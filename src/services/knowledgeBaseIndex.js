@@ -0,0 +1,129 @@
+const KnowledgeBase = require('../models/KnowledgeBase');
+const KnowledgeBaseEmbedding = require('../models/KnowledgeBaseEmbedding');
+const embeddingService = require('./embeddingService');
+
+/**
+ * Knowledge Base Vector Index
+ *
+ * In-memory vectors for every active knowledge base entry, backed by the
+ * KnowledgeBaseEmbedding collection so entries are only re-embedded when their
+ * text or the embedding provider changes.
+ */
+class KnowledgeBaseIndex {
+  constructor() {
+    this.items = new Map(); // entryId -> { entryId, cardType, texts, vectors }
+    this.ready = false;
+    this.building = null;
+  }
+
+  // Phrasings that are embedded for an entry
+  getEntryTexts(entry) {
+    return [entry.question, ...(entry.alternateQuestions || [])]
+      .map(text => (text || '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Load or (re)embed every active entry
+   */
+  async build() {
+    if (!this.building) {
+      this.building = (async () => {
+        try {
+          const entries = await KnowledgeBase.find({ isActive: true });
+          this.items.clear();
+          for (const entry of entries) {
+            await this.upsert(entry);
+          }
+          this.ready = true;
+          console.log(`[KnowledgeBaseIndex] Indexed ${this.items.size} entries with ${embeddingService.getProviderKey()}`);
+        } finally {
+          this.building = null;
+        }
+      })();
+    }
+    return this.building;
+  }
+
+  async ensureReady() {
+    if (!this.ready) {
+      await this.build();
+    }
+  }
+
+  /**
+   * Index one entry, reusing stored vectors when nothing has changed
+   */
+  async upsert(entry) {
+    if (!entry.isActive) {
+      return this.remove(entry._id);
+    }
+
+    const texts = this.getEntryTexts(entry);
+    const provider = embeddingService.getProviderKey();
+    const contentHash = embeddingService.contentHash(texts);
+
+    let stored = await KnowledgeBaseEmbedding.findOne({ entryId: entry._id }).lean();
+    if (!stored || stored.provider !== provider || stored.contentHash !== contentHash) {
+      const vectors = await embeddingService.embed(texts);
+      stored = await KnowledgeBaseEmbedding.findOneAndUpdate(
+        { entryId: entry._id },
+        { provider, contentHash, texts, vectors },
+        { upsert: true, new: true }
+      ).lean();
+    }
+
+    this.items.set(entry._id.toString(), {
+      entryId: entry._id.toString(),
+      cardType: entry.cardType,
+      texts: stored.texts,
+      vectors: stored.vectors
+    });
+  }
+
+  async remove(entryId) {
+    this.items.delete(entryId.toString());
+    await KnowledgeBaseEmbedding.deleteOne({ entryId });
+  }
+
+  /**
+   * Best vector similarity per entry for a query, limited to the given card types
+   */
+  async search(query, options = {}) {
+    await this.ensureReady();
+    const queryVector = await embeddingService.embedOne(query);
+    return this.searchVector(queryVector, options);
+  }
+
+  /**
+   * Same as search() for a query that is already embedded
+   */
+  searchVector(queryVector, { cardTypes } = {}) {
+    const results = [];
+
+    this.items.forEach(item => {
+      if (cardTypes && !cardTypes.includes(item.cardType)) return;
+
+      let best = { similarity: -1, text: null };
+      item.vectors.forEach((vector, index) => {
+        const similarity = embeddingService.cosineSimilarity(queryVector, vector);
+        if (similarity > best.similarity) {
+          best = { similarity, text: item.texts[index] };
+        }
+      });
+      results.push({ entryId: item.entryId, similarity: Math.max(best.similarity, 0), matchedText: best.text });
+    });
+
+    return results.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  getStats() {
+    return {
+      ready: this.ready,
+      provider: embeddingService.getProviderKey(),
+      entries: this.items.size
+    };
+  }
+}
+
+module.exports = new KnowledgeBaseIndex();
@@ -1,10 +1,20 @@
 const KnowledgeBase = require('../models/KnowledgeBase');
 const openaiService = require('./openaiService');
+const knowledgeBaseIndex = require('./knowledgeBaseIndex');
+const knowledgeBaseExperimentService = require('./knowledgeBaseExperimentService');
+const languages = require('../utils/languages');
 
 class KnowledgeBaseService {
   constructor() {
     this.cache = new Map(); // Cache frequently accessed responses
     this.initialized = false;
+
+    // Hybrid ranking: share of the score that comes from vector similarity (the rest is keyword overlap)
+    this.vectorWeight = parseFloat(process.env.KB_VECTOR_WEIGHT) || 0.7;
+    this.minScore = parseFloat(process.env.KB_MIN_SCORE) || 0.35;
+
+    // Cached entries still carry the old answer after a variant is promoted
+    knowledgeBaseExperimentService.on('promoted', () => this.cache.clear());
   }
 
   /**
@@ -19,6 +29,8 @@ class KnowledgeBaseService {
       if (count === 0) {
         await this.populateInitialKnowledgeBase();
       }
+
+      await knowledgeBaseIndex.build();
       
       this.initialized = true;
       console.log('Knowledge Base Service initialized successfully');
@@ -177,34 +189,11 @@ class KnowledgeBaseService {
         return this.cache.get(cacheKey);
       }
 
-      // Search in knowledge base
-      const entries = await KnowledgeBase.find({
-        $and: [
-          { cardType: { $in: [cardType, 'general'] } },
-          { isActive: true },
-          {
-            $or: [
-              { question: { $regex: question, $options: 'i' } },
-              { alternateQuestions: { $regex: question, $options: 'i' } },
-              { keywords: { $in: this.extractKeywords(question) } }
-            ]
-          }
-        ]
-      });
-
-      if (entries.length === 0) {
-        return null;
-      }
-
-      // Score and rank entries
-      const scoredEntries = entries.map(entry => ({
-        entry,
-        score: this.calculateRelevanceScore(question, entry, context)
-      })).filter(item => item.score > 3)
-        .sort((a, b) => b.score - a.score);
+      // Rank entries by hybrid vector + keyword score
+      const ranked = await this.search(question, { cardType, stepType });
 
-      if (scoredEntries.length > 0) {
-        const bestMatch = scoredEntries[0].entry;
+      if (ranked.length > 0 && ranked[0].score >= this.minScore) {
+        const bestMatch = ranked[0].entry;
         
         // Cache the result
         this.cache.set(cacheKey, bestMatch);
@@ -225,7 +214,73 @@ class KnowledgeBaseService {
   }
 
   /**
-   * Handle objections specifically
+   * Rank active entries for a question. Each result carries an explanation of
+   * how its score was built: vector similarity of the closest phrasing, keyword
+   * overlap, and small priority / card type boosts.
+   */
+  async search(question, context = {}, options = {}) {
+    const { cardType = 'general' } = context;
+    const { limit = 5 } = options;
+    const cardTypes = [...new Set([cardType, 'general'])];
+
+    const vectorMatches = await knowledgeBaseIndex.search(question, { cardTypes });
+    if (vectorMatches.length === 0) return [];
+
+    const entries = await KnowledgeBase.find({
+      _id: { $in: vectorMatches.map(match => match.entryId) },
+      isActive: true
+    });
+    const entriesById = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+    return vectorMatches
+      .filter(match => entriesById.has(match.entryId))
+      .map(match => {
+        const entry = entriesById.get(match.entryId);
+        const keyword = this.keywordOverlap(question, entry);
+        const priorityBoost = ((entry.priority || 1) - 1) / 9 * 0.05;
+        const cardTypeBoost = cardType !== 'general' && entry.cardType === cardType ? 0.03 : 0;
+        const vectorScore = this.vectorWeight * match.similarity;
+        const keywordScore = (1 - this.vectorWeight) * keyword.score;
+
+        return {
+          entry,
+          score: vectorScore + keywordScore + priorityBoost + cardTypeBoost,
+          explanation: {
+            vector: { similarity: match.similarity, weighted: vectorScore, matchedPhrasing: match.matchedText },
+            keyword: { overlap: keyword.score, weighted: keywordScore, matchedKeywords: keyword.matched },
+            priorityBoost,
+            cardTypeBoost
+          }
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Share of the question's keywords found in the entry's keywords or phrasings
+   */
+  keywordOverlap(question, entry) {
+    const questionKeywords = [...new Set(this.extractKeywords(question).filter(Boolean))];
+    if (questionKeywords.length === 0) {
+      return { score: 0, matched: [] };
+    }
+
+    const entryTerms = new Set([
+      ...(entry.keywords || []).map(keyword => keyword.toLowerCase()),
+      ...this.extractKeywords([entry.question, ...(entry.alternateQuestions || [])].join(' '))
+    ]);
+
+    const matched = questionKeywords.filter(keyword => [...entryTerms].some(term =>
+      term === keyword || (Math.min(term.length, keyword.length) > 3 && (term.startsWith(keyword) || keyword.startsWith(term)))
+    ));
+
+    return { score: matched.length / questionKeywords.length, matched };
+  }
+
+  /**
+   * Handle objections specifically. When context.callRecordId is given the
+   * served answer variant is recorded on that call for A/B attribution.
    */
   async handleObjection(objectionText, context = {}) {
     try {
@@ -249,24 +304,38 @@ class KnowledgeBaseService {
         objectionResponse.usage.lastUsed = new Date();
         await objectionResponse.save();
 
+        const served = await knowledgeBaseExperimentService.serveAnswer(objectionResponse, language, {
+          callRecordId: context.callRecordId,
+          usage: 'objection'
+        });
+
         return {
           found: true,
-          response: objectionResponse.answer[language] || objectionResponse.answer.english,
+          response: served.text,
           type: objectionType,
           source: 'knowledge_base',
-          confidence: 0.9
+          confidence: 0.9,
+          entryId: objectionResponse._id,
+          variant: served.version
         };
       }
 
       // If no specific response found, try general search
       const generalAnswer = await this.findAnswer(objectionText, context);
       if (generalAnswer) {
+        const served = await knowledgeBaseExperimentService.serveAnswer(generalAnswer, language, {
+          callRecordId: context.callRecordId,
+          usage: 'faq'
+        });
+
         return {
           found: true,
-          response: generalAnswer.answer[language] || generalAnswer.answer.english,
+          response: served.text,
           type: 'general',
           source: 'knowledge_base',
-          confidence: 0.7
+          confidence: 0.7,
+          entryId: generalAnswer._id,
+          variant: served.version
         };
       }
 
@@ -295,7 +364,7 @@ class KnowledgeBaseService {
 
       return features.map(feature => ({
         feature: feature.question,
-        description: feature.answer[language] || feature.answer.english
+        description: languages.getLocalizedText(feature.answer, language)
       }));
     } catch (error) {
       console.error('Error getting card features:', error);
@@ -310,6 +379,7 @@ class KnowledgeBaseService {
     try {
       const entry = new KnowledgeBase(entryData);
       await entry.save();
+      await this.syncIndex(entry);
       
       // Clear cache to force refresh
       this.cache.clear();
@@ -331,6 +401,9 @@ class KnowledgeBaseService {
         updateData, 
         { new: true }
       );
+      if (entry) {
+        await this.syncIndex(entry);
+      }
       
       // Clear cache
       this.cache.clear();
@@ -342,6 +415,27 @@ class KnowledgeBaseService {
     }
   }
 
+  /**
+   * Keep the vector index in step with a saved entry. An embedding failure leaves
+   * the entry saved but unindexed until the next rebuild.
+   */
+  async syncIndex(entry) {
+    try {
+      await knowledgeBaseIndex.upsert(entry);
+    } catch (error) {
+      console.error(`Error indexing KB entry ${entry._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Re-embed every active entry (e.g. after switching embedding provider)
+   */
+  async rebuildIndex() {
+    await knowledgeBaseIndex.build();
+    this.cache.clear();
+    return knowledgeBaseIndex.getStats();
+  }
+
   /**
    * Get LLM fallback response
    */
@@ -397,49 +491,6 @@ class KnowledgeBaseService {
     return 'general';
   }
 
-  /**
-   * Calculate relevance score
-   */
-  calculateRelevanceScore(question, entry, context) {
-    let score = 0;
-    const lowerQuestion = question.toLowerCase();
-    
-    // Exact question match
-    if (entry.question.toLowerCase().includes(lowerQuestion)) {
-      score += 10;
-    }
-    
-    // Alternative questions match
-    const matchingAlt = entry.alternateQuestions.find(alt => 
-      alt.toLowerCase().includes(lowerQuestion) || lowerQuestion.includes(alt.toLowerCase())
-    );
-    if (matchingAlt) score += 8;
-    
-    // Keywords match
-    const questionKeywords = this.extractKeywords(question);
-    const matchingKeywords = entry.keywords.filter(keyword => 
-      questionKeywords.some(qKeyword => 
-        keyword.toLowerCase().includes(qKeyword.toLowerCase())
-      )
-    );
-    score += matchingKeywords.length * 2;
-    
-    // Priority bonus
-    score += entry.priority;
-    
-    // Card type relevance
-    if (context.cardType && entry.cardType === context.cardType) {
-      score += 3;
-    }
-    
-    // Predefined response bonus
-    if (entry.predefinedResponse) {
-      score += 5;
-    }
-    
-    return score;
-  }
-
   /**
    * Extract keywords from text
    */
@@ -470,7 +521,8 @@ class KnowledgeBaseService {
         totalEntries,
         mostUsed,
         categoryStats,
-        cacheSize: this.cache.size
+        cacheSize: this.cache.size,
+        index: knowledgeBaseIndex.getStats()
       };
     } catch (error) {
       console.error('Error getting KB analytics:', error);
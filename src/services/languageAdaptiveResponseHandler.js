@@ -10,8 +10,7 @@
 const realTimeLanguageSwitcher = require('./realTimeLanguageSwitcher');
 const multilingualSpeechProcessor = require('./multilingualSpeechProcessor');
 const openAiFmService = require('./openAiFmService');
-const openaiService = require('./openaiService');
-const geminiService = require('./geminiService');
+const llmProviderRegistry = require('./llmProviderRegistry');
 const { EventEmitter } = require('events');
 
 class LanguageAdaptiveResponseHandler extends EventEmitter {
@@ -233,7 +232,7 @@ class LanguageAdaptiveResponseHandler extends EventEmitter {
 
   /**
    * Generate response using the specified LLM provider
-   * @param {string} provider - LLM provider (openai, gemini)
+   * @param {string} provider - LLM provider (openai, gemini, local)
    * @param {string} systemPrompt - System prompt
    * @param {Array} conversationHistory - Conversation history
    * @param {string} language - Target language
@@ -248,54 +247,21 @@ class LanguageAdaptiveResponseHandler extends EventEmitter {
     }));
 
     try {
-      let response;
-
-      switch (provider) {
-        case 'gemini':
-          response = await geminiService.generateResponse(
-            historyForLLM,
-            '', // script
-            systemPrompt,
-            language,
-            callId,
-            false, // isIntro
-            options
-          );
-          break;
-
-        case 'openai':
-        default:
-          response = await openaiService.generateResponse(
-            historyForLLM,
-            '', // script
-            systemPrompt,
-            language,
-            callId,
-            false, // isIntro
-            options
-          );
-          break;
-      }
+      // Falls back along LLM_FALLBACK_ORDER if the provider fails
+      const { result: response } = await llmProviderRegistry.run(callId, 'generateResponse', [
+        historyForLLM,
+        '', // script
+        systemPrompt,
+        language,
+        callId,
+        false, // isIntro
+        options
+      ], { provider });
 
       return response.text || response.content || response;
 
     } catch (error) {
       console.error(`[LanguageAdaptiveResponseHandler] Error with ${provider} provider:`, error);
-      
-      // Fallback to OpenAI if other provider fails
-      if (provider !== 'openai') {
-        console.log(`[LanguageAdaptiveResponseHandler] Falling back to OpenAI for call ${callId}`);
-        const fallbackResponse = await openaiService.generateResponse(
-          historyForLLM,
-          '',
-          systemPrompt,
-          language,
-          callId,
-          false
-        );
-        return fallbackResponse.text || fallbackResponse.content || fallbackResponse;
-      }
-
       throw error;
     }
   }
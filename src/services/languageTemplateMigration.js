@@ -0,0 +1,156 @@
+const CallWorkflow = require('../models/CallWorkflow');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const languages = require('../utils/languages');
+const { logger } = require('../utils/logger');
+
+/**
+ * Language Template Migration
+ *
+ * Brings workflow templates and knowledge base answers stored under the old
+ * english/hindi schema in line with the language-keyed maps:
+ * - keys are language names ('en', 'hi-IN', 'Hindi' -> 'english', 'hindi')
+ * - empty texts are removed
+ * - English text stored as another language is removed; the old schema required
+ *   Hindi, so untranslated entries carried a copy of the English text, which
+ *   would now hide the fallback and count as a translation
+ * - English text is present (from Hindi, or the first language, when missing)
+ *
+ * Running it again changes nothing. Published WorkflowVersion snapshots are left
+ * as they were published. Documents are updated through the raw collection so
+ * the schema validators do not reject the old shapes being fixed.
+ */
+
+/**
+ * Normalise one stored language map
+ * @param {Object|string} texts - Stored value; a plain string is English text
+ * @returns {Object} { texts, changes, unknownKeys }
+ */
+function normalizeLanguageMap(texts) {
+  const changes = [];
+  const unknownKeys = [];
+
+  if (typeof texts === 'string') {
+    return { texts: { english: texts }, changes: ['text stored as english'], unknownKeys };
+  }
+
+  const normalized = {};
+  Object.entries(texts || {}).forEach(([key, text]) => {
+    const language = languages.toLanguageName(key, null);
+    if (!language || language === 'mixed') {
+      unknownKeys.push(key);
+      normalized[key] = text;
+      return;
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      changes.push(`removed empty ${key}`);
+      return;
+    }
+    if (normalized[language]) {
+      changes.push(`dropped ${key}, ${language} already set`);
+      return;
+    }
+    if (language !== key) changes.push(`renamed ${key} to ${language}`);
+    normalized[language] = text;
+  });
+
+  if (!normalized.english) {
+    const source = normalized.hindi ? 'hindi' : languages.getTextLanguages(normalized).find(key => languages.LANGUAGES[key]);
+    if (source) {
+      normalized.english = normalized[source];
+      changes.push(`english copied from ${source}`);
+    }
+  }
+
+  // Only English text (no Indic script) counts as a copy, so Hindi copied to English above stays
+  Object.keys(normalized).forEach(language => {
+    if (language !== 'english' && languages.LANGUAGES[language] && normalized[language] === normalized.english
+      && !languages.detectScriptLanguage(normalized.english)) {
+      delete normalized[language];
+      changes.push(`removed ${language} copy of the english text`);
+    }
+  });
+
+  return { texts: normalized, changes, unknownKeys };
+}
+
+class LanguageTemplateMigration {
+  /**
+   * Migrate every workflow and knowledge base entry
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Counts per collection and every change made
+   */
+  async run(options = {}) {
+    const { dryRun = false } = options;
+    const report = {
+      dryRun,
+      workflows: { scanned: 0, updated: 0 },
+      knowledgeBase: { scanned: 0, updated: 0 },
+      changes: [],
+      unknownKeys: []
+    };
+
+    await this.migrateCollection(CallWorkflow, 'workflows', doc => this.workflowMaps(doc), report, dryRun);
+    await this.migrateCollection(KnowledgeBase, 'knowledgeBase', doc => this.knowledgeBaseMaps(doc), report, dryRun);
+
+    logger.info(`[LanguageMigration] ${dryRun ? 'Dry run: ' : ''}${report.workflows.updated}/${report.workflows.scanned} workflows, ${report.knowledgeBase.updated}/${report.knowledgeBase.scanned} knowledge base entries ${dryRun ? 'would change' : 'updated'}`);
+    if (report.unknownKeys.length > 0) {
+      logger.warn(`[LanguageMigration] ${report.unknownKeys.length} maps have keys that are not supported languages; they were left in place`);
+    }
+    return report;
+  }
+
+  // [path, stored value] of every language map in a workflow
+  workflowMaps(doc) {
+    const maps = [];
+    (doc.steps || []).forEach((step, index) => {
+      maps.push([`steps.${index}.template`, step.template]);
+    });
+    (doc.cardConfigurations || []).forEach((card, cardIndex) => {
+      (card.customSteps || []).forEach((customStep, stepIndex) => {
+        if (customStep.customContent) {
+          maps.push([`cardConfigurations.${cardIndex}.customSteps.${stepIndex}.customContent`, customStep.customContent]);
+        }
+      });
+    });
+    if (doc.humanTransfer && doc.humanTransfer.message) {
+      maps.push(['humanTransfer.message', doc.humanTransfer.message]);
+    }
+    return maps;
+  }
+
+  knowledgeBaseMaps(doc) {
+    const maps = [['answer', doc.answer]];
+    (doc.variations || []).forEach((variation, index) => {
+      if (variation.content) maps.push([`variations.${index}.content`, variation.content]);
+    });
+    return maps;
+  }
+
+  async migrateCollection(Model, name, getMaps, report, dryRun) {
+    const cursor = Model.collection.find({});
+    for await (const doc of cursor) {
+      report[name].scanned++;
+      const update = {};
+
+      getMaps(doc).forEach(([path, texts]) => {
+        const result = normalizeLanguageMap(texts);
+        if (result.unknownKeys.length > 0) {
+          report.unknownKeys.push({ collection: name, id: doc._id, path, keys: result.unknownKeys });
+        }
+        if (result.changes.length > 0) {
+          update[path] = result.texts;
+          report.changes.push({ collection: name, id: doc._id, path, changes: result.changes });
+        }
+      });
+
+      if (Object.keys(update).length === 0) continue;
+      report[name].updated++;
+      if (!dryRun) {
+        await Model.collection.updateOne({ _id: doc._id }, { $set: update });
+      }
+    }
+  }
+}
+
+module.exports = new LanguageTemplateMigration();
+module.exports.normalizeLanguageMap = normalizeLanguageMap;
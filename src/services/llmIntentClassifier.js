@@ -0,0 +1,76 @@
+/**
+ * LLM Intent Classifier
+ *
+ * Asks the OpenAI chat API to label an utterance. Off unless "llm" is listed in
+ * INTENT_CLASSIFIERS, and bounded by INTENT_LLM_TIMEOUT_MS so a slow API call
+ * falls through to the next classifier instead of stalling the conversation.
+ */
+
+const openaiService = require('./openaiService');
+
+const INTENTS = ['question', 'objection', 'not_interested', 'interested', 'neutral'];
+const OBJECTION_TYPES = ['already_have_cards', 'high_fees', 'no_time', 'not_interested'];
+
+class LlmIntentClassifier {
+  constructor() {
+    this.name = 'llm';
+    this.model = process.env.INTENT_LLM_MODEL || 'gpt-4o-mini';
+    this.timeoutMs = parseInt(process.env.INTENT_LLM_TIMEOUT_MS, 10) || 1500;
+  }
+
+  isReady() {
+    return true;
+  }
+
+  async classify(text, context = {}) {
+    const prompt = `Classify what a customer said on a credit card sales call.
+The agent is currently at the "${context.stepType || 'unknown'}" step. The customer may speak English, Hindi or Hinglish.
+
+Intents:
+- question: asks for information
+- objection: raises a concern but has not refused (objectionType: ${OBJECTION_TYPES.join(', ')})
+- not_interested: clearly refuses or asks to stop
+- interested: agrees or wants to continue
+- neutral: acknowledgement with no clear direction
+
+Reply with JSON only: {"intent": "...", "objectionType": "..." or null, "confidence": 0-1}`;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('LLM intent classification timed out')), this.timeoutMs);
+    });
+
+    try {
+      const client = await openaiService.getClient();
+      const completion = await Promise.race([
+        client.chat.completions.create({
+          model: this.model,
+          messages: [
+            { role: 'system', content: prompt },
+            { role: 'user', content: text }
+          ],
+          temperature: 0,
+          max_tokens: 60,
+          response_format: { type: 'json_object' }
+        }),
+        timeout
+      ]);
+
+      const parsed = JSON.parse(completion.choices[0]?.message?.content || '{}');
+      if (!INTENTS.includes(parsed.intent)) return null;
+
+      return {
+        intent: parsed.intent,
+        objectionType: OBJECTION_TYPES.includes(parsed.objectionType) ? parsed.objectionType : undefined,
+        confidence: Math.min(Math.max(Number(parsed.confidence) || 0, 0), 1)
+      };
+    } catch (error) {
+      console.warn(`[IntentClassifier] LLM classification failed: ${error.message}`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = new LlmIntentClassifier();
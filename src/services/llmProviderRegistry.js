@@ -0,0 +1,234 @@
+/**
+ * LLM Provider Registry
+ *
+ * Single place where the LLM answering a call is chosen. Every LLM service has the
+ * same contract (generateResponse, streamResponse, and getChatCompletion where the
+ * provider offers it); each call has a provider, picked for the call or by its
+ * campaign, and when that provider fails the request is retried on the providers
+ * in LLM_FALLBACK_ORDER, e.g. 'local' to keep calls going on our own server when
+ * the cloud providers are down. A stream fails over only until its first token.
+ *
+ * Events: 'failover' { callId, from, to, error }
+ */
+
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+
+// Loaded on first use, so providers whose SDK is not installed only fail when chosen
+const providers = {
+  openai: () => require('./openaiService'),
+  gemini: () => require('./geminiService'),
+  local: () => require('./localLlmService'),
+  mock: () => require('./mockLlmService')
+};
+
+// Names the dashboard and campaigns may use for the same provider
+const PROVIDER_ALIASES = {
+  chatgpt: 'openai',
+  openai_compatible: 'local',
+  ollama: 'local',
+  vllm: 'local',
+  llamacpp: 'local',
+  'llama.cpp': 'local'
+};
+
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 30000;
+
+class LlmProviderRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.instances = new Map();
+    this.callProviders = new Map(); // callId -> provider name
+    this.health = new Map(); // provider name -> { consecutiveFailures, circuitOpenUntil, lastError, lastErrorAt }
+  }
+
+  registerProvider(name, factory) {
+    providers[name] = factory;
+    this.instances.delete(name);
+  }
+
+  normalizeName(name) {
+    if (!name) return this.getDefaultProvider();
+    const key = name.toLowerCase();
+    return PROVIDER_ALIASES[key] || key;
+  }
+
+  getService(name) {
+    const key = this.normalizeName(name);
+    if (!providers[key]) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    if (!this.instances.has(key)) {
+      this.instances.set(key, providers[key]());
+    }
+    return this.instances.get(key);
+  }
+
+  getDefaultProvider() {
+    return this.normalizeName(process.env.DEFAULT_LLM_PROVIDER || 'openai');
+  }
+
+  // Providers tried after the call's own, from LLM_FALLBACK_ORDER
+  getFallbackOrder() {
+    const order = (process.env.LLM_FALLBACK_ORDER || 'openai')
+      .split(',')
+      .map(name => this.normalizeName(name.trim()))
+      .filter(name => providers[name]);
+    return [...new Set(order)];
+  }
+
+  setCallProvider(callId, name) {
+    if (callId && name) {
+      this.callProviders.set(callId, this.normalizeName(name));
+    }
+  }
+
+  getCallProvider(callId) {
+    return this.callProviders.get(callId) || this.getDefaultProvider();
+  }
+
+  clearCall(callId) {
+    this.callProviders.delete(callId);
+  }
+
+  getHealthRecord(name) {
+    if (!this.health.has(name)) {
+      this.health.set(name, { consecutiveFailures: 0, circuitOpenUntil: 0, lastError: null, lastErrorAt: null });
+    }
+    return this.health.get(name);
+  }
+
+  recordSuccess(name) {
+    const record = this.getHealthRecord(name);
+    record.consecutiveFailures = 0;
+    record.circuitOpenUntil = 0;
+  }
+
+  recordFailure(name, error) {
+    const record = this.getHealthRecord(name);
+    record.consecutiveFailures++;
+    record.lastError = error ? error.message : null;
+    record.lastErrorAt = new Date();
+    if (record.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      record.circuitOpenUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+      logger.warn(`[LLM] ${name} skipped for ${CIRCUIT_COOLDOWN_MS / 1000}s after ${record.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  /**
+   * Providers to try for a method, in order: the preferred one, then LLM_FALLBACK_ORDER.
+   * Open circuits are skipped unless nothing else is left; simulated calls never leave the mock.
+   */
+  getCandidates(preferred, method) {
+    const preferredName = this.normalizeName(preferred);
+    if (preferredName === 'mock') return ['mock'];
+
+    const supported = [...new Set([preferredName, ...this.getFallbackOrder()])]
+      .filter(name => name !== 'mock' && providers[name])
+      .filter(name => this.supports(name, method));
+    const closed = supported.filter(name => this.getHealthRecord(name).circuitOpenUntil <= Date.now());
+    return closed.length > 0 ? closed : supported;
+  }
+
+  // Whether a provider offers a method; one whose service cannot load is tried, and fails, like any other
+  supports(name, method) {
+    try {
+      return typeof this.getService(name)[method] === 'function';
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Call an LLM service method for a call, failing over through the candidates
+   * @param {string} callId - Call identifier
+   * @param {string} method - 'generateResponse' or 'getChatCompletion'
+   * @param {Array} args - Arguments of the method
+   * @param {Object} [options] - provider: use instead of the call's provider
+   * @returns {Promise<Object>} { result, provider }
+   */
+  async run(callId, method, args, { provider } = {}) {
+    const preferred = this.normalizeName(provider || this.getCallProvider(callId));
+    const candidates = this.getCandidates(preferred, method);
+    if (candidates.length === 0) {
+      throw new Error(`No LLM provider supports ${method}`);
+    }
+
+    let lastError;
+    for (const name of candidates) {
+      try {
+        const result = await this.getService(name)[method](...args);
+        this.recordSuccess(name);
+        if (lastError) {
+          this.failover(callId, preferred, name, lastError);
+        }
+        return { result, provider: name };
+      } catch (error) {
+        lastError = error;
+        this.recordFailure(name, error);
+        logger.warn(`[LLM] ${name} ${method} failed${callId ? ` for call ${callId}` : ''}: ${error.message}`);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Start streaming an answer for a call with streamResponse, failing over until a provider
+   * produces its first token. An aborted request is not retried.
+   * @param {string} callId - Call identifier
+   * @param {Array} args - Arguments of streamResponse; the last is its options, with signal
+   * @returns {Promise<Object>} { provider, tokens }, tokens yielding every delta including the first
+   */
+  async openStream(callId, args, { provider } = {}) {
+    const preferred = this.normalizeName(provider || this.getCallProvider(callId));
+    const { signal } = args[args.length - 1] || {};
+
+    let lastError;
+    for (const name of this.getCandidates(preferred, 'streamResponse')) {
+      try {
+        const stream = this.getService(name).streamResponse(...args);
+        const first = await stream.next();
+        this.recordSuccess(name);
+        if (lastError) {
+          this.failover(callId, preferred, name, lastError);
+        }
+        return {
+          provider: name,
+          tokens: (async function* () {
+            if (first.done) return;
+            yield first.value;
+            yield* stream;
+          })()
+        };
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        lastError = error;
+        this.recordFailure(name, error);
+        logger.warn(`[LLM] ${name} stream failed${callId ? ` for call ${callId}` : ''}: ${error.message}`);
+      }
+    }
+    throw lastError || new Error('No LLM provider supports streamResponse');
+  }
+
+  // Unlike STT, the call keeps its provider: the next request tries it again
+  failover(callId, from, to, error) {
+    logger.warn(`[LLM] Failed over from ${from} to ${to}${callId ? ` for call ${callId}` : ''}`, { error: error && error.message });
+    this.emit('failover', { callId, from, to, error: error && error.message });
+  }
+
+  getHealth() {
+    return Object.keys(providers).map((name) => {
+      const record = this.getHealthRecord(name);
+      return {
+        name,
+        consecutiveFailures: record.consecutiveFailures,
+        circuitOpen: record.circuitOpenUntil > Date.now(),
+        lastError: record.lastError,
+        lastErrorAt: record.lastErrorAt
+      };
+    });
+  }
+}
+
+module.exports = new LlmProviderRegistry();
@@ -0,0 +1,184 @@
+/**
+ * Local LLM Service
+ *
+ * LLM provider for any server with an OpenAI-compatible chat completions API
+ * (llama.cpp server, vLLM, Ollama), selected with llmProvider 'local'. It keeps
+ * call content on infrastructure we run and costs nothing per token. Prompts,
+ * conversation state and telecaller enforcement are shared with openaiService;
+ * only the endpoint, model and timeout differ.
+ *
+ * Settings, from the environment or else from the Settings collection:
+ *   LOCAL_LLM_BASE_URL   (localLlmBaseUrl)   e.g. http://localhost:11434/v1
+ *   LOCAL_LLM_MODEL      (localLlmModel)     model the server serves
+ *   LOCAL_LLM_TIMEOUT_MS (localLlmTimeoutMs) per request, default 15000
+ *   LOCAL_LLM_API_KEY    (localLlmApiKey)    only for servers that require one
+ */
+
+const OpenAI = require('openai');
+const Setting = require('../models/Setting');
+const openaiService = require('./openaiService');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_INTRO = 'Hello! I am calling about an exclusive credit card offer. Do you have a minute to talk?';
+
+// Setting name -> [environment variable, Settings key]
+const SETTING_SOURCES = {
+  baseUrl: ['LOCAL_LLM_BASE_URL', 'localLlmBaseUrl'],
+  model: ['LOCAL_LLM_MODEL', 'localLlmModel'],
+  timeoutMs: ['LOCAL_LLM_TIMEOUT_MS', 'localLlmTimeoutMs'],
+  apiKey: ['LOCAL_LLM_API_KEY', 'localLlmApiKey']
+};
+
+let cachedClient = null; // { key, client }
+
+const localLlmService = {
+  // Endpoint settings; the Settings collection is only read when the environment lacks the URL or model
+  getSettings: async () => {
+    const settings = {};
+    Object.entries(SETTING_SOURCES).forEach(([name, [envName]]) => {
+      settings[name] = process.env[envName] || null;
+    });
+
+    if (!settings.baseUrl || !settings.model) {
+      try {
+        const keys = Object.values(SETTING_SOURCES).map(([, key]) => key);
+        const stored = await Setting.find({ key: { $in: keys } });
+        Object.entries(SETTING_SOURCES).forEach(([name, [, key]]) => {
+          const setting = stored.find(item => item.key === key);
+          if (!settings[name] && setting) settings[name] = setting.value;
+        });
+      } catch (dbError) {
+        logger.warn(`[LocalLLM] Could not fetch settings from database: ${dbError.message}`);
+      }
+    }
+
+    if (!settings.baseUrl) {
+      throw new Error('Local LLM base URL not configured (LOCAL_LLM_BASE_URL)');
+    }
+    if (!settings.model) {
+      throw new Error('Local LLM model not configured (LOCAL_LLM_MODEL)');
+    }
+    settings.timeoutMs = parseInt(settings.timeoutMs, 10) || DEFAULT_TIMEOUT_MS;
+    return settings;
+  },
+
+  // OpenAI client pointed at the local server, with the model to request
+  getConnection: async () => {
+    const settings = await localLlmService.getSettings();
+    const key = [settings.baseUrl, settings.timeoutMs, settings.apiKey].join('|');
+    if (!cachedClient || cachedClient.key !== key) {
+      cachedClient = {
+        key,
+        client: new OpenAI({
+          // The SDK requires a key; local servers without auth ignore it
+          apiKey: settings.apiKey || 'local',
+          baseURL: settings.baseUrl,
+          timeout: settings.timeoutMs,
+          // Failing over to another provider is quicker than retrying a server that is down
+          maxRetries: 0
+        })
+      };
+    }
+    return { client: cachedClient.client, model: settings.model };
+  },
+
+  /**
+   * Same signature and result as openaiService.generateResponse. Sampling penalties
+   * are left to the server, as not every OpenAI-compatible server supports them.
+   */
+  generateResponse: async (conversationHistory, script, prompt, initialLanguage, callId, isIntro = false, optimizedParams = null) => {
+    try {
+      const { client, model } = await localLlmService.getConnection();
+
+      if (conversationHistory.length > 0 && !isIntro) {
+        const context = openaiService.buildResponseContext(conversationHistory, script, prompt, callId);
+        if (context) {
+          const completion = await client.chat.completions.create({
+            model,
+            messages: context.messages,
+            temperature: 0.7,
+            max_tokens: optimizedParams?.maxTokens || 150
+          });
+          const response = completion.choices[0]?.message?.content || '';
+          openaiService.updateConversationState(callId, response);
+
+          return {
+            text: response,
+            language: context.detectedLanguage,
+            emotion: context.emotions[0] || 'neutral',
+            personality: context.personality
+          };
+        }
+      }
+
+      const detectedLanguage = initialLanguage || 'english';
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [openaiService.buildIntroMessage(script, prompt, detectedLanguage)],
+        temperature: 0.7,
+        max_tokens: 100
+      });
+
+      return {
+        text: completion.choices[0]?.message?.content || DEFAULT_INTRO,
+        language: detectedLanguage,
+        emotion: 'neutral',
+        personality: null
+      };
+    } catch (error) {
+      logger.error(`[LocalLLM] Error generating response: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Same signature and deltas as openaiService.streamResponse
+   */
+  streamResponse: async function* (conversationHistory, script, prompt, initialLanguage, callId, { signal, maxTokens } = {}) {
+    const context = openaiService.buildResponseContext(conversationHistory, script, prompt, callId);
+    if (!context) return;
+
+    const { client, model } = await localLlmService.getConnection();
+    const stream = await client.chat.completions.create({
+      model,
+      messages: context.messages,
+      temperature: 0.7,
+      max_tokens: maxTokens || 150,
+      stream: true
+    }, { signal });
+
+    let response = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        response += delta;
+        yield delta;
+      }
+    }
+    openaiService.updateConversationState(callId, response);
+  },
+
+  /**
+   * Same signature and result as openaiService.getChatCompletion
+   */
+  getChatCompletion: async (messages, callId = null, stepType = null) => {
+    try {
+      const { client, model } = await localLlmService.getConnection();
+      const completion = await client.chat.completions.create({
+        model,
+        messages: openaiService.withTelecallerRules(messages),
+        max_tokens: 150,
+        temperature: 0.7
+      });
+
+      const responseContent = (completion.choices[0]?.message?.content || '').trim();
+      return openaiService.enforceTelecallerResponse(responseContent, callId, stepType);
+    } catch (error) {
+      logger.error(`[LocalLLM] Error in chat completion: ${error.message}`);
+      throw error;
+    }
+  }
+};
+
+module.exports = localLlmService;
@@ -0,0 +1,121 @@
+/**
+ * Mock LLM Service
+ *
+ * Offline stand-in for the LLM of a call, selected with llmProvider 'mock'.
+ * Replies come from a per-call script, or from LLM_MOCK_SCRIPT (a JSON array
+ * or JSONL file of replies), and are deterministic once the script runs out,
+ * so simulated calls (see callSimulator.js) can be replayed without API keys.
+ *
+ * generateResponse(), streamResponse() and getChatCompletion() return what
+ * openaiService returns.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_INTRO = 'Hello, this is a simulated call. Do you have a minute to talk?';
+
+class MockLlmService {
+  constructor() {
+    this.defaultScript = null;
+    this.calls = new Map(); // callId -> { replies, cursor }
+  }
+
+  loadScriptFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8').trim();
+    if (content.startsWith('[')) {
+      return JSON.parse(content);
+    }
+    return content.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  getDefaultScript() {
+    if (!this.defaultScript) {
+      this.defaultScript = process.env.LLM_MOCK_SCRIPT ? this.loadScriptFile(process.env.LLM_MOCK_SCRIPT) : [];
+    }
+    return this.defaultScript;
+  }
+
+  /**
+   * Route a call's LLM requests to the mock; a script set earlier is kept
+   */
+  startCall(callId) {
+    if (callId && !this.calls.has(callId)) {
+      this.calls.set(callId, { replies: this.getDefaultScript(), cursor: 0 });
+    }
+  }
+
+  /**
+   * Script the replies for one call: an array of strings or a script file path
+   */
+  setScript(callId, script) {
+    const replies = typeof script === 'string' ? this.loadScriptFile(script) : script;
+    this.calls.set(callId, {
+      replies: replies.map(reply => (typeof reply === 'string' ? reply : reply.text)),
+      cursor: 0
+    });
+  }
+
+  endCall(callId) {
+    this.calls.delete(callId);
+  }
+
+  hasCall(callId) {
+    return this.calls.has(callId);
+  }
+
+  nextReply(callId) {
+    const call = this.calls.get(callId);
+    if (!call || call.cursor >= call.replies.length) return null;
+    return call.replies[call.cursor++];
+  }
+
+  // Last thing the customer said, from coordinator ({ speaker, text }) or chat ({ role, content }) history
+  lastCustomerText(history = []) {
+    const last = [...history].reverse().find(item => item.speaker === 'Customer' || item.role === 'user');
+    return last ? (last.text || last.content || '') : '';
+  }
+
+  /**
+   * Same signature and result as openaiService.generateResponse
+   */
+  async generateResponse(conversationHistory, script, prompt, language, callId, isIntro = false) {
+    let text = this.nextReply(callId);
+    if (!text && isIntro) {
+      text = DEFAULT_INTRO;
+    } else if (!text) {
+      const customerText = this.lastCustomerText(conversationHistory);
+      text = customerText ? `I heard: ${customerText}.` : 'Could you please repeat that?';
+    }
+
+    return {
+      text,
+      language: language || 'english',
+      emotion: 'neutral',
+      personality: null
+    };
+  }
+
+  /**
+   * Same signature and deltas as openaiService.streamResponse: the reply word by word
+   */
+  async *streamResponse(conversationHistory, script, prompt, language, callId, { signal } = {}) {
+    const { text } = await this.generateResponse(conversationHistory, script, prompt, language, callId);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      // Let the caller interleave, as with a network stream
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal && signal.aborted) return;
+      yield word;
+    }
+  }
+
+  /**
+   * Same signature and result as openaiService.getChatCompletion
+   */
+  async getChatCompletion(messages, callId = null) {
+    return {
+      content: this.nextReply(callId) || 'Thank you, I have noted that.'
+    };
+  }
+}
+
+module.exports = new MockLlmService();
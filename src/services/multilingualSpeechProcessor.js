@@ -8,6 +8,7 @@
 const openAiFmService = require('./openAiFmService');
 const analyticsService = require('./analyticsService');
 const { logger } = require('../utils/logger');
+const languages = require('../utils/languages');
 const fs = require('fs');
 const path = require('path');
 const { Readable } = require('stream');
@@ -24,9 +25,35 @@ const LANG_DETECTION_CONFIG = {
   // Minimum length of text for reliable detection
   MIN_TEXT_LENGTH: 10,
   // Languages supported
-  SUPPORTED_LANGUAGES: ['en-US', 'hi-IN', 'mixed']
+  SUPPORTED_LANGUAGES: ['en-US', 'hi-IN', 'mixed', 'mr-IN', 'bn-IN', 'gu-IN', 'ta-IN', 'te-IN', 'kn-IN']
 };
 
+// OpenAI voice per language locale
+const LANGUAGE_VOICES = {
+  'hi-IN': 'nova',        // OpenAI Nova for Hindi - good Indian accent
+  'en-US': 'alloy',       // OpenAI Alloy for English - neutral
+  'mixed': 'nova',        // Nova works best for Hindi-English-Mix
+  'hinglish': 'nova',     // Nova handles code-switching well
+  'en-IN': 'nova',        // Indian English - Nova
+  'mr-IN': 'nova',        // Marathi - Nova, as for Hindi
+  'gu-IN': 'nova',        // Gujarati - Nova
+  'bn-IN': 'shimmer',     // Bengali - Shimmer
+  'ta-IN': 'shimmer',     // Tamil - Shimmer
+  'te-IN': 'shimmer',     // Telugu - Shimmer
+  'kn-IN': 'shimmer'      // Kannada - Shimmer
+};
+
+// LANGUAGE_VOICES overrides from the environment, e.g. {"ta-IN":"nova"}
+function getLanguageVoices() {
+  if (!process.env.LANGUAGE_VOICES) return LANGUAGE_VOICES;
+  try {
+    return { ...LANGUAGE_VOICES, ...JSON.parse(process.env.LANGUAGE_VOICES) };
+  } catch (error) {
+    logger.warn(`Ignoring invalid LANGUAGE_VOICES: ${error.message}`);
+    return LANGUAGE_VOICES;
+  }
+}
+
 class MultilingualSpeechProcessor {
   constructor() {
     this.languageDetectionCache = new Map();
@@ -55,19 +82,25 @@ class MultilingualSpeechProcessor {
         return this.languageDetectionCache.get(cacheKey);
       }
       
-      // Use OpenAI FM service for language detection
-      const detectedLanguage = await openAiFmService.identifyLanguage(text);
-      
-      // Validate detected language
       let language = 'en-US'; // Default to English
       let confidence = 0.8;   // Default confidence
       
-      if (detectedLanguage.startsWith('hi')) {
-        language = 'hi-IN';
+      // Regional scripts are recognised from their Unicode block, without a model call
+      const scriptResult = languages.detectScriptLanguage(text);
+      if (scriptResult && scriptResult.language !== 'hindi') {
+        language = languages.toLocale(scriptResult.language);
         confidence = 0.9;
-      } else if (detectedLanguage === 'mixed') {
-        language = 'mixed';
-        confidence = 0.75;
+      } else {
+        // Use OpenAI FM service for language detection
+        const detectedLanguage = await openAiFmService.identifyLanguage(text);
+        
+        if (detectedLanguage.startsWith('hi')) {
+          language = 'hi-IN';
+          confidence = 0.9;
+        } else if (detectedLanguage === 'mixed') {
+          language = 'mixed';
+          confidence = 0.75;
+        }
       }
       
       const result = { language, confidence };
@@ -174,17 +207,8 @@ class MultilingualSpeechProcessor {
    * @returns {string} - Optimal voice ID
    */
   getOptimalVoiceForLanguage(language) {
-    const voiceMap = {
-      'hi-IN': 'nova',        // OpenAI Nova for Hindi - good Indian accent
-      'en-US': 'alloy',       // OpenAI Alloy for English - neutral
-      'mixed': 'nova',        // Nova works best for Hindi-English-Mix
-      'hinglish': 'nova',     // Nova handles code-switching well
-      'en-IN': 'nova',        // Indian English - Nova
-      'hi': 'nova',           // Hindi - Nova
-      'en': 'alloy'           // English - Alloy
-    };
-    
-    return voiceMap[language] || (language.startsWith('hi') ? 'nova' : 'alloy');
+    const voiceMap = getLanguageVoices();
+    return voiceMap[language] || voiceMap[this.normalizeLanguageCode(language)] || 'alloy';
   }
   
   /**
@@ -193,13 +217,12 @@ class MultilingualSpeechProcessor {
    * @returns {string} - Voice name
    */
   getVoiceNameForLanguage(language) {
+    const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+    const voice = capitalize(this.getOptimalVoiceForLanguage(language));
     if (language === 'mixed' || language === 'hinglish') {
-      return 'Hindi-English Mix (Nova)';
-    } else if (language.startsWith('hi')) {
-      return 'Hindi (Nova)';
-    } else {
-      return 'English (Alloy)';
+      return `Hindi-English Mix (${voice})`;
     }
+    return `${capitalize(languages.toLanguageName(language))} (${voice})`;
   }
   
   /**
@@ -217,7 +240,8 @@ class MultilingualSpeechProcessor {
       'english': 'en-US'
     };
     
-    return codeMap[language] || (language.startsWith('hi') ? 'hi-IN' : 'en-US');
+    if (codeMap[language]) return codeMap[language];
+    return languages.toLocale(languages.toLanguageName(language));
   }
   
   /**
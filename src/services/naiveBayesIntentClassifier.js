@@ -0,0 +1,206 @@
+/**
+ * Naive Bayes Intent Classifier
+ *
+ * Multinomial naive Bayes over TF-IDF weighted unigrams and bigrams. Tokens keep
+ * Devanagari as well as Latin script, so Hindi and Hinglish utterances train the
+ * same way as English ones. A question mark is just another feature here rather
+ * than an automatic "question".
+ */
+
+const SMOOTHING = 1; // Laplace smoothing on weighted feature counts
+
+// Naive Bayes adds up evidence as if every feature were independent, which makes
+// raw posteriors close to 0 or 1. Scores are averaged per unit of feature weight
+// and sharpened by this factor instead, so confidence tracks how well the words
+// fit a label rather than how many words there were.
+const SHARPNESS = parseFloat(process.env.INTENT_NB_SHARPNESS) || 4;
+
+class NaiveBayesModel {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.labels = [];
+    this.documentCount = 0;
+    this.labelDocuments = new Map(); // label -> number of examples
+    this.featureWeights = new Map(); // label -> Map(feature -> summed weight)
+    this.labelTotals = new Map(); // label -> summed weight of all features
+    this.documentFrequency = new Map(); // feature -> number of examples containing it
+    this.vocabulary = new Set();
+  }
+
+  tokenize(text) {
+    const words = text
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\s']/gu, ' ')
+      .replace(/'/g, '')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const features = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]}_${words[i + 1]}`);
+    }
+    if (text.includes('?')) {
+      features.push('__question_mark__');
+    }
+    return features;
+  }
+
+  termCounts(text) {
+    const counts = new Map();
+    this.tokenize(text).forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+    return counts;
+  }
+
+  idf(feature) {
+    return Math.log((this.documentCount + 1) / ((this.documentFrequency.get(feature) || 0) + 1)) + 1;
+  }
+
+  /**
+   * Train from scratch on [{ text, label }]
+   */
+  train(examples) {
+    this.reset();
+    const documents = examples
+      .filter(example => example.text && example.label)
+      .map(example => ({ label: example.label, counts: this.termCounts(example.text) }));
+
+    this.documentCount = documents.length;
+    documents.forEach(({ counts }) => {
+      counts.forEach((_, feature) => {
+        this.documentFrequency.set(feature, (this.documentFrequency.get(feature) || 0) + 1);
+        this.vocabulary.add(feature);
+      });
+    });
+
+    documents.forEach(({ label, counts }) => {
+      if (!this.labelDocuments.has(label)) {
+        this.labelDocuments.set(label, 0);
+        this.featureWeights.set(label, new Map());
+        this.labelTotals.set(label, 0);
+      }
+      this.labelDocuments.set(label, this.labelDocuments.get(label) + 1);
+
+      const weights = this.featureWeights.get(label);
+      counts.forEach((count, feature) => {
+        const weight = (1 + Math.log(count)) * this.idf(feature);
+        weights.set(feature, (weights.get(feature) || 0) + weight);
+        this.labelTotals.set(label, this.labelTotals.get(label) + weight);
+      });
+    });
+
+    this.labels = [...this.labelDocuments.keys()];
+  }
+
+  isTrained() {
+    return this.labels.length >= 2;
+  }
+
+  /**
+   * Probability per label, or null when none of the features were seen in training
+   */
+  predict(text) {
+    if (!this.isTrained()) return null;
+
+    const allCounts = [...this.termCounts(text)];
+    const counts = allCounts.filter(([feature]) => this.vocabulary.has(feature));
+    if (counts.length === 0) return null;
+
+    // Words never seen in training say nothing about the label; the more of them, the
+    // closer the result is pulled towards "no idea" (uniform)
+    const words = allCounts.filter(([feature]) => !feature.includes('_') && feature !== '__question_mark__');
+    const coverage = words.length === 0 ? 1
+      : words.filter(([feature]) => this.vocabulary.has(feature)).length / words.length;
+
+    const vocabularySize = this.vocabulary.size;
+    const scores = this.labels.map(label => {
+      const weights = this.featureWeights.get(label);
+      const denominator = this.labelTotals.get(label) + SMOOTHING * vocabularySize;
+      let likelihood = 0;
+      let totalWeight = 0;
+      counts.forEach(([feature, count]) => {
+        const weight = (1 + Math.log(count)) * this.idf(feature);
+        likelihood += weight * Math.log(((weights.get(feature) || 0) + SMOOTHING) / denominator);
+        totalWeight += weight;
+      });
+      const prior = Math.log(this.labelDocuments.get(label) / this.documentCount);
+      return { label, score: SHARPNESS * (likelihood / totalWeight) + prior };
+    });
+
+    // Softmax over the calibrated scores, shrunk towards uniform by the unseen words
+    const maxScore = Math.max(...scores.map(entry => entry.score));
+    const exps = scores.map(entry => ({ label: entry.label, value: Math.exp(entry.score - maxScore) }));
+    const total = exps.reduce((sum, entry) => sum + entry.value, 0);
+    const uniform = 1 / this.labels.length;
+
+    return exps
+      .map(entry => ({ label: entry.label, probability: coverage * (entry.value / total) + (1 - coverage) * uniform }))
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  getStats() {
+    return {
+      examples: this.documentCount,
+      vocabularySize: this.vocabulary.size,
+      labels: Object.fromEntries(this.labelDocuments)
+    };
+  }
+}
+
+class NaiveBayesIntentClassifier {
+  constructor() {
+    this.name = 'naive_bayes';
+    this.intentModel = new NaiveBayesModel();
+    this.objectionModel = new NaiveBayesModel();
+    this.trainedAt = null;
+  }
+
+  isReady() {
+    return this.intentModel.isTrained();
+  }
+
+  /**
+   * Train on IntentExample documents (or plain { text, intent, objectionType })
+   */
+  train(examples) {
+    this.intentModel.train(examples.map(example => ({ text: example.text, label: example.intent })));
+    this.objectionModel.train(examples
+      .filter(example => example.intent === 'objection' && example.objectionType)
+      .map(example => ({ text: example.text, label: example.objectionType })));
+    this.trainedAt = new Date();
+  }
+
+  async classify(text) {
+    const predictions = this.intentModel.predict(text);
+    if (!predictions) return null;
+
+    const result = {
+      intent: predictions[0].label,
+      confidence: predictions[0].probability,
+      scores: Object.fromEntries(predictions.map(entry => [entry.label, Number(entry.probability.toFixed(4))]))
+    };
+
+    if (result.intent === 'objection') {
+      const objectionPredictions = this.objectionModel.predict(text);
+      if (objectionPredictions) {
+        result.objectionType = objectionPredictions[0].label;
+      }
+    }
+
+    return result;
+  }
+
+  getStats() {
+    return {
+      trainedAt: this.trainedAt,
+      intents: this.intentModel.getStats(),
+      objectionTypes: this.objectionModel.getStats()
+    };
+  }
+}
+
+module.exports = new NaiveBayesIntentClassifier();
+module.exports.NaiveBayesModel = NaiveBayesModel;
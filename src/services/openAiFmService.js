@@ -622,6 +622,45 @@ const openAiFmService = {
     }
   },
   
+  /**
+   * Classify transcribed text as Hindi, English or mixed by its script
+   * @param {string} text - Transcribed text
+   * @returns {Object} Detection result with language and confidence
+   */
+  classifyTranscriptLanguage: (text) => {
+    // If no text was transcribed, default to English with low confidence
+    if (!text || !text.trim()) {
+      return {
+        language: 'en-US',
+        confidence: 0.5
+      };
+    }
+    
+    // Check for Hindi characters
+    const hindiPattern = /[\u0900-\u097F]/;
+    const hasHindi = hindiPattern.test(text);
+    
+    // Check for mixed language
+    const englishPattern = /[A-Za-z]{2,}/;
+    const hasEnglish = englishPattern.test(text);
+    
+    if (hasHindi && hasEnglish) {
+      return {
+        language: 'mixed',
+        confidence: 0.8
+      };
+    } else if (hasHindi) {
+      return {
+        language: 'hi-IN',
+        confidence: 0.9
+      };
+    }
+    return {
+      language: 'en-US',
+      confidence: 0.9
+    };
+  },
+  
   /**
    * Detect language from audio file
    * @param {string} audioFilePath - Path to audio file
@@ -632,41 +671,7 @@ const openAiFmService = {
       // Use Whisper transcription to detect language
       const result = await openAiFmService.transcribeAudio(audioFilePath);
       
-      // If no text was transcribed, default to English with low confidence
-      if (!result.text.trim()) {
-        return {
-          language: 'en-US',
-          confidence: 0.5
-        };
-      }
-      
-      // If text was transcribed, analyze it to confirm language
-      // For more accurate detection, we can also use the language detected by Whisper
-      
-      // Check for Hindi characters
-      const hindiPattern = /[\u0900-\u097F]/;
-      const hasHindi = hindiPattern.test(result.text);
-      
-      // Check for mixed language
-      const englishPattern = /[A-Za-z]{2,}/;
-      const hasEnglish = englishPattern.test(result.text);
-      
-      if (hasHindi && hasEnglish) {
-        return {
-          language: 'mixed',
-          confidence: 0.8
-        };
-      } else if (hasHindi) {
-        return {
-          language: 'hi-IN',
-          confidence: 0.9
-        };
-      } else {
-        return {
-          language: 'en-US',
-          confidence: 0.9
-        };
-      }
+      return openAiFmService.classifyTranscriptLanguage(result.text);
     } catch (error) {
       console.error(`Error detecting language from audio: ${error.message}`);
       
@@ -810,7 +815,8 @@ const openAiFmService = {
         voice = 'alloy',
         language = 'en-US', 
         emotion = 'neutral',
-        streaming = true
+        streaming = true,
+        format = 'mp3'
       } = options;
       
       console.log(`[OpenAI FM] Starting stream synthesis with voice: ${voice}`);
@@ -826,7 +832,8 @@ const openAiFmService = {
         model: "tts-1", // Use faster model for real-time streaming
         input: text,
         voice: voice,
-        response_format: "mp3", // MP3 for compatibility with existing pipeline
+        // MP3 for compatibility with existing pipeline; raw 24 kHz PCM or WAV for in-process telephony encoding
+        response_format: { wav: 'wav', pcm_24000: 'pcm' }[format] || 'mp3',
         speed: settings.speechSpeed || 1.0
       };
       
@@ -168,115 +168,155 @@ const openaiService = {
 
     conversationStates.set(callId, state);
     return state;
-  },  // Generate human-like response based on enhanced context
+  },
+
+  // System prompt, personality and recent history for answering the customer's last message,
+  // or null when the customer has not spoken yet
+  buildResponseContext: (conversationHistory, script, prompt, callId) => {
+    const lastCustomerMessage = [...conversationHistory]
+      .reverse()
+      .find(msg => msg.speaker === 'Customer');
+    if (!lastCustomerMessage) return null;
+    
+    const detectedLanguage = languageUtils.detectLanguage(lastCustomerMessage.text);
+    const emotions = openaiService.analyzeEmotionalContext(lastCustomerMessage.text);
+    
+    // Update conversation state with new context
+    const state = openaiService.updateConversationState(callId, lastCustomerMessage.text);
+    
+    // For credit card sales, use more targeted personality
+    let personality;
+    if (emotions.includes('interested') || emotions.includes('considering')) {
+      personality = PERSONALITY_TRAITS.sales;
+    } else if (emotions.includes('confused') || emotions.includes('skeptical')) {
+      personality = PERSONALITY_TRAITS.empathetic;
+    } else if (emotions.includes('frustrated')) {
+      personality = PERSONALITY_TRAITS.empathetic;
+    } else {
+      personality = PERSONALITY_TRAITS.credit_card_specialist;
+    }
+    
+    const conversationState = conversationStates.get(callId) || {
+      topics: new Set(),
+      customerPreferences: {}
+    };
+    // Use the custom prompt content from the dashboard as the primary system prompt
+    const customPromptContent = prompt || script || `You are a professional telecaller helping customers.`;
+    
+    const systemMessage = {
+      role: 'system',
+      content: `${customPromptContent}
+      
+        You are Priya, a human telecaller from SBI Bank calling to sell credit cards. You are NOT an assistant.
+        
+        STRICT TELECALLER RULES:
+        ❌ NEVER ask "How can I help you?" or "What can I do for you?" or similar assistant questions
+        ❌ NEVER act like a general assistant waiting for customer requests
+        ✅ ALWAYS follow the predefined workflow and sales script
+        ✅ You called the customer to sell a specific credit card - stay focused on that goal
+        ✅ Answer customer questions but always return to the sales process
+        
+        - Personality: ${personality.tone}, ${personality.traits}
+        - Speaking style: ${personality.pacing}
+        - Language preference: ${languageUtils.getLanguageSystemPrompt(detectedLanguage)}
+        
+        TELECALLER BEHAVIOR (NOT ASSISTANT):
+        - You initiated this call to sell a credit card
+        - Follow the workflow: Greeting → Language → Benefits → Data Collection → Application → Confirmation → Closing
+        - If customer asks questions, answer them but continue with the sales process
+        - If customer is not interested, politely close the call
+        - Never ask "How can I help you?" - you're here to sell a specific product
+        
+        HUMAN TELECALLER BEHAVIOR OPTIMIZATION:
+        1. Use natural conversation fillers like "umm", "so", "well", "you know", "actually"
+        2. Ask follow-up questions to show genuine interest and build rapport
+        3. Use the customer's name when available to personalize the conversation
+        4. Pause for responses and acknowledge customer input with "I understand", "That makes sense", "Absolutely"
+        5. Share brief relevant examples or stories to build trust
+        6. Use transitional phrases like "Speaking of that...", "Now that you mention it...", "I'm glad you asked..."
+        7. Show empathy with phrases like "I completely understand your concern", "That's a valid point"
+        8. Use gentle persuasion techniques rather than aggressive sales tactics
+        
+        ${detectedLanguage === 'mixed' ? `
+        HINGLISH CONVERSATION STYLE:
+        - Mix Hindi and English naturally as Indians do in daily conversation
+        - Use English for technical terms (credit card, cashback, interest rate, billing cycle)
+        - Use Hindi for emotional expressions and relationship building
+        - Example phrases: "Aap ka credit history kaisa hai?", "Yeh card main feature hai...", "Interest rate bahut competitive hai"
+        - Sound like a friendly Indian sales person, not a robot
+        - Use respectful address forms: "Aap", "Sir/Madam" appropriately
+        ` : ''}
+        
+        Context from conversation:
+        - Customer's emotional state: ${emotions.join(', ')}
+        - Topics discussed: ${[...conversationState.topics].join(', ')}
+        - Previous preferences: ${JSON.stringify(conversationState.customerPreferences)}
+        
+        Guidelines:
+        1. Maintain natural conversation flow with appropriate pauses and acknowledgments
+        2. Show emotional intelligence and adapt to customer's state
+        3. Reference previous parts of the conversation when relevant
+        4. Use conversational markers like "I understand", "I see", "That's a great question"
+        5. Break responses into natural speaking chunks (10-15 seconds max)
+        6. Address customer's emotional needs before technical solutions
+        7. When speaking Hindi, use simple vocabulary and mix with English for technical terms
+        8. Behave like a real human telecaller, not an AI assistant`
+    };
+
+    // Prepare conversation context
+    const recentHistory = conversationHistory
+      .slice(-MAX_HISTORY_LENGTH)
+      .map(msg => ({
+        role: msg.speaker === 'Customer' ? 'user' : 'assistant',
+        content: msg.text
+      }));
+    
+    return {
+      messages: [systemMessage, ...recentHistory],
+      detectedLanguage,
+      emotions,
+      personality
+    };
+  },
+
+  // System message asking for the first thing the agent says on the call
+  buildIntroMessage: (script, prompt, detectedLanguage) => {
+    const customPromptContent = prompt || script || `You are a professional telecaller helping customers.`;
+    
+    return {
+      role: 'system',
+      content: `${customPromptContent}
+      
+      Based on the personality and role described above, create a brief, friendly greeting for your first interaction.
+      
+      Guidelines for introduction:
+      1. Stay true to the character and personality defined in the prompt
+      2. Keep it natural and conversational, not robotic  
+      3. Keep it under 15 seconds (about 40 words maximum)
+      4. Match the language preference: ${detectedLanguage === 'mixed' ? 'Speak in Hindi mixed with English for technical terms (Hinglish style) like: "Namaskar sir, main [name] bol raha hun ABC Bank se. Aap ka time hai to credit card ke baare mein baat kar sakte hain?"' : detectedLanguage.startsWith('hi') ? 'Speak in Hindi' : 'Speak in English'}
+      5. Sound like a real human telecaller, use natural speech patterns
+      6. Include conversational elements like pauses, courtesy, and warmth
+      
+      ${detectedLanguage === 'mixed' ? 'Make it sound like a genuine Indian sales person calling, not an AI robot.' : 'Be authentic to your defined role while being warm and professional.'}
+      
+      Be authentic to your defined role while being warm and professional.`
+    };
+  },
+
+  // Generate human-like response based on enhanced context
   generateResponse: async (conversationHistory, script, prompt, initialLanguage, callId, isIntro = false, optimizedParams = null) => {
     try {
-      let detectedLanguage = initialLanguage || 'english';
-      let lastCustomerMessage = null;
-      let emotions = ['neutral'];
-      let personality = PERSONALITY_TRAITS.credit_card_specialist;
+      const detectedLanguage = initialLanguage || 'english';
+      const personality = PERSONALITY_TRAITS.credit_card_specialist;
       
       if (conversationHistory.length > 0 && !isIntro) {
-        lastCustomerMessage = [...conversationHistory]
-          .reverse()
-          .find(msg => msg.speaker === 'Customer');
-          
-        if (lastCustomerMessage) {
-          detectedLanguage = languageUtils.detectLanguage(lastCustomerMessage.text);
-          emotions = openaiService.analyzeEmotionalContext(lastCustomerMessage.text);
-          
-          // Update conversation state with new context
-          const state = openaiService.updateConversationState(callId, lastCustomerMessage.text);
-          
-          // For credit card sales, use more targeted personality
-          if (emotions.includes('interested') || emotions.includes('considering')) {
-            personality = PERSONALITY_TRAITS.sales;
-          } else if (emotions.includes('confused') || emotions.includes('skeptical')) {
-            personality = PERSONALITY_TRAITS.empathetic;
-          } else if (emotions.includes('frustrated')) {
-            personality = PERSONALITY_TRAITS.empathetic;
-          } else {
-            personality = PERSONALITY_TRAITS.credit_card_specialist;
-          }
-          
-          const conversationState = conversationStates.get(callId) || {
-            topics: new Set(),
-            customerPreferences: {}
-          };
-            // Use the custom prompt content from the dashboard as the primary system prompt
-          const customPromptContent = prompt || script || `You are a professional telecaller helping customers.`;
-          
-          const systemMessage = {
-            role: 'system',
-            content: `${customPromptContent}
-            
-              You are Priya, a human telecaller from SBI Bank calling to sell credit cards. You are NOT an assistant.
-              
-              STRICT TELECALLER RULES:
-              ❌ NEVER ask "How can I help you?" or "What can I do for you?" or similar assistant questions
-              ❌ NEVER act like a general assistant waiting for customer requests
-              ✅ ALWAYS follow the predefined workflow and sales script
-              ✅ You called the customer to sell a specific credit card - stay focused on that goal
-              ✅ Answer customer questions but always return to the sales process
-              
-              - Personality: ${personality.tone}, ${personality.traits}
-              - Speaking style: ${personality.pacing}
-              - Language preference: ${languageUtils.getLanguageSystemPrompt(detectedLanguage)}
-              
-              TELECALLER BEHAVIOR (NOT ASSISTANT):
-              - You initiated this call to sell a credit card
-              - Follow the workflow: Greeting → Language → Benefits → Data Collection → Application → Confirmation → Closing
-              - If customer asks questions, answer them but continue with the sales process
-              - If customer is not interested, politely close the call
-              - Never ask "How can I help you?" - you're here to sell a specific product
-              
-              HUMAN TELECALLER BEHAVIOR OPTIMIZATION:
-              1. Use natural conversation fillers like "umm", "so", "well", "you know", "actually"
-              2. Ask follow-up questions to show genuine interest and build rapport
-              3. Use the customer's name when available to personalize the conversation
-              4. Pause for responses and acknowledge customer input with "I understand", "That makes sense", "Absolutely"
-              5. Share brief relevant examples or stories to build trust
-              6. Use transitional phrases like "Speaking of that...", "Now that you mention it...", "I'm glad you asked..."
-              7. Show empathy with phrases like "I completely understand your concern", "That's a valid point"
-              8. Use gentle persuasion techniques rather than aggressive sales tactics
-              
-              ${detectedLanguage === 'mixed' ? `
-              HINGLISH CONVERSATION STYLE:
-              - Mix Hindi and English naturally as Indians do in daily conversation
-              - Use English for technical terms (credit card, cashback, interest rate, billing cycle)
-              - Use Hindi for emotional expressions and relationship building
-              - Example phrases: "Aap ka credit history kaisa hai?", "Yeh card main feature hai...", "Interest rate bahut competitive hai"
-              - Sound like a friendly Indian sales person, not a robot
-              - Use respectful address forms: "Aap", "Sir/Madam" appropriately
-              ` : ''}
-              
-              Context from conversation:
-              - Customer's emotional state: ${emotions.join(', ')}
-              - Topics discussed: ${[...conversationState.topics].join(', ')}
-              - Previous preferences: ${JSON.stringify(conversationState.customerPreferences)}
-              
-              Guidelines:
-              1. Maintain natural conversation flow with appropriate pauses and acknowledgments
-              2. Show emotional intelligence and adapt to customer's state
-              3. Reference previous parts of the conversation when relevant
-              4. Use conversational markers like "I understand", "I see", "That's a great question"
-              5. Break responses into natural speaking chunks (10-15 seconds max)
-              6. Address customer's emotional needs before technical solutions
-              7. When speaking Hindi, use simple vocabulary and mix with English for technical terms
-              8. Behave like a real human telecaller, not an AI assistant`
-          };
-
-          // Prepare conversation context
-          const recentHistory = conversationHistory
-            .slice(-MAX_HISTORY_LENGTH)
-            .map(msg => ({
-              role: msg.speaker === 'Customer' ? 'user' : 'assistant',
-              content: msg.text
-            }));          // Generate response using OpenAI
+        const context = openaiService.buildResponseContext(conversationHistory, script, prompt, callId);
+        if (context) {
+          // Generate response using OpenAI
           const client = await openaiService.getClient();
           const completion = await client.chat.completions.create({
             model: MODEL_NAME,
-            messages: [systemMessage, ...recentHistory],
+            messages: context.messages,
             temperature: 0.7,
             max_tokens: optimizedParams?.maxTokens || 150, // Use optimized token count if provided
             presence_penalty: 0.6,
@@ -287,33 +327,14 @@ const openaiService = {
 
           return {
             text: response,
-            language: detectedLanguage,
-            emotion: emotions[0] || 'neutral',
-            personality: personality
+            language: context.detectedLanguage,
+            emotion: context.emotions[0] || 'neutral',
+            personality: context.personality
           };
         }
       }
-        // Handle introduction or first message using the custom prompt
-      const customPromptContent = prompt || script || `You are a professional telecaller helping customers.`;
-      
-      const introSystemMessage = {
-        role: 'system',
-        content: `${customPromptContent}
-        
-        Based on the personality and role described above, create a brief, friendly greeting for your first interaction.
-        
-        Guidelines for introduction:
-        1. Stay true to the character and personality defined in the prompt
-        2. Keep it natural and conversational, not robotic  
-        3. Keep it under 15 seconds (about 40 words maximum)
-        4. Match the language preference: ${detectedLanguage === 'mixed' ? 'Speak in Hindi mixed with English for technical terms (Hinglish style) like: "Namaskar sir, main [name] bol raha hun ABC Bank se. Aap ka time hai to credit card ke baare mein baat kar sakte hain?"' : detectedLanguage.startsWith('hi') ? 'Speak in Hindi' : 'Speak in English'}
-        5. Sound like a real human telecaller, use natural speech patterns
-        6. Include conversational elements like pauses, courtesy, and warmth
-        
-        ${detectedLanguage === 'mixed' ? 'Make it sound like a genuine Indian sales person calling, not an AI robot.' : 'Be authentic to your defined role while being warm and professional.'}
-        
-        Be authentic to your defined role while being warm and professional.`
-      };
+      // Handle introduction or first message using the custom prompt
+      const introSystemMessage = openaiService.buildIntroMessage(script, prompt, detectedLanguage);
         // Generate introduction
       const client = await openaiService.getClient();
       const completion = await client.chat.completions.create({
@@ -338,6 +359,34 @@ const openaiService = {
     }
   },
 
+  // Stream the answer to the customer's last message as text deltas, so it can be spoken
+  // while it is generated (see speechPipeline.js). options: signal (aborts the request), maxTokens
+  streamResponse: async function* (conversationHistory, script, prompt, initialLanguage, callId, { signal, maxTokens } = {}) {
+    const context = openaiService.buildResponseContext(conversationHistory, script, prompt, callId);
+    if (!context) return;
+
+    const client = await openaiService.getClient();
+    const stream = await client.chat.completions.create({
+      model: MODEL_NAME,
+      messages: context.messages,
+      temperature: 0.7,
+      max_tokens: maxTokens || 150,
+      presence_penalty: 0.6,
+      frequency_penalty: 0.5,
+      stream: true
+    }, { signal });
+
+    let response = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        response += delta;
+        yield delta;
+      }
+    }
+    openaiService.updateConversationState(callId, response);
+  },
+
   // Generate appropriate initial greeting
   generateInitialGreeting: async (language, script) => {
     const greetings = {
@@ -348,44 +397,79 @@ const openaiService = {
     return greetings[language] || greetings.english;
   },
 
-  // Simple chat completion for workflow engine
-  getChatCompletion: async (messages, callId = null, stepType = null) => {
-    try {
-      // Extract any system message to ensure we're enforcing telecaller behavior
-      const systemMessage = messages.find(msg => msg.role === 'system');
+  // Messages with the telecaller rules enforced in the system message
+  withTelecallerRules: (messages) => {
+    // Extract any system message to ensure we're enforcing telecaller behavior
+    const systemMessage = messages.find(msg => msg.role === 'system');
+    
+    // If no system message exists or it doesn't enforce telecaller behavior, add telecaller enforcement
+    if (!systemMessage || 
+        !systemMessage.content.includes('STRICT TELECALLER RULES') || 
+        !systemMessage.content.includes('TELECALLER BEHAVIOR (NOT ASSISTANT)')) {
       
-      // If no system message exists or it doesn't enforce telecaller behavior, add telecaller enforcement
-      if (!systemMessage || 
-          !systemMessage.content.includes('STRICT TELECALLER RULES') || 
-          !systemMessage.content.includes('TELECALLER BEHAVIOR (NOT ASSISTANT)')) {
-        
-        // Insert strong telecaller enforcement system message at the beginning
-        const telecallerSystemMessage = {
-          role: 'system',
-          content: `You are Priya, a human telecaller from SBI Bank calling to sell credit cards. You are NOT an assistant.
-              
-            STRICT TELECALLER RULES:
-            ❌ NEVER ask "How can I help you?" or "What can I do for you?" or similar assistant questions
-            ❌ NEVER act like a general assistant waiting for customer requests
-            ✅ ALWAYS follow the predefined workflow and sales script
-            ✅ You called the customer to sell a specific credit card - stay focused on that goal
-            ✅ Answer customer questions but always return to the sales process
+      // Insert strong telecaller enforcement system message at the beginning
+      const telecallerSystemMessage = {
+        role: 'system',
+        content: `You are Priya, a human telecaller from SBI Bank calling to sell credit cards. You are NOT an assistant.
             
-            TELECALLER BEHAVIOR (NOT ASSISTANT):
-            - You initiated this call to sell a credit card
-            - Follow the workflow: Greeting → Language → Benefits → Data Collection → Application → Confirmation → Closing
-            - If customer asks questions, answer them but continue with the sales process
-            - If customer is not interested, politely close the call
-            - Never ask "How can I help you?" - you're here to sell a specific product`
-        };
-        
-        // Replace existing system message or add new one at the beginning
-        const updatedMessages = systemMessage 
-          ? messages.map(msg => msg.role === 'system' ? telecallerSystemMessage : msg)
-          : [telecallerSystemMessage, ...messages];
+          STRICT TELECALLER RULES:
+          ❌ NEVER ask "How can I help you?" or "What can I do for you?" or similar assistant questions
+          ❌ NEVER act like a general assistant waiting for customer requests
+          ✅ ALWAYS follow the predefined workflow and sales script
+          ✅ You called the customer to sell a specific credit card - stay focused on that goal
+          ✅ Answer customer questions but always return to the sales process
           
-        messages = updatedMessages;
+          TELECALLER BEHAVIOR (NOT ASSISTANT):
+          - You initiated this call to sell a credit card
+          - Follow the workflow: Greeting → Language → Benefits → Data Collection → Application → Confirmation → Closing
+          - If customer asks questions, answer them but continue with the sales process
+          - If customer is not interested, politely close the call
+          - Never ask "How can I help you?" - you're here to sell a specific product`
+      };
+      
+      // Replace existing system message or add new one at the beginning
+      const updatedMessages = systemMessage 
+        ? messages.map(msg => msg.role === 'system' ? telecallerSystemMessage : msg)
+        : [telecallerSystemMessage, ...messages];
+        
+      messages = updatedMessages;
+    }
+    return messages;
+  },
+
+  // Completion content with the strict telecaller workflow enforced, when the optimizer is available
+  enforceTelecallerResponse: (responseContent, callId, stepType) => {
+    // If we have access to the ultraFastResponseOptimizer, use it to enforce telecaller workflow
+    try {
+      const ultraFastResponseOptimizer = require('./ultraFastResponseOptimizer');
+      if (ultraFastResponseOptimizer && typeof ultraFastResponseOptimizer.enforceStrictTelecallerResponse === 'function') {
+        // Apply strict telecaller workflow enforcement
+        const enforcedResponse = ultraFastResponseOptimizer.enforceStrictTelecallerResponse(
+          responseContent,
+          callId,
+          stepType
+        );
+        
+        console.log(`🔒 OpenAI Direct Chat: Applied strict telecaller enforcement`);
+        
+        return {
+          content: enforcedResponse
+        };
       }
+    } catch (enforcementError) {
+      console.error('Failed to apply telecaller enforcement:', enforcementError);
+    }
+    
+    // Fallback if ultraFastResponseOptimizer is not available
+    return {
+      content: responseContent
+    };
+  },
+
+  // Simple chat completion for workflow engine
+  getChatCompletion: async (messages, callId = null, stepType = null) => {
+    try {
+      messages = openaiService.withTelecallerRules(messages);
       
       const client = await openaiService.getClient();
       
@@ -401,31 +485,7 @@ const openaiService = {
       // Get the raw response content
       const responseContent = completion.choices[0].message.content.trim();
       
-      // If we have access to the ultraFastResponseOptimizer, use it to enforce telecaller workflow
-      try {
-        const ultraFastResponseOptimizer = require('./ultraFastResponseOptimizer');
-        if (ultraFastResponseOptimizer && typeof ultraFastResponseOptimizer.enforceStrictTelecallerResponse === 'function') {
-          // Apply strict telecaller workflow enforcement
-          const enforcedResponse = ultraFastResponseOptimizer.enforceStrictTelecallerResponse(
-            responseContent,
-            callId,
-            stepType
-          );
-          
-          console.log(`🔒 OpenAI Direct Chat: Applied strict telecaller enforcement`);
-          
-          return {
-            content: enforcedResponse
-          };
-        }
-      } catch (enforcementError) {
-        console.error('Failed to apply telecaller enforcement:', enforcementError);
-      }
-      
-      // Fallback if ultraFastResponseOptimizer is not available
-      return {
-        content: responseContent
-      };
+      return openaiService.enforceTelecallerResponse(responseContent, callId, stepType);
     } catch (error) {
       console.error('Error in OpenAI chat completion:', error);
       throw error;
@@ -0,0 +1,130 @@
+const Customer = require('../models/Customer');
+const Call = require('../models/Call');
+const CallState = require('../models/CallState');
+const fieldEncryption = require('../utils/fieldEncryption');
+const { redactText } = require('../utils/piiRedaction');
+const { logger } = require('../utils/logger');
+
+/**
+ * PII Protection Migration
+ *
+ * Brings stored data in line with the PII protection layer:
+ * - Customer panCard, aadharCard and monthlyIncome, and CallState slot values,
+ *   transcripts and dictation captures for them, are encrypted with the current key;
+ *   plaintext from before encryption and values under a previous key are
+ *   (re-)encrypted, which is how keys are rotated
+ * - Call conversationHistory and the customer text kept on CallState have PAN,
+ *   Aadhaar and phone numbers redacted
+ *
+ * Running it again changes nothing. Documents are updated through the raw
+ * collection so the schema setters do not run a second time on stored values.
+ */
+
+const CUSTOMER_FIELDS = ['panCard', 'aadharCard', 'monthlyIncome'];
+
+class PiiProtectionMigration {
+  /**
+   * Protect every customer, call and call state
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Counts per collection, every change made and values that could not be decrypted
+   */
+  async run(options = {}) {
+    const { dryRun = false } = options;
+    if (!fieldEncryption.isConfigured()) {
+      throw new Error('PII_ENCRYPTION_KEY must be set to encrypt PII fields');
+    }
+
+    const report = {
+      dryRun,
+      customers: { scanned: 0, updated: 0 },
+      calls: { scanned: 0, updated: 0 },
+      callStates: { scanned: 0, updated: 0 },
+      changes: [],
+      failures: []
+    };
+
+    await this.migrateCollection(Customer, 'customers', doc => this.customerUpdates(doc), report, dryRun);
+    await this.migrateCollection(Call, 'calls', doc => this.callUpdates(doc), report, dryRun);
+    await this.migrateCollection(CallState, 'callStates', doc => this.callStateUpdates(doc), report, dryRun);
+
+    const verb = dryRun ? 'would change' : 'updated';
+    logger.info(`[PiiMigration] ${dryRun ? 'Dry run: ' : ''}${report.customers.updated}/${report.customers.scanned} customers, ${report.calls.updated}/${report.calls.scanned} calls, ${report.callStates.updated}/${report.callStates.scanned} call states ${verb}`);
+    if (report.failures.length > 0) {
+      logger.warn(`[PiiMigration] ${report.failures.length} values could not be decrypted with the configured keys; they were left as they were`);
+    }
+    return report;
+  }
+
+  // { path, value, change } for a stored value not yet encrypted with the current key; failed when it cannot be decrypted
+  rotation(path, value) {
+    if (!fieldEncryption.needsRotation(value)) return null;
+    const plain = fieldEncryption.decrypt(value);
+    if (plain === null) return { path, failed: true };
+    return {
+      path,
+      value: fieldEncryption.encrypt(plain),
+      change: fieldEncryption.isEncrypted(value) ? 're-encrypted with the current key' : 'encrypted'
+    };
+  }
+
+  redaction(path, text) {
+    const redacted = redactText(text);
+    return redacted !== text ? { path, value: redacted, change: 'redacted' } : null;
+  }
+
+  customerUpdates(doc) {
+    return CUSTOMER_FIELDS.map(field => this.rotation(field, doc[field]));
+  }
+
+  callUpdates(doc) {
+    return (doc.conversationHistory || []).map((entry, index) =>
+      this.redaction(`conversationHistory.${index}.text`, entry.text));
+  }
+
+  callStateUpdates(doc) {
+    const updates = [];
+    (doc.slots || []).forEach((slot, index) => {
+      if (!CallState.isEncryptedSlotField(slot.field)) {
+        updates.push(this.redaction(`slots.${index}.rawText`, slot.rawText));
+        return;
+      }
+      const rawText = fieldEncryption.isEncrypted(slot.rawText) ? slot.rawText : redactText(slot.rawText);
+      const capture = slot.capture && typeof slot.capture === 'object' ? JSON.stringify(slot.capture) : slot.capture;
+      updates.push(this.rotation(`slots.${index}.value`, slot.value));
+      updates.push(this.rotation(`slots.${index}.rawText`, rawText));
+      updates.push(this.rotation(`slots.${index}.capture`, capture));
+    });
+    (doc.stepHistory || []).forEach((step, index) => {
+      updates.push(this.redaction(`stepHistory.${index}.customerResponse`, step.customerResponse));
+    });
+    (doc.customerResponses || []).forEach((response, index) => {
+      updates.push(this.redaction(`customerResponses.${index}.response`, response.response));
+    });
+    return updates;
+  }
+
+  async migrateCollection(Model, name, getUpdates, report, dryRun) {
+    const cursor = Model.collection.find({});
+    for await (const doc of cursor) {
+      report[name].scanned++;
+      const update = {};
+
+      getUpdates(doc).filter(Boolean).forEach(item => {
+        if (item.failed) {
+          report.failures.push({ collection: name, id: doc._id, path: item.path });
+          return;
+        }
+        update[item.path] = item.value;
+        report.changes.push({ collection: name, id: doc._id, path: item.path, change: item.change });
+      });
+
+      if (Object.keys(update).length === 0) continue;
+      report[name].updated++;
+      if (!dryRun) {
+        await Model.collection.updateOne({ _id: doc._id }, { $set: update });
+      }
+    }
+  }
+}
+
+module.exports = new PiiProtectionMigration();
@@ -6,6 +6,7 @@
 
 const WebSocket = require('ws');
 const Call = require('../models/Call');
+const { redactText } = require('../utils/piiRedaction');
 // Check if vadServiceAdapter exists, if not use a dummy implementation
 let voiceActivityDetectionService;
 try {
@@ -151,7 +152,7 @@ class RealTimeCallService {
         callState.transcripts.push(transcriptEntry);
       }
 
-      console.log(`[RealTimeCallService] Added transcript for call ${callId}: ${transcriptEntry.speaker} - ${transcriptEntry.text.substring(0, 50)}...`);
+      console.log(`[RealTimeCallService] Added transcript for call ${callId}: ${transcriptEntry.speaker} - ${redactText(transcriptEntry.text).substring(0, 50)}...`);
     } catch (error) {
       console.error(`[RealTimeCallService] Error adding transcript for ${callId}:`, error);
     }
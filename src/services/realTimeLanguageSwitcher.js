@@ -4,14 +4,19 @@
  * Optimizes the AI voice conversation system to dynamically switch languages 
  * in real-time during conversations. If the AI is speaking in English and the 
  * user interrupts in Hindi (or vice versa), the AI immediately switches to 
- * respond in the user's language.
+ * respond in the user's language. Regional languages (Tamil, Telugu, Bengali,
+ * Marathi, Kannada, Gujarati) are recognised from their script.
  */
 
 const multilingualSpeechProcessor = require('./multilingualSpeechProcessor');
 const openAiFmService = require('./openAiFmService');
 const analyticsService = require('./analyticsService');
+const languages = require('../utils/languages');
 const { EventEmitter } = require('events');
 
+// Locales the pattern and vocabulary layers can tell apart
+const HINDI_ENGLISH_LOCALES = ['en-US', 'hi-IN', 'mixed'];
+
 class RealTimeLanguageSwitcher extends EventEmitter {
   constructor() {
     super();
@@ -452,6 +457,11 @@ class RealTimeLanguageSwitcher extends EventEmitter {
       // Layer 2: Enhanced script analysis (< 10ms)
       const scriptResult = this.detectLanguageByScript(text);
       
+      // Regional scripts are conclusive; the other layers only know Hindi and English
+      if (!HINDI_ENGLISH_LOCALES.includes(scriptResult.language)) {
+        return scriptResult;
+      }
+      
       // Layer 3: Vocabulary analysis (< 15ms)
       const vocabularyResult = this.detectLanguageByVocabulary(text);
       
@@ -524,29 +534,31 @@ class RealTimeLanguageSwitcher extends EventEmitter {
   }
 
   /**
-   * Script-based detection for Devanagari vs Latin
+   * Script-based detection: Latin vs Devanagari and the regional Indic scripts,
+   * each by its Unicode block (see utils/languages.js)
    */
   detectLanguageByScript(text) {
-    const devanagariChars = (text.match(/[\u0900-\u097F]/g) || []).length;
-    const latinChars = (text.match(/[a-zA-Z]/g) || []).length;
-    const totalChars = devanagariChars + latinChars;
-    
-    if (totalChars === 0) {
-      return { language: 'en-US', confidence: 0.5 };
+    const scriptResult = languages.detectScriptLanguage(text);
+    if (!scriptResult) {
+      const latinChars = (text.match(/[a-zA-Z]/g) || []).length;
+      return { language: 'en-US', confidence: latinChars > 0 ? 0.95 : 0.5 };
     }
     
-    const devanagariRatio = devanagariChars / totalChars;
-    const latinRatio = latinChars / totalChars;
+    const { scriptRatio, latinRatio } = scriptResult;
+    const locale = languages.toLocale(scriptResult.language);
     
-    if (devanagariRatio > 0.8) {
-      return { language: 'hi-IN', confidence: Math.min(0.95, 0.8 + devanagariRatio * 0.15) };
+    if (scriptRatio > 0.8) {
+      return { language: locale, confidence: Math.min(0.95, 0.8 + scriptRatio * 0.15) };
     } else if (latinRatio > 0.8) {
       return { language: 'en-US', confidence: Math.min(0.95, 0.8 + latinRatio * 0.15) };
-    } else if (devanagariRatio > 0.2 && latinRatio > 0.2) {
-      return { language: 'mixed', confidence: 0.85 };
+    } else if (scriptRatio > 0.2 && latinRatio > 0.2) {
+      // Hindi mixed with English is Hinglish; other languages mixed with English keep their own
+      return scriptResult.language === 'hindi'
+        ? { language: 'mixed', confidence: 0.85 }
+        : { language: locale, confidence: 0.8 };
     } else {
       return { 
-        language: devanagariRatio > latinRatio ? 'hi-IN' : 'en-US', 
+        language: scriptRatio > latinRatio ? locale : 'en-US', 
         confidence: 0.7 
       };
     }
@@ -599,14 +611,14 @@ class RealTimeLanguageSwitcher extends EventEmitter {
    */
   adjustDetectionWithHistory(detectionResults, context) {
     // Combine results with weighted average
-    let weightedScore = { 'en-US': 0, 'hi-IN': 0, 'mixed': 0 };
+    let weightedScore = {};
     let totalWeight = 0;
     
     const weights = [0.4, 0.3, 0.3]; // Pattern, Script, Vocabulary weights
     
     detectionResults.forEach((result, index) => {
       const weight = weights[index];
-      weightedScore[result.language] += result.confidence * weight;
+      weightedScore[result.language] = (weightedScore[result.language] || 0) + result.confidence * weight;
       totalWeight += weight;
     });
     
@@ -238,12 +238,16 @@ const simpleElevenlabsService = {  getApiKey: async () => {
       const style = 1.0; // Full style transfer when applicable
       const useSpeakerBoost = true; // Enable speaker boost for clearer audio
 
+      // ElevenLabs can stream telephony formats directly, so no conversion is needed
+      const outputFormat = { mulaw: 'ulaw_8000', pcm_16000: 'pcm_16000' }[format];
+
       // Make streaming request to ElevenLabs API
       const response = await axios({
         method: 'post',
         url: `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream`,
+        params: outputFormat ? { output_format: outputFormat } : undefined,
         headers: {
-          'Accept': 'audio/mpeg',
+          'Accept': outputFormat ? 'audio/basic' : 'audio/mpeg',
           'xi-api-key': apiKey,
           'Content-Type': 'application/json'
         },
@@ -261,16 +265,7 @@ const simpleElevenlabsService = {  getApiKey: async () => {
       });
       
       // Get the stream directly from the response
-      const audioStream = response.data;
-      
-      // Convert to the requested format if needed
-      if (format !== 'mp3' && format === 'mulaw') {
-        // For Twilio, convert to 8kHz mulaw
-        const { convertToMulaw } = require('../utils/audioUtils');
-        return convertToMulaw(audioStream);
-      }
-      
-      return audioStream;
+      return response.data;
     } catch (error) {
       console.error('ElevenLabs streaming error:', error.message);
       throw new Error(`ElevenLabs streaming failed: ${error.message}`);
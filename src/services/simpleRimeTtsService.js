@@ -272,7 +272,7 @@ const simpleRimeTtsService = {
           text: text,
           voice: voiceId,
           speed: 1.0,
-          format: format === 'mulaw' ? 'wav' : 'mp3'
+          format: format === 'mulaw' || format === 'wav' ? 'wav' : 'mp3'
         },
         headers: {
           'Authorization': `Bearer ${apiKey}`,
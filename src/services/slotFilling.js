@@ -0,0 +1,614 @@
+/**
+ * Slot Filling
+ *
+ * Typed values collected from the customer at workflow steps. A step declares its
+ * slots (CallWorkflow steps[].slots); collect_* steps without slots use the
+ * defaults for their type below. Slot types:
+ * - 'number': spoken or written number within min/max (utils/spokenNumbers.js);
+ *   with birthYear, a year of birth ("nineteen ninety five") is read as the age
+ * - 'enum': one of options, matched by synonyms; options with min/max also match
+ *   a spoken amount ("2 lakh" is the '2l_5l' income band)
+ * - 'email', 'pan': spelled out, possibly over several turns (utils/dictation.js);
+ *   letters that may have been misheard are asked for again one at a time
+ * - 'pincode', 'city', 'name', 'text'
+ *
+ * Each turn of a slot step either fills slots, asks the customer to confirm what
+ * was heard ("so that's 28, correct?"), takes a correction ("no, I said 38") or
+ * asks again. A slot that is still empty after maxRetries attempts is marked
+ * failed and the call moves on.
+ */
+
+const languages = require('../utils/languages');
+const spokenNumbers = require('../utils/spokenNumbers');
+const dictation = require('../utils/dictation');
+
+const SLOT_TYPES = ['number', 'enum', 'email', 'pan', 'pincode', 'city', 'name', 'text'];
+
+// Slot states on the call (CallState slots[].status)
+const SLOT_STATUSES = ['pending', 'filled', 'failed'];
+
+// Types read back to the customer unless the slot says otherwise
+const CONFIRMED_TYPES = ['number', 'email', 'pan', 'pincode'];
+
+const DEFAULT_MAX_RETRIES = 2;
+
+const INCOME_OPTIONS = [
+  { value: 'below_25k', label: 'below 25,000', max: 24999, synonyms: ['below 25', 'less than 25', 'under 25', '25 se kam'] },
+  { value: '25k_50k', label: '25,000 to 50,000', min: 25000, max: 49999 },
+  { value: '50k_1l', label: '50,000 to 1 lakh', min: 50000, max: 99999 },
+  { value: '1l_2l', label: '1 to 2 lakh', min: 100000, max: 199999 },
+  { value: '2l_5l', label: '2 to 5 lakh', min: 200000, max: 499999 },
+  { value: '5l_plus', label: 'above 5 lakh', min: 500000 },
+  {
+    value: 'not_disclosed',
+    label: 'not disclosed',
+    synonyms: ["don't want to say", 'do not want to say', 'prefer not', 'rather not', 'not comfortable', 'nahi batana', 'nahin batana', 'नहीं बताना']
+  }
+];
+
+const OCCUPATION_OPTIONS = [
+  {
+    value: 'salaried',
+    label: 'salaried',
+    synonyms: ['job', 'salaried', 'salary', 'employee', 'employed', 'working in', 'work at', 'work for', 'service', 'naukri', 'नौकरी',
+      'engineer', 'software', 'developer', 'manager', 'teacher', 'nurse', 'clerk', 'officer', 'executive', 'analyst', 'banker', 'इंजीनियर']
+  },
+  {
+    value: 'self_employed',
+    label: 'self-employed',
+    synonyms: ['self employed', 'self-employed', 'freelance', 'freelancer', 'consultant', 'professional', 'practice', 'apna kaam', 'खुद का काम',
+      'doctor', 'lawyer', 'advocate', 'chartered accountant', 'architect', 'farmer', 'डॉक्टर', 'किसान']
+  },
+  { value: 'business_owner', label: 'business owner', synonyms: ['business', 'businessman', 'own company', 'own shop', 'shop', 'shopkeeper', 'trader', 'dukan', 'vyapar', 'व्यापार', 'बिजनेस', 'दुकान'] },
+  { value: 'retired', label: 'retired', synonyms: ['retired', 'pension', 'pensioner', 'रिटायर'] },
+  { value: 'student', label: 'student', synonyms: ['student', 'studying', 'college', 'padhai', 'पढ़ाई'] },
+  { value: 'homemaker', label: 'homemaker', synonyms: ['homemaker', 'housewife', 'house wife', 'home maker', 'grihini', 'गृहिणी'] }
+];
+
+// Slots of the built-in collect_* step types; field is the Customer field the value
+// is saved to, variable the call variable step templates read ({{customerAge}})
+const STEP_TYPE_SLOTS = {
+  collect_name: [{ name: 'name', type: 'name', field: 'name', variable: 'customerName' }],
+  collect_age: [{ name: 'age', type: 'number', field: 'age', variable: 'customerAge', min: 18, max: 100, birthYear: true }],
+  collect_occupation: [{ name: 'occupation', type: 'enum', field: 'occupation', variable: 'customerOccupation', options: OCCUPATION_OPTIONS }],
+  collect_income: [{
+    name: 'monthlyIncome',
+    type: 'enum',
+    field: 'monthlyIncome',
+    variable: 'customerIncome',
+    unit: 1000, // "around fifty" is 50,000
+    confirm: true,
+    options: INCOME_OPTIONS
+  }],
+  collect_city: [{ name: 'city', type: 'city', field: 'city', variable: 'customerCity' }],
+  collect_email: [{ name: 'email', type: 'email', field: 'email', variable: 'customerEmail' }]
+};
+
+const PROMPTS = {
+  confirm: {
+    english: "So that's {{value}}, correct?",
+    hindi: 'तो {{value}}, सही है?'
+  },
+  retry: {
+    english: "Sorry, I didn't catch that. ",
+    hindi: 'माफ़ कीजिए, मैं समझ नहीं पाई। '
+  },
+  denied: {
+    english: 'Sorry about that. ',
+    hindi: 'माफ़ कीजिए। '
+  },
+  corrected: {
+    english: "Got it, I've updated that to {{value}}. ",
+    hindi: 'ठीक है, मैंने इसे {{value}} कर दिया है। '
+  },
+  spell_more: {
+    english: 'I have {{value}} so far. Please go on.',
+    hindi: 'अभी तक मैंने {{value}} लिखा है। आगे बताइए।'
+  },
+  spell_position: {
+    english: 'Could you say character number {{value}} again, with a word, like A for apple?',
+    hindi: 'क्या आप {{value}}वाँ अक्षर फिर से बता सकते हैं? किसी शब्द के साथ, जैसे A for apple.'
+  },
+  spell_after: {
+    english: 'Could you say the letter after {{value}} again, with a word, like A for apple?',
+    hindi: 'क्या आप {{value}} के बाद वाला अक्षर फिर से बता सकते हैं? किसी शब्द के साथ, जैसे A for apple.'
+  },
+  join: {
+    english: ' and ',
+    hindi: ' और '
+  }
+};
+
+const AFFIRMATIONS = [
+  'yes', 'yeah', 'yep', 'yup', 'correct', 'right', 'sure', 'exactly', 'perfect', 'ok', 'okay', 'true',
+  "that's right", 'that is right', "that's correct", 'that is correct',
+  'haan', 'han', 'haa', 'haanji', 'hanji', 'ji', 'sahi', 'theek', 'thik', 'bilkul', 'ha ji', 'haan ji',
+  'हाँ', 'हां', 'जी', 'सही', 'ठीक', 'बिल्कुल', 'बिलकुल'
+];
+
+const NEGATIONS = [
+  'no', 'nope', 'not', 'wrong', 'incorrect', "isn't", "that's not", 'nahi', 'nahin', 'nai', 'galat', 'naa',
+  'नहीं', 'नही', 'ना', 'गलत', 'ग़लत'
+];
+
+// Words that make a transcript a question even when STT drops the question mark
+const QUESTION_WORDS = [
+  'what', 'why', 'how', 'when', 'where', 'which', 'who', 'whom', 'whose',
+  'kya', 'kyun', 'kyon', 'kaise', 'kab', 'kahan', 'kitna', 'kitni', 'kitne', 'kaun', 'kaunsa', 'kaunsi',
+  'क्या', 'क्यों', 'कैसे', 'कब', 'कहाँ', 'कहां', 'कितना', 'कितनी', 'कितने', 'कौन', 'कौनसा'
+];
+
+// A customer changing an earlier answer: "no, I said 38", "actually it's Pune"
+const CORRECTION_MARKERS = [
+  'no', 'not', 'actually', 'sorry', 'i said', 'i meant', 'i mean', 'wrong', 'correction', 'change',
+  'nahi', 'nahin', 'galat', 'maine kaha', 'नहीं', 'गलत', 'मैंने कहा'
+];
+
+const CITIES = {
+  Mumbai: ['mumbai', 'bombay', 'मुंबई', 'मुम्बई'],
+  Delhi: ['delhi', 'new delhi', 'dilli', 'दिल्ली'],
+  Bengaluru: ['bengaluru', 'bangalore', 'banglore', 'बेंगलुरु', 'बैंगलोर'],
+  Hyderabad: ['hyderabad', 'हैदराबाद'],
+  Chennai: ['chennai', 'madras', 'चेन्नई'],
+  Kolkata: ['kolkata', 'calcutta', 'कोलकाता'],
+  Pune: ['pune', 'poona', 'पुणे'],
+  Ahmedabad: ['ahmedabad', 'amdavad', 'अहमदाबाद'],
+  Jaipur: ['jaipur', 'जयपुर'],
+  Lucknow: ['lucknow', 'लखनऊ'],
+  Chandigarh: ['chandigarh', 'चंडीगढ़'],
+  Gurugram: ['gurugram', 'gurgaon', 'गुरुग्राम', 'गुड़गांव'],
+  Noida: ['noida', 'नोएडा'],
+  Surat: ['surat', 'सूरत'],
+  Indore: ['indore', 'इंदौर'],
+  Bhopal: ['bhopal', 'भोपाल'],
+  Nagpur: ['nagpur', 'नागपुर'],
+  Patna: ['patna', 'पटना'],
+  Kochi: ['kochi', 'cochin', 'कोच्चि'],
+  Thiruvananthapuram: ['thiruvananthapuram', 'trivandrum'],
+  Coimbatore: ['coimbatore'],
+  Visakhapatnam: ['visakhapatnam', 'vizag'],
+  Vadodara: ['vadodara', 'baroda', 'वडोदरा'],
+  Kanpur: ['kanpur', 'कानपुर'],
+  Ludhiana: ['ludhiana', 'लुधियाना'],
+  Nashik: ['nashik', 'nasik', 'नासिक'],
+  Bhubaneswar: ['bhubaneswar', 'भुवनेश्वर'],
+  Guwahati: ['guwahati', 'गुवाहाटी']
+};
+
+const NAME_PREFIX = /^(my name is|my name's|name is|i am|i'm|this is|it is|it's|myself|mera naam|mera nam|naam|मेरा नाम)\s+/i;
+const NAME_SUFFIX = /\s+(hai|hain|he|here|speaking|है|हैं)$/i;
+// "I am a software engineer" describes the customer rather than naming them;
+// a lone capital A is an initial ("A Kumar")
+const NAME_ARTICLE = /^(?:a|an|the)\s|^(?:An|The)\s/;
+const OCCUPATION_WORDS = OCCUPATION_OPTIONS.flatMap(option => [option.label, ...option.synonyms]);
+// Years of birth a number slot with birthYear reads as an age
+const BIRTH_YEARS = { min: 1900, max: 2010 };
+const CITY_PREFIX = /^(i live in|i stay in|i am in|i'm in|i am from|i'm from|from|in|city is|my city is|main|mai)\s+/i;
+const CITY_SUFFIX = /\s+(mein rehta hoon|mein rehti hoon|me rehta hu|me rehti hu|mein|me|se|city|में रहता हूँ|में रहती हूँ|में|से)$/i;
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Whether any phrase appears as whole words in the text
+function containsPhrase(text, phrases) {
+  const padded = ` ${tokenize(text).join(' ')} `;
+  return phrases.some(phrase => padded.includes(` ${tokenize(phrase).join(' ')} `));
+}
+
+// Position of the last whole-word match of a phrase, -1 when absent
+function lastPhraseIndex(padded, phrase) {
+  return padded.lastIndexOf(` ${tokenize(phrase).join(' ')} `);
+}
+
+// Whether the customer refers to a slot by name ("my age") or repeats its value ("not 38")
+function mentionsSlot(slot, value, text) {
+  const name = slot.name.replace(/([a-z])([A-Z])/g, '$1 $2');
+  return containsPhrase(text, [name, String(value), formatSlotValue(slot, value)].filter(Boolean));
+}
+
+// "Yes", "haan ji", "no" are answers, not names or cities
+function isYesOrNo(text) {
+  const words = tokenize(text);
+  return words.length <= 2 && (containsPhrase(text, AFFIRMATIONS) || containsPhrase(text, NEGATIONS));
+}
+
+function looksLikeQuestion(text) {
+  return /[?？]/.test(text || '') || containsPhrase(text, QUESTION_WORDS);
+}
+
+function capitalizeWords(text) {
+  return text.replace(/[a-z][^\s]*/gi, word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase());
+}
+
+/**
+ * A slot definition with defaults filled in
+ * @param {Object} slot - Slot as declared on a step (Mongoose subdocument or plain object)
+ * @param {Object} [step] - The step, for its maxRetries
+ */
+function resolveSlot(slot, step) {
+  const plain = slot && typeof slot.toObject === 'function' ? slot.toObject({ flattenMaps: true }) : { ...slot };
+  return {
+    ...plain,
+    field: plain.field || plain.name,
+    required: plain.required !== false,
+    confirm: typeof plain.confirm === 'boolean' ? plain.confirm : CONFIRMED_TYPES.includes(plain.type),
+    maxRetries: typeof plain.maxRetries === 'number'
+      ? plain.maxRetries
+      : (step && typeof step.maxRetries === 'number' ? step.maxRetries : DEFAULT_MAX_RETRIES),
+    options: plain.options || [],
+    prompts: plain.prompts || {}
+  };
+}
+
+/**
+ * Slots of a workflow step: the ones declared on it, else the defaults for its type
+ * @param {Object} step
+ * @returns {Object[]} Resolved slots; empty for steps that collect nothing
+ */
+function resolveStepSlots(step) {
+  if (!step) return [];
+  const declared = step.slots && step.slots.length > 0 ? step.slots : STEP_TYPE_SLOTS[step.type];
+  return (declared || []).map(slot => resolveSlot(slot, step));
+}
+
+/**
+ * Default slot for a customer field ('age', 'income', 'pan', ...), as used by
+ * customerDataCollectionService.parseCustomerInformation
+ */
+function getFieldSlot(field) {
+  const aliases = { income: 'monthlyIncome', pan: 'panCard' };
+  const name = aliases[field] || field;
+  if (name === 'panCard') return resolveSlot({ name, type: 'pan', field: 'panCard' });
+  if (name === 'pincode') return resolveSlot({ name, type: 'pincode', field: 'pincode' });
+  const slot = Object.values(STEP_TYPE_SLOTS).flat().find(candidate => candidate.name === name);
+  return slot ? resolveSlot(slot) : null;
+}
+
+// A spoken amount read for a slot: bare numbers are in the slot's unit,
+// "below 25 thousand" is just under 25,000 and a range counts from its lower end
+function readAmounts(slot, text) {
+  const below = containsPhrase(text, ['below', 'under', 'less than', 'kam', 'se kam', 'कम']);
+  const numbers = spokenNumbers.extractNumbers(text);
+  return numbers
+    .filter((number, i) => !(i > 0 && numbers[i - 1].rangeStart))
+    .map(number => {
+      let value = number.value;
+      if (slot.unit && number.scale === 1 && value < slot.unit) value *= slot.unit;
+      return below && !number.rangeStart ? value - 1 : value;
+    });
+}
+
+// Each parser returns the values found in a transcript, most likely last
+const PARSERS = {
+  number(slot, text) {
+    const thisYear = new Date().getFullYear();
+    return readAmounts(slot, text)
+      .map(value => (slot.birthYear && value >= BIRTH_YEARS.min && value <= BIRTH_YEARS.max ? thisYear - value : value))
+      .filter(value =>
+      (typeof slot.min !== 'number' || value >= slot.min) && (typeof slot.max !== 'number' || value <= slot.max));
+  },
+
+  enum(slot, text) {
+    // Amounts first, so a named option ("prefer not to say") wins over a number
+    const ranged = slot.options.filter(option => typeof option.min === 'number' || typeof option.max === 'number');
+    const byAmount = ranged.length === 0 ? [] : readAmounts(slot, text)
+      .map(amount => ranged.find(option =>
+        (typeof option.min !== 'number' || amount >= option.min)
+        && (typeof option.max !== 'number' || amount <= option.max)))
+      .filter(Boolean)
+      .map(option => option.value);
+
+    const padded = ` ${tokenize(text).join(' ')} `;
+    const bySynonym = [];
+    slot.options.forEach(option => {
+      [option.value.replace(/_/g, ' '), ...(option.synonyms || [])].forEach(synonym => {
+        const index = lastPhraseIndex(padded, synonym);
+        if (index >= 0) bySynonym.push({ value: option.value, length: tokenize(synonym).join(' ').length, index });
+      });
+    });
+    bySynonym.sort((a, b) => a.length - b.length || a.index - b.index);
+    return [...byAmount, ...bySynonym.map(match => match.value)];
+  },
+
+  // A whole address or PAN in one transcript; captures over several turns go through captureDictation
+  email(slot, text) {
+    const result = dictation.evaluate('email', { chars: dictation.parseCharacters(text, 'email') });
+    return result.complete ? [result.text] : [];
+  },
+
+  pan(slot, text) {
+    const result = dictation.evaluate('pan', { chars: dictation.parseCharacters(text, 'pan') });
+    return result.complete ? [result.text] : [];
+  },
+
+  pincode(slot, text) {
+    return spokenNumbers.extractDigitSequences(text).filter(digits => /^[1-9][0-9]{5}$/.test(digits));
+  },
+
+  city(slot, text) {
+    const padded = ` ${tokenize(text).join(' ')} `;
+    const known = [];
+    Object.entries(CITIES).forEach(([city, aliases]) => {
+      aliases.forEach(alias => {
+        const index = lastPhraseIndex(padded, alias);
+        if (index >= 0) known.push({ city, index });
+      });
+    });
+    if (known.length > 0) return known.sort((a, b) => a.index - b.index).map(match => match.city);
+
+    const name = (text || '').trim().replace(/[.!?,।]+$/, '').replace(CITY_PREFIX, '').replace(CITY_SUFFIX, '').trim();
+    if (name.length < 3 || /\d/.test(name) || tokenize(name).length > 3 || isYesOrNo(name) || looksLikeQuestion(text)) return [];
+    return [capitalizeWords(name)];
+  },
+
+  name(slot, text) {
+    const name = (text || '').trim().replace(/[.!?,।]+$/, '').replace(NAME_PREFIX, '').replace(NAME_SUFFIX, '').trim();
+    if (name.length < 2 || /\d/.test(name) || tokenize(name).length > 5 || isYesOrNo(name) || looksLikeQuestion(text)) return [];
+    if (NAME_ARTICLE.test(name) || containsPhrase(name, OCCUPATION_WORDS)) return [];
+    return [capitalizeWords(name)];
+  },
+
+  text(slot, text) {
+    const value = (text || '').trim();
+    return value && !looksLikeQuestion(value) ? [value] : [];
+  }
+};
+
+/**
+ * Value of a slot in a transcript
+ * @param {Object} slot - Resolved slot
+ * @param {string} text
+ * @param {Object} [options] - { exclude: values to skip, e.g. the one being corrected }
+ * @returns {*} The value, or null when the transcript has none
+ */
+function parseSlotValue(slot, text, options = {}) {
+  const parser = PARSERS[slot.type];
+  const exclude = options.exclude || [];
+  const values = parser ? parser(slot, text).filter(value => !exclude.includes(value)) : [];
+  return values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * How a slot value is read back to the customer
+ */
+function formatSlotValue(slot, value) {
+  if (value === null || value === undefined) return '';
+  if (slot.type === 'enum') {
+    const option = slot.options.find(candidate => candidate.value === value);
+    return option && option.label ? option.label : String(value).replace(/_/g, ' ');
+  }
+  if (slot.type === 'number') return Number(value).toLocaleString('en-IN');
+  if (dictation.DICTATION_KINDS.includes(slot.type)) return dictation.toSpoken(slot.type, value);
+  if (slot.type === 'pincode') return String(value).split('').join(' ');
+  return String(value);
+}
+
+/**
+ * Whether a turn at a slot step asks something instead of answering: none of the
+ * slots has a value in it, and it has a question mark or a question word
+ * @param {Object[]} slots - Resolved slots of the step
+ * @param {string} text
+ */
+function isQuestion(slots, text) {
+  if (slots.some(slot => parseSlotValue(slot, text) !== null)) return false;
+  return looksLikeQuestion(text);
+}
+
+function isAffirmation(text) {
+  return !isNegation(text) && containsPhrase(text, AFFIRMATIONS);
+}
+
+function isNegation(text) {
+  return containsPhrase(text, NEGATIONS);
+}
+
+function isCorrection(text) {
+  return containsPhrase(text, CORRECTION_MARKERS);
+}
+
+/**
+ * Prompt text in the call's language: the slot's own prompt, else the default
+ * @param {string} kind - 'confirm' | 'retry' | 'denied' | 'corrected'
+ * @param {Object[]} slots - Resolved slots the prompt is about; the first one's prompt is used
+ * @param {string} language
+ * @param {string} [value] - Read-back text for {{value}}
+ */
+function getPrompt(kind, slots, language, value = '') {
+  const custom = slots[0] && slots[0].prompts && slots[0].prompts[kind];
+  const template = (custom && languages.getLocalizedText(custom, language))
+    || languages.getLocalizedText(PROMPTS[kind], language);
+  return template.replace(/{{value}}/g, value);
+}
+
+function joinValues(values, language) {
+  return values.join(languages.getLocalizedText(PROMPTS.join, language));
+}
+
+/**
+ * One turn of spelling an email or PAN, added to what earlier turns captured
+ * @param {Object} slot - Resolved 'email' or 'pan' slot
+ * @param {Object} capture - The slot's capture so far ({ chars, asking }), or null
+ * @param {string} text
+ * @returns {Object|null} { value } once the value is complete and certain, else
+ *   { capture } with asking set to the character to ask about again; null when the
+ *   turn added nothing
+ */
+function captureDictation(slot, capture, text) {
+  let chars = dictation.parseCharacters(text, slot.type);
+  let next;
+  if (capture && typeof capture.asking === 'number') {
+    // "Yes" keeps the character as heard; a lone word ("sugar") is its first letter
+    if (chars.length === 0 && !isAffirmation(text)) chars = dictation.initialOf(text, slot.type);
+    if (chars.length === 0 && !isAffirmation(text)) return null;
+    next = dictation.answerAsked(slot.type, capture, chars);
+  } else {
+    // An email is only started from something spelled or spoken punctuation, not any words
+    const started = capture && capture.chars && capture.chars.length > 0;
+    if (chars.length === 0 || (slot.type === 'email' && !started
+      && !chars.some(item => /[^a-z]/.test(item.char)) && !/\b[a-z]\b/i.test(text))) return null;
+    next = dictation.extendCapture(slot.type, capture, chars);
+  }
+
+  const result = dictation.evaluate(slot.type, next);
+  if (result.value) return { value: result.value };
+
+  const asking = result.uncertain.length > 0 ? result.uncertain[0].index : null;
+  if (capture && capture.asking === asking && result.text === (capture.chars || []).map(item => item.char).join('')) {
+    return null; // Asked about the same character again with nothing new
+  }
+  return { capture: { chars: result.chars, asking } };
+}
+
+/**
+ * What to say while an email or PAN is being spelled: ask for the uncertain
+ * character again, else read back what was captured so far
+ * @param {Object} slot - Resolved slot
+ * @param {Object} capture - The slot's capture
+ * @param {string} language
+ */
+function getSpellingPrompt(slot, capture, language) {
+  const text = capture.chars.map(item => item.char).join('');
+  if (typeof capture.asking !== 'number') {
+    return getPrompt('spell_more', [slot], language, dictation.toSpoken(slot.type, text));
+  }
+  const before = text.slice(0, capture.asking);
+  if (slot.type === 'pan' || !before) return getPrompt('spell_position', [slot], language, String(capture.asking + 1));
+  return getPrompt('spell_after', [slot], language, dictation.toSpoken(slot.type, before.split('@').pop()));
+}
+
+/**
+ * One customer turn at a slot step
+ * @param {Object[]} slots - Resolved slots of the step
+ * @param {Object} states - Slot name -> { value, status, attempts, corrections } on the call
+ * @param {string} text - What the customer said
+ * @param {Object} [options] - { previous: { slot, state } the slot filled last at an earlier step, which
+ *   the customer can correct by naming it or its value }
+ * @returns {Object} {
+ *   action: 'complete' | 'confirm' | 'retry' | 'corrected' | 'spell',
+ *   updates: slot name -> new state (values to save have status 'filled'),
+ *   confirming: names of the slots being read back,
+ *   spelling: name of the slot being spelled, its capture in the slot state,
+ *   corrected: name of the earlier slot that was corrected,
+ *   denied: whether the customer said the value read back was wrong
+ * }
+ */
+function processSlotTurn(slots, states, text, options = {}) {
+  const updates = {};
+  const stateOf = (slot) => updates[slot.name] || states[slot.name] || { status: null, attempts: 0, corrections: 0 };
+  const update = (slot, changes) => {
+    updates[slot.name] = { ...stateOf(slot), ...changes, updatedAt: new Date() };
+  };
+
+  let denied = false;
+  const pending = slots.filter(slot => stateOf(slot).status === 'pending');
+  if (pending.length > 0) {
+    // A new value while confirming is a correction: read the new value back instead
+    const correctionOf = (slot) => parseSlotValue(slot, text, { exclude: [stateOf(slot).value] });
+    const corrected = pending.filter(slot => correctionOf(slot) !== null);
+    if (corrected.length > 0) {
+      corrected.forEach(slot => update(slot, {
+        value: correctionOf(slot),
+        rawText: text,
+        corrections: (stateOf(slot).corrections || 0) + 1
+      }));
+    } else if (isAffirmation(text)) {
+      pending.forEach(slot => update(slot, { status: 'filled', confirmed: true }));
+    } else {
+      // "No": ask for the value again; no clear answer: read it back again
+      denied = isNegation(text);
+      pending.forEach(slot => {
+        const attempts = (stateOf(slot).attempts || 0) + 1;
+        const failed = attempts > slot.maxRetries;
+        update(slot, {
+          attempts,
+          status: failed ? 'failed' : (denied ? null : 'pending'),
+          value: failed || denied ? null : stateOf(slot).value
+        });
+      });
+    }
+  } else {
+    // "No, my age is 38" about the answer to an earlier question
+    const { previous } = options;
+    const correction = previous && isCorrection(text) && mentionsSlot(previous.slot, previous.state.value, text)
+      ? parseSlotValue(previous.slot, text, { exclude: [previous.state.value] })
+      : null;
+    if (correction !== null) {
+      updates[previous.slot.name] = {
+        ...previous.state,
+        value: correction,
+        rawText: text,
+        status: 'filled',
+        corrections: (previous.state.corrections || 0) + 1,
+        updatedAt: new Date()
+      };
+      return { action: 'corrected', updates, confirming: [], corrected: previous.slot.name };
+    }
+
+    const open = slots.filter(slot => !['filled', 'failed'].includes(stateOf(slot).status));
+    const found = [];
+    let spelling = null;
+    open.forEach(slot => {
+      if (!dictation.DICTATION_KINDS.includes(slot.type)) {
+        const value = parseSlotValue(slot, text);
+        if (value !== null) found.push({ slot, value });
+        return;
+      }
+      const captured = captureDictation(slot, stateOf(slot).capture, text);
+      if (captured && captured.value) {
+        found.push({ slot, value: captured.value });
+      } else if (captured && !spelling) {
+        update(slot, { capture: captured.capture, rawText: text });
+        spelling = slot.name;
+      }
+    });
+
+    found.forEach(({ slot, value }) => update(slot, {
+      value,
+      rawText: text,
+      capture: null,
+      status: slot.confirm ? 'pending' : 'filled'
+    }));
+
+    const slot = open[0];
+    if (found.length === 0 && !spelling && slot) {
+      const attempts = (stateOf(slot).attempts || 0) + 1;
+      // "No, let me spell it again" drops what was captured
+      update(slot, { attempts, status: attempts > slot.maxRetries ? 'failed' : null, ...(isNegation(text) ? { capture: null } : {}) });
+    }
+    if (spelling && found.length === 0) return { action: 'spell', updates, confirming: [], spelling };
+  }
+
+  const confirming = slots.filter(slot => stateOf(slot).status === 'pending').map(slot => slot.name);
+  if (confirming.length > 0) return { action: 'confirm', updates, confirming };
+
+  // Optional slots do not hold the step up once anything was answered
+  const resolved = (slot) => ['filled', 'failed'].includes(stateOf(slot).status);
+  const complete = slots.every(slot => resolved(slot) || (!slot.required && slots.some(resolved)));
+  return { action: complete ? 'complete' : 'retry', updates, confirming, denied };
+}
+
+module.exports = {
+  SLOT_TYPES,
+  SLOT_STATUSES,
+  STEP_TYPE_SLOTS,
+  PROMPTS,
+  resolveSlot,
+  resolveStepSlots,
+  getFieldSlot,
+  parseSlotValue,
+  formatSlotValue,
+  isQuestion,
+  isAffirmation,
+  isNegation,
+  isCorrection,
+  getPrompt,
+  joinValues,
+  captureDictation,
+  getSpellingPrompt,
+  processSlotTurn
+};
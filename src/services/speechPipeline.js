@@ -0,0 +1,218 @@
+/**
+ * Speech Pipeline
+ *
+ * Speaks an LLM answer while it is still being generated. Streamed tokens are cut
+ * into sentences and clauses (see utils/sentenceSegmenter.js); TTS starts on the
+ * first one and the rest are queued and synthesized in order, so the caller hears
+ * the agent after the first clause instead of after the whole answer.
+ *
+ * A barge-in cancels the pipeline: the LLM request is aborted, the audio being
+ * synthesized is dropped along with the queue, and getPlayedText() tells how much
+ * of the answer the caller actually heard, which is what goes into the history.
+ *
+ * Emits 'segment' { index, text } as each piece is queued.
+ */
+
+const EventEmitter = require('events');
+const { SentenceSegmenter } = require('../utils/sentenceSegmenter');
+const { ESTIMATED_CHARS_PER_SECOND } = require('./bargeInPolicy');
+const audioDsp = require('../utils/audioDsp');
+
+// Create a fallback logger in case the imported one is undefined
+let logger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.debug
+};
+
+try {
+  const loggerModule = require('../utils/logger');
+  if (loggerModule && loggerModule.logger) {
+    logger = loggerModule.logger;
+  }
+} catch (err) {
+  console.warn('Could not load logger module, using fallback logger');
+}
+
+// Audio sent is 8 kHz μ-law, one byte per sample
+const MULAW_BYTES_PER_MS = audioDsp.TWILIO_SAMPLE_RATE / 1000;
+
+class SpeechPipeline extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {AsyncIterable<string>} options.tokens - Text deltas of the answer
+   * @param {Function} options.synthesize - async (text, segment) => { stream, provider }, stream of μ-law audio
+   * @param {Function} options.send - (chunk, segment) => void, sends audio to the caller
+   * @param {AbortController} [options.abortController] - Aborts the LLM request on cancel
+   * @param {SentenceSegmenter} [options.segmenter]
+   */
+  constructor({ tokens, synthesize, send, abortController = null, segmenter = null }) {
+    super();
+    this.tokens = tokens;
+    this.synthesize = synthesize;
+    this.send = send;
+    this.abortController = abortController;
+    this.segmenter = segmenter || new SentenceSegmenter();
+
+    this.text = '';          // Answer generated so far
+    this.segments = [];      // { index, text, provider, audioMs, startsAt, complete, failed }
+    this.queue = [];         // Segments waiting for TTS
+    this.ended = false;      // No more segments will be queued
+    this.cancelled = false;
+    this.cancelledAt = null;
+    this.error = null;
+    this.current = null;     // Audio stream being sent
+    this.playEndsAt = 0;     // When the caller will have heard everything sent
+    this.wake = null;
+    this.promise = null;
+  }
+
+  /**
+   * Generate and speak the answer; resolves once all audio is sent or the pipeline is cancelled
+   * @returns {Promise<Object>} { text, spokenText, cancelled, error }
+   */
+  run() {
+    if (!this.promise) {
+      this.promise = Promise.all([this.consumeTokens(), this.speakQueued()]).then(() => ({
+        text: this.text.trim(),
+        spokenText: this.segments.filter(segment => segment.complete).map(segment => segment.text).join(' '),
+        cancelled: this.cancelled,
+        error: this.error
+      }));
+    }
+    return this.promise;
+  }
+
+  /**
+   * Stop generating and speaking; audio already sent is left to the caller's media buffer
+   */
+  cancel() {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    this.cancelledAt = Date.now();
+    this.queue = [];
+    if (this.abortController) this.abortController.abort();
+    if (this.current) this.current.destroy();
+    this.notify();
+  }
+
+  /**
+   * The part of the answer the caller has heard, in whole words, assuming each
+   * segment's words are spread evenly over its audio
+   * @param {number} [at] - Time to measure at; defaults to when the pipeline was cancelled, or now
+   * @returns {string}
+   */
+  getPlayedText(at = this.cancelledAt || Date.now()) {
+    const played = [];
+    for (const segment of this.segments) {
+      if (segment.failed && segment.startsAt === null) continue;
+      if (segment.startsAt === null) break;
+
+      const playedMs = Math.max(0, Math.min(segment.audioMs, at - segment.startsAt));
+      // Audio still being synthesized is estimated from the length of the text
+      const totalMs = segment.complete
+        ? segment.audioMs
+        : Math.max(segment.audioMs, (segment.text.length / ESTIMATED_CHARS_PER_SECOND) * 1000);
+      const words = segment.text.split(/\s+/);
+      const heard = Math.floor(words.length * Math.min(1, playedMs / Math.max(totalMs, 1)));
+      if (heard > 0) played.push(words.slice(0, heard).join(' '));
+      if (heard < words.length) break;
+    }
+    return played.join(' ');
+  }
+
+  async consumeTokens() {
+    try {
+      for await (const delta of this.tokens) {
+        if (this.cancelled) break;
+        this.text += delta;
+        this.segmenter.push(delta).forEach(text => this.enqueue(text));
+      }
+      if (!this.cancelled) {
+        const rest = this.segmenter.flush();
+        if (rest) this.enqueue(rest);
+      }
+    } catch (error) {
+      // An aborted request is how cancel() stops the LLM
+      if (!this.cancelled) {
+        logger.warn(`[SpeechPipeline] LLM stream failed: ${error.message}`);
+        this.error = error;
+      }
+    } finally {
+      this.ended = true;
+      this.notify();
+    }
+  }
+
+  enqueue(text) {
+    const segment = {
+      index: this.segments.length,
+      text,
+      provider: null,
+      audioMs: 0,
+      startsAt: null,
+      complete: false,
+      failed: false
+    };
+    this.segments.push(segment);
+    this.queue.push(segment);
+    this.emit('segment', { index: segment.index, text });
+    this.notify();
+  }
+
+  notify() {
+    if (this.wake) {
+      const wake = this.wake;
+      this.wake = null;
+      wake();
+    }
+  }
+
+  async speakQueued() {
+    for (;;) {
+      while (this.queue.length === 0 && !this.ended && !this.cancelled) {
+        await new Promise(resolve => { this.wake = resolve; });
+      }
+      if (this.cancelled || this.queue.length === 0) return;
+      await this.speak(this.queue.shift());
+    }
+  }
+
+  async speak(segment) {
+    try {
+      const { stream, provider } = await this.synthesize(segment.text, segment);
+      segment.provider = provider;
+      if (this.cancelled) {
+        stream.destroy();
+        return;
+      }
+
+      this.current = stream;
+      for await (const chunk of stream) {
+        if (this.cancelled) break;
+        const now = Date.now();
+        const durationMs = chunk.length / MULAW_BYTES_PER_MS;
+        if (segment.startsAt === null) {
+          // Audio sent while earlier audio is still playing is heard after it
+          segment.startsAt = Math.max(now, this.playEndsAt);
+        }
+        this.playEndsAt = Math.max(now, this.playEndsAt) + durationMs;
+        segment.audioMs += durationMs;
+        this.send(chunk, segment);
+      }
+      segment.complete = !this.cancelled;
+    } catch (error) {
+      // Destroying the stream on cancel ends it early; other failures skip the segment
+      if (!this.cancelled) {
+        logger.warn(`[SpeechPipeline] TTS failed for segment ${segment.index}: ${error.message}`);
+        segment.failed = true;
+        this.error = this.error || error;
+      }
+    } finally {
+      this.current = null;
+    }
+  }
+}
+
+module.exports = { SpeechPipeline };
@@ -1,98 +1,47 @@
 /**
  * Speech to Text Service
- * 
- * Provides a unified API for different speech-to-text providers
- * Supports Google Speech and Deepgram
+ *
+ * Provides a unified API for different speech-to-text providers.
+ * Provider selection, health scoring and failover live in sttProviderRegistry;
+ * this service keeps the simple text-returning API used by older call paths.
  */
 
 const { logger } = require('../utils/logger');
-const deepgramService = require('./deepgramService');
-const googleSpeechService = require('./googleSpeechService');
+const sttProviderRegistry = require('./sttProviderRegistry');
 
 class SpeechToTextService {
   constructor() {
-    this.defaultProvider = process.env.DEFAULT_STT_PROVIDER || 'google';
+    this.defaultProvider = sttProviderRegistry.getDefaultProvider();
     logger.info(`Using ${this.defaultProvider} as the default Speech-to-Text provider`);
   }
 
   /**
-   * Transcribe audio buffer using the preferred provider
-   * @param {Buffer} audioBuffer - Raw audio buffer to transcribe
-   * @param {Object} options - Transcription options
+   * Transcribe audio buffer using the preferred provider, failing over to the next healthy one
+   * @param {Buffer} audioBuffer - Raw audio buffer to transcribe (16 kHz LINEAR16 unless options say otherwise)
+   * @param {Object} options - Transcription options: provider, language, callId, encoding, sampleRate
    * @returns {Promise<string>} - Transcription result
    */
   async transcribe(audioBuffer, options = {}) {
-    const provider = options.provider || this.defaultProvider;
-    
-    try {
-      switch (provider.toLowerCase()) {
-        case 'deepgram':
-          return await this.transcribeWithDeepgram(audioBuffer, options);
-        case 'google':
-        default:
-          return await this.transcribeWithGoogleSpeech(audioBuffer, options);
-      }
-    } catch (error) {
-      logger.error('Speech-to-text transcription error', { error: error.message, provider });
-      return '';
-    }
-  }
-  /**
-   * Transcribe using Google Speech
-   * @param {Buffer} audioBuffer - Raw audio buffer
-   * @param {Object} options - Transcription options
-   * @returns {Promise<string>} - Transcription result
-   */
-  async transcribeWithGoogleSpeech(audioBuffer, options = {}) {
-    try {
-      logger.info('Transcribing with Google Speech');
-      
-      // Convert audio buffer to desired format if necessary
-      // Google Speech expects certain audio formats
-      const language = options.language || 'en-US';
-      
-      // Call the actual Google Speech service
-      const transcription = await googleSpeechService.transcribe(audioBuffer, {
-        languageCode: language,
-        encoding: 'LINEAR16',
-        sampleRateHertz: 16000
-      });
-      
-      logger.info(`Google Speech transcription result: ${transcription}`);
-      return transcription;
-    } catch (error) {
-      logger.error('Google Speech transcription error', { error: error.message });
-      throw error;
-    }
+    const result = await this.transcribeDetailed(audioBuffer, options);
+    return result ? result.text : '';
   }
 
   /**
-   * Transcribe using Deepgram
-   * @param {Buffer} audioBuffer - Raw audio buffer
+   * Transcribe with confidence, word timings and detected language
+   * @param {Buffer} audioBuffer - Raw audio buffer to transcribe
    * @param {Object} options - Transcription options
-   * @returns {Promise<string>} - Transcription result
+   * @returns {Promise<Object|null>} - SttResult, or null when every provider failed
    */
-  async transcribeWithDeepgram(audioBuffer, options = {}) {
+  async transcribeDetailed(audioBuffer, options = {}) {
     try {
-      logger.info('Transcribing with Deepgram');
-      
-      // Create a temporary call ID if not provided
-      const callId = options.callId || `temp_${Date.now()}`;
-      
-      // Process the audio chunk through Deepgram service
-      const result = await deepgramService.processAudioChunk(callId, audioBuffer);
-      
-      // Extract the transcription text from the result
-      let transcription = '';
-      if (result && result.text) {
-        transcription = result.text;
-        logger.info(`Deepgram transcription result: ${transcription}`);
-      }
-      
-      return transcription;
+      return await sttProviderRegistry.transcribe(audioBuffer, {
+        encoding: 'linear16',
+        sampleRate: 16000,
+        ...options
+      });
     } catch (error) {
-      logger.error('Deepgram transcription error', { error: error.message });
-      throw error;
+      logger.error('Speech-to-text transcription error', { error: error.message, provider: options.provider });
+      return null;
     }
   }
 }
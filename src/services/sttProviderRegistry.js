@@ -0,0 +1,426 @@
+/**
+ * Speech-to-Text Provider Registry
+ *
+ * Single entry point for speech recognition. Providers (see sttProviders.js) share
+ * one interface; the registry picks the provider for each call, keeps a rolling
+ * health score per provider and fails over to the next healthy provider when one
+ * errors, both for one-shot transcriptions and mid-stream.
+ *
+ * Events: 'failover' { callId, from, to, error }
+ */
+
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const {
+  DeepgramSttProvider,
+  GoogleSttProvider,
+  WhisperSttProvider,
+  MockSttProvider
+} = require('./sttProviders');
+
+const providers = {
+  deepgram: () => new DeepgramSttProvider(),
+  google: () => new GoogleSttProvider(),
+  openai_whisper: () => new WhisperSttProvider(),
+  mock: () => new MockSttProvider()
+};
+
+// Names used elsewhere in the codebase (Call.sttProvider, dashboard selections)
+const PROVIDER_ALIASES = {
+  google_stt: 'google',
+  whisper: 'openai_whisper',
+  openai: 'openai_whisper'
+};
+
+const HEALTH_WINDOW = 20;
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 30000;
+const MAX_STREAM_RESTARTS = 3;
+// How long takeTranscript waits for a final result after flushing
+const FINAL_WAIT_MS = parseInt(process.env.STT_FINAL_WAIT_MS, 10) || 1000;
+
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Streaming recognition for one call that survives provider errors. Audio since
+ * the last final result is kept, so the replacement provider hears the whole
+ * utterance in progress.
+ *
+ * Events: 'partial', 'final' and 'result' (SttResult, word timings relative to the
+ * start of the session), 'failover', 'error' (no provider left), 'close'
+ */
+class SttSession extends EventEmitter {
+  constructor(registry, options = {}) {
+    super();
+    this.registry = registry;
+    this.options = options;
+    this.callId = options.callId;
+    this.bytesPerSecond = (options.sampleRate || (options.encoding === 'linear16' ? 16000 : 8000))
+      * (options.encoding === 'linear16' ? 2 : 1);
+    this.bytesWritten = 0;
+    this.replayBuffer = [];
+    this.failedProviders = [];
+    this.restarts = 0;
+    this.closed = false;
+    this.finals = []; // Final results not yet taken by takeTranscript
+
+    const preferred = options.provider || registry.getCallProvider(this.callId);
+    this.start(registry.getCandidates(preferred)[0] || registry.normalizeName(preferred));
+  }
+
+  start(name) {
+    this.providerName = name;
+    this.stream = this.registry.getProvider(name).createStream(this.options);
+    // Audio already sent to the session before this stream's first (replayed) byte
+    const replayedBytes = this.replayBuffer.reduce((sum, chunk) => sum + chunk.length, 0);
+    this.streamOffset = (this.bytesWritten - replayedBytes) / this.bytesPerSecond;
+    this.streamBytes = 0;
+
+    const stream = this.stream;
+    stream.on('result', (result) => stream === this.stream && this.handleResult(result));
+    stream.on('error', (error) => stream === this.stream && this.handleError(error));
+    stream.on('close', () => stream === this.stream && this.handleClose());
+
+    for (const chunk of this.replayBuffer) {
+      // A replayed chunk can fail this stream too, and the replacement replays on its own
+      if (stream !== this.stream) break;
+      this.sendToStream(chunk);
+    }
+  }
+
+  sendToStream(chunk) {
+    this.streamBytes += chunk.length;
+    this.stream.write(chunk);
+  }
+
+  write(chunk) {
+    if (this.closed) return;
+    this.bytesWritten += chunk.length;
+    this.replayBuffer.push(chunk);
+    this.sendToStream(chunk);
+  }
+
+  flush() {
+    if (!this.closed) this.stream.flush();
+  }
+
+  /**
+   * What the customer said since the last call, for the end of a turn. Forces a
+   * final result for audio in progress; when nothing has been finalised yet, waits
+   * for one for up to timeoutMs.
+   * @returns {Promise<Object|null>} { text, provider, latencyMs }, text '' when
+   * nothing was recognised; null once the session has no provider left
+   */
+  takeTranscript(timeoutMs = FINAL_WAIT_MS) {
+    if (this.closed) return Promise.resolve(null);
+
+    const take = () => {
+      const finals = this.finals;
+      this.finals = [];
+      const last = finals[finals.length - 1];
+      return {
+        text: finals.map(result => result.text).join(' ').trim(),
+        provider: this.providerName,
+        latencyMs: last ? last.latencyMs : null
+      };
+    };
+
+    this.flush();
+    if (this.finals.length > 0) return Promise.resolve(take());
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.off('final', done);
+        this.off('close', done);
+        this.off('error', done);
+        resolve(this.closed && this.finals.length === 0 ? null : take());
+      };
+      const timer = setTimeout(done, timeoutMs);
+      this.on('final', done);
+      this.on('close', done);
+      this.on('error', done);
+    });
+  }
+
+  handleResult(result) {
+    const words = result.words.map(word => ({
+      ...word,
+      start: Number((word.start + this.streamOffset).toFixed(3)),
+      end: Number((word.end + this.streamOffset).toFixed(3))
+    }));
+    const sessionResult = { ...result, words };
+
+    if (result.isFinal) {
+      // Latency: audio received past the end of the last recognised word
+      const lastWord = result.words[result.words.length - 1];
+      const latencyMs = lastWord
+        ? Math.max(0, Math.round((this.streamBytes / this.bytesPerSecond - lastWord.end) * 1000))
+        : null;
+      sessionResult.latencyMs = latencyMs;
+      this.registry.recordSuccess(this.providerName, latencyMs);
+      this.replayBuffer = [];
+      this.restarts = 0;
+      this.finals.push(sessionResult);
+      this.emit('final', sessionResult);
+    } else {
+      this.emit('partial', sessionResult);
+    }
+    this.emit('result', sessionResult);
+  }
+
+  handleError(error) {
+    if (this.closed) return;
+    const failed = this.providerName;
+    this.registry.recordFailure(failed, error);
+    if (!this.failedProviders.includes(failed)) this.failedProviders.push(failed);
+
+    let next = this.registry.getCandidates(failed, this.failedProviders)[0];
+    if (!next && this.restarts < MAX_STREAM_RESTARTS && this.registry.isAvailable(failed)) {
+      // Nothing else is configured: reconnect to the same provider
+      next = failed;
+    }
+    if (!next) {
+      logger.error(`[STT] No speech provider left for call ${this.callId}`, { error: error.message });
+      this.closed = true;
+      this.emit('error', error);
+      return;
+    }
+
+    this.restarts++;
+    logger.warn(`[STT] ${failed} failed for call ${this.callId}, switching to ${next}`, { error: error.message });
+    this.start(next);
+    if (next !== failed) {
+      this.registry.failover(this.callId, failed, next, error);
+    }
+    this.emit('failover', { callId: this.callId, from: failed, to: next, error: error.message });
+  }
+
+  handleClose() {
+    this.closed = true;
+    this.emit('close');
+  }
+
+  end() {
+    if (!this.closed) this.stream.end();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.stream.close();
+    this.emit('close');
+  }
+}
+
+class SttProviderRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.instances = new Map();
+    this.callProviders = new Map(); // callId -> provider name
+    this.health = new Map(); // provider name -> health record
+    this.timeoutMs = parseInt(process.env.STT_TIMEOUT_MS, 10) || 8000;
+    this.latencyBudgetMs = parseInt(process.env.STT_LATENCY_BUDGET_MS, 10) || 3000;
+  }
+
+  registerProvider(name, factory) {
+    providers[name] = factory;
+    this.instances.delete(name);
+  }
+
+  normalizeName(name) {
+    if (!name) return this.getDefaultProvider();
+    const key = name.toLowerCase();
+    return PROVIDER_ALIASES[key] || key;
+  }
+
+  getProvider(name) {
+    const key = this.normalizeName(name);
+    if (!providers[key]) {
+      throw new Error(`Unknown STT provider: ${name}`);
+    }
+    if (!this.instances.has(key)) {
+      this.instances.set(key, providers[key]());
+    }
+    return this.instances.get(key);
+  }
+
+  getDefaultProvider() {
+    return this.normalizeName(process.env.DEFAULT_STT_PROVIDER || 'deepgram');
+  }
+
+  // Failover order, from STT_PROVIDER_ORDER
+  getProviderOrder() {
+    const order = (process.env.STT_PROVIDER_ORDER || 'deepgram,google,openai_whisper')
+      .split(',')
+      .map(name => this.normalizeName(name.trim()))
+      .filter(name => providers[name]);
+    return [...new Set(order)];
+  }
+
+  setCallProvider(callId, name) {
+    if (callId && name) {
+      this.callProviders.set(callId, this.normalizeName(name));
+    }
+  }
+
+  getCallProvider(callId) {
+    return this.callProviders.get(callId) || this.getDefaultProvider();
+  }
+
+  clearCall(callId) {
+    this.callProviders.delete(callId);
+    if (this.instances.has('mock')) {
+      this.instances.get('mock').clearScript(callId);
+    }
+  }
+
+  getHealthRecord(name) {
+    if (!this.health.has(name)) {
+      this.health.set(name, { outcomes: [], consecutiveFailures: 0, circuitOpenUntil: 0, lastError: null, lastErrorAt: null });
+    }
+    return this.health.get(name);
+  }
+
+  recordSuccess(name, latencyMs = null) {
+    const record = this.getHealthRecord(name);
+    record.outcomes.push({ success: true, latencyMs });
+    if (record.outcomes.length > HEALTH_WINDOW) record.outcomes.shift();
+    record.consecutiveFailures = 0;
+    record.circuitOpenUntil = 0;
+  }
+
+  recordFailure(name, error) {
+    const record = this.getHealthRecord(name);
+    record.outcomes.push({ success: false });
+    if (record.outcomes.length > HEALTH_WINDOW) record.outcomes.shift();
+    record.consecutiveFailures++;
+    record.lastError = error ? error.message : null;
+    record.lastErrorAt = new Date();
+    if (record.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      record.circuitOpenUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+      logger.warn(`[STT] ${name} disabled for ${CIRCUIT_COOLDOWN_MS / 1000}s after ${record.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  /**
+   * 0-1 score: 70% recent success rate, 30% average latency against the latency budget.
+   * Providers without history score 1.
+   */
+  getHealthScore(name) {
+    const { outcomes } = this.getHealthRecord(name);
+    if (outcomes.length === 0) return 1;
+
+    const successes = outcomes.filter(outcome => outcome.success);
+    const successRate = successes.length / outcomes.length;
+    const latencies = successes.map(outcome => outcome.latencyMs).filter(latency => typeof latency === 'number');
+    const averageLatency = latencies.length > 0 ? latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length : 0;
+    const latencyScore = Math.max(0, 1 - averageLatency / this.latencyBudgetMs);
+
+    return Number((0.7 * successRate + 0.3 * latencyScore).toFixed(3));
+  }
+
+  isAvailable(name) {
+    return this.getProvider(name).isConfigured() && this.getHealthRecord(name).circuitOpenUntil <= Date.now();
+  }
+
+  /**
+   * Providers to try, in order: the preferred one, then the others by health score
+   * (ties keep STT_PROVIDER_ORDER). Unconfigured providers and open circuits are skipped.
+   */
+  getCandidates(preferred, exclude = []) {
+    const preferredName = this.normalizeName(preferred);
+    const others = this.getProviderOrder()
+      .filter(name => name !== preferredName)
+      .map((name, index) => ({ name, index, score: this.getHealthScore(name) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(item => item.name);
+
+    return [preferredName, ...others]
+      .filter(name => providers[name] && !exclude.includes(name))
+      .filter(name => this.isAvailable(name));
+  }
+
+  /**
+   * Transcribe a complete utterance, failing over through the candidates.
+   * Options: { callId, provider, language, encoding, sampleRate }
+   * @returns {Promise<Object>} SttResult with the provider used and latencyMs
+   */
+  async transcribe(audio, options = {}) {
+    const preferred = options.provider || this.getCallProvider(options.callId);
+    const candidates = this.getCandidates(preferred);
+    if (candidates.length === 0) {
+      throw new Error('No speech-to-text provider is available');
+    }
+
+    let lastError;
+    for (const name of candidates) {
+      const startedAt = Date.now();
+      try {
+        const result = await withTimeout(
+          this.getProvider(name).transcribe(audio, { ...options, timeoutMs: this.timeoutMs }),
+          this.timeoutMs,
+          name
+        );
+        const latencyMs = Date.now() - startedAt;
+        this.recordSuccess(name, latencyMs);
+
+        if (lastError) {
+          this.failover(options.callId, this.normalizeName(preferred), name, lastError);
+        }
+        return { ...result, provider: name, latencyMs };
+      } catch (error) {
+        lastError = error;
+        this.recordFailure(name, error);
+        logger.warn(`[STT] ${name} transcription failed${options.callId ? ` for call ${options.callId}` : ''}`, { error: error.message });
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Streaming recognition for a call that fails over mid-stream (see SttSession).
+   * Options: { callId, provider, language, encoding, sampleRate }
+   */
+  createSession(options = {}) {
+    return new SttSession(this, options);
+  }
+
+  // The call stays on the provider it failed over to
+  failover(callId, from, to, error) {
+    if (callId) {
+      this.callProviders.set(callId, to);
+    }
+    logger.warn(`[STT] Failed over from ${from} to ${to}${callId ? ` for call ${callId}` : ''}`, { error: error && error.message });
+    this.emit('failover', { callId, from, to, error: error && error.message });
+  }
+
+  getHealth() {
+    return Object.keys(providers).map(name => {
+      const provider = this.getProvider(name);
+      const record = this.getHealthRecord(name);
+      const failures = record.outcomes.filter(outcome => !outcome.success).length;
+      return {
+        name,
+        configured: provider.isConfigured(),
+        capabilities: provider.capabilities,
+        score: this.getHealthScore(name),
+        samples: record.outcomes.length,
+        failures,
+        consecutiveFailures: record.consecutiveFailures,
+        circuitOpen: record.circuitOpenUntil > Date.now(),
+        lastError: record.lastError,
+        lastErrorAt: record.lastErrorAt
+      };
+    });
+  }
+}
+
+module.exports = new SttProviderRegistry();
@@ -0,0 +1,659 @@
+/**
+ * Speech-to-Text Providers
+ *
+ * Every provider implements the interface used by sttProviderRegistry:
+ * - name, capabilities { streaming, wordTimings, languageDetection }
+ * - isConfigured(): whether credentials are available
+ * - transcribe(audio, options): Promise<SttResult> for a complete utterance
+ * - createStream(options): SttStream that emits 'result' (partial and final), 'error' and 'close'
+ *
+ * SttResult: { text, isFinal, confidence, words: [{ word, start, end, confidence }], language, provider }
+ * Word start/end are seconds from the start of the audio the provider received.
+ *
+ * Options: { language ('en-US', 'ta-IN', 'english', 'tamil', ...), encoding ('mulaw' or 'linear16'), sampleRate, callId }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const axios = require('axios');
+const WebSocket = require('ws');
+const speech = require('@google-cloud/speech');
+const { toFile } = require('openai');
+const openaiService = require('./openaiService');
+const audioDsp = require('../utils/audioDsp');
+const languages = require('../utils/languages');
+
+const LANGUAGE_CODES = {
+  hinglish: 'hi-IN',
+  mixed: 'hi-IN'
+};
+
+// 'tamil' -> 'ta-IN'; locales pass through
+function toLanguageCode(language) {
+  if (!language) return 'en-US';
+  const key = language.toLowerCase();
+  if (LANGUAGE_CODES[key]) return LANGUAGE_CODES[key];
+  return languages.LANGUAGES[key] ? languages.LANGUAGES[key].locale : language;
+}
+
+function getAudioFormat(options = {}) {
+  const encoding = options.encoding === 'linear16' ? 'linear16' : 'mulaw';
+  const sampleRate = options.sampleRate || (encoding === 'mulaw' ? 8000 : 16000);
+  return { encoding, sampleRate };
+}
+
+function toPcm16(audio, encoding) {
+  return encoding === 'linear16' ? audio : audioDsp.mulawToPcm16(audio);
+}
+
+/**
+ * Base class for provider streams
+ */
+class SttStream extends EventEmitter {
+  constructor(provider, options = {}) {
+    super();
+    this.provider = provider;
+    this.options = options;
+    this.closed = false;
+  }
+
+  emitResult(result) {
+    if (this.closed || !result.text) return;
+    this.emit('result', {
+      text: result.text.trim(),
+      isFinal: !!result.isFinal,
+      confidence: typeof result.confidence === 'number' ? result.confidence : null,
+      words: result.words || [],
+      language: result.language || toLanguageCode(this.options.language),
+      provider: this.provider.name
+    });
+  }
+
+  fail(error) {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('error', error);
+  }
+
+  // Force a final result for the audio received so far, where the provider supports it
+  flush() {}
+
+  write() {
+    throw new Error('write() not implemented');
+  }
+
+  // No more audio; pending results are still delivered
+  end() {
+    this.close();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Deepgram
+// ---------------------------------------------------------------------------
+
+class DeepgramStream extends SttStream {
+  constructor(provider, options) {
+    super(provider, options);
+    this.pending = [];
+    this.ending = false;
+
+    this.ws = new WebSocket(`wss://api.deepgram.com/v1/listen?${provider.buildQuery(options, true)}`, {
+      headers: { Authorization: `Token ${provider.apiKey()}` }
+    });
+
+    this.ws.on('open', () => {
+      this.pending.forEach(chunk => this.ws.send(chunk));
+      this.pending = [];
+      if (this.ending) this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+      // Deepgram drops idle connections after about 10 seconds without audio
+      this.keepAlive = setInterval(() => {
+        if (this.ws.readyState === WebSocket.OPEN) {
+          this.ws.send(JSON.stringify({ type: 'KeepAlive' }));
+        }
+      }, 5000);
+    });
+
+    this.ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+        if (message.type !== 'Results') return;
+        const alternative = message.channel && message.channel.alternatives && message.channel.alternatives[0];
+        if (!alternative) return;
+        this.emitResult({
+          ...provider.parseAlternative(alternative),
+          isFinal: message.is_final,
+          language: message.channel.detected_language
+        });
+      } catch (error) {
+        // Ignore malformed messages; the connection itself is still fine
+      }
+    });
+
+    this.ws.on('error', (error) => this.fail(new Error(`Deepgram stream error: ${error.message}`)));
+
+    this.ws.on('close', (code) => {
+      clearInterval(this.keepAlive);
+      if (this.ending || this.closed) {
+        this.close();
+      } else {
+        this.fail(new Error(`Deepgram stream closed unexpectedly (${code})`));
+      }
+    });
+  }
+
+  write(chunk) {
+    if (this.closed || this.ending) return;
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(chunk);
+    } else {
+      this.pending.push(chunk);
+    }
+  }
+
+  flush() {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'Finalize' }));
+    }
+  }
+
+  end() {
+    if (this.closed || this.ending) return;
+    this.ending = true;
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+    }
+  }
+
+  close() {
+    clearInterval(this.keepAlive);
+    if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.terminate();
+    }
+    super.close();
+  }
+}
+
+class DeepgramSttProvider {
+  constructor() {
+    this.name = 'deepgram';
+    this.model = process.env.DEEPGRAM_STT_MODEL || 'nova-2';
+    this.capabilities = { streaming: true, wordTimings: true, languageDetection: true };
+  }
+
+  apiKey() {
+    return process.env.DEEPGRAM_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey();
+  }
+
+  buildQuery(options, streaming) {
+    const { encoding, sampleRate } = getAudioFormat(options);
+    const languageCode = toLanguageCode(options.language);
+    const params = new URLSearchParams({
+      model: this.model,
+      // Indian languages are requested by base code ('hi', 'ta'); English keeps its locale
+      language: languageCode.startsWith('en') ? languageCode : languageCode.split('-')[0],
+      punctuate: 'true',
+      smart_format: 'true',
+      encoding,
+      sample_rate: String(sampleRate),
+      channels: '1'
+    });
+    if (streaming) {
+      params.set('interim_results', 'true');
+      params.set('endpointing', String(parseInt(process.env.STT_ENDPOINTING_MS, 10) || 300));
+    }
+    return params.toString();
+  }
+
+  parseAlternative(alternative) {
+    return {
+      text: alternative.transcript || '',
+      confidence: alternative.confidence,
+      words: (alternative.words || []).map(word => ({
+        word: word.punctuated_word || word.word,
+        start: word.start,
+        end: word.end,
+        confidence: word.confidence
+      }))
+    };
+  }
+
+  async transcribe(audio, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Deepgram API key not configured');
+    }
+
+    const response = await axios.post(`https://api.deepgram.com/v1/listen?${this.buildQuery(options, false)}`, audio, {
+      headers: {
+        Authorization: `Token ${this.apiKey()}`,
+        'Content-Type': 'application/octet-stream'
+      },
+      timeout: options.timeoutMs || 10000
+    });
+
+    const channel = response.data && response.data.results && response.data.results.channels[0];
+    const alternative = channel && channel.alternatives[0];
+    return {
+      ...(alternative ? this.parseAlternative(alternative) : { text: '', confidence: 0, words: [] }),
+      isFinal: true,
+      language: (channel && channel.detected_language) || toLanguageCode(options.language)
+    };
+  }
+
+  createStream(options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Deepgram API key not configured');
+    }
+    return new DeepgramStream(this, options);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Google Cloud Speech
+// ---------------------------------------------------------------------------
+
+// Google ends streaming recognition after about 5 minutes; restart before that
+const GOOGLE_STREAM_LIMIT_MS = 280000;
+
+class GoogleStream extends SttStream {
+  constructor(provider, options) {
+    super(provider, options);
+    this.open();
+  }
+
+  open() {
+    this.startedAt = Date.now();
+    this.recognizeStream = this.provider.getClient()
+      .streamingRecognize({ config: this.provider.buildConfig(this.options), interimResults: true })
+      .on('data', (data) => {
+        const result = data.results && data.results[0];
+        if (!result || !result.alternatives || !result.alternatives[0]) return;
+        this.emitResult({
+          ...this.provider.parseAlternative(result.alternatives[0]),
+          isFinal: result.isFinal,
+          language: result.languageCode
+        });
+      })
+      .on('error', (error) => this.fail(new Error(`Google stream error: ${error.message}`)));
+  }
+
+  write(chunk) {
+    if (this.closed) return;
+    if (Date.now() - this.startedAt > GOOGLE_STREAM_LIMIT_MS) {
+      this.recognizeStream.end();
+      this.open();
+    }
+    this.recognizeStream.write(chunk);
+  }
+
+  end() {
+    if (this.closed) return;
+    this.recognizeStream.once('end', () => this.close());
+    this.recognizeStream.end();
+  }
+
+  close() {
+    if (this.recognizeStream && !this.recognizeStream.destroyed) {
+      this.recognizeStream.destroy();
+    }
+    super.close();
+  }
+}
+
+class GoogleSttProvider {
+  constructor() {
+    this.name = 'google';
+    this.client = null;
+    this.capabilities = { streaming: true, wordTimings: true, languageDetection: true };
+  }
+
+  isConfigured() {
+    return !!(process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_CLOUD_PROJECT);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new speech.SpeechClient();
+    }
+    return this.client;
+  }
+
+  buildConfig(options) {
+    const { encoding, sampleRate } = getAudioFormat(options);
+    const languageCode = toLanguageCode(options.language);
+    return {
+      encoding: encoding === 'mulaw' ? 'MULAW' : 'LINEAR16',
+      sampleRateHertz: sampleRate,
+      languageCode,
+      // Callers switch between their language and English mid-call
+      alternativeLanguageCodes: languageCode.startsWith('en') ? ['hi-IN'] : ['en-IN'],
+      model: sampleRate <= 8000 ? 'phone_call' : 'latest_short',
+      useEnhanced: true,
+      enableAutomaticPunctuation: true,
+      enableWordTimeOffsets: true,
+      enableWordConfidence: true
+    };
+  }
+
+  parseAlternative(alternative) {
+    const seconds = (offset) => (offset ? Number(offset.seconds || 0) + (offset.nanos || 0) / 1e9 : 0);
+    return {
+      text: alternative.transcript || '',
+      confidence: alternative.confidence,
+      words: (alternative.words || []).map(word => ({
+        word: word.word,
+        start: seconds(word.startTime),
+        end: seconds(word.endTime),
+        confidence: word.confidence
+      }))
+    };
+  }
+
+  async transcribe(audio, options = {}) {
+    const [response] = await this.getClient().recognize({
+      audio: { content: audio.toString('base64') },
+      config: this.buildConfig(options)
+    }, { timeout: options.timeoutMs || 10000 });
+
+    const results = (response.results || []).filter(result => result.alternatives && result.alternatives[0]);
+    const parsed = results.map(result => this.parseAlternative(result.alternatives[0]));
+    return {
+      text: parsed.map(item => item.text).join(' ').trim(),
+      confidence: parsed.length > 0 ? parsed.reduce((sum, item) => sum + (item.confidence || 0), 0) / parsed.length : 0,
+      words: parsed.flatMap(item => item.words),
+      isFinal: true,
+      language: (results[0] && results[0].languageCode) || toLanguageCode(options.language)
+    };
+  }
+
+  createStream(options = {}) {
+    return new GoogleStream(this, options);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI Whisper (batch only; its stream buffers audio until flush/end)
+// ---------------------------------------------------------------------------
+
+class BufferedStream extends SttStream {
+  constructor(provider, options) {
+    super(provider, options);
+    this.chunks = [];
+  }
+
+  write(chunk) {
+    if (!this.closed) this.chunks.push(chunk);
+  }
+
+  flush() {
+    if (this.closed || this.chunks.length === 0) return Promise.resolve();
+    const audio = Buffer.concat(this.chunks);
+    this.chunks = [];
+    return this.provider.transcribe(audio, this.options)
+      .then(result => this.emitResult(result))
+      .catch(error => this.fail(error));
+  }
+
+  end() {
+    this.flush().then(() => this.close());
+  }
+}
+
+class WhisperSttProvider {
+  constructor() {
+    this.name = 'openai_whisper';
+    this.model = process.env.WHISPER_MODEL || 'whisper-1';
+    this.capabilities = { streaming: false, wordTimings: true, languageDetection: true };
+  }
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  async transcribe(audio, options = {}) {
+    const { encoding, sampleRate } = getAudioFormat(options);
+    const client = await openaiService.getClient();
+    const languageCode = toLanguageCode(options.language);
+
+    const response = await client.audio.transcriptions.create({
+      file: await toFile(audioDsp.wrapWav(toPcm16(audio, encoding), { sampleRate }), 'audio.wav'),
+      model: this.model,
+      language: languageCode.split('-')[0],
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word']
+    }, { timeout: options.timeoutMs || 15000 });
+
+    // Whisper has no confidence; derive one from the segments' average log probability
+    const segments = response.segments || [];
+    const confidence = segments.length > 0
+      ? Math.exp(segments.reduce((sum, segment) => sum + segment.avg_logprob, 0) / segments.length)
+      : null;
+
+    return {
+      text: (response.text || '').trim(),
+      confidence,
+      words: (response.words || []).map(word => ({ word: word.word, start: word.start, end: word.end })),
+      isFinal: true,
+      language: response.language ? toLanguageCode(response.language) : languageCode
+    };
+  }
+
+  createStream(options = {}) {
+    return new BufferedStream(this, options);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Mock: deterministic, file-backed, no network
+// ---------------------------------------------------------------------------
+
+const MOCK_FRAME_MS = 20;
+
+/**
+ * Replays scripted utterances. A script is a JSON array or JSONL file of
+ * { text, language?, confidence?, error? } entries (STT_MOCK_SCRIPT), or set per
+ * call with setScript(). Each call walks through its own copy of the script.
+ *
+ * Streams cut the incoming audio into speech segments by energy: a segment ends
+ * after STT_MOCK_SILENCE_MS of silence (or on flush/end) and yields the next
+ * utterance, with partials revealing one word per STT_MOCK_MS_PER_WORD of speech.
+ * An entry with "error" makes that attempt fail, to exercise failover.
+ */
+class MockStream extends SttStream {
+  constructor(provider, options) {
+    super(provider, options);
+    const { encoding, sampleRate } = getAudioFormat(options);
+    this.encoding = encoding;
+    this.bytesPerFrame = (sampleRate / 1000) * MOCK_FRAME_MS * (encoding === 'linear16' ? 2 : 1);
+    this.remainder = Buffer.alloc(0);
+    this.audioMs = 0;
+    this.resetSegment();
+  }
+
+  resetSegment() {
+    this.segment = null; // { startMs, speechMs, silenceMs, utterance, revealed }
+  }
+
+  write(chunk) {
+    if (this.closed) return;
+    let audio = Buffer.concat([this.remainder, chunk]);
+    while (audio.length >= this.bytesPerFrame && !this.closed) {
+      this.processFrame(audio.subarray(0, this.bytesPerFrame));
+      audio = audio.subarray(this.bytesPerFrame);
+    }
+    this.remainder = Buffer.from(audio);
+  }
+
+  processFrame(frame) {
+    const speaking = this.provider.frameEnergy(frame, this.encoding) >= this.provider.speechRms;
+    this.audioMs += MOCK_FRAME_MS;
+
+    if (speaking) {
+      if (!this.segment) {
+        const utterance = this.provider.nextUtterance(this.options.callId);
+        if (utterance && utterance.error) {
+          this.fail(new Error(`Mock STT error: ${utterance.error}`));
+          return;
+        }
+        this.segment = { startMs: this.audioMs - MOCK_FRAME_MS, speechMs: 0, silenceMs: 0, utterance, revealed: 0 };
+      }
+      this.segment.speechMs += MOCK_FRAME_MS;
+      this.segment.silenceMs = 0;
+      this.emitPartial();
+    } else if (this.segment) {
+      this.segment.silenceMs += MOCK_FRAME_MS;
+      if (this.segment.silenceMs >= this.provider.silenceMs) {
+        this.finishSegment();
+      }
+    }
+  }
+
+  emitPartial() {
+    const { utterance } = this.segment;
+    if (!utterance) return;
+    const words = utterance.text.split(/\s+/).filter(Boolean);
+    const revealed = Math.min(words.length, Math.floor(this.segment.speechMs / this.provider.msPerWord));
+    if (revealed > this.segment.revealed && revealed < words.length) {
+      this.segment.revealed = revealed;
+      this.emitResult({ ...this.provider.buildResult(utterance, this.segment, words.slice(0, revealed)), isFinal: false });
+    }
+  }
+
+  finishSegment() {
+    const { utterance } = this.segment;
+    if (utterance) {
+      const words = utterance.text.split(/\s+/).filter(Boolean);
+      this.emitResult({ ...this.provider.buildResult(utterance, this.segment, words), isFinal: true });
+    }
+    this.resetSegment();
+  }
+
+  flush() {
+    if (this.segment) this.finishSegment();
+  }
+
+  end() {
+    this.flush();
+    this.close();
+  }
+}
+
+class MockSttProvider {
+  constructor() {
+    this.name = 'mock';
+    this.capabilities = { streaming: true, wordTimings: true, languageDetection: false };
+    this.speechRms = parseInt(process.env.STT_MOCK_SPEECH_RMS, 10) || 500;
+    this.silenceMs = parseInt(process.env.STT_MOCK_SILENCE_MS, 10) || 600;
+    this.msPerWord = parseInt(process.env.STT_MOCK_MS_PER_WORD, 10) || 250;
+    this.defaultScript = null;
+    this.scripts = new Map(); // callId -> utterances
+    this.cursors = new Map(); // callId -> next utterance index
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  loadScriptFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8').trim();
+    if (content.startsWith('[')) {
+      return JSON.parse(content);
+    }
+    return content.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  getDefaultScript() {
+    if (!this.defaultScript) {
+      this.defaultScript = process.env.STT_MOCK_SCRIPT ? this.loadScriptFile(process.env.STT_MOCK_SCRIPT) : [];
+    }
+    return this.defaultScript;
+  }
+
+  /**
+   * Script the utterances for one call: an array of entries or a script file path
+   */
+  setScript(callId, script) {
+    const utterances = typeof script === 'string' ? this.loadScriptFile(script) : script;
+    this.scripts.set(callId, utterances.map(item => (typeof item === 'string' ? { text: item } : item)));
+    this.cursors.set(callId, 0);
+  }
+
+  clearScript(callId) {
+    this.scripts.delete(callId);
+    this.cursors.delete(callId);
+  }
+
+  nextUtterance(callId = 'default') {
+    const script = this.scripts.get(callId) || this.getDefaultScript();
+    const index = this.cursors.get(callId) || 0;
+    if (index >= script.length) return null;
+    this.cursors.set(callId, index + 1);
+    return script[index];
+  }
+
+  frameEnergy(frame, encoding) {
+    let sum = 0;
+    const samples = encoding === 'linear16' ? frame.length / 2 : frame.length;
+    for (let i = 0; i < samples; i++) {
+      const sample = encoding === 'linear16' ? frame.readInt16LE(i * 2) : audioDsp.mulawDecodeSample(frame[i]);
+      sum += sample * sample;
+    }
+    return samples > 0 ? Math.sqrt(sum / samples) : 0;
+  }
+
+  // Word timings are spread evenly over the speech segment
+  buildResult(utterance, segment, words) {
+    const startSeconds = segment.startMs / 1000;
+    const perWord = (Math.max(segment.speechMs, words.length * 10) / 1000) / Math.max(words.length, 1);
+    const confidence = typeof utterance.confidence === 'number' ? utterance.confidence : 0.95;
+    return {
+      text: words.join(' '),
+      confidence,
+      words: words.map((word, index) => ({
+        word,
+        start: Number((startSeconds + index * perWord).toFixed(3)),
+        end: Number((startSeconds + (index + 1) * perWord).toFixed(3)),
+        confidence
+      })),
+      language: toLanguageCode(utterance.language)
+    };
+  }
+
+  async transcribe(audio, options = {}) {
+    const utterance = this.nextUtterance(options.callId);
+    if (utterance && utterance.error) {
+      throw new Error(`Mock STT error: ${utterance.error}`);
+    }
+    if (!utterance) {
+      return { text: '', confidence: 0, words: [], isFinal: true, language: toLanguageCode(options.language) };
+    }
+
+    const { sampleRate, encoding } = getAudioFormat(options);
+    const durationMs = (audio.length / (encoding === 'linear16' ? 2 : 1) / sampleRate) * 1000;
+    const words = utterance.text.split(/\s+/).filter(Boolean);
+    return { ...this.buildResult(utterance, { startMs: 0, speechMs: durationMs }, words), isFinal: true };
+  }
+
+  createStream(options = {}) {
+    return new MockStream(this, options);
+  }
+}
+
+module.exports = {
+  SttStream,
+  DeepgramSttProvider,
+  GoogleSttProvider,
+  WhisperSttProvider,
+  MockSttProvider,
+  toLanguageCode
+};
@@ -0,0 +1,353 @@
+/**
+ * TTS Phrase Cache
+ *
+ * Content-addressed on-disk cache of synthesized phrases under storage/audio.
+ * Entries are keyed by a hash of text, voice, provider and format, so the same
+ * phrase spoken by the same voice is synthesized once and survives restarts.
+ * The cache is bounded by total size and evicts the least recently used entries.
+ *
+ * synthesize() and stream() have the same options and results as
+ * ttsProviderRegistry, with `cached: true` when the audio came from disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { logger } = require('../utils/logger');
+const ttsProviderRegistry = require('./ttsProviderRegistry');
+
+const INDEX_FILE = 'index.json';
+const INDEX_WRITE_DELAY_MS = 2000;
+
+class TtsPhraseCache {
+  constructor() {
+    this.directory = process.env.TTS_CACHE_DIR || path.join(__dirname, '../storage/audio/phrase-cache');
+    this.maxBytes = parseInt(process.env.TTS_CACHE_MAX_BYTES, 10) || 256 * 1024 * 1024;
+    // Longer texts are one-off LLM answers that would only push phrases out of the cache
+    this.maxTextLength = parseInt(process.env.TTS_CACHE_MAX_TEXT_LENGTH, 10) || 300;
+    this.enabled = process.env.TTS_CACHE_ENABLED !== 'false';
+
+    this.entries = new Map(); // key -> metadata, least recently used first
+    this.totalBytes = 0;
+    this.counters = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    this.loading = null;
+    this.indexTimer = null;
+  }
+
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  isCacheable(text) {
+    const normalized = this.normalizeText(text);
+    return this.enabled && normalized.length > 0 && normalized.length <= this.maxTextLength;
+  }
+
+  /**
+   * Provider, voice and format the phrase is synthesized with, resolved the way the
+   * registry resolves them: the voice id only applies to the requested provider
+   */
+  resolveTarget(options = {}, usedProvider = null) {
+    const requested = ttsProviderRegistry.normalizeName(options.provider);
+    const provider = usedProvider || requested || ttsProviderRegistry.route(options)[0];
+    if (!provider) return null;
+
+    const instance = ttsProviderRegistry.getProvider(provider);
+    return {
+      provider,
+      voiceId: (provider === requested && options.voiceId) || instance.getDefaultVoice(options.language),
+      format: ttsProviderRegistry.pickFormat(instance, options) || instance.capabilities.formats[0]
+    };
+  }
+
+  getKey(text, target) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([this.normalizeText(text), target.voiceId, target.provider, target.format]))
+      .digest('hex');
+  }
+
+  getFilePath(key, format) {
+    return path.join(this.directory, `${key}.${format}`);
+  }
+
+  /**
+   * Load the index, adopting audio files the index does not know about
+   * (for example when the process stopped before the index was written)
+   */
+  init() {
+    if (!this.loading) {
+      this.loading = this.loadIndex().catch((error) => {
+        logger.error(`[TTSCache] Failed to load phrase cache index: ${error.message}`);
+      });
+    }
+    return this.loading;
+  }
+
+  async loadIndex() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    let indexed = [];
+    try {
+      indexed = JSON.parse(await fs.promises.readFile(path.join(this.directory, INDEX_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`[TTSCache] Ignoring unreadable index: ${error.message}`);
+      }
+    }
+
+    const files = new Set((await fs.promises.readdir(this.directory)).filter(name => name !== INDEX_FILE));
+    const loaded = [];
+
+    indexed.forEach(entry => {
+      const fileName = `${entry.key}.${entry.format}`;
+      if (files.has(fileName)) {
+        loaded.push(entry);
+        files.delete(fileName);
+      }
+    });
+
+    for (const fileName of files) {
+      const match = fileName.match(/^([a-f0-9]{64})\.(\w+)$/);
+      if (!match) continue;
+      const stats = await fs.promises.stat(path.join(this.directory, fileName));
+      loaded.push({
+        key: match[1],
+        format: match[2],
+        size: stats.size,
+        createdAt: stats.mtimeMs,
+        lastAccessedAt: stats.mtimeMs,
+        hits: 0
+      });
+    }
+
+    loaded.sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+    loaded.forEach(entry => {
+      this.entries.set(entry.key, entry);
+      this.totalBytes += entry.size;
+    });
+
+    logger.info(`[TTSCache] Loaded ${this.entries.size} cached phrases (${(this.totalBytes / 1024 / 1024).toFixed(1)} MB)`);
+    await this.evict();
+  }
+
+  scheduleIndexWrite() {
+    if (this.indexTimer) return;
+    this.indexTimer = setTimeout(() => {
+      this.indexTimer = null;
+      this.writeIndex().catch(error => logger.warn(`[TTSCache] Failed to write index: ${error.message}`));
+    }, INDEX_WRITE_DELAY_MS);
+    this.indexTimer.unref();
+  }
+
+  async writeIndex() {
+    const indexPath = path.join(this.directory, INDEX_FILE);
+    const tempPath = `${indexPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify([...this.entries.values()]));
+    await fs.promises.rename(tempPath, indexPath);
+  }
+
+  touch(entry) {
+    entry.lastAccessedAt = Date.now();
+    entry.hits++;
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+    this.scheduleIndexWrite();
+  }
+
+  /**
+   * Cached entry for a phrase, or null
+   */
+  async lookup(text, options = {}) {
+    if (!this.isCacheable(text)) return null;
+    await this.init();
+
+    const target = this.resolveTarget(options);
+    if (!target) return null;
+
+    const entry = this.entries.get(this.getKey(text, target));
+    if (!entry) return null;
+
+    if (!fs.existsSync(this.getFilePath(entry.key, entry.format))) {
+      this.entries.delete(entry.key);
+      this.totalBytes -= entry.size;
+      return null;
+    }
+    // Entries adopted from disk without an index record learn their provider on first use
+    if (!entry.provider) {
+      entry.provider = target.provider;
+      entry.voiceId = target.voiceId;
+    }
+    return entry;
+  }
+
+  async has(text, options = {}) {
+    return !!(await this.lookup(text, options));
+  }
+
+  /**
+   * Store audio synthesized by target.provider with target.voiceId
+   */
+  async store(text, target, audio) {
+    if (!this.isCacheable(text) || audio.length === 0 || audio.length > this.maxBytes) return null;
+    await this.init();
+
+    const key = this.getKey(text, target);
+    const filePath = this.getFilePath(key, target.format);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, audio);
+    await fs.promises.rename(tempPath, filePath);
+
+    const previous = this.entries.get(key);
+    if (previous) {
+      this.totalBytes -= previous.size;
+      this.entries.delete(key);
+    }
+
+    const entry = {
+      key,
+      format: target.format,
+      size: audio.length,
+      provider: target.provider,
+      voiceId: target.voiceId,
+      text: this.normalizeText(text).substring(0, 120),
+      createdAt: Date.now(),
+      lastAccessedAt: Date.now(),
+      hits: 0
+    };
+    this.entries.set(key, entry);
+    this.totalBytes += entry.size;
+    this.counters.writes++;
+
+    await this.evict();
+    this.scheduleIndexWrite();
+    return entry;
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits in maxBytes
+   */
+  async evict() {
+    for (const entry of this.entries.values()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.entries.delete(entry.key);
+      this.totalBytes -= entry.size;
+      this.counters.evictions++;
+      await fs.promises.unlink(this.getFilePath(entry.key, entry.format)).catch(() => {});
+    }
+  }
+
+  cachedResult(text, entry) {
+    return {
+      provider: entry.provider,
+      format: entry.format,
+      latencyMs: 0,
+      characters: text.length,
+      estimatedCost: 0,
+      failedOver: false,
+      cached: true
+    };
+  }
+
+  /**
+   * Synthesize a complete utterance, from disk when the phrase is cached.
+   * Audio from a failover provider is not stored under the requested provider's key.
+   */
+  async synthesize(text, options = {}) {
+    const entry = await this.lookup(text, options);
+    if (entry) {
+      this.counters.hits++;
+      this.touch(entry);
+      const audio = await fs.promises.readFile(this.getFilePath(entry.key, entry.format));
+      return { audio, ...this.cachedResult(text, entry) };
+    }
+
+    if (this.isCacheable(text)) this.counters.misses++;
+    const result = await ttsProviderRegistry.synthesize(text, options);
+    if (!result.failedOver) {
+      this.store(text, this.resolveTarget(options, result.provider), result.audio)
+        .catch(error => logger.warn(`[TTSCache] Failed to store phrase: ${error.message}`));
+    }
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Start streaming synthesis, from disk when the phrase is cached. Uncached
+   * phrases are stored once the provider stream has been read to the end.
+   */
+  async stream(text, options = {}) {
+    const entry = await this.lookup(text, options);
+    if (entry) {
+      this.counters.hits++;
+      this.touch(entry);
+      const stream = fs.createReadStream(this.getFilePath(entry.key, entry.format));
+      return { stream, ...this.cachedResult(text, entry) };
+    }
+
+    if (this.isCacheable(text)) this.counters.misses++;
+    const result = await ttsProviderRegistry.stream(text, options);
+    if (!this.isCacheable(text) || result.failedOver || typeof result.stream.pipe !== 'function') {
+      return { ...result, cached: false };
+    }
+
+    const target = this.resolveTarget(options, result.provider);
+    const chunks = [];
+    const cache = this;
+    const recorder = new Transform({
+      transform(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback(null, chunk);
+      },
+      flush(callback) {
+        cache.store(text, target, Buffer.concat(chunks))
+          .catch(error => logger.warn(`[TTSCache] Failed to store phrase: ${error.message}`));
+        callback();
+      }
+    });
+    result.stream.on('error', (error) => recorder.destroy(error));
+    // A consumer that stops early (barge-in) must still release the provider connection
+    recorder.on('close', () => result.stream.destroy());
+    result.stream.pipe(recorder);
+
+    return { ...result, stream: recorder, cached: false };
+  }
+
+  /**
+   * Synthesize and store a phrase unless it is already cached.
+   * Only the requested provider is used, so the stored voice is the one asked for.
+   * @returns {Promise<boolean>} true when the phrase was synthesized
+   */
+  async warm(text, options = {}) {
+    if (!this.isCacheable(text) || await this.has(text, options)) return false;
+
+    const result = await ttsProviderRegistry.synthesize(text, { ...options, fallback: false });
+    await this.store(text, this.resolveTarget(options), result.audio);
+    return true;
+  }
+
+  async clear() {
+    await this.init();
+    for (const entry of this.entries.values()) {
+      await fs.promises.unlink(this.getFilePath(entry.key, entry.format)).catch(() => {});
+    }
+    this.entries.clear();
+    this.totalBytes = 0;
+    await this.writeIndex();
+  }
+
+  getStats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      enabled: this.enabled,
+      directory: this.directory,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      maxTextLength: this.maxTextLength,
+      ...this.counters,
+      hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : 0
+    };
+  }
+}
+
+module.exports = new TtsPhraseCache();
@@ -0,0 +1,214 @@
+/**
+ * TTS Pre-render Job
+ *
+ * Warms the phrase cache with every fixed prompt of the published workflows
+ * (step templates in every language they have) and registered common phrases, for each
+ * configured voice, so those prompts play without synthesis latency.
+ *
+ * Voices come from TTS_PRERENDER_VOICES ("provider:voiceId" or "provider",
+ * comma separated); without it, the voices of running and paused campaigns
+ * plus the router's default provider for each language are used.
+ */
+
+const { logger } = require('../utils/logger');
+const CallWorkflow = require('../models/CallWorkflow');
+const Campaign = require('../models/Campaign');
+const workflowVersionService = require('./workflowVersionService');
+const ttsProviderRegistry = require('./ttsProviderRegistry');
+const ttsPhraseCache = require('./ttsPhraseCache');
+const languages = require('../utils/languages');
+
+// Templates with placeholders are personalised per call and cannot be rendered ahead of time
+const PLACEHOLDER_PATTERN = /{{\s*[\w.]+\s*}}/;
+
+class TtsPrerenderService {
+  constructor() {
+    this.phrases = new Map(); // text -> language, for phrases outside workflows
+    this.queue = Promise.resolve();
+    this.pending = 0;
+    this.lastRun = null;
+  }
+
+  /**
+   * Register fixed phrases that are spoken outside workflow templates
+   */
+  addPhrases(texts, language = 'english') {
+    texts.forEach(text => this.phrases.set(text, language));
+  }
+
+  async getVoiceTargets() {
+    const targets = [];
+    if (process.env.TTS_PRERENDER_VOICES) {
+      process.env.TTS_PRERENDER_VOICES.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+          const [provider, voiceId] = entry.split(':');
+          targets.push({ provider: ttsProviderRegistry.normalizeName(provider), voiceId: voiceId || null });
+        });
+      return this.uniqueTargets(targets);
+    }
+
+    const campaigns = await Campaign.find({ status: { $in: ['running', 'paused'] } })
+      .select('callConfig.ttsProvider callConfig.voiceId')
+      .lean();
+    campaigns.forEach(campaign => {
+      if (campaign.callConfig && campaign.callConfig.ttsProvider) {
+        targets.push({
+          provider: ttsProviderRegistry.normalizeName(campaign.callConfig.ttsProvider),
+          voiceId: campaign.callConfig.voiceId || null
+        });
+      }
+    });
+
+    languages.LANGUAGE_NAMES.forEach(language => {
+      const [provider] = ttsProviderRegistry.route({ language });
+      if (provider) targets.push({ provider, voiceId: null });
+    });
+
+    return this.uniqueTargets(targets);
+  }
+
+  uniqueTargets(targets) {
+    const known = ttsProviderRegistry.getProviderNames();
+    const seen = new Set();
+    return targets.filter(target => {
+      if (!known.includes(target.provider)) {
+        logger.warn(`[TTSPrerender] Skipping unknown TTS provider ${target.provider}`);
+        return false;
+      }
+      const id = `${target.provider}:${target.voiceId || ''}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  /**
+   * Fixed step templates of a workflow's published version as [{ text, language }]
+   */
+  async getWorkflowPhrases(workflow) {
+    const version = await workflowVersionService.getVersion(workflow._id, workflow.publishedVersion);
+    if (!version) return { phrases: [], dynamic: 0 };
+
+    const phrases = [];
+    let dynamic = 0;
+    (version.snapshot.steps || []).forEach(step => {
+      languages.getTextLanguages(step.template).forEach(language => {
+        const text = step.template[language];
+        if (PLACEHOLDER_PATTERN.test(text)) {
+          dynamic++;
+        } else {
+          phrases.push({ text, language });
+        }
+      });
+    });
+    return { phrases, dynamic };
+  }
+
+  async renderPhrases(phrases, targets, report) {
+    for (const { text, language } of phrases) {
+      for (const target of targets) {
+        const provider = ttsProviderRegistry.getProvider(target.provider);
+        if (!ttsProviderRegistry.supportsLanguage(provider, language)) {
+          report.unsupported++;
+          continue;
+        }
+        try {
+          const rendered = await ttsPhraseCache.warm(text, { ...target, language });
+          if (rendered) {
+            report.rendered++;
+          } else {
+            report.alreadyCached++;
+          }
+        } catch (error) {
+          report.failed++;
+          report.errors.push({ provider: target.provider, voiceId: target.voiceId, text: text.substring(0, 60), error: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Pre-render one workflow, or every published workflow when workflowId is omitted.
+   * Jobs run one at a time so providers are not flooded with synthesis requests.
+   */
+  prerender(workflowId = null) {
+    this.pending++;
+    const job = this.queue.then(() => this.run(workflowId)).finally(() => {
+      this.pending--;
+    });
+    this.queue = job.catch(() => {});
+    return job;
+  }
+
+  prerenderAll() {
+    return this.prerender(null);
+  }
+
+  prerenderWorkflow(workflowId) {
+    return this.prerender(workflowId);
+  }
+
+  async run(workflowId) {
+    const startedAt = Date.now();
+    const report = {
+      workflowId,
+      workflows: 0,
+      phrases: 0,
+      dynamicTemplates: 0,
+      rendered: 0,
+      alreadyCached: 0,
+      unsupported: 0,
+      failed: 0,
+      errors: [],
+      startedAt: new Date(startedAt)
+    };
+
+    try {
+      const targets = await this.getVoiceTargets();
+      report.voices = targets;
+
+      const query = { isActive: true, publishedVersion: { $ne: null } };
+      if (workflowId) query._id = workflowId;
+      const workflows = await CallWorkflow.find(query).select('name publishedVersion').lean();
+
+      const phrases = [];
+      for (const workflow of workflows) {
+        const result = await this.getWorkflowPhrases(workflow);
+        phrases.push(...result.phrases);
+        report.dynamicTemplates += result.dynamic;
+      }
+      if (!workflowId) {
+        this.phrases.forEach((language, text) => phrases.push({ text, language }));
+      }
+
+      // The same prompt often appears in several workflows
+      const unique = [...new Map(phrases.map(phrase => [`${phrase.language}:${phrase.text}`, phrase])).values()];
+      report.workflows = workflows.length;
+      report.phrases = unique.length;
+
+      logger.info(`[TTSPrerender] Rendering ${unique.length} phrases from ${workflows.length} workflows for ${targets.length} voices`);
+      await this.renderPhrases(unique, targets, report);
+    } catch (error) {
+      logger.error(`[TTSPrerender] Pre-render job failed: ${error.message}`);
+      report.error = error.message;
+    }
+
+    report.durationMs = Date.now() - startedAt;
+    report.errors = report.errors.slice(0, 20);
+    this.lastRun = report;
+    logger.info(`[TTSPrerender] Done in ${report.durationMs}ms: ${report.rendered} rendered, ${report.alreadyCached} already cached, ${report.failed} failed`);
+    return report;
+  }
+
+  getStatus() {
+    return {
+      pendingJobs: this.pending,
+      registeredPhrases: this.phrases.size,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new TtsPrerenderService();
@@ -0,0 +1,323 @@
+/**
+ * Text-to-Speech Provider Registry
+ *
+ * Single place where TTS providers are selected. Each provider declares its
+ * capabilities (see ttsProviders.js); the router picks the provider for every
+ * utterance from the call's language, the call's chosen provider and the live
+ * latency and error rate of each provider, and fails over down the ranking.
+ *
+ * Events: 'routed' { callId, provider, requested, language, latencyMs, failedOver }
+ */
+
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const {
+  OpenAiTtsProvider,
+  ElevenLabsTtsProvider,
+  RimeTtsProvider,
+  MockTtsProvider,
+  toBaseLanguage
+} = require('./ttsProviders');
+
+const providers = {
+  openai_fm: () => new OpenAiTtsProvider(),
+  elevenlabs: () => new ElevenLabsTtsProvider(),
+  rime: () => new RimeTtsProvider(),
+  mock: () => new MockTtsProvider()
+};
+
+// Names used for the same provider across the dashboard, Call records and older services
+const PROVIDER_ALIASES = {
+  chatgpt: 'openai_fm',
+  chatgpt_tts: 'openai_fm',
+  openai: 'openai_fm',
+  rime_tts: 'rime'
+};
+
+// Registry name -> Call.ttsProvider / Call.voiceProvider enum value
+const RECORD_NAMES = {
+  rime: 'rime_tts'
+};
+
+const STATS_WINDOW = 50;
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 30000;
+
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} speech generation timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class TtsProviderRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.instances = new Map();
+    this.stats = new Map(); // provider name -> rolling outcomes and usage
+    this.latencyBudgetMs = parseInt(process.env.TTS_LATENCY_BUDGET_MS, 10) || 2000;
+    // Below this score the call's chosen provider gives way to a healthier one
+    this.minPreferredScore = parseFloat(process.env.TTS_MIN_PREFERRED_SCORE) || 0.5;
+  }
+
+  registerProvider(name, factory) {
+    providers[name] = factory;
+    this.instances.delete(name);
+  }
+
+  normalizeName(name) {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    return PROVIDER_ALIASES[key] || key;
+  }
+
+  getRecordName(name) {
+    const key = this.normalizeName(name);
+    return RECORD_NAMES[key] || key;
+  }
+
+  getProvider(name) {
+    const key = this.normalizeName(name);
+    if (!providers[key]) {
+      throw new Error(`Unknown TTS provider: ${name}`);
+    }
+    if (!this.instances.has(key)) {
+      this.instances.set(key, providers[key]());
+    }
+    return this.instances.get(key);
+  }
+
+  getProviderNames() {
+    return Object.keys(providers);
+  }
+
+  // Providers the router considers when the call's provider cannot be used, from TTS_PROVIDER_ORDER
+  getProviderOrder() {
+    const order = (process.env.TTS_PROVIDER_ORDER || 'openai_fm,elevenlabs,rime')
+      .split(',')
+      .map(name => this.normalizeName(name.trim()))
+      .filter(name => providers[name]);
+    return [...new Set(order)];
+  }
+
+  supportsLanguage(provider, language) {
+    const { languages } = provider.capabilities;
+    return languages.includes('*') || languages.includes(toBaseLanguage(language));
+  }
+
+  /**
+   * Output format for a provider: the first of options.formats (in order of
+   * preference) or options.format it supports, else its native format.
+   * Returns null when the provider supports none of the requested formats.
+   */
+  pickFormat(provider, options = {}) {
+    const { formats } = provider.capabilities;
+    const accepted = options.formats || (options.format ? [options.format] : null);
+    if (!accepted) return formats[0];
+    return accepted.find(format => formats.includes(format)) || null;
+  }
+
+  getStatsRecord(name) {
+    if (!this.stats.has(name)) {
+      this.stats.set(name, { outcomes: [], consecutiveFailures: 0, circuitOpenUntil: 0, lastError: null, characters: 0 });
+    }
+    return this.stats.get(name);
+  }
+
+  recordOutcome(name, success, latencyMs = null, error = null) {
+    const record = this.getStatsRecord(this.normalizeName(name));
+    record.outcomes.push({ success, latencyMs: success ? latencyMs : null });
+    if (record.outcomes.length > STATS_WINDOW) record.outcomes.shift();
+
+    if (success) {
+      record.consecutiveFailures = 0;
+      record.circuitOpenUntil = 0;
+    } else {
+      record.consecutiveFailures++;
+      record.lastError = error ? error.message : null;
+      if (record.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+        record.circuitOpenUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+        logger.warn(`[TTS] ${name} skipped for ${CIRCUIT_COOLDOWN_MS / 1000}s after ${record.consecutiveFailures} consecutive failures`);
+      }
+    }
+  }
+
+  getLatencyPercentile(name, percentile) {
+    const latencies = this.getStatsRecord(name).outcomes
+      .map(outcome => outcome.latencyMs)
+      .filter(latency => typeof latency === 'number')
+      .sort((a, b) => a - b);
+    if (latencies.length === 0) return null;
+    return latencies[Math.min(latencies.length - 1, Math.floor((percentile / 100) * latencies.length))];
+  }
+
+  /**
+   * 0-1 score: 60% recent success rate, 40% median latency against the latency budget.
+   * Providers without history score 1.
+   */
+  getScore(name) {
+    const { outcomes } = this.getStatsRecord(name);
+    if (outcomes.length === 0) return 1;
+
+    const successRate = outcomes.filter(outcome => outcome.success).length / outcomes.length;
+    const medianLatency = this.getLatencyPercentile(name, 50) || 0;
+    const latencyScore = Math.max(0, 1 - medianLatency / this.latencyBudgetMs);
+    return Number((0.6 * successRate + 0.4 * latencyScore).toFixed(3));
+  }
+
+  isAvailable(name) {
+    return this.getProvider(name).isConfigured() && this.getStatsRecord(name).circuitOpenUntil <= Date.now();
+  }
+
+  /**
+   * Rank providers for one utterance.
+   * Options: { provider (the call's choice), language, format or formats, streaming, exclude }
+   * The call's provider leads while it supports the language and scores at least
+   * TTS_MIN_PREFERRED_SCORE; the rest follow by score, then by cost.
+   * @returns {string[]} provider names, best first
+   */
+  route(options = {}) {
+    const preferred = this.normalizeName(options.provider);
+    const exclude = (options.exclude || []).map(name => this.normalizeName(name));
+
+    const eligible = [...new Set([preferred, ...this.getProviderOrder()])]
+      .filter(name => name && providers[name] && !exclude.includes(name))
+      .filter(name => {
+        const provider = this.getProvider(name);
+        return this.supportsLanguage(provider, options.language)
+          && this.pickFormat(provider, options) !== null
+          && (!options.streaming || provider.capabilities.streaming);
+      })
+      // The call's provider is tried even without an env key, since keys may also live in Settings
+      .filter(name => (name === preferred ? this.getStatsRecord(name).circuitOpenUntil <= Date.now() : this.isAvailable(name)));
+
+    const ranked = eligible
+      .filter(name => name !== preferred)
+      .sort((a, b) => this.getScore(b) - this.getScore(a)
+        || this.getProvider(a).capabilities.costPerCharacter - this.getProvider(b).capabilities.costPerCharacter);
+
+    if (eligible.includes(preferred)) {
+      if (this.getScore(preferred) >= this.minPreferredScore || ranked.length === 0) {
+        ranked.unshift(preferred);
+      } else {
+        ranked.push(preferred);
+      }
+    }
+    return ranked;
+  }
+
+  /**
+   * Run one synthesis attempt per ranked provider until one succeeds.
+   * options.fallback === false restricts the attempt to options.provider.
+   */
+  async runWithFailover(text, options, attempt) {
+    const requested = this.normalizeName(options.provider);
+    const candidates = options.fallback === false && requested ? [requested] : this.route(options);
+    if (candidates.length === 0) {
+      throw new Error(`No TTS provider available for language ${options.language || 'en-US'}`);
+    }
+
+    let lastError;
+    for (const name of candidates) {
+      const provider = this.getProvider(name);
+      // A voice id only means something to the provider it was chosen for
+      const voiceId = name === requested ? options.voiceId : null;
+      const format = this.pickFormat(provider, options) || provider.capabilities.formats[0];
+      const startedAt = Date.now();
+      try {
+        const output = await withTimeout(
+          attempt(provider, { ...options, voiceId, format }),
+          options.timeoutMs || provider.capabilities.timeoutMs,
+          name
+        );
+        const latencyMs = Date.now() - startedAt;
+        this.recordOutcome(name, true, latencyMs);
+        this.getStatsRecord(name).characters += text.length;
+
+        const result = {
+          provider: name,
+          format,
+          latencyMs,
+          characters: text.length,
+          estimatedCost: Number((text.length * provider.capabilities.costPerCharacter).toFixed(6)),
+          failedOver: !!requested && name !== requested
+        };
+        this.emit('routed', { callId: options.callId, provider: name, requested, language: options.language, latencyMs, failedOver: result.failedOver });
+        return { output, result };
+      } catch (error) {
+        lastError = error;
+        this.recordOutcome(name, false, null, error);
+        logger.warn(`[TTS] ${name} failed${options.callId ? ` for call ${options.callId}` : ''}: ${error.message}`);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Synthesize a complete utterance.
+   * Options: { callId, provider, language, voiceId, emotion, format or formats, fallback, timeoutMs }
+   * @returns {Promise<Object>} { audio, provider, format, latencyMs, characters, estimatedCost, failedOver }
+   */
+  async synthesize(text, options = {}) {
+    const { output, result } = await this.runWithFailover(text, options, (provider, attemptOptions) =>
+      provider.synthesize(text, attemptOptions));
+    return { audio: Buffer.from(output), ...result };
+  }
+
+  /**
+   * Start streaming synthesis; failover applies until the provider starts responding.
+   * @returns {Promise<Object>} { stream, provider, format, latencyMs, ... }
+   */
+  async stream(text, options = {}) {
+    const { output, result } = await this.runWithFailover(text, { ...options, streaming: true }, (provider, attemptOptions) =>
+      provider.stream(text, attemptOptions));
+    output.on('error', (error) => this.recordOutcome(result.provider, false, null, error));
+    return { stream: output, ...result };
+  }
+
+  /**
+   * Capability metadata of every provider, with voices when requested
+   */
+  async getCapabilities({ includeVoices = false } = {}) {
+    return Promise.all(this.getProviderNames().map(async (name) => {
+      const provider = this.getProvider(name);
+      const entry = {
+        name,
+        recordName: this.getRecordName(name),
+        configured: provider.isConfigured(),
+        ...provider.capabilities
+      };
+      if (includeVoices) {
+        try {
+          entry.voices = await provider.getVoices();
+        } catch (error) {
+          entry.voices = [];
+          entry.voicesError = error.message;
+        }
+      }
+      return entry;
+    }));
+  }
+
+  getStats() {
+    return this.getProviderNames().map(name => {
+      const record = this.getStatsRecord(name);
+      const failures = record.outcomes.filter(outcome => !outcome.success).length;
+      return {
+        name,
+        score: this.getScore(name),
+        samples: record.outcomes.length,
+        errorRate: record.outcomes.length > 0 ? Number((failures / record.outcomes.length).toFixed(3)) : 0,
+        p50LatencyMs: this.getLatencyPercentile(name, 50),
+        p95LatencyMs: this.getLatencyPercentile(name, 95),
+        circuitOpen: record.circuitOpenUntil > Date.now(),
+        lastError: record.lastError,
+        characters: record.characters,
+        estimatedCost: Number((record.characters * this.getProvider(name).capabilities.costPerCharacter).toFixed(4))
+      };
+    });
+  }
+}
+
+module.exports = new TtsProviderRegistry();
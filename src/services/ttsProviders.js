@@ -0,0 +1,263 @@
+/**
+ * Text-to-Speech Providers
+ *
+ * Every provider implements the interface used by ttsProviderRegistry:
+ * - name
+ * - capabilities { languages, streaming, formats, costPerCharacter, timeoutMs }
+ *   languages are base language codes ('en', 'hi'); costPerCharacter is the list price in USD
+ * - isConfigured(): whether credentials are available in the environment
+ * - getVoices(): Promise<[{ id, name, description, language }]>
+ * - getDefaultVoice(language): voice used when the call has no voice for this provider
+ * - synthesize(text, options): Promise<Buffer> in options.format
+ * - stream(text, options): Promise<Readable> in options.format
+ *
+ * Formats are named for utils/audioDsp: 'mp3', 'wav', 'mulaw' (8 kHz) and 'pcm_<rate>'
+ * (16-bit little-endian mono); the first entry of capabilities.formats is the default.
+ *
+ * Options: { language ('en-US', 'ta-IN', 'english', 'tamil', 'mixed', ...), voiceId, emotion, format }
+ */
+
+const { Readable } = require('stream');
+const openAiFmService = require('./openAiFmService');
+const elevenlabsService = require('./simpleElevenlabsService');
+const rimeTtsService = require('./simpleRimeTtsService');
+const multilingualSpeechProcessor = require('./multilingualSpeechProcessor');
+const languages = require('../utils/languages');
+
+const LANGUAGE_NAMES = {
+  hinglish: 'hi',
+  mixed: 'hi'
+};
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// 'en-US' -> 'en', 'tamil' -> 'ta'; Hinglish is spoken with Hindi-capable voices
+function toBaseLanguage(language) {
+  if (!language) return 'en';
+  const key = language.toLowerCase();
+  if (LANGUAGE_NAMES[key]) return LANGUAGE_NAMES[key];
+  return languages.LANGUAGES[key] ? languages.LANGUAGES[key].code : key.split('-')[0];
+}
+
+// Provider APIs expect a locale code ('en-US'); workflow code passes 'english'/'tamil'
+function toLocale(language) {
+  if (!language) return 'en-US';
+  if (language.includes('-') || language === 'mixed') return language;
+  return languages.toLocale(language);
+}
+
+class OpenAiTtsProvider {
+  constructor() {
+    this.name = 'openai_fm';
+    this.capabilities = {
+      languages: ['en', 'hi', 'mr', 'bn', 'gu', 'ta', 'te', 'kn', 'es', 'fr', 'de', 'pt', 'ja', 'zh', 'ar', 'ru'],
+      streaming: true,
+      formats: ['mp3', 'pcm_24000', 'wav'],
+      costPerCharacter: 0.000015, // tts-1
+      timeoutMs: 8000
+    };
+  }
+
+  isConfigured() {
+    return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_FALLBACK_API_KEY);
+  }
+
+  getVoices() {
+    return openAiFmService.getAvailableVoices();
+  }
+
+  getDefaultVoice(language) {
+    // Indian languages use the per-language voices of multilingualSpeechProcessor
+    const name = languages.toLanguageName(language, null);
+    if (!name || name === 'english') return process.env.OPENAI_FM_VOICE_ID || 'alloy';
+    return multilingualSpeechProcessor.getOptimalVoiceForLanguage(toLocale(language));
+  }
+
+  async synthesize(text, options = {}) {
+    if (options.format && options.format !== 'mp3') {
+      return streamToBuffer(await this.stream(text, options));
+    }
+    const audio = await openAiFmService.generateSpeech(
+      text,
+      toLocale(options.language),
+      options.voiceId || this.getDefaultVoice(options.language),
+      options.emotion
+    );
+    return Buffer.from(audio);
+  }
+
+  stream(text, options = {}) {
+    return openAiFmService.synthesizeToStream(text, {
+      voice: options.voiceId || this.getDefaultVoice(options.language),
+      language: toLocale(options.language),
+      emotion: options.emotion,
+      format: options.format
+    });
+  }
+}
+
+class ElevenLabsTtsProvider {
+  constructor() {
+    this.name = 'elevenlabs';
+    this.capabilities = {
+      languages: ['en', 'hi', 'es', 'fr', 'de', 'pt', 'ja', 'zh', 'ar', 'ru', 'ta', 'it', 'nl', 'pl'],
+      streaming: true,
+      formats: ['mp3', 'mulaw', 'pcm_16000'],
+      costPerCharacter: 0.00018,
+      timeoutMs: 10000
+    };
+  }
+
+  isConfigured() {
+    return !!process.env.ELEVENLABS_API_KEY;
+  }
+
+  getVoices() {
+    return elevenlabsService.getAvailableVoices();
+  }
+
+  getDefaultVoice(language) {
+    if (toBaseLanguage(language) === 'hi') return 'CYw3kZ02Hs0563khs1Fj';
+    return process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM'; // Rachel
+  }
+
+  async synthesize(text, options = {}) {
+    if (options.format && options.format !== 'mp3') {
+      return streamToBuffer(await this.stream(text, options));
+    }
+    return elevenlabsService.generateSpeech(
+      text,
+      toLocale(options.language),
+      options.voiceId || this.getDefaultVoice(options.language)
+    );
+  }
+
+  stream(text, options = {}) {
+    return elevenlabsService.generateStreamingAudio(text, {
+      language: toLocale(options.language),
+      voice: options.voiceId || this.getDefaultVoice(options.language),
+      format: options.format || 'mp3'
+    });
+  }
+}
+
+class RimeTtsProvider {
+  constructor() {
+    this.name = 'rime';
+    this.capabilities = {
+      languages: ['en', 'es'],
+      streaming: true,
+      formats: ['mp3', 'wav'],
+      costPerCharacter: 0.00003,
+      timeoutMs: 6000
+    };
+  }
+
+  isConfigured() {
+    return !!process.env.RIME_API_KEY;
+  }
+
+  getVoices() {
+    return rimeTtsService.getAvailableVoices();
+  }
+
+  getDefaultVoice() {
+    return process.env.RIME_VOICE_ID || 'default';
+  }
+
+  async synthesize(text, options = {}) {
+    if (options.format === 'wav') {
+      return streamToBuffer(await this.stream(text, options));
+    }
+    return rimeTtsService.generateSpeech(text, toLocale(options.language), {
+      voiceId: options.voiceId || this.getDefaultVoice(options.language),
+      emotion: options.emotion
+    });
+  }
+
+  stream(text, options = {}) {
+    return rimeTtsService.generateStreamingAudio(text, toLocale(options.language), {
+      voiceId: options.voiceId || this.getDefaultVoice(options.language),
+      format: options.format || 'mp3'
+    });
+  }
+}
+
+/**
+ * Deterministic offline provider: a quiet 440 Hz tone in 8 kHz μ-law, 60 ms per
+ * character (at least 300 ms), so playback timing behaves like real speech.
+ */
+class MockTtsProvider {
+  constructor() {
+    this.name = 'mock';
+    this.capabilities = {
+      languages: ['*'],
+      streaming: true,
+      formats: ['mulaw'],
+      costPerCharacter: 0,
+      timeoutMs: 1000
+    };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async getVoices() {
+    return [{ id: 'mock', name: 'Mock', description: 'Offline test tone', language: '*' }];
+  }
+
+  getDefaultVoice() {
+    return 'mock';
+  }
+
+  render(text) {
+    const samples = Math.max(2400, text.length * 480);
+    const audio = Buffer.alloc(samples);
+    for (let i = 0; i < samples; i++) {
+      audio[i] = linearToMulaw(Math.round(2000 * Math.sin((2 * Math.PI * 440 * i) / 8000)));
+    }
+    return audio;
+  }
+
+  async synthesize(text) {
+    return this.render(text);
+  }
+
+  async stream(text) {
+    const audio = this.render(text);
+    const chunks = [];
+    for (let offset = 0; offset < audio.length; offset += 160) {
+      chunks.push(audio.subarray(offset, offset + 160));
+    }
+    return Readable.from(chunks);
+  }
+}
+
+// G.711 μ-law encoder for the mock provider's tone
+function linearToMulaw(sample) {
+  const BIAS = 0x84;
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), 32635) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+module.exports = {
+  OpenAiTtsProvider,
+  ElevenLabsTtsProvider,
+  RimeTtsProvider,
+  MockTtsProvider,
+  toBaseLanguage
+};
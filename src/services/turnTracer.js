@@ -0,0 +1,257 @@
+/**
+ * Turn Tracer
+ *
+ * Span-based latency tracing of conversational turns. A turn starts when the VAD
+ * engine decides the customer has finished speaking and ends when the first
+ * frame of the agent's answer is sent to Twilio. In between, the media pipeline
+ * marks each stage as it is reached:
+ *
+ *   speech_end       the customer stopped speaking (endpoint minus the trailing silence)
+ *   endpoint         the VAD engine decided the utterance was over
+ *   stt_final        the final transcript arrived
+ *   llm_first_token  the LLM produced its first token
+ *   llm_complete     the LLM finished the answer
+ *   tts_start        the answer was sent to TTS
+ *   tts_first_byte   TTS produced the first audio
+ *   first_audio_sent the first audio frame was sent to Twilio
+ *
+ * Only the first occurrence of a mark in a turn counts, so callers mark without
+ * checking whether a turn is open or already marked. Finished turns are persisted
+ * as TurnTrace documents and served as a waterfall, with p50/p95 per combination
+ * of STT, LLM and TTS providers.
+ */
+
+const TurnTrace = require('../models/TurnTrace');
+const { logger } = require('../utils/logger');
+
+const MARKS = [
+  'speech_end',
+  'endpoint',
+  'stt_final',
+  'llm_first_token',
+  'llm_complete',
+  'tts_start',
+  'tts_first_byte',
+  'first_audio_sent'
+];
+
+// The provider named when marking these is recorded for the stage
+const MARK_STAGE = {
+  stt_final: 'stt',
+  llm_first_token: 'llm',
+  llm_complete: 'llm',
+  tts_start: 'tts',
+  tts_first_byte: 'tts'
+};
+
+// Waterfall bars, each between two marks
+const SPANS = [
+  { name: 'endpointing', from: 'speech_end', to: 'endpoint' },
+  { name: 'stt', from: 'endpoint', to: 'stt_final' },
+  { name: 'llm_first_token', from: 'stt_final', to: 'llm_first_token' },
+  { name: 'llm', from: 'stt_final', to: 'llm_complete' },
+  { name: 'tts_first_byte', from: 'tts_start', to: 'tts_first_byte' },
+  { name: 'send', from: 'tts_first_byte', to: 'first_audio_sent' }
+];
+
+// Turns read for cross-call aggregates
+const AGGREGATE_TURN_LIMIT = 5000;
+
+// Nearest-rank percentile of unsorted values
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+class TurnTracer {
+  constructor() {
+    this.openTurns = new Map(); // callId -> turn being traced
+    this.turnCounts = new Map(); // callId -> turns started
+    this.providers = new Map(); // callId -> { stt, llm, tts } selected for the call
+  }
+
+  /**
+   * Providers selected for the call, recorded on its turns until a mark names the one actually used
+   */
+  setProviders(callId, providers = {}) {
+    if (!callId) return;
+    this.providers.set(callId, {
+      ...this.providers.get(callId),
+      ...Object.fromEntries(Object.entries(providers).filter(([, name]) => name))
+    });
+  }
+
+  /**
+   * Start a turn at the VAD endpoint. A turn still open is finished as 'superseded'.
+   * @param {string} callId
+   * @param {Object} [options] - silenceMs: trailing silence the endpoint waited for
+   */
+  startTurn(callId, { silenceMs = 0 } = {}) {
+    if (!callId) return;
+    const open = this.openTurns.get(callId);
+    if (open) this.finishTurn(open, 'superseded');
+
+    const now = Date.now();
+    const turnIndex = this.turnCounts.get(callId) || 0;
+    this.turnCounts.set(callId, turnIndex + 1);
+    this.openTurns.set(callId, {
+      callId,
+      turnIndex,
+      startedAt: now - silenceMs,
+      at: { speech_end: now - silenceMs, endpoint: now },
+      providers: { ...this.providers.get(callId) },
+      transcript: null
+    });
+  }
+
+  /**
+   * Mark a stage of the call's open turn; the first frame sent to Twilio ends the turn
+   * @param {string} callId
+   * @param {string} name - One of MARKS
+   * @param {Object} [details] - provider: the provider of the stage; transcript: with stt_final
+   */
+  mark(callId, name, details = {}) {
+    const turn = this.openTurns.get(callId);
+    if (!turn || turn.at[name] !== undefined) return;
+    if (!MARKS.includes(name)) {
+      logger.warn(`[TurnTracer] Unknown mark ${name}`);
+      return;
+    }
+
+    turn.at[name] = Date.now();
+    if (details.provider && MARK_STAGE[name]) {
+      turn.providers[MARK_STAGE[name]] = details.provider;
+    }
+    if (details.transcript) {
+      turn.transcript = details.transcript;
+    }
+    if (name === 'first_audio_sent') {
+      this.finishTurn(turn, 'answered');
+    }
+  }
+
+  /**
+   * End the open turn without an answer, e.g. a backchannel or an empty transcript
+   */
+  cancelTurn(callId, outcome = 'not_answered') {
+    const turn = this.openTurns.get(callId);
+    if (turn) this.finishTurn(turn, outcome);
+  }
+
+  endCall(callId) {
+    this.cancelTurn(callId, 'call_ended');
+    this.turnCounts.delete(callId);
+    this.providers.delete(callId);
+  }
+
+  finishTurn(turn, outcome) {
+    this.openTurns.delete(turn.callId);
+    const record = this.buildRecord(turn, outcome);
+    if (outcome === 'answered') {
+      logger.debug(`[TurnTracer] Call ${turn.callId} turn ${turn.turnIndex}: ${record.totalMs}ms (${record.combination})`);
+    }
+
+    TurnTrace.create(record).catch((error) => {
+      logger.warn(`[TurnTracer] Could not save trace of call ${turn.callId} turn ${turn.turnIndex}: ${error.message}`);
+    });
+  }
+
+  buildRecord(turn, outcome) {
+    const marks = {};
+    MARKS.forEach((name) => {
+      if (turn.at[name] !== undefined) marks[name] = turn.at[name] - turn.startedAt;
+    });
+    const spans = SPANS
+      .filter(span => marks[span.from] !== undefined && marks[span.to] !== undefined)
+      .map(span => ({
+        name: span.name,
+        startMs: marks[span.from],
+        endMs: marks[span.to],
+        durationMs: marks[span.to] - marks[span.from]
+      }));
+    const providers = {
+      stt: turn.providers.stt || 'unknown',
+      llm: turn.providers.llm || 'unknown',
+      tts: turn.providers.tts || 'unknown'
+    };
+
+    return {
+      callId: turn.callId,
+      turnIndex: turn.turnIndex,
+      startedAt: new Date(turn.startedAt),
+      outcome,
+      providers,
+      combination: `${providers.stt}/${providers.llm}/${providers.tts}`,
+      marks,
+      spans,
+      totalMs: marks.first_audio_sent !== undefined ? marks.first_audio_sent : null,
+      transcript: turn.transcript
+    };
+  }
+
+  /**
+   * p50/p95 of every span and of the total, per provider combination, over answered turns
+   * @param {Array<Object>} turns - Turn records
+   */
+  aggregate(turns) {
+    const groups = new Map();
+    turns.filter(turn => turn.outcome === 'answered').forEach((turn) => {
+      if (!groups.has(turn.combination)) groups.set(turn.combination, []);
+      groups.get(turn.combination).push(turn);
+    });
+
+    return [...groups.entries()].map(([combination, group]) => {
+      const stats = {};
+      [...SPANS.map(span => span.name), 'total'].forEach((name) => {
+        const values = group
+          .map(turn => (name === 'total' ? turn.totalMs : (turn.spans.find(span => span.name === name) || {}).durationMs))
+          .filter(value => typeof value === 'number');
+        if (values.length > 0) {
+          stats[name] = { count: values.length, p50: percentile(values, 50), p95: percentile(values, 95) };
+        }
+      });
+      return { combination, providers: group[0].providers, turns: group.length, latency: stats };
+    });
+  }
+
+  /**
+   * Waterfall of a call's turns, including the one being traced, with aggregates
+   */
+  async getCallTurns(callId) {
+    const turns = await TurnTrace.find({ callId }).sort({ turnIndex: 1 }).lean();
+    const open = this.openTurns.get(callId);
+    if (open) {
+      turns.push(this.buildRecord(open, 'in_progress'));
+    }
+
+    return {
+      callId,
+      turns,
+      aggregates: this.aggregate(turns)
+    };
+  }
+
+  /**
+   * Aggregates across calls over a time range
+   * @param {Object} [filter] - startTime, endTime (Dates), combination
+   */
+  async getAggregates({ startTime, endTime, combination } = {}) {
+    const query = { outcome: 'answered' };
+    if (startTime || endTime) {
+      query.startedAt = {};
+      if (startTime) query.startedAt.$gte = startTime;
+      if (endTime) query.startedAt.$lte = endTime;
+    }
+    if (combination) query.combination = combination;
+
+    const turns = await TurnTrace.find(query)
+      .sort({ startedAt: -1 })
+      .limit(AGGREGATE_TURN_LIMIT)
+      .select('outcome combination providers spans totalMs')
+      .lean();
+    return this.aggregate(turns);
+  }
+}
+
+module.exports = new TurnTracer();
@@ -127,6 +127,63 @@ const twilioService = {
     }
   },
   
+  // Current Twilio status of a call (queued, ringing, in-progress, completed, busy, no-answer, failed, canceled)
+  getCallStatus: async (callSid) => {
+    const client = await twilioService.getClient();
+    const call = await client.calls(callSid).fetch();
+    return call.status;
+  },
+  
+  // Generate TwiML that hands a live call to a human agent: <Dial><Number> for a phone
+  // number, or <Enqueue> for a queue that agents dequeue from
+  generateTransferTwiML: (options) => {
+    const {
+      targetType = 'number',
+      target,
+      callerId,
+      timeoutSeconds = 30,
+      actionUrl,
+      whisperUrl,
+      announcement,
+      language = 'en-IN'
+    } = options;
+
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    if (announcement) {
+      twiml.say({ language }, announcement);
+    }
+
+    if (targetType === 'queue') {
+      twiml.enqueue({ action: actionUrl, method: 'POST' }, target);
+    } else {
+      const dial = twiml.dial({
+        callerId,
+        timeout: timeoutSeconds,
+        action: actionUrl,
+        method: 'POST'
+      });
+      // The whisper URL plays a short briefing to the agent before the customer is connected
+      dial.number(whisperUrl ? { url: whisperUrl, method: 'POST' } : {}, target);
+    }
+
+    return twiml.toString();
+  },
+
+  // Replace the TwiML of a call in progress, e.g. to transfer it
+  transferCall: async (callSid, twiml) => {
+    try {
+      const client = await twilioService.getClient();
+
+      const call = await client.calls(callSid).update({ twiml });
+
+      return call;
+    } catch (error) {
+      console.error('Error transferring call:', error);
+      throw error;
+    }
+  },
+
   // End a call
   endCall: async (callSid) => {
     try {
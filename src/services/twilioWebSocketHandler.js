@@ -7,6 +7,16 @@ const { creditCardSalesAnalytics } = require('./creditCardSalesAnalytics');
 const { logger } = require('../utils/logger');
 const fastConversationOptimizer = require('./fastConversationOptimizer'); // OPTIMIZED: Add fast conversation optimizer
 const enhancedUltraFastConversationService = require('./enhancedUltraFastConversationService'); // Enhanced Google STT optimization
+const sttProviderRegistry = require('./sttProviderRegistry');
+const vadCallRegistry = require('./vadCallRegistry');
+const mockLlmService = require('./mockLlmService');
+const llmProviderRegistry = require('./llmProviderRegistry');
+const turnTracer = require('./turnTracer');
+const languages = require('../utils/languages');
+const { redactText } = require('../utils/piiRedaction');
+
+// Twilio audio is 8 kHz μ-law, one byte per sample
+const MULAW_BYTES_PER_MS = 8;
 
 /**
  * Twilio WebSocket Handler for Real-Time Audio Streaming
@@ -16,10 +26,19 @@ const enhancedUltraFastConversationService = require('./enhancedUltraFastConvers
 class TwilioWebSocketHandler {  constructor() {
     this.activeCalls = new Map(); // Store active call states
     this.audioBuffers = new Map(); // Store incoming audio buffers
+    this.sttSessions = new Map(); // Streaming recognition per call, with mid-stream failover
     this.callDetails = new Map(); // Store call details including card types
     
     // OPTIMIZED: Initialize fast conversation optimizer
     this.setupFastConversationOptimization();
+    
+    // Act on barge-in decisions (stop, resume) for this handler's calls
+    interruptionHandler.on('bargeIn', (decision) => {
+      const callState = this.activeCalls.get(decision.callId);
+      if (callState && callState.ws) {
+        this.handleBargeInDecision(callState.ws, decision);
+      }
+    });
   }
 
   /**
@@ -33,6 +52,8 @@ class TwilioWebSocketHandler {  constructor() {
       // Get the call state and process audio immediately
       const callState = this.activeCalls.get(data.callId);
       if (callState && callState.ws) {
+        // The customer's turn is traced from the end of their speech, before the trailing silence
+        turnTracer.startTurn(data.callId, { silenceMs: data.silenceDuration });
         await this.processAccumulatedAudio(callState.ws, true); // Fast processing mode
       }
     });
@@ -133,6 +154,11 @@ class TwilioWebSocketHandler {  constructor() {
           await this.handleStop(ws, data);
           break;
           
+        case 'mark':
+          // Twilio echoes a mark once the audio sent before it has been played
+          console.log(`[TwilioWebSocket] Mark played for call ${ws.callState?.callId}:`, data.mark?.name);
+          break;
+          
         default:
           console.log('[TwilioWebSocket] Unknown event:', data.event);
       }
@@ -168,7 +194,7 @@ class TwilioWebSocketHandler {  constructor() {
     const language = customParameters?.language || 'en-US';
     const ttsProvider = customParameters?.ttsProvider || 'chatgpt'; // TTS provider selection
     const sttProvider = customParameters?.sttProvider || 'deepgram'; // STT provider selection
-    const llmProvider = customParameters?.llmProvider || 'openai'; // LLM provider selection
+    const llmProvider = llmProviderRegistry.normalizeName(customParameters?.llmProvider); // LLM provider selection
     const selectedVoice = customParameters?.selectedVoice || ''; // Selected voice ID
     
     console.log('[TwilioWebSocket] Call setup with providers:', {
@@ -195,6 +221,14 @@ class TwilioWebSocketHandler {  constructor() {
       streamType: 'bidirectional',
       startTime: new Date()
     };    
+    sttProviderRegistry.setCallProvider(callId, sttProvider);
+    this.startSttSession(callId, language);
+    llmProviderRegistry.setCallProvider(callId, llmProvider);
+    turnTracer.setProviders(callId, { stt: sttProvider, llm: llmProvider, tts: ttsProvider });
+    interruptionHandler.initializeCall(callId);
+    if (llmProvider === 'mock') {
+      mockLlmService.startCall(callId);
+    }
     
     // ✅ START STRICT WORKFLOW: Initialize workflow engine for this call
     try {
@@ -212,7 +246,8 @@ class TwilioWebSocketHandler {  constructor() {
       // Start the workflow flow for this call
       const initialData = {
         variables: workflowResult.config,
-        language: language.includes('hi') ? 'hindi' : 'english'
+        language: languages.toLanguageName(language),
+        callRecordId: callId // The stream's callId is the Call record id
       };
       
       const workflowResponse = await workflowEngine.startCallFlow(callId, workflowResult.workflow._id, initialData);
@@ -221,6 +256,7 @@ class TwilioWebSocketHandler {  constructor() {
       // Store workflow ID in call state
       ws.callState.workflowId = workflowResult.workflow._id;
       ws.callState.currentStep = workflowResponse.stepType;
+      this.applyStepSettings(callId, workflowResponse);
       
       // Use workflow greeting instead of generic script
       if (workflowResponse.content) {
@@ -246,7 +282,7 @@ class TwilioWebSocketHandler {  constructor() {
     // OPTIMIZED: Reduced greeting delay for faster conversation start
     setTimeout(async () => {
       if (ws.readyState === ws.OPEN && ws.callState) {
-        await this.sendGreeting(ws, script);
+        await this.sendGreeting(ws, ws.callState.script);
       }
     }, 500); // OPTIMIZED: Reduced from 1000ms to 500ms
   }  /**
@@ -261,10 +297,18 @@ class TwilioWebSocketHandler {  constructor() {
     
     // OPTIMIZED: Use fast conversation optimizer for real-time processing
     if (callId) {
-      // Process audio chunk for silence detection
-      fastConversationOptimizer.processAudioChunk(callId, audioPayload);
+      // Process audio chunk for silence detection, and for barge-in while the agent speaks
+      const vad = fastConversationOptimizer.processAudioChunk(callId, audioPayload);
+      if (vad) {
+        interruptionHandler.processAudioSegment(callId, vad, vad.isSpeaking);
+      }
+      
+      const sttSession = this.sttSessions.get(callId);
+      if (sttSession) {
+        sttSession.write(audioPayload);
+      }
       
-      // Accumulate audio in buffer
+      // Accumulate audio in buffer (for one-shot recognition when streaming is unavailable)
       let audioBuffer = this.audioBuffers.get(callId) || [];
       audioBuffer.push(audioPayload);
       this.audioBuffers.set(callId, audioBuffer);
@@ -273,13 +317,8 @@ class TwilioWebSocketHandler {  constructor() {
     // LEGACY: Keep original buffer for fallback
     ws.callState.audioBuffer = Buffer.concat([ws.callState.audioBuffer || Buffer.alloc(0), audioPayload]);
     
-    // OPTIMIZED: Process audio with faster threshold for real-time conversation
-    const sampleRate = 8000; // Twilio uses 8kHz
-    const fastProcessingThreshold = sampleRate * 0.5; // OPTIMIZED: 0.5 seconds instead of 1 second
-    
-    if (ws.callState.audioBuffer.length >= fastProcessingThreshold) {
-      await this.processAccumulatedAudio(ws, false); // Normal processing, optimizer handles fast detection
-    }
+    // Audio is processed when the VAD engine detects the end of the utterance
+    // (fastProcessingTriggered), not in fixed-size chunks that cut customers off
   }
   /**
    * Handle streaming stop event
@@ -290,6 +329,8 @@ class TwilioWebSocketHandler {  constructor() {
     if (ws.callState?.callId) {
       // OPTIMIZED: Cleanup fast conversation optimizer
       fastConversationOptimizer.cleanup(ws.callState.callId);
+      this.stopSttSession(ws.callState.callId);
+      sttProviderRegistry.clearCall(ws.callState.callId);
       this.activeCalls.delete(ws.callState.callId);
       this.audioBuffers.delete(ws.callState.callId);
     }
@@ -306,7 +347,7 @@ class TwilioWebSocketHandler {  constructor() {
       const audioStream = await this.generateRealTimeAudio(greetingText, ws.callState);
       
       if (audioStream) {
-        await this.streamAudioToTwilio(ws, audioStream);
+        await this.streamAudioToTwilio(ws, audioStream, greetingText);
         ws.callState.isGreetingPlayed = true;
       } else {
         console.error('[TwilioWebSocket] Failed to generate greeting audio');
@@ -323,8 +364,10 @@ class TwilioWebSocketHandler {  constructor() {
       ws.callState.audioBuffer = Buffer.alloc(0); // Reset buffer
         // Convert audio to text using speech recognition with the selected provider
       const transcription = await this.speechToText(audioBuffer, ws);
-      if (transcription && transcription.trim().length > 0) {
-        console.log(`[TwilioWebSocket] Transcription: "${transcription}"`);
+      // Backchannels ("haan", "ok") spoken over the agent are not answered
+      const turn = interruptionHandler.onTranscript(ws.callState.callId, transcription || '');
+      if (turn.processTurn && transcription && transcription.trim().length > 0) {
+        console.log(`[TwilioWebSocket] Transcription: "${redactText(transcription)}"`);
         
         // Add to conversation history
         ws.callState.conversationHistory.push({
@@ -340,15 +383,20 @@ class TwilioWebSocketHandler {  constructor() {
           transcription
         );
         
+        // Listen for the next answer with the endpointing and barge-in policy of the new step
+        this.applyStepSettings(ws.callState.callId, workflowResponse);
+        
         if (workflowResponse && workflowResponse.content) {
           // Convert workflow response to audio and stream back
           const audioStream = await this.generateRealTimeAudio(workflowResponse.content, ws.callState);
           if (audioStream) {
-            await this.streamAudioToTwilio(ws, audioStream);
+            await this.streamAudioToTwilio(ws, audioStream, workflowResponse.content);
           }
           
-          // Check if call is completed
-          if (workflowResponse.completed || workflowResponse.callEnded) {
+          // Escalated: the hold message has been played, now dial the human agent
+          if (workflowResponse.transferRequested) {
+            await this.connectHumanTransfer(workflowResponse);
+          } else if (workflowResponse.completed || workflowResponse.callEnded) {
             console.log(`[TwilioWebSocket] Call ${ws.callState.callId} completed via workflow`);
             ws.close();
           }
@@ -358,92 +406,48 @@ class TwilioWebSocketHandler {  constructor() {
       console.error('[TwilioWebSocket] Error processing audio chunk:', error);
     }
   }  /**
-   * Convert speech to text using the selected STT provider
+   * Convert speech to text: the call's streaming session, or one-shot recognition
+   * of the buffered audio with the selected STT provider
    */  async speechToText(audioBuffer, ws) {
     try {
+      const callId = ws.callState?.callId || 'unknown';
+      
+      // The call's streaming session has heard the audio as it arrived
+      const sttSession = this.sttSessions.get(callId);
+      if (sttSession) {
+        const streamed = await sttSession.takeTranscript();
+        if (streamed) {
+          turnTracer.mark(callId, 'stt_final', { provider: streamed.provider, transcript: streamed.text });
+          if (streamed.text) {
+            console.log(`[TwilioWebSocket] Transcription using ${streamed.provider} stream: "${redactText(streamed.text)}"`);
+          }
+          return streamed.text || null;
+        }
+      }
+      
       // Check if we have enough audio data (minimum 0.5 seconds)
       if (audioBuffer.length < 4000) { // 8kHz * 0.5s = 4000 bytes
         return null;
       }
       
-      // Get the selected STT provider from the call state
-      const provider = ws.callState?.sttProvider || 'deepgram';
-      const language = ws.callState?.language || 'en-US';
-      const callId = ws.callState?.callId || 'unknown';
-      
-      // Import the speech-to-text service
-      const { speechToTextService } = require('./speechToText');
-      const voiceActivityDetectionService = require('./vadServiceAdapter');
-      
-      console.log(`[TwilioWebSocket] Processing audio with ${provider} STT provider`);
-      
-      let transcription;
-      
-      // Convert mulaw audio to PCM format if needed
-      // Note: In a production environment, you'd convert from 8kHz mulaw to 16kHz PCM here
-        if (provider === 'google') {
-        // Use Enhanced Google Speech service for ultra-fast transcription
-        const enhancedGoogleSpeechService = require('./enhancedGoogleSpeechService');
-        
-        console.log(`[TwilioWebSocket] Using Enhanced Google STT for ultra-fast transcription`);
-        
-        // Process with Enhanced Google Speech API with optimized settings
-        transcription = await enhancedGoogleSpeechService.transcribe(audioBuffer, {
-          languageCode: language,
-          encoding: 'MULAW',
-          sampleRateHertz: 8000,
-          alternativeLanguages: language === 'en-US' ? ['hi-IN'] : ['en-US'],
-          enableContextualBoosting: true
-        });} else if (provider === 'deepgram') {
-        // Use Deepgram service
-        const deepgramService = require('./deepgramService');
-        
-        // Process with Deepgram API
-        const result = await deepgramService.processAudioChunk(callId, audioBuffer);
-        transcription = result?.text || '';
-      } else {
-        // Use OpenAI Whisper API as fallback
-        const openaiService = require('./openaiService');
-        
-        // Store in temporary file for Whisper API
-        const fs = require('fs');
-        const path = require('path');
-        const tempDir = path.join(__dirname, '../../temp');
-        if (!fs.existsSync(tempDir)) {
-          fs.mkdirSync(tempDir, { recursive: true });
-        }
-        
-        const tempFile = path.join(tempDir, `twilio_${callId}_${Date.now()}.wav`);
-        fs.writeFileSync(tempFile, audioBuffer);        
-        // Use Whisper API
-        const result = await openaiService.transcribeAudio(tempFile);
-        transcription = result?.text || '';
-        
-        // Clean up temp file
-        try { fs.unlinkSync(tempFile); } catch (e) { /* Ignore cleanup errors */ }
-      }
+      // The registry starts with the provider selected for the call and fails over
+      // to the next healthy provider if it errors
+      const result = await sttProviderRegistry.transcribe(audioBuffer, {
+        callId,
+        language: ws.callState?.language || 'en-US',
+        encoding: 'mulaw',
+        sampleRate: 8000
+      });
       
-      // Log which provider was used
-      if (transcription && transcription.length > 0) {
-        console.log(`[TwilioWebSocket] Transcription using ${provider}: "${transcription}"`);
+      turnTracer.mark(callId, 'stt_final', { provider: result.provider, transcript: result.text });
+      if (result.text) {
+        console.log(`[TwilioWebSocket] Transcription using ${result.provider} (${result.latencyMs}ms): "${redactText(result.text)}"`);
       }
       
-      return transcription;
+      return result.text;
     } catch (error) {
-      console.error('[TwilioWebSocket] Speech-to-text error:', error);
-      
-      // Try fallback provider on error
-      try {
-        const { speechToTextService } = require('./speechToText');
-        console.log('[TwilioWebSocket] Trying fallback STT provider (deepgram)');
-        return await speechToTextService.transcribe(audioBuffer, {
-          provider: 'deepgram',
-          language: ws.callState?.language || 'en-US'
-        });
-      } catch (fallbackError) {
-        console.error('[TwilioWebSocket] Fallback STT also failed:', fallbackError.message);
-        return null;
-      }
+      console.error('[TwilioWebSocket] Speech-to-text error, all providers failed:', error.message);
+      return null;
     }
   }  /**
    * Generate AI response using conversation context and selected LLM provider
@@ -467,33 +471,16 @@ class TwilioWebSocketHandler {  constructor() {
         maxTokens: optimizedParams?.maxTokens || 'default'
       });
       
-      let response;
-      
-      if (llmProvider === 'gemini') {
-        // Use Gemini for response generation
-        const geminiService = require('./geminiService');
-        response = await geminiService.generateResponse(
-          conversationHistory,
-          callState.script || '',
-          callState.prompt || '',
-          callState.language || 'en-US',
-          callState.callId,
-          false, // isIntro
-          optimizedParams // Pass optimization parameters
-        );
-      } else {
-        // Default to OpenAI for response generation with optimization
-        const openaiService = require('./openaiService');
-        response = await openaiService.generateResponse(
-          conversationHistory,
-          callState.script || '',
-          callState.prompt || '',
-          callState.language || 'en-US',
-          callState.callId,
-          false, // isIntro
-          optimizedParams // Pass optimization parameters
-        );
-      }
+      // The call's provider, or the fallback when it fails
+      const { result: response } = await llmProviderRegistry.run(callState.callId, 'generateResponse', [
+        conversationHistory,
+        callState.script || '',
+        callState.prompt || '',
+        callState.language || 'en-US',
+        callState.callId,
+        false, // isIntro
+        optimizedParams // Pass optimization parameters
+      ]);
       
       // Add AI response to conversation history
       const responseText = response.text || response.content || response;
@@ -538,34 +525,20 @@ CONVERSATION OPTIMIZATION ACTIVE:
       const language = callState.language || 'en-US';
       const selectedVoice = callState.selectedVoice || '';
       
-      console.log(`[TwilioWebSocket] Generating real-time audio with ${ttsProvider} TTS provider: "${text.substring(0, 50)}..."`);
+      console.log(`[TwilioWebSocket] Generating real-time audio with ${ttsProvider} TTS provider: "${redactText(text).substring(0, 50)}..."`);
+      turnTracer.mark(callState.callId, 'tts_start', { provider: ttsProvider });
       
-      // Map frontend TTS provider values to backend voice provider values
-      let voiceProvider;
-      switch(ttsProvider) {
-        case 'chatgpt':
-          voiceProvider = 'openai_fm';
-          break;
-        case 'elevenlabs':
-          voiceProvider = 'elevenlabs';
-          break;
-        case 'rime':
-          voiceProvider = 'rime';
-          break;
-        default:
-          voiceProvider = 'openai_fm';
-      }
-      
-      // Use voice provider service to generate streaming audio
+      // The voice provider service resolves frontend provider names ('chatgpt') through the TTS registry
       const audioStream = await voiceProviderService.generateStreamingAudio(
         text,
-        voiceProvider,
+        ttsProvider,
         language,
         {
           format: 'mulaw', // Twilio format
           sampleRate: 8000,
           streaming: true,
-          voice: selectedVoice // Pass the selected voice ID
+          voice: selectedVoice, // Pass the selected voice ID
+          callId: callState.callId
         }
       );
       
@@ -578,8 +551,11 @@ CONVERSATION OPTIMIZATION ACTIVE:
 
   /**
    * Stream audio data to Twilio WebSocket
+   * @param {WebSocket} ws - Twilio media stream connection
+   * @param {Buffer|Readable} audioStream - 8 kHz μ-law audio
+   * @param {string} [text] - What the audio says, so an interrupted utterance can be resumed
    */
-  async streamAudioToTwilio(ws, audioStream) {
+  async streamAudioToTwilio(ws, audioStream, text = null) {
     try {
       if (!audioStream) {
         console.error('[TwilioWebSocket] No audio stream provided');
@@ -587,6 +563,7 @@ CONVERSATION OPTIMIZATION ACTIVE:
       }
       
       console.log('[TwilioWebSocket] Streaming audio to Twilio...');
+      const callId = ws.callState.callId;
       
       // If audioStream is a buffer, send it directly
       if (Buffer.isBuffer(audioStream)) {
@@ -603,7 +580,28 @@ CONVERSATION OPTIMIZATION ACTIVE:
           }
         };
         
-        ws.send(JSON.stringify(mediaMessage));      } else if (audioStream && typeof audioStream.on === 'function') {
+        interruptionHandler.startUtterance(callId, { text, language: ws.callState.language });
+        turnTracer.mark(callId, 'tts_first_byte');
+        ws.send(JSON.stringify(mediaMessage));
+        turnTracer.mark(callId, 'first_audio_sent');
+        interruptionHandler.addPlayedAudio(callId, audioStream.length / MULAW_BYTES_PER_MS);
+        interruptionHandler.finishUtterance(callId);
+        this.sendMark(ws);
+      } else if (audioStream && typeof audioStream.on === 'function') {
+        // An answer to a turn taken during speech that could not be interrupted (a mandatory
+        // disclosure) waits until that speech has been sent; Twilio plays media in order
+        const previous = ws.callState.playback;
+        if (previous && !previous.readableEnded && !previous.destroyed) {
+          await new Promise(resolve => {
+            previous.once('end', resolve);
+            previous.once('close', resolve);
+          });
+        }
+        
+        // Played audio is tracked so a barge-in can stop it and resume from where it was cut off
+        ws.callState.playback = audioStream;
+        interruptionHandler.startUtterance(callId, { text, language: ws.callState.language });
+        
         // If it's a stream, handle chunks
         audioStream.on('data', (chunk) => {
           const base64Audio = chunk.toString('base64');
@@ -618,11 +616,19 @@ CONVERSATION OPTIMIZATION ACTIVE:
             }
           };
           
+          turnTracer.mark(callId, 'tts_first_byte');
           ws.send(JSON.stringify(mediaMessage));
+          turnTracer.mark(callId, 'first_audio_sent');
+          interruptionHandler.addPlayedAudio(callId, chunk.length / MULAW_BYTES_PER_MS);
         });
         
         audioStream.on('end', () => {
           console.log('[TwilioWebSocket] Audio stream ended');
+          interruptionHandler.finishUtterance(callId);
+          this.sendMark(ws);
+          if (ws.callState && ws.callState.playback === audioStream) {
+            ws.callState.playback = null;
+          }
         });
         
         audioStream.on('error', (error) => {
@@ -633,12 +639,119 @@ CONVERSATION OPTIMIZATION ACTIVE:
     }
   }
 
+  /**
+   * Follow an utterance's media with a mark; Twilio sends it back once the utterance has been played
+   */
+  sendMark(ws) {
+    if (ws.readyState !== WebSocket.OPEN || !ws.callState || !ws.callState.streamSid) return;
+    
+    ws.callState.markCount = (ws.callState.markCount || 0) + 1;
+    ws.send(JSON.stringify({
+      event: 'mark',
+      streamSid: ws.callState.streamSid,
+      mark: { name: `utterance-${ws.callState.markCount}` }
+    }));
+  }
+
+  /**
+   * Stop the agent's speech: stop sending it and drop what Twilio has buffered
+   */
+  stopPlayback(ws) {
+    const playback = ws.callState && ws.callState.playback;
+    if (playback) {
+      ws.callState.playback = null;
+      playback.removeAllListeners('data');
+      if (typeof playback.destroy === 'function') {
+        playback.destroy();
+      }
+    }
+    
+    if (ws.readyState === WebSocket.OPEN && ws.callState && ws.callState.streamSid) {
+      ws.send(JSON.stringify({ event: 'clear', streamSid: ws.callState.streamSid }));
+    }
+  }
+
+  /**
+   * Act on a barge-in decision of the interruption handler
+   */
+  async handleBargeInDecision(ws, decision) {
+    try {
+      if (decision.action === 'stop') {
+        console.log(`[TwilioWebSocket] Customer barged in on call ${decision.callId} (${decision.reason}), stopping speech`);
+        this.stopPlayback(ws);
+      } else if (decision.action === 'resume' && ws.callState) {
+        console.log(`[TwilioWebSocket] Resuming interrupted speech on call ${decision.callId} (${decision.reason})`);
+        const audioStream = await this.generateRealTimeAudio(decision.resumeText, ws.callState);
+        if (audioStream) {
+          await this.streamAudioToTwilio(ws, audioStream, decision.resumeText);
+        }
+      }
+    } catch (error) {
+      console.error('[TwilioWebSocket] Error handling barge-in decision:', error);
+    }
+  }
+
+  /**
+   * Apply the endpointing and barge-in policy of the workflow step the call moved to
+   */
+  applyStepSettings(callId, workflowResponse) {
+    if (!workflowResponse) return;
+    
+    const source = `step:${workflowResponse.stepType}`;
+    if (workflowResponse.endpointing) {
+      vadCallRegistry.setEndpointing(callId, workflowResponse.endpointing, source);
+    }
+    if (workflowResponse.bargeIn) {
+      interruptionHandler.setPolicy(callId, workflowResponse.bargeIn, source);
+    }
+  }
+
+  /**
+   * Open the call's streaming recognition session. Without one (no streaming
+   * provider configured, or every provider failed) turns are transcribed one-shot.
+   */
+  startSttSession(callId, language) {
+    if (!callId) return;
+    try {
+      const session = sttProviderRegistry.createSession({
+        callId,
+        language,
+        encoding: 'mulaw',
+        sampleRate: 8000
+      });
+      session.on('error', (error) => {
+        console.error(`[TwilioWebSocket] Speech stream for call ${callId} failed on every provider, using one-shot recognition:`, error.message);
+        this.sttSessions.delete(callId);
+      });
+      session.on('close', () => {
+        if (this.sttSessions.get(callId) === session) this.sttSessions.delete(callId);
+      });
+      this.sttSessions.set(callId, session);
+    } catch (error) {
+      console.error(`[TwilioWebSocket] Could not start a speech stream for call ${callId}, using one-shot recognition:`, error.message);
+    }
+  }
+
+  stopSttSession(callId) {
+    const session = this.sttSessions.get(callId);
+    if (session) {
+      this.sttSessions.delete(callId);
+      session.close();
+    }
+  }
+
   /**
    * Cleanup resources for a WebSocket connection
    */
   cleanup(ws) {
     if (ws.callState?.callId) {
       this.activeCalls.delete(ws.callState.callId);
+      this.stopSttSession(ws.callState.callId);
+      vadCallRegistry.endCall(ws.callState.callId);
+      interruptionHandler.cleanupCall(ws.callState.callId);
+      mockLlmService.endCall(ws.callState.callId);
+      llmProviderRegistry.clearCall(ws.callState.callId);
+      turnTracer.endCall(ws.callState.callId);
       console.log(`[TwilioWebSocket] Cleaned up call: ${ws.callState.callId}`);
     }
   }
@@ -660,7 +773,7 @@ CONVERSATION OPTIMIZATION ACTIVE:
    */
   async processAccumulatedAudio(ws, fastMode = false) {
     try {
-      const callId = ws.callId;
+      const callId = ws.callState && ws.callState.callId;
       if (!callId) return;
 
       const audioBuffer = this.audioBuffers.get(callId);
@@ -685,8 +798,16 @@ CONVERSATION OPTIMIZATION ACTIVE:
       // Fast speech-to-text processing
       const transcription = await this.speechToText(combinedAudio, ws);
       
+      // Backchannels ("haan", "ok") spoken over the agent are not answered
+      const turn = interruptionHandler.onTranscript(callId, transcription || '');
+      if (!turn.processTurn) {
+        turnTracer.cancelTurn(callId);
+        fastConversationOptimizer.completeProcessing(callId);
+        return;
+      }
+      
       if (transcription && transcription.trim()) {
-        console.log(`[TwilioWebSocket] Transcription (${fastMode ? 'FAST' : 'NORMAL'}):`, transcription);
+        console.log(`[TwilioWebSocket] Transcription (${fastMode ? 'FAST' : 'NORMAL'}): "${redactText(transcription)}"`);
         
         // Get call state
         const callState = this.activeCalls.get(callId);
@@ -699,25 +820,48 @@ CONVERSATION OPTIMIZATION ACTIVE:
           transcription
         );
         
+        // Listen for the next answer with the endpointing and barge-in policy of the new step
+        this.applyStepSettings(callId, workflowResponse);
+        
         if (workflowResponse && workflowResponse.content) {
           // Generate and stream workflow response
           await this.generateAndStreamResponse(ws, workflowResponse.content, callState, optimizedParams);
           
-          // Check if call is completed
-          if (workflowResponse.completed || workflowResponse.callEnded) {
+          // Escalated: the hold message has been played, now dial the human agent
+          if (workflowResponse.transferRequested) {
+            await this.connectHumanTransfer(workflowResponse);
+          } else if (workflowResponse.completed || workflowResponse.callEnded) {
             console.log(`[TwilioWebSocket] Call ${callId} completed via workflow`);
             ws.close();
           }
+        } else {
+          turnTracer.cancelTurn(callId);
         }
         
         // Mark processing as complete and get metrics
         const metrics = fastConversationOptimizer.completeProcessing(callId);
         console.log(`[TwilioWebSocket] Processing complete:`, metrics);
+      } else {
+        turnTracer.cancelTurn(callId);
       }
 
     } catch (error) {
       console.error('[TwilioWebSocket] Error in optimized audio processing:', error);
-      fastConversationOptimizer.completeProcessing(ws.callId); // Mark as complete even on error
+      turnTracer.cancelTurn(ws.callState && ws.callState.callId);
+      fastConversationOptimizer.completeProcessing(ws.callState && ws.callState.callId); // Mark as complete even on error
+    }
+  }
+
+  /**
+   * Redirect the call to the human agent of a handoff the workflow requested
+   */
+  async connectHumanTransfer(workflowResponse) {
+    try {
+      const humanTransferService = require('./humanTransferService');
+      const handoff = await humanTransferService.connectTransfer(workflowResponse.callRecordId, workflowResponse.handoffId);
+      console.log(`[TwilioWebSocket] Human transfer ${handoff._id} is ${handoff.status}`);
+    } catch (error) {
+      console.error('[TwilioWebSocket] Error connecting human transfer:', error);
     }
   }
 
@@ -741,7 +885,7 @@ CONVERSATION OPTIMIZATION ACTIVE:
 
       if (audioStream) {
         // Stream audio to Twilio with optimized chunk size
-        await this.streamAudioToTwilio(ws, audioStream, optimizedParams);
+        await this.streamAudioToTwilio(ws, audioStream, responseText);
       }
 
     } catch (error) {
@@ -0,0 +1,114 @@
+/**
+ * VAD Call Registry
+ *
+ * Keeps one VadEngine (see vadEngine.js) per call, applies the end-of-utterance
+ * timing of the workflow step the call is on, and keeps the VAD event trace of
+ * recently finished calls for debugging.
+ *
+ * Endpointing set before a call's engine exists (the workflow starts before the
+ * first media frame) is applied when the engine is created.
+ */
+
+const { logger } = require('../utils/logger');
+const { VadEngine, DEFAULT_ENDPOINTING } = require('./vadEngine');
+
+const FINISHED_TRACE_LIMIT = parseInt(process.env.VAD_TRACE_RETAIN_CALLS, 10) || 100;
+
+class VadCallRegistry {
+  constructor() {
+    this.engines = new Map(); // callId -> VadEngine
+    this.endpointing = new Map(); // callId -> { endpointing, reason } waiting for the engine
+    this.finishedTraces = new Map(); // callId -> trace, oldest first
+  }
+
+  /**
+   * The call's engine, created with the given options on first use
+   * Options: VadEngine options such as sampleRate
+   */
+  getEngine(callId, options = {}) {
+    let engine = this.engines.get(callId);
+    if (!engine) {
+      engine = new VadEngine({ ...options, callId });
+      const pending = this.endpointing.get(callId);
+      if (pending) {
+        engine.setEndpointing(pending.endpointing, pending.reason);
+        this.endpointing.delete(callId);
+      }
+      this.engines.set(callId, engine);
+      this.finishedTraces.delete(callId);
+    }
+    return engine;
+  }
+
+  hasEngine(callId) {
+    return this.engines.has(callId);
+  }
+
+  /**
+   * Apply end-of-utterance timing, typically the endpointing of the workflow step
+   * the call moved to. Unknown keys are ignored.
+   */
+  setEndpointing(callId, endpointing, reason = null) {
+    if (!callId || !endpointing) return;
+    const values = {};
+    Object.keys(DEFAULT_ENDPOINTING).forEach(key => {
+      if (typeof endpointing[key] === 'number') values[key] = endpointing[key];
+    });
+
+    const engine = this.engines.get(callId);
+    if (engine) {
+      engine.setEndpointing(values, reason);
+    } else {
+      this.endpointing.set(callId, { endpointing: values, reason });
+    }
+  }
+
+  /**
+   * Release the call's engine, keeping its trace
+   */
+  endCall(callId) {
+    const engine = this.engines.get(callId);
+    this.endpointing.delete(callId);
+    if (!engine) return;
+
+    engine.removeAllListeners();
+    this.engines.delete(callId);
+    this.finishedTraces.set(callId, { ...engine.getTrace(), endedAt: new Date() });
+    while (this.finishedTraces.size > FINISHED_TRACE_LIMIT) {
+      this.finishedTraces.delete(this.finishedTraces.keys().next().value);
+    }
+    logger.debug(`[VAD] Released VAD engine for call ${callId}`);
+  }
+
+  /**
+   * VAD trace of an active or recently finished call, or null
+   */
+  getTrace(callId) {
+    const engine = this.engines.get(callId);
+    if (engine) {
+      return { ...engine.getTrace(), active: true };
+    }
+    const trace = this.finishedTraces.get(callId);
+    return trace ? { ...trace, active: false } : null;
+  }
+
+  /**
+   * Summary of every call with a trace
+   */
+  listCalls() {
+    const summary = (trace, active) => ({
+      callId: trace.callId,
+      active,
+      elapsedMs: trace.elapsedMs,
+      noiseFloorDb: trace.noiseFloorDb,
+      endpointing: trace.endpointing,
+      counters: trace.counters
+    });
+    return [
+      ...[...this.engines.values()].map(engine => summary(engine.getTrace(), true)),
+      ...[...this.finishedTraces.values()].reverse().map(trace => summary(trace, false))
+    ];
+  }
+}
+
+module.exports = new VadCallRegistry();
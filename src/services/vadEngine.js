@@ -0,0 +1,429 @@
+/**
+ * VAD Engine
+ *
+ * Frame-based voice activity detection for one audio stream (16-bit PCM).
+ * Each 20 ms frame is classified from its energy above an adaptive noise floor,
+ * zero-crossing rate and spectrum (flatness and share of energy in the speech
+ * band), so steady line noise, hum and hiss do not count as speech however loud
+ * they are. Speech starts after minSpeechMs of voiced frames, short gaps are
+ * bridged by hangoverMs, and the utterance ends after endSilenceMs of silence
+ * or at maxUtteranceMs. Audio from just before the onset (preRollMs) is kept so
+ * the first syllable reaches speech recognition.
+ *
+ * Events: 'speechStart' { callId, at, preRoll }, 'speechEnd' { callId, at, durationMs, reason, audio }
+ * Every decision is also recorded in a bounded trace for debugging (getTrace()).
+ */
+
+const EventEmitter = require('events');
+
+const FRAME_MS = 20;
+
+const DEFAULT_VAD_OPTIONS = {
+  sampleRate: 16000,
+  snrThresholdDb: 9,          // Frame energy above the noise floor to count as voiced
+  minLevelDb: -50,            // Frames quieter than this are never voiced
+  maxFlatness: 0.5,           // Speech is tonal; broadband noise is flat (close to 1)
+  minSpeechBandRatio: 0.5,    // Share of energy in 300-3400 Hz; hum and rumble sit below it
+  maxZeroCrossingRate: 0.4,   // Hiss crosses zero on almost every sample
+  calibrationMs: 200,         // Opening audio used only to seed the noise floor
+  noiseWindowMs: 1500,        // The floor follows the quietest frame in this window
+  traceSize: 500
+};
+
+const DEFAULT_ENDPOINTING = {
+  minSpeechMs: 80,            // Voiced audio needed before speech starts (rejects clicks)
+  hangoverMs: 240,            // Unvoiced time still reported as speaking
+  preRollMs: 300,             // Audio kept from before the onset
+  endSilenceMs: 700,          // Silence that ends the utterance
+  maxUtteranceMs: 15000
+};
+
+// Customers pause while reading out numbers, addresses and spellings
+const STEP_TYPE_ENDPOINTING = {
+  collect_details: { endSilenceMs: 1500, maxUtteranceMs: 25000 },
+  collect_name: { endSilenceMs: 1000 },
+  collect_age: { endSilenceMs: 1000 },
+  collect_occupation: { endSilenceMs: 1000 },
+  collect_income: { endSilenceMs: 1200 },
+  collect_city: { endSilenceMs: 1000 },
+  collect_email: { endSilenceMs: 1500, maxUtteranceMs: 25000 }
+};
+
+const ENDPOINTING_KEYS = Object.keys(DEFAULT_ENDPOINTING);
+
+/**
+ * Endpointing for a workflow step: defaults, then the step type's defaults,
+ * then values set on the step itself
+ */
+function resolveStepEndpointing(step) {
+  const endpointing = { ...DEFAULT_ENDPOINTING, ...(step && STEP_TYPE_ENDPOINTING[step.type]) };
+  const configured = (step && step.endpointing) || {};
+  ENDPOINTING_KEYS.forEach(key => {
+    if (typeof configured[key] === 'number' && configured[key] >= 0) {
+      endpointing[key] = configured[key];
+    }
+  });
+  return endpointing;
+}
+
+const fftTables = new Map();
+const windows = new Map();
+
+function getTwiddles(size) {
+  if (!fftTables.has(size)) {
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / size);
+      sin[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+    fftTables.set(size, { cos, sin });
+  }
+  return fftTables.get(size);
+}
+
+function getHannWindow(length) {
+  if (!windows.has(length)) {
+    const window = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / Math.max(1, length - 1));
+    }
+    windows.set(length, window);
+  }
+  return windows.get(length);
+}
+
+/**
+ * Power spectrum (bins 0..size/2) of a Hann-windowed frame, zero padded to a power of two
+ */
+function powerSpectrum(samples) {
+  let size = 1;
+  while (size < samples.length) size <<= 1;
+  const { cos, sin } = getTwiddles(size);
+  const window = getHannWindow(samples.length);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < samples.length; i++) {
+    re[i] = samples[i] * window[i];
+  }
+
+  // Iterative radix-2 FFT
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+    }
+  }
+  for (let length = 2; length <= size; length <<= 1) {
+    const step = size / length;
+    for (let start = 0; start < size; start += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + length / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  const power = new Float64Array(size / 2 + 1);
+  for (let i = 0; i <= size / 2; i++) {
+    power[i] = re[i] * re[i] + im[i] * im[i];
+  }
+  return power;
+}
+
+function toDb(rms) {
+  return 20 * Math.log10(rms + 1e-9);
+}
+
+class VadEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.callId = options.callId || null;
+    this.options = { ...DEFAULT_VAD_OPTIONS, ...options };
+    this.endpointing = { ...DEFAULT_ENDPOINTING, ...options.endpointing };
+    this.sampleRate = this.options.sampleRate;
+    this.frameBytes = (this.sampleRate / 1000) * FRAME_MS * 2;
+
+    this.remainder = Buffer.alloc(0);
+    this.elapsedMs = 0;
+    this.noiseFloorDb = null;
+    this.calibration = [];
+    this.recentLevels = [];
+    this.tracedNoiseFloorDb = null;
+
+    this.inUtterance = false;
+    this.speaking = false;
+    this.voicedMs = 0;
+    this.silenceMs = 0;
+    this.utteranceStartedAt = null;
+    this.preRoll = [];
+    this.utterance = [];
+    this.endedUtterance = null;
+
+    this.trace = [];
+    this.counters = { frames: 0, voicedFrames: 0, utterances: 0, rejectedBursts: 0 };
+  }
+
+  /**
+   * Change end-of-utterance timing, for example when the workflow moves to a step
+   * where the customer reads out a long number
+   */
+  setEndpointing(endpointing = {}, reason = null) {
+    this.endpointing = { ...this.endpointing, ...endpointing };
+    this.record('endpointing', { ...this.endpointing, reason });
+  }
+
+  record(type, details = {}) {
+    this.trace.push({ t: this.elapsedMs, at: Date.now(), type, ...details });
+    if (this.trace.length > this.options.traceSize) {
+      this.trace.shift();
+    }
+  }
+
+  /**
+   * Energy, zero-crossing and spectral features of one frame
+   */
+  analyzeFrame(frame) {
+    const count = frame.length / 2;
+    const samples = new Float64Array(count);
+    let sum = 0;
+    let crossings = 0;
+    for (let i = 0; i < count; i++) {
+      samples[i] = frame.readInt16LE(i * 2) / 32768;
+      sum += samples[i] * samples[i];
+      if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+    const rms = Math.sqrt(sum / count);
+
+    const power = powerSpectrum(samples);
+    const binHz = this.sampleRate / ((power.length - 1) * 2);
+    let total = 0;
+    let speechBand = 0;
+    let logSum = 0;
+    let linearSum = 0;
+    let flatnessBins = 0;
+    for (let i = 1; i < power.length; i++) {
+      const hz = i * binHz;
+      total += power[i];
+      if (hz >= 300 && hz <= 3400) speechBand += power[i];
+      if (hz >= 250 && hz <= 4000) {
+        logSum += Math.log(power[i] + 1e-12);
+        linearSum += power[i];
+        flatnessBins++;
+      }
+    }
+
+    return {
+      rms,
+      levelDb: toDb(rms),
+      zeroCrossingRate: crossings / Math.max(1, count - 1),
+      flatness: flatnessBins > 0 && linearSum > 0 ? Math.exp(logSum / flatnessBins) / (linearSum / flatnessBins) : 1,
+      speechBandRatio: total > 0 ? speechBand / total : 0
+    };
+  }
+
+  isVoiced(features) {
+    const { options } = this;
+    return features.levelDb >= options.minLevelDb &&
+      features.levelDb - this.noiseFloorDb >= options.snrThresholdDb &&
+      features.flatness <= options.maxFlatness &&
+      features.speechBandRatio >= options.minSpeechBandRatio &&
+      features.zeroCrossingRate <= options.maxZeroCrossingRate;
+  }
+
+  /**
+   * Track the noise floor from the quietest recent frame (the gaps between
+   * syllables), so it follows a noisier line without climbing onto the voice:
+   * fall quickly, rise slowly, and barely at all while the customer is talking
+   */
+  updateNoiseFloor(levelDb, voiced) {
+    this.recentLevels.push(levelDb);
+    if (this.recentLevels.length * FRAME_MS > this.options.noiseWindowMs) {
+      this.recentLevels.shift();
+    }
+    const quietest = Math.min(...this.recentLevels);
+    const delta = quietest - this.noiseFloorDb;
+    const rate = delta < 0 ? 0.3 : (voiced ? 0.002 : 0.05);
+    this.noiseFloorDb += delta * rate;
+
+    if (Math.abs(this.noiseFloorDb - this.tracedNoiseFloorDb) >= 3) {
+      this.tracedNoiseFloorDb = this.noiseFloorDb;
+      this.record('noise_floor', { noiseFloorDb: Number(this.noiseFloorDb.toFixed(1)) });
+    }
+  }
+
+  processFrame(frame) {
+    this.elapsedMs += FRAME_MS;
+    this.counters.frames++;
+    const features = this.analyzeFrame(frame);
+
+    if (this.noiseFloorDb === null) {
+      this.calibration.push(features.levelDb);
+      this.pushPreRoll(frame);
+      if (this.calibration.length * FRAME_MS >= this.options.calibrationMs) {
+        this.noiseFloorDb = Math.min(...this.calibration);
+        this.tracedNoiseFloorDb = this.noiseFloorDb;
+        this.record('calibrated', { noiseFloorDb: Number(this.noiseFloorDb.toFixed(1)) });
+      }
+      return null;
+    }
+
+    const voiced = this.isVoiced(features);
+    if (voiced) this.counters.voicedFrames++;
+    this.updateNoiseFloor(features.levelDb, voiced);
+    const snapshot = () => ({
+      levelDb: Number(features.levelDb.toFixed(1)),
+      noiseFloorDb: Number(this.noiseFloorDb.toFixed(1)),
+      zeroCrossingRate: Number(features.zeroCrossingRate.toFixed(3)),
+      flatness: Number(features.flatness.toFixed(3)),
+      speechBandRatio: Number(features.speechBandRatio.toFixed(3))
+    });
+
+    this.lastFeatures = features;
+    return this.inUtterance
+      ? this.continueUtterance(frame, voiced, snapshot)
+      : this.awaitOnset(frame, voiced, snapshot);
+  }
+
+  awaitOnset(frame, voiced, snapshot) {
+    this.pushPreRoll(frame);
+    if (!voiced) {
+      if (this.voicedMs > 0) {
+        this.counters.rejectedBursts++;
+        this.record('rejected_burst', { durationMs: this.voicedMs, ...snapshot() });
+      }
+      this.voicedMs = 0;
+      return null;
+    }
+
+    this.voicedMs += FRAME_MS;
+    if (this.voicedMs < this.endpointing.minSpeechMs) return null;
+
+    this.inUtterance = true;
+    this.speaking = true;
+    this.silenceMs = 0;
+    this.utteranceStartedAt = this.elapsedMs - this.voicedMs;
+    this.utterance = this.preRoll;
+    this.preRoll = [];
+
+    const preRoll = Buffer.concat(this.utterance);
+    this.record('speech_start', { preRollMs: Math.round((preRoll.length / this.frameBytes) * FRAME_MS), ...snapshot() });
+    this.emit('speechStart', { callId: this.callId, at: Date.now(), preRoll });
+    return 'start';
+  }
+
+  continueUtterance(frame, voiced, snapshot) {
+    this.utterance.push(frame);
+    if (voiced) {
+      this.silenceMs = 0;
+      if (!this.speaking) {
+        this.speaking = true;
+        this.record('speech_resume', snapshot());
+      }
+    } else {
+      this.silenceMs += FRAME_MS;
+      if (this.speaking && this.silenceMs > this.endpointing.hangoverMs) {
+        this.speaking = false;
+        this.record('speech_pause', snapshot());
+      }
+    }
+
+    if (this.silenceMs >= this.endpointing.endSilenceMs) {
+      return this.endUtterance('silence', snapshot);
+    }
+    if (this.elapsedMs - this.utteranceStartedAt >= this.endpointing.maxUtteranceMs) {
+      return this.endUtterance('max_duration', snapshot);
+    }
+    return null;
+  }
+
+  endUtterance(reason, snapshot) {
+    const audio = Buffer.concat(this.utterance);
+    const durationMs = this.elapsedMs - this.utteranceStartedAt - this.silenceMs;
+
+    this.inUtterance = false;
+    this.speaking = false;
+    this.voicedMs = 0;
+    this.silenceMs = 0;
+    this.utterance = [];
+    this.counters.utterances++;
+
+    this.endedUtterance = { audio, durationMs, reason };
+    this.record('speech_end', { reason, durationMs, endSilenceMs: this.endpointing.endSilenceMs, ...snapshot() });
+    this.emit('speechEnd', { callId: this.callId, at: Date.now(), durationMs, reason, audio });
+    return 'end';
+  }
+
+  pushPreRoll(frame) {
+    this.preRoll.push(frame);
+    const maxFrames = Math.max(1, Math.ceil(this.endpointing.preRollMs / FRAME_MS));
+    while (this.preRoll.length > maxFrames) {
+      this.preRoll.shift();
+    }
+  }
+
+  /**
+   * Feed PCM audio of any length; frames are processed as they complete.
+   * speechEvent is 'start' or 'end' when one happened in this chunk.
+   */
+  process(pcm) {
+    const data = this.remainder.length > 0 ? Buffer.concat([this.remainder, pcm]) : pcm;
+    let speechEvent = null;
+    this.endedUtterance = null;
+    let offset = 0;
+    for (; offset + this.frameBytes <= data.length; offset += this.frameBytes) {
+      speechEvent = this.processFrame(data.subarray(offset, offset + this.frameBytes)) || speechEvent;
+    }
+    this.remainder = Buffer.from(data.subarray(offset));
+
+    return {
+      isSpeaking: this.speaking,
+      inUtterance: this.inUtterance,
+      speechEvent,
+      // The finished utterance (with pre-roll) when speech ended in this chunk
+      utterance: this.endedUtterance,
+      audioLevel: this.lastFeatures ? this.lastFeatures.rms : 0,
+      noiseFloor: this.noiseFloorDb === null ? null : Math.pow(10, this.noiseFloorDb / 20)
+    };
+  }
+
+  /**
+   * Audio of the utterance in progress, starting with the pre-roll
+   */
+  getUtteranceAudio() {
+    return Buffer.concat(this.utterance);
+  }
+
+  getTrace() {
+    return {
+      callId: this.callId,
+      sampleRate: this.sampleRate,
+      elapsedMs: this.elapsedMs,
+      noiseFloorDb: this.noiseFloorDb === null ? null : Number(this.noiseFloorDb.toFixed(1)),
+      speaking: this.speaking,
+      inUtterance: this.inUtterance,
+      endpointing: this.endpointing,
+      counters: { ...this.counters },
+      events: this.trace.slice()
+    };
+  }
+}
+
+module.exports = {
+  VadEngine,
+  DEFAULT_VAD_OPTIONS,
+  DEFAULT_ENDPOINTING,
+  STEP_TYPE_ENDPOINTING,
+  resolveStepEndpointing,
+  FRAME_MS
+};
@@ -9,26 +9,29 @@
  */
 
 const openAiFmService = require('./openAiFmService');
-const fs = require('fs');
-const path = require('path');
 const { PassThrough } = require('stream');
+const audioDsp = require('../utils/audioDsp');
+const vadCallRegistry = require('./vadCallRegistry');
+const { redactText } = require('../utils/piiRedaction');
 const axios = require('axios');
 const FormData = require('form-data');
 // Import the speechToText service for provider handling
 const { speechToTextService } = require('./speechToText');
+const sttProviderRegistry = require('./sttProviderRegistry');
+const turnTracer = require('./turnTracer');
 
-// Configuration
+// Engine for audio processed without a callId
+const SHARED_ENGINE_ID = 'shared';
+
+// Configuration (speech detection and end-of-utterance timing live in vadEngine.js)
 const VAD_CONFIG = {
-  // Minimum audio level to consider as speech
-  SPEECH_THRESHOLD: 0.02,
-  // Minimum duration (ms) of silence to consider speech ended
-  SILENCE_DURATION: 500,
   // Sample size for language identification
   LANGUAGE_SAMPLE_SIZE: 1000, // 1 second of audio
   // How often to check for language change (ms)
   LANGUAGE_CHECK_INTERVAL: 2000,
-  // Audio collection threshold for transcription (ms)
-  TRANSCRIPTION_THRESHOLD: 1500,
+  // Shortest utterance worth transcribing (ms); the VAD engine already rejects clicks,
+  // so short answers like "haan" or "yes" must get through
+  TRANSCRIPTION_THRESHOLD: 200,
   // Max audio duration to collect before forcing transcription (ms)
   MAX_AUDIO_COLLECTION: 10000
 };
@@ -48,8 +51,6 @@ class VoiceActivityDetectionService {
     this.audioCollectionStreams = new Map();
     this.activeLanguageDetection = false;
     this.lastLanguageDetectionTime = 0;
-    // Store provider preferences for each call
-    this.sttProviders = new Map();
   }
   
   /**
@@ -59,7 +60,7 @@ class VoiceActivityDetectionService {
    */
   setSTTProvider(callId, provider) {
     if (callId && provider) {
-      this.sttProviders.set(callId, provider);
+      sttProviderRegistry.setCallProvider(callId, provider);
       console.log(`[VAD] Set STT provider for call ${callId} to ${provider}`);
     }
   }
@@ -67,10 +68,10 @@ class VoiceActivityDetectionService {
   /**
    * Get STT provider for a specific call
    * @param {string} callId - Call identifier
-   * @returns {string} STT provider to use
+   * @returns {string} STT provider to use (after any failover during the call)
    */
   getSTTProvider(callId) {
-    return this.sttProviders.get(callId) || 'deepgram'; // Default to Deepgram if not specified
+    return sttProviderRegistry.getCallProvider(callId);
   }
   
   /**
@@ -85,67 +86,74 @@ class VoiceActivityDetectionService {
     this.audioBuffer = Buffer.concat([this.audioBuffer, audioChunk]);
     
     // Trim buffer if it gets too large
-    if (this.audioBuffer.length > sampleRate * 5) { // Keep max 5 seconds
-      this.audioBuffer = this.audioBuffer.slice(this.audioBuffer.length - sampleRate * 5);
+    if (this.audioBuffer.length > sampleRate * 2 * 5) { // Keep max 5 seconds of 16-bit samples
+      this.audioBuffer = this.audioBuffer.slice(this.audioBuffer.length - sampleRate * 2 * 5);
     }
     
-    // Basic VAD: Calculate audio level (RMS)
-    const level = this.calculateAudioLevel(audioChunk);
+    // Energy and spectral VAD with an adaptive noise floor and the call's endpointing
+    const engine = vadCallRegistry.getEngine(callId || SHARED_ENGINE_ID, { sampleRate });
+    const vad = engine.process(audioChunk);
+    const level = vad.audioLevel;
     const now = Date.now();
+    const speechEvent = vad.speechEvent;
     
-    // Check if audio level indicates speech
-    const speechDetected = level > VAD_CONFIG.SPEECH_THRESHOLD;
-    let speechEvent = null;
-    
-    // Speech state machine
-    if (speechDetected) {
-      if (!this.isSpeaking) {
-        // Speech just started
-        this.isSpeaking = true;
-        this.lastSpeechDetectedAt = now;
-        this.speakingStartedAt = now;
-        speechEvent = 'start';
-        
-        // Start collecting audio for transcription if we have a callId
-        if (callId) {
-          this.startAudioCollection(callId);
-        }
-        
-        // Schedule language detection after collecting enough samples
-        this.scheduleLanguageDetection();
-      } else {
-        // Continuing speech
-        this.lastSpeechDetectedAt = now;
-        
-        // If we've been speaking for a while, do an interim transcription
-        if (callId && this.speakingStartedAt && 
-            (now - this.speakingStartedAt > VAD_CONFIG.MAX_AUDIO_COLLECTION)) {
-          this.transcribeCollectedAudio(callId, true);
-        }
-      }
-    } else if (this.isSpeaking && (now - this.lastSpeechDetectedAt > VAD_CONFIG.SILENCE_DURATION)) {
-      // Silence detected for long enough, speech ended
+    // Speech state machine, driven by the engine's onset and end-of-utterance decisions
+    if (vad.utterance) {
       this.isSpeaking = false;
-      speechEvent = 'end';
       
-      // Process collected audio for transcription if we have a callId
-      if (callId && this.speakingStartedAt) {
-        const speechDuration = now - this.speakingStartedAt;
+      // Process the utterance (including pre-roll) for transcription if we have a callId
+      if (callId) {
+        if (!this.audioCollectionStreams.has(callId)) {
+          this.startAudioCollection(callId);
+        }
+        this.audioCollectionStreams.get(callId).buffer = vad.utterance.audio;
         
         // Only transcribe if speech was long enough
-        if (speechDuration > VAD_CONFIG.TRANSCRIPTION_THRESHOLD) {
+        if (vad.utterance.durationMs >= VAD_CONFIG.TRANSCRIPTION_THRESHOLD) {
+          // The customer's turn is traced from the end of their speech, before the trailing silence
+          turnTracer.startTurn(callId, { silenceMs: engine.endpointing.endSilenceMs });
           this.transcribeCollectedAudio(callId, false);
         } else {
           this.stopAudioCollection(callId);
         }
-        
-        this.speakingStartedAt = null;
+      }
+      this.speakingStartedAt = null;
+    } else if (speechEvent === 'start') {
+      // Speech just started
+      this.isSpeaking = true;
+      this.lastSpeechDetectedAt = now;
+      this.speakingStartedAt = now;
+      
+      // Start collecting audio for transcription, from the pre-roll, if we have a callId
+      if (callId) {
+        this.startAudioCollection(callId);
+        this.addAudioToCollection(callId, engine.getUtteranceAudio());
+      }
+      
+      // Schedule language detection after collecting enough samples
+      this.scheduleLanguageDetection();
+    } else if (vad.inUtterance) {
+      // Continuing speech, including pauses shorter than the end-of-utterance silence
+      if (vad.isSpeaking) {
+        this.lastSpeechDetectedAt = now;
+      }
+      if (callId) {
+        this.addAudioToCollection(callId, audioChunk);
+      }
+      
+      // If we've been speaking for a while, do an interim transcription
+      if (callId && this.speakingStartedAt && 
+          (now - this.speakingStartedAt > VAD_CONFIG.MAX_AUDIO_COLLECTION)) {
+        this.transcribeCollectedAudio(callId, true);
       }
     }
     
     return {
       isSpeaking: this.isSpeaking,
+      // Voice in this chunk (bridging short gaps), not the whole utterance up to its endpoint
+      voiced: vad.isSpeaking,
       audioLevel: level,
+      noiseFloor: vad.noiseFloor,
       language: this.detectedLanguage,
       emotion: this.emotionalState,
       confidenceScore: this.languageConfidence,
@@ -211,14 +219,8 @@ class VoiceActivityDetectionService {
     }
     
     try {
-      // Create temporary audio file
-      const tempDir = path.join(__dirname, '../../temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFile = path.join(tempDir, `speech_${callId}_${Date.now()}.wav`);
-      fs.writeFileSync(tempFile, collection.buffer);
+      // Collected audio is 16 kHz PCM and goes to the provider straight from memory
+      const audioBuffer = collection.buffer;
       
       // If interim, we keep collecting but also send for transcription
       if (!isInterim) {
@@ -229,7 +231,7 @@ class VoiceActivityDetectionService {
       const sttProvider = this.getSTTProvider(callId);
       
       // Schedule transcription with the selected provider
-      this.scheduleTranscription(tempFile, callId, isInterim, sttProvider);
+      this.scheduleTranscription(audioBuffer, callId, isInterim, sttProvider);
       
     } catch (error) {
       console.error(`[VAD] Error processing audio for transcription: ${error.message}`);
@@ -239,41 +241,28 @@ class VoiceActivityDetectionService {
   
   /**
    * Schedule a transcription job with selected STT provider
-   * @param {string} audioFile - Path to audio file
+   * @param {Buffer} audioBuffer - 16 kHz 16-bit PCM audio
    * @param {string} callId - Call identifier
    * @param {boolean} isInterim - Whether this is an interim transcription
    * @param {string} provider - STT provider to use
    */
-  async scheduleTranscription(audioFile, callId, isInterim, provider = 'deepgram') {
+  async scheduleTranscription(audioBuffer, callId, isInterim, provider = 'deepgram') {
     try {
       console.log(`[VAD] Scheduling transcription for call ${callId} using provider: ${provider}`);
       
-      let transcriptionResult;
-      const audioBuffer = fs.readFileSync(audioFile);
-      
-      // Use the appropriate provider
-      if (provider === 'whisper' || provider === 'openai') {
-        // Use OpenAI Whisper
-        transcriptionResult = await openAiFmService.transcribeAudio(audioFile);
-      } else {
-        // Use the speechToTextService with selected provider
-        transcriptionResult = await speechToTextService.transcribe(audioBuffer, {
-          provider: provider,
-          language: this.detectedLanguage
-        });
-        
-        // Format result to match expected structure
-        if (typeof transcriptionResult === 'string') {
-          transcriptionResult = {
-            text: transcriptionResult,
-            language: this.detectedLanguage
-          };
-        }
-      }
+      // The registry fails over to the next healthy provider if this one errors
+      const transcriptionResult = await speechToTextService.transcribeDetailed(audioBuffer, {
+        provider: provider,
+        language: this.detectedLanguage,
+        callId
+      });
       
       // Process the transcription result
       if (transcriptionResult && (transcriptionResult.text || transcriptionResult.transcript)) {
         const text = transcriptionResult.text || transcriptionResult.transcript;
+        if (!isInterim) {
+          turnTracer.mark(callId, 'stt_final', { provider: transcriptionResult.provider || provider, transcript: text });
+        }
         const language = transcriptionResult.language || this.detectedLanguage;
         
         // Update language if detected
@@ -291,27 +280,14 @@ class VoiceActivityDetectionService {
           callback(text, this.detectedLanguage, isInterim);
         }
         
-        console.log(`[VAD] Transcription completed for call ${callId} using ${provider}: ${text.substring(0, 50)}...`);
-      }
-      
-      // Clean up temp file if needed
-      if (fs.existsSync(audioFile)) {
-        fs.unlinkSync(audioFile);
+        console.log(`[VAD] Transcription completed for call ${callId} using ${provider}: ${redactText(text).substring(0, 50)}...`);
+      } else if (!isInterim) {
+        turnTracer.cancelTurn(callId);
       }
       
     } catch (error) {
       console.error(`[VAD] Error with transcription using ${provider}: ${error.message}`);
-      
-      // If the selected provider fails, try falling back to OpenAI Whisper
-      if (provider !== 'whisper' && provider !== 'openai') {
-        console.log(`[VAD] Falling back to OpenAI Whisper for transcription`);
-        try {
-          await this.scheduleTranscription(audioFile, callId, isInterim, 'whisper');
-          return;
-        } catch (fallbackError) {
-          console.error(`[VAD] Fallback transcription also failed: ${fallbackError.message}`);
-        }
-      }
+      if (!isInterim) turnTracer.cancelTurn(callId);
     }
   }
   
@@ -358,18 +334,8 @@ class VoiceActivityDetectionService {
    * @returns {number} RMS level (0-1)
    */
   calculateAudioLevel(buffer) {
-    // Handle different audio formats (assumes 16-bit PCM)
-    const samples = new Int16Array(buffer.buffer);
-    
-    let sum = 0;
-    for (let i = 0; i < samples.length; i++) {
-      // Convert to float -1 to 1
-      const sample = samples[i] / 32768.0;
-      sum += sample * sample;
-    }
-    
-    const rms = Math.sqrt(sum / samples.length);
-    return rms;
+    // 16-bit little-endian PCM; reads honour the buffer's offset into its pool
+    return audioDsp.pcm16Rms(buffer);
   }
   
   /**
@@ -383,30 +349,17 @@ class VoiceActivityDetectionService {
         return;
       }
       
-      // This would typically use a standalone Whisper model or OpenAI Audio API
-      // For this implementation, we'll use the openAiFmService to detect language
-      // In production, you would send the audio to Whisper API directly
-      
-      const tempDir = path.join(__dirname, '../../temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFile = path.join(tempDir, `lang_detection_${Date.now()}.wav`);
-      fs.writeFileSync(tempFile, this.audioBuffer);
-      
-      // Use Whisper via openAiFmService for language detection
-      const result = await openAiFmService.detectLanguageFromAudio(tempFile);
-      
-      if (result && result.language) {
-        this.detectedLanguage = result.language;
-        this.languageConfidence = result.confidence || 0.7;
+      // Whisper transcription of the buffered PCM, classified by script
+      const result = await speechToTextService.transcribeDetailed(this.audioBuffer, {
+        provider: 'openai_whisper'
+      });
+      if (!result) {
+        return;
       }
+      const language = openAiFmService.classifyTranscriptLanguage(result.text);
       
-      // Clean up temp file
-      if (fs.existsSync(tempFile)) {
-        fs.unlinkSync(tempFile);
-      }
+      this.detectedLanguage = language.language;
+      this.languageConfidence = language.confidence;
       
       console.log(`[VAD] Detected language: ${this.detectedLanguage} (confidence: ${this.languageConfidence})`);
     } catch (error) {
@@ -460,8 +413,6 @@ class VoiceActivityDetectionService {
     
     // Clear callbacks
     this.transcriptionCallbacks.clear();
-    // Clear provider preferences
-    this.sttProviders.clear();
   }
 }
 
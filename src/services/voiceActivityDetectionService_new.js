@@ -9,24 +9,28 @@
  */
 
 const openAiFmService = require('./openAiFmService');
-const fs = require('fs');
-const path = require('path');
+const { speechToTextService } = require('./speechToText');
+const sttProviderRegistry = require('./sttProviderRegistry');
+const { redactText } = require('../utils/piiRedaction');
 const { PassThrough } = require('stream');
+const audioDsp = require('../utils/audioDsp');
+const vadCallRegistry = require('./vadCallRegistry');
+const turnTracer = require('./turnTracer');
 const axios = require('axios');
 const FormData = require('form-data');
 
-// Configuration
+// Engine for audio processed without a callId
+const SHARED_ENGINE_ID = 'shared';
+
+// Configuration (speech detection and end-of-utterance timing live in vadEngine.js)
 const VAD_CONFIG = {
-  // Minimum audio level to consider as speech
-  SPEECH_THRESHOLD: 0.02,
-  // Minimum duration (ms) of silence to consider speech ended
-  SILENCE_DURATION: 500,
   // Sample size for language identification
   LANGUAGE_SAMPLE_SIZE: 1000, // 1 second of audio
   // How often to check for language change (ms)
   LANGUAGE_CHECK_INTERVAL: 2000,
-  // Audio collection threshold for transcription (ms)
-  TRANSCRIPTION_THRESHOLD: 1500,
+  // Shortest utterance worth transcribing (ms); the VAD engine already rejects clicks,
+  // so short answers like "haan" or "yes" must get through
+  TRANSCRIPTION_THRESHOLD: 200,
   // Max audio duration to collect before forcing transcription (ms)
   MAX_AUDIO_COLLECTION: 10000
 };
@@ -60,67 +64,74 @@ class VoiceActivityDetectionService {
     this.audioBuffer = Buffer.concat([this.audioBuffer, audioChunk]);
     
     // Trim buffer if it gets too large
-    if (this.audioBuffer.length > sampleRate * 5) { // Keep max 5 seconds
-      this.audioBuffer = this.audioBuffer.slice(this.audioBuffer.length - sampleRate * 5);
+    if (this.audioBuffer.length > sampleRate * 2 * 5) { // Keep max 5 seconds of 16-bit samples
+      this.audioBuffer = this.audioBuffer.slice(this.audioBuffer.length - sampleRate * 2 * 5);
     }
     
-    // Basic VAD: Calculate audio level (RMS)
-    const level = this.calculateAudioLevel(audioChunk);
+    // Energy and spectral VAD with an adaptive noise floor and the call's endpointing
+    const engine = vadCallRegistry.getEngine(callId || SHARED_ENGINE_ID, { sampleRate });
+    const vad = engine.process(audioChunk);
+    const level = vad.audioLevel;
     const now = Date.now();
+    const speechEvent = vad.speechEvent;
     
-    // Check if audio level indicates speech
-    const speechDetected = level > VAD_CONFIG.SPEECH_THRESHOLD;
-    let speechEvent = null;
-    
-    // Speech state machine
-    if (speechDetected) {
-      if (!this.isSpeaking) {
-        // Speech just started
-        this.isSpeaking = true;
-        this.lastSpeechDetectedAt = now;
-        this.speakingStartedAt = now;
-        speechEvent = 'start';
-        
-        // Start collecting audio for transcription if we have a callId
-        if (callId) {
-          this.startAudioCollection(callId);
-        }
-        
-        // Schedule language detection after collecting enough samples
-        this.scheduleLanguageDetection();
-      } else {
-        // Continuing speech
-        this.lastSpeechDetectedAt = now;
-        
-        // If we've been speaking for a while, do an interim transcription
-        if (callId && this.speakingStartedAt && 
-            (now - this.speakingStartedAt > VAD_CONFIG.MAX_AUDIO_COLLECTION)) {
-          this.transcribeCollectedAudio(callId, true);
-        }
-      }
-    } else if (this.isSpeaking && (now - this.lastSpeechDetectedAt > VAD_CONFIG.SILENCE_DURATION)) {
-      // Silence detected for long enough, speech ended
+    // Speech state machine, driven by the engine's onset and end-of-utterance decisions
+    if (vad.utterance) {
       this.isSpeaking = false;
-      speechEvent = 'end';
       
-      // Process collected audio for transcription if we have a callId
-      if (callId && this.speakingStartedAt) {
-        const speechDuration = now - this.speakingStartedAt;
+      // Process the utterance (including pre-roll) for transcription if we have a callId
+      if (callId) {
+        if (!this.audioCollectionStreams.has(callId)) {
+          this.startAudioCollection(callId);
+        }
+        this.audioCollectionStreams.get(callId).buffer = vad.utterance.audio;
         
         // Only transcribe if speech was long enough
-        if (speechDuration > VAD_CONFIG.TRANSCRIPTION_THRESHOLD) {
+        if (vad.utterance.durationMs >= VAD_CONFIG.TRANSCRIPTION_THRESHOLD) {
+          // The customer's turn is traced from the end of their speech, before the trailing silence
+          turnTracer.startTurn(callId, { silenceMs: engine.endpointing.endSilenceMs });
           this.transcribeCollectedAudio(callId, false);
         } else {
           this.stopAudioCollection(callId);
         }
-        
-        this.speakingStartedAt = null;
+      }
+      this.speakingStartedAt = null;
+    } else if (speechEvent === 'start') {
+      // Speech just started
+      this.isSpeaking = true;
+      this.lastSpeechDetectedAt = now;
+      this.speakingStartedAt = now;
+      
+      // Start collecting audio for transcription, from the pre-roll, if we have a callId
+      if (callId) {
+        this.startAudioCollection(callId);
+        this.addAudioToCollection(callId, engine.getUtteranceAudio());
+      }
+      
+      // Schedule language detection after collecting enough samples
+      this.scheduleLanguageDetection();
+    } else if (vad.inUtterance) {
+      // Continuing speech, including pauses shorter than the end-of-utterance silence
+      if (vad.isSpeaking) {
+        this.lastSpeechDetectedAt = now;
+      }
+      if (callId) {
+        this.addAudioToCollection(callId, audioChunk);
+      }
+      
+      // If we've been speaking for a while, do an interim transcription
+      if (callId && this.speakingStartedAt && 
+          (now - this.speakingStartedAt > VAD_CONFIG.MAX_AUDIO_COLLECTION)) {
+        this.transcribeCollectedAudio(callId, true);
       }
     }
     
     return {
       isSpeaking: this.isSpeaking,
+      // Voice in this chunk (bridging short gaps), not the whole utterance up to its endpoint
+      voiced: vad.isSpeaking,
       audioLevel: level,
+      noiseFloor: vad.noiseFloor,
       language: this.detectedLanguage,
       emotion: this.emotionalState,
       confidenceScore: this.languageConfidence,
@@ -186,22 +197,16 @@ class VoiceActivityDetectionService {
     }
     
     try {
-      // Create temporary audio file
-      const tempDir = path.join(__dirname, '../../temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFile = path.join(tempDir, `speech_${callId}_${Date.now()}.wav`);
-      fs.writeFileSync(tempFile, collection.buffer);
+      // Collected audio is 16 kHz PCM and goes to the provider straight from memory
+      const audioBuffer = collection.buffer;
       
       // If interim, we keep collecting but also send for transcription
       if (!isInterim) {
         this.stopAudioCollection(callId);
       }
       
-      // Schedule transcription with OpenAI Whisper
-      this.scheduleWhisperTranscription(tempFile, callId, isInterim);
+      // Schedule transcription with the call's STT provider
+      this.scheduleTranscription(audioBuffer, callId, isInterim);
       
     } catch (error) {
       console.error(`[VAD] Error processing audio for transcription: ${error.message}`);
@@ -210,27 +215,34 @@ class VoiceActivityDetectionService {
   }
   
   /**
-   * Schedule a transcription job with Whisper
-   * @param {string} audioFile - Path to audio file
+   * Schedule a transcription job with the call's STT provider, failing over
+   * through the STT provider registry
+   * @param {Buffer} audioBuffer - 16 kHz 16-bit PCM audio
    * @param {string} callId - Call identifier
    * @param {boolean} isInterim - Whether this is an interim transcription
    */
-  async scheduleWhisperTranscription(audioFile, callId, isInterim) {
+  async scheduleTranscription(audioBuffer, callId, isInterim) {
     try {
-      console.log(`[VAD] Scheduling Whisper transcription for call ${callId}`);
+      const provider = sttProviderRegistry.getCallProvider(callId);
+      console.log(`[VAD] Scheduling ${provider} transcription for call ${callId}`);
       
-      // This would typically call the OpenAI Whisper API
-      // For now, we'll use the openAiFmService as a wrapper
-      const transcriptionResult = await openAiFmService.transcribeAudio(audioFile);
+      const transcriptionResult = await speechToTextService.transcribeDetailed(audioBuffer, {
+        provider,
+        language: this.detectedLanguage,
+        callId
+      });
       
       // Process the transcription result
       if (transcriptionResult && transcriptionResult.text) {
         const { text, language } = transcriptionResult;
+        if (!isInterim) {
+          turnTracer.mark(callId, 'stt_final', { provider: transcriptionResult.provider, transcript: text });
+        }
         
         // Update language if detected
         if (language) {
           this.detectedLanguage = language;
-          this.languageConfidence = 0.95; // Whisper is highly accurate
+          this.languageConfidence = transcriptionResult.confidence || 0.95;
         }
         
         // Add to speech history
@@ -242,16 +254,14 @@ class VoiceActivityDetectionService {
           callback(text, this.detectedLanguage, isInterim);
         }
         
-        console.log(`[VAD] Transcription completed for call ${callId}: ${text.substring(0, 50)}...`);
-      }
-      
-      // Clean up temp file if needed
-      if (fs.existsSync(audioFile)) {
-        fs.unlinkSync(audioFile);
+        console.log(`[VAD] Transcription completed for call ${callId}: ${redactText(text).substring(0, 50)}...`);
+      } else if (!isInterim) {
+        turnTracer.cancelTurn(callId);
       }
       
     } catch (error) {
-      console.error(`[VAD] Error with Whisper transcription: ${error.message}`);
+      console.error(`[VAD] Error with transcription for call ${callId}: ${error.message}`);
+      if (!isInterim) turnTracer.cancelTurn(callId);
     }
   }
   
@@ -298,18 +308,8 @@ class VoiceActivityDetectionService {
    * @returns {number} RMS level (0-1)
    */
   calculateAudioLevel(buffer) {
-    // Handle different audio formats (assumes 16-bit PCM)
-    const samples = new Int16Array(buffer.buffer);
-    
-    let sum = 0;
-    for (let i = 0; i < samples.length; i++) {
-      // Convert to float -1 to 1
-      const sample = samples[i] / 32768.0;
-      sum += sample * sample;
-    }
-    
-    const rms = Math.sqrt(sum / samples.length);
-    return rms;
+    // 16-bit little-endian PCM; reads honour the buffer's offset into its pool
+    return audioDsp.pcm16Rms(buffer);
   }
   
   /**
@@ -323,30 +323,17 @@ class VoiceActivityDetectionService {
         return;
       }
       
-      // This would typically use a standalone Whisper model or OpenAI Audio API
-      // For this implementation, we'll use the openAiFmService to detect language
-      // In production, you would send the audio to Whisper API directly
-      
-      const tempDir = path.join(__dirname, '../../temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFile = path.join(tempDir, `lang_detection_${Date.now()}.wav`);
-      fs.writeFileSync(tempFile, this.audioBuffer);
-      
-      // Use Whisper via openAiFmService for language detection
-      const result = await openAiFmService.detectLanguageFromAudio(tempFile);
-      
-      if (result && result.language) {
-        this.detectedLanguage = result.language;
-        this.languageConfidence = result.confidence || 0.7;
+      // Whisper transcription of the buffered PCM, classified by script
+      const result = await speechToTextService.transcribeDetailed(this.audioBuffer, {
+        provider: 'openai_whisper'
+      });
+      if (!result) {
+        return;
       }
+      const language = openAiFmService.classifyTranscriptLanguage(result.text);
       
-      // Clean up temp file
-      if (fs.existsSync(tempFile)) {
-        fs.unlinkSync(tempFile);
-      }
+      this.detectedLanguage = language.language;
+      this.languageConfidence = language.confidence;
       
       console.log(`[VAD] Detected language: ${this.detectedLanguage} (confidence: ${this.languageConfidence})`);
     } catch (error) {
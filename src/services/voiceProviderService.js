@@ -3,6 +3,8 @@ const openAiFmService = require('./openAiFmService');
 // Removed voiceCloneService import as it's no longer needed
 const rimeTtsService = require('./simpleRimeTtsService'); // Add Rime TTS service
 const enhancedTTSFallbackService = require('./enhancedTTSFallbackService'); // CRITICAL FIX
+const ttsProviderRegistry = require('./ttsProviderRegistry');
+const ttsPhraseCache = require('./ttsPhraseCache');
 const ultraFastResponseOptimizer = require('./ultraFastResponseOptimizer'); // CRITICAL FIX for telecaller behavior
 const { logger } = require('../utils/logger');
 const fs = require('fs');
@@ -151,114 +153,33 @@ const voiceProviderService = {
       }
         logger.info(`Generating speech with provider: ${voiceProvider}, voiceId: ${voiceId}, forceProvider: ${forceProvider}`);
       
-      // Enhanced timeout configuration per provider - CRITICAL FIX
-      const timeoutMs = enhancedTTSFallbackService.getTimeout(voiceProvider);
-      const startTime = Date.now();
-      
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error(`Speech generation timed out after ${timeoutMs}ms`)), timeoutMs)
-      );
-      
-      let result;
-        switch (voiceProvider) {
-        case 'openai_fm':
-        case 'chatgpt_tts': // Map chatgpt_tts to openai_fm
-          result = await Promise.race([
-            openAiFmService.generateSpeech(text, actualLanguage, voiceId),
-            timeoutPromise
-          ]);
-          return result;
+      // Cached phrases come from disk; otherwise the registry routes by language and
+      // live provider stats, failing over unless the provider is forced
+      try {
+        const result = await ttsPhraseCache.synthesize(text, {
+          provider: voiceProvider,
+          language: actualLanguage,
+          voiceId,
+          callId: options && options.callId,
+          fallback: !forceProvider
+        });
+        if (result.failedOver) {
+          logger.info(`Generated audio with fallback provider: ${result.provider}`);
+        }
+        return result.audio;
+      } catch (error) {
+        if (forceProvider) {
+          logger.warn(`Provider ${voiceProvider} failed and forceProvider is true. Not using fallbacks.`);
+          throw new Error(`Voice provider ${voiceProvider} failed and fallbacks are disabled: ${error.message}`);
+        }
         
-        // Removed clone_voice case as it's no longer needed
-            case 'elevenlabs':
-          result = await Promise.race([
-            elevenlabsService.generateSpeech(text, voiceId, { language: actualLanguage }),
-            timeoutPromise
-          ]);
-          return result;
-          case 'rime':
-        case 'rime_tts': // Add support for rime_tts mapping
-          result = await Promise.race([
-            rimeTtsService.generateSpeech(text, actualLanguage, { voiceId: voiceId }),
-            timeoutPromise
-          ]);
-          return result;
-          default: 
-          // Default to ElevenLabs if provider not specified or not recognized
-          logger.warn(`Unrecognized voice provider: ${voiceProvider}. Defaulting to ElevenLabs.`);
-          result = await Promise.race([
-            elevenlabsService.generateSpeech(text, voiceId, { language: actualLanguage }),
-            timeoutPromise
-          ]);      }
-      
-      // Track successful generation
-      const duration = Date.now() - startTime;
-      enhancedTTSFallbackService.updateStats(voiceProvider, true, duration);
-      
-      return result;
-      
+        // All providers failed, use enhanced fallback audio
+        logger.warn(`All voice providers failed (${error.message}), using enhanced fallback audio`);
+        return enhancedTTSFallbackService.getFallbackAudio();
+      }
     } catch (error) {
-      const duration = Date.now() - startTime;
       logger.error(`Error in voice provider service: ${error.message}`);
-      
-      // Track failure
-      enhancedTTSFallbackService.updateStats(voiceProvider, false, duration);
-      
-      // If forceProvider is true, don't use fallbacks - respect user's choice
-      if (typeof forceProvider !== 'undefined' && forceProvider) {
-        logger.warn(`Provider ${voiceProvider} failed and forceProvider is true. Not using fallbacks.`);
-        throw new Error(`Voice provider ${voiceProvider} failed and fallbacks are disabled: ${error.message}`);
-      }
-      
-      // Enhanced error handling with smart fallback selection
-      const fallbackResult = await enhancedTTSFallbackService.handleTTSError(error, voiceProvider, text, options);
-      
-      if (fallbackResult.shouldRetry && fallbackResult.nextProvider) {
-        logger.info(`Trying fallback provider: ${fallbackResult.nextProvider}`);
-        
-        try {
-          const fallbackTimeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error(`Fallback speech generation timed out`)), fallbackResult.timeout)
-          );
-            let fallbackAudioResult;
-          switch (fallbackResult.nextProvider) {
-            case 'openai_fm':
-            case 'chatgpt_tts':
-              fallbackAudioResult = await Promise.race([
-                openAiFmService.generateSpeech(text, actualLanguage, voiceId),
-                fallbackTimeoutPromise
-              ]);
-              break;
-            case 'elevenlabs':
-              fallbackAudioResult = await Promise.race([
-                elevenlabsService.generateSpeech(text, actualLanguage, voiceId),
-                fallbackTimeoutPromise
-              ]);
-              break;
-            case 'rime':
-            case 'rime_tts':
-              fallbackAudioResult = await Promise.race([
-                rimeTtsService.generateSpeech(text, actualLanguage, { voiceId: voiceId }),
-                fallbackTimeoutPromise
-              ]);
-              break;
-          }
-          
-          const fallbackDuration = Date.now() - startTime;
-          enhancedTTSFallbackService.updateStats(fallbackResult.nextProvider, true, fallbackDuration);
-          logger.info(`Successfully generated audio with fallback provider: ${fallbackResult.nextProvider}`);
-          
-          return fallbackAudioResult;
-          
-        } catch (fallbackError) {
-          logger.error(`Fallback provider ${fallbackResult.nextProvider} also failed: ${fallbackError.message}`);
-          enhancedTTSFallbackService.updateStats(fallbackResult.nextProvider, false, Date.now() - startTime);
-        }
-      }
-      
-      // All providers failed, use enhanced fallback audio
-      logger.warn(`All voice providers failed, using enhanced fallback audio`);
-      return fallbackResult.fallbackAudio || enhancedTTSFallbackService.getFallbackAudio();
+      throw error;
     }
   },
   
@@ -741,71 +662,24 @@ voiceProviderService.generateEmergencyAudio = (text) => {
 voiceProviderService.generateStreamingAudio = async (text, voiceProvider = 'elevenlabs', language = 'en-US', options = {}) => {
   try {    logger.info(`Generating streaming audio with provider: ${voiceProvider}, language: ${language}`);
     
-    // Increased timeout for streaming TTS generation
+    // Per-provider timeout for streaming TTS generation
     const timeoutDuration = options.timeout || 5000; // OPTIMIZED: 5 second timeout for faster conversation flow
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`Voice generation timeout after ${timeoutDuration}ms`)), timeoutDuration);
-    });
     
-    let audioStream;
-    
-    switch (voiceProvider.toLowerCase()) {
-      case 'openai_fm':
-        // Use OpenAI FM for streaming
-        audioStream = await Promise.race([
-          openAiFmService.generateStreamingAudio(text, language, options),
-          timeoutPromise
-        ]);
-        break;
-        
-      case 'elevenlabs':
-        // Use ElevenLabs for streaming
-        audioStream = await Promise.race([
-          elevenlabsService.generateStreamingAudio(text, language, options),
-          timeoutPromise
-        ]);
-        break;
-          case 'rime':
-      case 'rime_tts': // Add support for rime_tts mapping
-        // Use Rime TTS for streaming
-        audioStream = await Promise.race([
-          rimeTtsService.generateStreamingAudio(text, language, options),
-          timeoutPromise
-        ]);
-        break;
-        
-      default:
-        logger.warn(`Unrecognized streaming provider: ${voiceProvider}. Defaulting to ElevenLabs.`);
-        audioStream = await Promise.race([
-          elevenlabsService.generateStreamingAudio(text, language, options),
-          timeoutPromise
-        ]);
-        break;
+    const { stream, provider } = await ttsPhraseCache.stream(text, {
+      provider: voiceProvider,
+      language,
+      voiceId: options.voiceId || options.voice || null,
+      callId: options.callId,
+      timeoutMs: timeoutDuration
+    });
+    if (provider !== ttsProviderRegistry.normalizeName(voiceProvider)) {
+      logger.info(`Streaming audio with fallback provider: ${provider}`);
     }
     
-    return audioStream;
+    return stream;
   } catch (error) {
     logger.error(`Error generating streaming audio: ${error.message}`);
     
-    // Try fallback providers for streaming
-    if (voiceProvider !== 'elevenlabs') {
-      logger.info(`Attempting ElevenLabs fallback for streaming`);
-      try {
-        return await elevenlabsService.generateStreamingAudio(text, language, options);
-      } catch (fallbackError) {
-        logger.error(`ElevenLabs streaming fallback failed: ${fallbackError.message}`);
-      }
-    }
-    
-    if (voiceProvider !== 'openai_fm') {
-      logger.info(`Attempting OpenAI FM fallback for streaming`);
-      try {
-        return await openAiFmService.generateStreamingAudio(text, language, options);
-      } catch (fallbackError) {
-        logger.error(`OpenAI FM streaming fallback failed: ${fallbackError.message}`);
-      }
-    }
-    
     // If all streaming fails, generate a simple audio buffer
     logger.warn(`All streaming providers failed, generating silent audio buffer`);
     const silentBuffer = Buffer.alloc(8000); // 1 second of silence at 8kHz
@@ -815,7 +689,7 @@ voiceProviderService.generateStreamingAudio = async (text, voiceProvider = 'elev
 
 // Get all available voice providers
 voiceProviderService.getProviders = () => {
-  return ['openai_fm', 'elevenlabs', 'rime'];
+  return ttsProviderRegistry.getProviderOrder();
 };
 
 // Test a specific provider
@@ -2,8 +2,19 @@ const CallWorkflow = require('../models/CallWorkflow');
 const CallState = require('../models/CallState');
 const KnowledgeBase = require('../models/KnowledgeBase');
 const Call = require('../models/Call');
-const openaiService = require('./openaiService');
+const llmProviderRegistry = require('./llmProviderRegistry');
 const customerDataCollectionService = require('./customerDataCollectionService');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const workflowVersionService = require('./workflowVersionService');
+const intentClassifierService = require('./intentClassifierService');
+const keywordIntentClassifier = require('./keywordIntentClassifier');
+const humanTransferService = require('./humanTransferService');
+const slotFilling = require('./slotFilling');
+const { resolveStepEndpointing } = require('./vadEngine');
+const { resolveStepBargeIn } = require('./bargeInPolicy');
+const turnTracer = require('./turnTracer');
+const languages = require('../utils/languages');
+const { redactText } = require('../utils/piiRedaction');
 
 class WorkflowEngine {
   constructor() {
@@ -54,16 +65,20 @@ class WorkflowEngine {
   }
 
   /**
-   * Determine next data collection step based on what's already collected
+   * Next data collection step: the first step, in workflow order, with a required slot
+   * that is neither answered on this call nor already known for the customer
    */
-  getDataCollectionNextStep(collectedData) {
-    if (!collectedData.name) return 'collect_name';
-    if (!collectedData.age) return 'collect_age';
-    if (!collectedData.occupation) return 'collect_occupation';
-    if (!collectedData.monthlyIncome) return 'collect_income';
-    if (!collectedData.city) return 'collect_city';
-    if (!collectedData.email) return 'collect_email';
-    return 'application'; // All data collected, proceed to application
+  getDataCollectionNextStep(workflow, callState, collectedData = {}) {
+    const states = callState.getSlotStates();
+    const isOpen = (slot) => {
+      const known = collectedData[slot.field];
+      return slot.required
+        && !['filled', 'failed'].includes((states[slot.name] || {}).status)
+        && (known === undefined || known === null || known === '' || known === 'Unknown');
+    };
+    return [...workflow.steps]
+      .sort((a, b) => a.order - b.order)
+      .find(step => slotFilling.resolveStepSlots(step).some(isOpen)) || null;
   }
 
   /**
@@ -73,8 +88,19 @@ class WorkflowEngine {
     try {
       console.log(`Starting call flow for call ${callId} with workflow ${workflowId}`);
       
-      // Load the workflow
-      const workflow = await CallWorkflow.findById(workflowId);
+      // Load the workflow - pinned to the live published version unless testing a draft or a specific version
+      let workflow;
+      let workflowVersion = null;
+      if (initialData.useDraft) {
+        workflow = await CallWorkflow.findById(workflowId);
+      } else if (initialData.workflowVersion) {
+        workflowVersion = initialData.workflowVersion;
+        workflow = await workflowVersionService.getWorkflowForVersion(workflowId, workflowVersion);
+      } else {
+        const liveVersion = await workflowVersionService.getLiveVersion(workflowId);
+        workflowVersion = liveVersion ? liveVersion.version : null;
+        workflow = liveVersion && await workflowVersionService.getWorkflowForVersion(workflowId, workflowVersion);
+      }
       if (!workflow) {
         throw new Error(`Workflow ${workflowId} not found`);
       }
@@ -101,6 +127,7 @@ class WorkflowEngine {
         callId: callId,
         callRecord: initialData.callRecordId,
         workflowId: workflowId,
+        workflowVersion: workflowVersion,
         language: initialData.language || 'english',
         currentStep: {
           stepId: firstStep.id,
@@ -122,6 +149,8 @@ class WorkflowEngine {
       return {
         stepId: firstStep.id,
         stepType: firstStep.type,
+        endpointing: resolveStepEndpointing(firstStep),
+        bargeIn: resolveStepBargeIn(firstStep),
         content: content,
         language: callState.language,
         variables: Object.fromEntries(callState.variables),
@@ -134,12 +163,23 @@ class WorkflowEngine {
     }
   }
 
+  /**
+   * Load the workflow a call runs on: its pinned published version, or the draft
+   */
+  async loadWorkflowForCall(callState) {
+    const workflowId = callState.workflowId._id || callState.workflowId;
+    if (callState.workflowVersion) {
+      return workflowVersionService.getWorkflowForVersion(workflowId, callState.workflowVersion);
+    }
+    return CallWorkflow.findById(workflowId);
+  }
+
   /**
    * Process customer response and determine next step with data collection
    */
   async processCustomerResponse(callId, customerResponse, audioData = null) {
     try {
-      console.log(`Processing response for call ${callId}: "${customerResponse}"`);
+      console.log(`Processing response for call ${callId}: "${redactText(customerResponse)}"`);
       
       // Get current call state
       let callState = this.activeCallStates.get(callId) || 
@@ -152,10 +192,18 @@ class WorkflowEngine {
       // ALWAYS analyze customer response first to detect questions
       const analysis = await this.analyzeCustomerResponse(customerResponse, callState);
       
-      // Handle data collection steps ONLY if it's not a question
+      // Handle data collection steps ONLY if it's not a question. The classifier alone is not
+      // trusted here: an answer such as "my age is 28" is only a question when no slot value
+      // can be read from it and it is phrased as one
       const currentStepType = callState.currentStep.stepType;
-      if (this.isDataCollectionStep(currentStepType) && analysis.intent !== 'question') {
-        return await this.handleDataCollectionResponse(callState, customerResponse, currentStepType);
+      const workflow = await this.loadWorkflowForCall(callState);
+      const currentStep = workflow.steps.find(step => step.id === callState.currentStep.stepId);
+      if (this.isDataCollectionStep(currentStep)) {
+        const asksQuestion = analysis.intent === 'question'
+          && slotFilling.isQuestion(slotFilling.resolveStepSlots(currentStep), customerResponse);
+        if (!asksQuestion) {
+          return await this.handleDataCollectionResponse(callState, customerResponse, workflow, currentStep);
+        }
       }
       
       // Record the response
@@ -166,6 +214,7 @@ class WorkflowEngine {
         sentiment: analysis.sentiment,
         intent: analysis.intent,
         confidence: analysis.confidence,
+        classifier: analysis.classifier,
         audioUrl: audioData?.url
       });
 
@@ -196,6 +245,12 @@ class WorkflowEngine {
         nextStep = await this.determineNextStep(callState, analysis);
       }
 
+      // Hand over to a human agent instead when the workflow escalates here
+      const escalation = await this.checkEscalation(callState, nextStep, analysis);
+      if (escalation) {
+        return escalation;
+      }
+
       // Update call state
       if (nextStep) {
         callState.moveToNextStep(nextStep.stepId, customerResponse, nextStep.stepType, nextStep.stepName);
@@ -212,55 +267,97 @@ class WorkflowEngine {
   }
 
   /**
-   * Check if current step is a data collection step
+   * Check if a step collects slot values
    */
-  isDataCollectionStep(stepType) {
-    const dataCollectionSteps = [
-      'collect_name', 'collect_age', 'collect_occupation', 
-      'collect_income', 'collect_city', 'collect_email'
-    ];
-    return dataCollectionSteps.includes(stepType);
+  isDataCollectionStep(step) {
+    return slotFilling.resolveStepSlots(step).length > 0;
   }
 
   /**
-   * Handle customer response during data collection
+   * Handle customer response during data collection: fill the step's slots,
+   * read values back for confirmation, take corrections, ask for the rest of a
+   * spelled email or PAN, or ask again
    */
-  async handleDataCollectionResponse(callState, customerResponse, currentStepType) {
+  async handleDataCollectionResponse(callState, customerResponse, workflow, currentStep) {
     try {
-      console.log(`[DataCollection] Handling ${currentStepType}: "${customerResponse}"`);
-      
-      // Parse the customer information from response
-      const fieldName = currentStepType.replace('collect_', '');
-      const parsedData = customerDataCollectionService.parseCustomerInformation(customerResponse, fieldName);
-      
-      if (Object.keys(parsedData).length > 0) {
-        // Save the collected data
-        await customerDataCollectionService.collectBasicInformation(callState.callId, parsedData);
-        console.log(`[DataCollection] Saved ${fieldName}:`, parsedData);
+      console.log(`[DataCollection] Handling ${currentStep.type}: "${redactText(customerResponse)}"`);
+
+      const slots = slotFilling.resolveStepSlots(currentStep);
+      const previous = this.getPreviousSlot(workflow, callState, currentStep);
+      const turn = slotFilling.processSlotTurn(slots, callState.getSlotStates(), customerResponse, { previous });
+
+      // Store slot states; filled values go to the customer record and template variables
+      const definitions = new Map(slots.map(slot => [slot.name, { slot, stepId: currentStep.id }]));
+      if (previous) definitions.set(previous.slot.name, { slot: previous.slot, stepId: previous.state.stepId });
+      const dataCollected = {};
+      Object.entries(turn.updates).forEach(([name, state]) => {
+        const { slot, stepId } = definitions.get(name);
+        callState.setSlotState(name, stepId, { ...state, field: slot.field });
+        if (state.status === 'filled') {
+          dataCollected[slot.field] = state.value;
+          if (slot.variable) callState.variables.set(slot.variable, slotFilling.formatSlotValue(slot, state.value));
+        }
+      });
+
+      if (Object.keys(dataCollected).length > 0) {
+        try {
+          await customerDataCollectionService.collectBasicInformation(callState.callId, dataCollected);
+          console.log(`[DataCollection] Saved: ${Object.keys(dataCollected).join(', ')}`);
+        } catch (error) {
+          console.error('[DataCollection] Error saving collected data:', error.message);
+        }
       }
 
-      // Get collection progress to determine next step
       const progress = await customerDataCollectionService.getCollectionProgress(callState.callId);
-      const nextStepId = this.getDataCollectionNextStep(progress.customer || {});
-      
-      // Find the next step in workflow
-      const workflow = await CallWorkflow.findById(callState.workflowId);
-      const nextStep = workflow.steps.find(step => step.type === nextStepId) || 
-                      workflow.steps.find(step => step.type === 'application'); // Fallback
-      
-      if (!nextStep) {
-        throw new Error(`Next step ${nextStepId} not found in workflow`);
+      const language = callState.language;
+      const states = callState.getSlotStates();
+      let nextStep = currentStep;
+      let content;
+
+      if (turn.action === 'confirm') {
+        const confirming = slots.filter(slot => turn.confirming.includes(slot.name));
+        const values = confirming.map(slot => slotFilling.formatSlotValue(slot, states[slot.name].value));
+        content = slotFilling.getPrompt('confirm', confirming, language, slotFilling.joinValues(values, language));
+      } else if (turn.action === 'corrected') {
+        const corrected = definitions.get(turn.corrected).slot;
+        content = slotFilling.getPrompt('corrected', [corrected], language, slotFilling.formatSlotValue(corrected, states[corrected.name].value))
+          + await this.generateStepContent(workflow, currentStep, callState);
+      } else if (turn.action === 'spell') {
+        const spelling = slots.find(slot => slot.name === turn.spelling);
+        content = slotFilling.getSpellingPrompt(spelling, states[spelling.name].capture, language);
+      } else if (turn.action === 'retry') {
+        content = slotFilling.getPrompt(turn.denied ? 'denied' : 'retry', slots, language)
+          + await this.generateStepContent(workflow, currentStep, callState);
+      } else {
+        const fallbackId = currentStep.branchingLogic && currentStep.branchingLogic.default;
+        nextStep = this.getDataCollectionNextStep(workflow, callState, progress.customer || {})
+          || (fallbackId && workflow.steps.find(step => step.id === fallbackId))
+          || workflow.steps.find(step => step.type === 'application');
+        if (!nextStep) {
+          throw new Error(`No step found after data collection step ${currentStep.id}`);
+        }
+        content = await this.generateStepContent(workflow, nextStep, callState);
       }
 
-      const content = await this.generateStepContent(workflow, nextStep, callState);
-      
+      if (nextStep === currentStep) {
+        callState.currentStep.attemptCount = (callState.currentStep.attemptCount || 1) + 1;
+      } else {
+        callState.moveToNextStep(nextStep.id, customerResponse, nextStep.type, nextStep.name);
+      }
+      await callState.save();
+      this.activeCallStates.set(callState.callId, callState);
+
       return {
         stepId: nextStep.id,
         stepType: nextStep.type,
+        endpointing: resolveStepEndpointing(nextStep),
+        bargeIn: resolveStepBargeIn(nextStep),
         content: content,
         language: callState.language,
         variables: Object.fromEntries(callState.variables),
-        dataCollected: parsedData,
+        dataCollected,
+        slotAction: turn.action,
+        stayOnCurrentStep: nextStep === currentStep,
         collectionProgress: progress.progress
       };
 
@@ -270,6 +367,20 @@ class WorkflowEngine {
     }
   }
 
+  /**
+   * The slot filled last at an earlier step, which the customer may still correct
+   */
+  getPreviousSlot(workflow, callState, currentStep) {
+    const state = callState.slots
+      .filter(slot => slot.stepId !== currentStep.id && slot.status === 'filled')
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0];
+    if (!state) return null;
+
+    const step = workflow.steps.find(candidate => candidate.id === state.stepId);
+    const slot = slotFilling.resolveStepSlots(step).find(candidate => candidate.name === state.name);
+    return slot ? { slot, state: callState.getSlotStates()[state.name] } : null;
+  }
+
   /**
    * Initialize customer data collection
    */
@@ -294,14 +405,21 @@ class WorkflowEngine {
     try {
       console.log(`Handling objection: ${objectionText}`);
       
-      // Get a generic objection response
-      const response = await this.getGenericObjectionResponse(
-        this.getObjectionType(objectionText), 
-        callState.language
-      );
+      // Knowledge base answer (A/B variant aware), falling back to a generic objection response
+      const kbResponse = await knowledgeBaseService.handleObjection(objectionText, {
+        cardType: callState.variables.get('cardType') || 'general',
+        language: callState.language,
+        stepType: callState.currentStep.stepType,
+        callRecordId: callState.callRecord
+      });
+      const objectionType = analysis.objectionType || this.getObjectionType(objectionText);
+      const response = kbResponse.found
+        ? kbResponse.response
+        : await this.getGenericObjectionResponse(objectionType, callState.language);
+      callState.addObjection(objectionType, objectionText, response, kbResponse.found ? 'knowledge_base' : 'generic');
 
       // Use the standard workflow to determine next step
-      const workflow = await CallWorkflow.findById(callState.workflowId);
+      const workflow = await this.loadWorkflowForCall(callState);
       const nextStepType = this.getNextStepFromWorkflow('objection_handling', 'interested'); // After objection, assume interested
       
       if (!nextStepType) {
@@ -327,6 +445,8 @@ class WorkflowEngine {
       return {
         stepId: nextStep.id,
         stepType: nextStep.type,
+        endpointing: resolveStepEndpointing(nextStep),
+        bargeIn: resolveStepBargeIn(nextStep),
         content: `${response}\n\n${nextContent}`, // Objection response + next step
         language: callState.language,
         isObjectionResponse: true,
@@ -339,6 +459,54 @@ class WorkflowEngine {
     }
   }
 
+  /**
+   * Escalate to a human agent when the next step is one of the workflow's
+   * humanTransfer.triggerSteps, or when an objection brings the call to
+   * objectionConfig.maxObjectionsPerCall. Records the handoff and returns the step
+   * result that tells the caller to connect the transfer; null to carry on.
+   */
+  async checkEscalation(callState, nextStep, analysis) {
+    const workflow = await this.loadWorkflowForCall(callState);
+    const objectionConfig = workflow.objectionConfig || {};
+
+    let trigger = null;
+    let reason = null;
+    const triggerSteps = (workflow.humanTransfer && workflow.humanTransfer.triggerSteps) || [];
+    if (nextStep && nextStep.stepId && triggerSteps.some(ref => ref === nextStep.stepId || ref === nextStep.stepType)) {
+      trigger = 'workflow_step';
+      reason = `Reached escalation step ${nextStep.stepType}`;
+    } else if (analysis.intent === 'objection' && callState.objections.length >= (objectionConfig.maxObjectionsPerCall || 3)) {
+      trigger = 'repeated_objections';
+      reason = `${callState.objections.length} objections raised`;
+    }
+    if (!trigger) return null;
+
+    const config = humanTransferService.getTransferConfig(workflow);
+    if (!config.enabled || !callState.callRecord) {
+      console.log(`[Escalation] ${reason} on call ${callState.callId}, but it cannot be transferred`);
+      return null;
+    }
+
+    const handoff = await humanTransferService.requestTransfer(callState.callRecord, { trigger, reason, config, callState });
+    if (!handoff) return null;
+
+    callState.flags.escalationNeeded = true;
+    callState.outcome = { status: 'transferred', reason };
+    await callState.save();
+    this.activeCallStates.set(callState.callId, callState);
+
+    console.log(`🙋 Escalating call ${callState.callId} to a human agent: ${reason}`);
+    return {
+      stepId: callState.currentStep.stepId,
+      stepType: 'human_transfer',
+      content: humanTransferService.getTransferMessage(config, callState.language),
+      language: callState.language,
+      transferRequested: true,
+      handoffId: handoff._id,
+      callRecordId: callState.callRecord
+    };
+  }
+
   /**
    * Handle customer questions - STRICT: Only answer explicit questions, then immediately continue workflow
    */
@@ -355,7 +523,7 @@ class WorkflowEngine {
       let source = 'knowledge_base';
 
       if (kbAnswer) {
-        answer = kbAnswer.answer[callState.language];
+        answer = languages.getLocalizedText(kbAnswer.answer, callState.language);
       } else {
         // Use LLM for unknown questions - keep it brief
         answer = await this.getLLMAnswer(question, callState);
@@ -372,16 +540,18 @@ class WorkflowEngine {
       });
 
       // IMMEDIATELY continue with workflow after answering question
-      const workflow = await CallWorkflow.findById(callState.workflowId);
+      const workflow = await this.loadWorkflowForCall(callState);
       const currentStep = workflow.steps.find(step => step.id === callState.currentStep.stepId);
       
       // During data collection, stay on the same step after answering question
-      if (this.isDataCollectionStep(currentStep.type)) {
+      if (this.isDataCollectionStep(currentStep)) {
         console.log(`💡 Question answered during data collection, staying on: ${currentStep.type}`);
         const stepContent = await this.generateStepContent(workflow, currentStep, callState);
         return {
           stepId: currentStep.id,
           stepType: currentStep.type,
+          endpointing: resolveStepEndpointing(currentStep),
+          bargeIn: resolveStepBargeIn(currentStep),
           content: `${answer}\n\nNow, ${stepContent}`, // Answer + continue with data collection
           language: callState.language,
           isQuestionResponse: true,
@@ -408,6 +578,8 @@ class WorkflowEngine {
         return {
           stepId: currentStep.id,
           stepType: currentStep.type,
+          endpointing: resolveStepEndpointing(currentStep),
+          bargeIn: resolveStepBargeIn(currentStep),
           content: `${answer}\n\n${await this.generateStepContent(workflow, currentStep, callState)}`,
           language: callState.language,
           isQuestionResponse: true
@@ -425,7 +597,7 @@ class WorkflowEngine {
    */
   async determineNextStep(callState, analysis) {
     try {
-      const workflow = await CallWorkflow.findById(callState.workflowId);
+      const workflow = await this.loadWorkflowForCall(callState);
       const currentStep = workflow.steps.find(step => step.id === callState.currentStep.stepId);
       
       // If current step is not found (e.g., "completed"), workflow has ended
@@ -485,6 +657,8 @@ class WorkflowEngine {
       return {
         stepId: nextStep.id,
         stepType: nextStep.type,
+        endpointing: resolveStepEndpointing(nextStep),
+        bargeIn: resolveStepBargeIn(nextStep),
         content: content,
         language: callState.language,
         variables: Object.fromEntries(callState.variables)
@@ -502,7 +676,7 @@ class WorkflowEngine {
   async generateStepContent(workflow, step, callState) {
     try {
       const language = callState.language;
-      let template = step.template[language];
+      let template = languages.getLocalizedText(step.template, language);
       
       // Get all variables from call state (already includes workflow variables)
       const variables = Object.fromEntries(callState.variables);
@@ -517,7 +691,7 @@ class WorkflowEngine {
 
     } catch (error) {
       console.error('Error generating step content:', error);
-      return step.template[callState.language] || step.template.english;
+      return languages.getLocalizedText(step.template, callState.language);
     }
   }
 
@@ -537,7 +711,7 @@ class WorkflowEngine {
       callState.switchLanguage(newLanguage, 'customer_request');
       
       // Regenerate current step content in new language
-      const workflow = await CallWorkflow.findById(callState.workflowId);
+      const workflow = await this.loadWorkflowForCall(callState);
       const currentStep = workflow.steps.find(step => step.id === callState.currentStep.stepId);
       const content = await this.generateStepContent(workflow, currentStep, callState);
 
@@ -547,6 +721,8 @@ class WorkflowEngine {
       return {
         stepId: currentStep.id,
         stepType: currentStep.type,
+        endpointing: resolveStepEndpointing(currentStep),
+        bargeIn: resolveStepBargeIn(currentStep),
         content: content,
         language: newLanguage,
         languageChanged: true
@@ -564,72 +740,22 @@ class WorkflowEngine {
    */
   async analyzeCustomerResponse(response, callState) {
     try {
-      const lowerResponse = response.toLowerCase().trim();
       const currentStepType = callState.currentStep.stepType;
       
       console.log(`📊 ANALYZING: "${response}" at step "${currentStepType}"`);
       
-      // FLEXIBLE QUESTION/INFO REQUEST DETECTION - Answer queries and proceed to next step
-      const questionWords = ['what', 'how', 'when', 'where', 'why', 'which', 'who', 'can you', 'could you', 'will you', 'would you', 'is there', 'are there', 'do you', 'does it'];
-      const infoRequestWords = ['tell me', 'about', 'explain', 'details', 'more about', 'information', 'know about', 'learn about'];
-      const hasQuestionMark = response.includes('?');
-      const hasQuestionWord = questionWords.some(word => lowerResponse.includes(word));
-      const hasInfoRequest = infoRequestWords.some(phrase => lowerResponse.includes(phrase));
-      
-      // Treat as question/info request if: question mark OR question words OR info request words
-      if (hasQuestionMark || hasQuestionWord || hasInfoRequest) {
-        console.log('   ❓ QUESTION/INFO REQUEST detected - will answer then continue workflow');
-        return { intent: 'question', sentiment: 'neutral', confidence: 0.95 };
-      }
-      
-      // Universal "NO" detection - only way to stop the flow
-      const clearNoWords = ['not interested', 'no thanks', 'not now', 'cancel', 'stop', 'don\'t want', 'not need'];
-      const isExplicitNo = clearNoWords.some(phrase => lowerResponse.includes(phrase));
-      
-      if (isExplicitNo) {
-        console.log('   🛑 EXPLICIT NO detected - routing to closing');
-        return { intent: 'not_interested', sentiment: 'negative', confidence: 0.95 };
-      }
+      const classification = await intentClassifierService.classify(response, {
+        stepType: currentStepType,
+        language: callState.language
+      });
+      console.log(`   🧠 ${classification.classifier}: ${classification.intent} (${classification.confidence.toFixed(2)})`);
       
-      // Step-specific routing (simple and predictable) - NO QUESTION HANDLING, JUST PROCEED
-      switch (currentStepType) {
-        case 'greeting':
-          // ANY response moves to language check
-          console.log('   ✅ GREETING → Language Check');
-          return { intent: 'interested', sentiment: 'positive', confidence: 0.9 };
-          
-        case 'language_check':
-          // ANY response moves to benefits
-          console.log('   ✅ LANGUAGE → Benefits');
-          return { intent: 'proceed', sentiment: 'neutral', confidence: 0.9 };
-          
-        case 'benefits':
-          // Check for objections, otherwise move to details
-          const objectionWords = ['already have', 'have cards', 'expensive', 'costly', 'too many'];
-          const hasObjection = objectionWords.some(word => lowerResponse.includes(word));
-          
-          if (hasObjection) {
-            console.log('   ⚠️ OBJECTION detected - handling objection');
-            return { intent: 'objection', sentiment: 'negative', confidence: 0.9 };
-          }
-          
-          console.log('   ✅ BENEFITS → Collect Details');
-          return { intent: 'interested', sentiment: 'positive', confidence: 0.9 };
-          
-        case 'objection_handling':
-          // After objection handling, any response except clear "no" moves to details
-          console.log('   ✅ OBJECTION HANDLED → Collect Details');
-          return { intent: 'interested', sentiment: 'positive', confidence: 0.8 };
-          
-        case 'application':
-          // During details collection, any response moves to confirmation
-          console.log('   ✅ DETAILS COLLECTED → Confirmation');
-          return { intent: 'interested', sentiment: 'positive', confidence: 0.9 };
-          
-        default:
-          console.log('   ✅ DEFAULT → Move Forward');
-          return { intent: 'interested', sentiment: 'positive', confidence: 0.7 };
-      }
+      return {
+        ...this.resolveStepIntent(classification, currentStepType),
+        confidence: classification.confidence,
+        classifier: classification.classifier,
+        objectionType: classification.objectionType
+      };
 
     } catch (error) {
       console.error('Error analyzing customer response:', error);
@@ -637,31 +763,38 @@ class WorkflowEngine {
     }
   }
 
+  /**
+   * Map a classified intent onto what the current step can act on.
+   * Questions and explicit "no" apply everywhere; objections only at benefits;
+   * anything else moves the flow forward.
+   */
+  resolveStepIntent(classification, currentStepType) {
+    const { intent, sentiment } = classification;
+
+    if (intent === 'question' || intent === 'not_interested') {
+      return { intent, sentiment };
+    }
+    if (intent === 'objection' && currentStepType === 'benefits') {
+      return { intent, sentiment };
+    }
+    if (currentStepType === 'language_check') {
+      return { intent: 'proceed', sentiment: 'neutral' };
+    }
+    return { intent: 'interested', sentiment: 'positive' };
+  }
+
   /**
    * Detect if response contains objection
    */
   detectObjection(response) {
-    const objectionIndicators = [
-      'already have', 'don\'t need', 'not interested', 'expensive', 'costly', 
-      'high fee', 'no time', 'busy', 'later', 'charges', 'annual fee'
-    ];
-    return objectionIndicators.some(indicator => response.includes(indicator));
+    return keywordIntentClassifier.detectObjection(response);
   }
 
   /**
    * Get specific objection type
    */
   getObjectionType(response) {
-    if (response.includes('already have') || response.includes('have card')) {
-      return 'already_have_cards';
-    }
-    if (response.includes('expensive') || response.includes('costly') || response.includes('fee')) {
-      return 'high_fees';
-    }
-    if (response.includes('no time') || response.includes('busy') || response.includes('later')) {
-      return 'no_time';
-    }
-    return 'not_interested';
+    return keywordIntentClassifier.getObjectionType(response);
   }
 
   /**
@@ -691,25 +824,29 @@ class WorkflowEngine {
    */
   async findAnswerInKB(question, cardType, language) {
     try {
-      const entries = await KnowledgeBase.find({
-        cardType: { $in: [cardType, 'general'] },
-        isActive: true
-      });
-
-      // Calculate relevance scores
-      const scoredEntries = entries.map(entry => ({
-        entry,
-        score: entry.calculateRelevance(question, { cardType, language })
-      })).filter(item => item.score > 3) // Minimum relevance threshold
-        .sort((a, b) => b.score - a.score);
-
-      return scoredEntries.length > 0 ? scoredEntries[0].entry : null;
+      return await knowledgeBaseService.findAnswer(question, { cardType, language });
     } catch (error) {
       console.error('Error finding answer in KB:', error);
       return null;
     }
   }
 
+  /**
+   * Chat completion from the call's LLM provider, or the fallback when it fails, marked on
+   * the call's turn trace. The completion is not streamed, so its first token arrives with the rest of it.
+   */
+  async completeChat(callState, messages) {
+    const { result: response, provider } = await llmProviderRegistry.run(callState.callId, 'getChatCompletion', [
+      messages,
+      callState.callId,
+      callState.currentStep.stepType
+    ]);
+
+    turnTracer.mark(callState.callId, 'llm_first_token', { provider });
+    turnTracer.mark(callState.callId, 'llm_complete', { provider });
+    return response;
+  }
+
   /**
    * Get LLM response for objections
    */
@@ -718,14 +855,10 @@ class WorkflowEngine {
       const cardType = callState.variables.get('cardType') || 'credit card';
       const context = `Customer objection: "${objectionText}". Respond professionally to overcome this objection for ${cardType}. Keep response under 50 words and stay positive. You are a telecaller, not an assistant. Do not ask "How can I help you?" or similar assistant questions.`;
       
-      const response = await openaiService.getChatCompletion(
-        [
-          { role: 'system', content: 'You are Priya, a human telecaller from SBI Bank selling credit cards. Handle objections naturally and persuasively. Never act like an assistant or ask "How can I help you?" - you are calling to sell a specific credit card. Stay focused on the sales process and overcome objections to proceed with the application.' },
-          { role: 'user', content: context }
-        ],
-        callState.callId,
-        callState.currentStep.stepType
-      );
+      const response = await this.completeChat(callState, [
+        { role: 'system', content: 'You are Priya, a human telecaller from SBI Bank selling credit cards. Handle objections naturally and persuasively. Never act like an assistant or ask "How can I help you?" - you are calling to sell a specific credit card. Stay focused on the sales process and overcome objections to proceed with the application.' },
+        { role: 'user', content: context }
+      ]);
 
       // Additional validation to ensure no assistant behavior
       const validatedResponse = this.validateTelecallerResponse(response.content, callState.currentStep.stepType);
@@ -744,14 +877,10 @@ class WorkflowEngine {
       const cardType = callState.variables.get('cardType') || 'credit card';
       const context = `Customer question: "${question}". Provide accurate information about ${cardType}. Keep answer concise and helpful. You are a telecaller, not an assistant. Do not ask "How can I help you?" or similar assistant questions.`;
       
-      const response = await openaiService.getChatCompletion(
-        [
-          { role: 'system', content: 'You are Priya, a human telecaller from SBI Bank selling credit cards. Provide accurate, helpful information. Never act like an assistant or ask "How can I help you?" - you are calling to sell a specific credit card. Stay focused on the sales process.' },
-          { role: 'user', content: context }
-        ],
-        callState.callId,
-        callState.currentStep.stepType
-      );
+      const response = await this.completeChat(callState, [
+        { role: 'system', content: 'You are Priya, a human telecaller from SBI Bank selling credit cards. Provide accurate, helpful information. Never act like an assistant or ask "How can I help you?" - you are calling to sell a specific credit card. Stay focused on the sales process.' },
+        { role: 'user', content: context }
+      ]);
 
       // Additional validation to ensure no assistant behavior
       const validatedResponse = this.validateTelecallerResponse(response.content, callState.currentStep.stepType);
@@ -1,6 +1,7 @@
 const CallWorkflow = require('../models/CallWorkflow');
 const KnowledgeBase = require('../models/KnowledgeBase');
 const knowledgeBaseService = require('../services/knowledgeBaseService');
+const { STEP_TYPE_SLOTS } = require('./slotFilling');
 
 class WorkflowInitializer {
   /**
@@ -161,6 +162,7 @@ class WorkflowInitializer {
             id: 'collect_name',
             name: 'Collect Customer Name',
             type: 'collect_name',
+            slots: STEP_TYPE_SLOTS.collect_name,
             order: 5,
             template: {
               english: "Great! I'm happy to help you with the {{cardName}}. To proceed with your application, may I please have your full name?",
@@ -175,6 +177,7 @@ class WorkflowInitializer {
             id: 'collect_age',
             name: 'Collect Customer Age',
             type: 'collect_age',
+            slots: STEP_TYPE_SLOTS.collect_age,
             order: 6,
             template: {
               english: "Thank you, {{customerName}}. May I know your age for the application?",
@@ -188,7 +191,8 @@ class WorkflowInitializer {
           {
             id: 'collect_occupation',
             name: 'Collect Occupation',
-            type: 'collect_occupation', 
+            type: 'collect_occupation',
+            slots: STEP_TYPE_SLOTS.collect_occupation,
             order: 7,
             template: {
               english: "Perfect. Are you currently employed, self-employed, or have your own business?",
@@ -203,6 +207,7 @@ class WorkflowInitializer {
             id: 'collect_income',
             name: 'Collect Monthly Income',
             type: 'collect_income',
+            slots: STEP_TYPE_SLOTS.collect_income,
             order: 8,
             template: {
               english: "What is your approximate monthly income? Is it above 25,000, 50,000, or 1 lakh?",
@@ -217,6 +222,7 @@ class WorkflowInitializer {
             id: 'collect_city',
             name: 'Collect City',
             type: 'collect_city',
+            slots: STEP_TYPE_SLOTS.collect_city,
             order: 9,
             template: {
               english: "Which city do you currently live in?",
@@ -231,6 +237,7 @@ class WorkflowInitializer {
             id: 'collect_email',
             name: 'Collect Email Address',
             type: 'collect_email',
+            slots: STEP_TYPE_SLOTS.collect_email,
             order: 10,
             template: {
               english: "Lastly, may I have your email address for sending the application details?",
@@ -394,7 +401,7 @@ class WorkflowInitializer {
         throw new Error('SimplySave workflow must be created first');
       }
 
-      const primeWorkflowData = JSON.parse(JSON.stringify(simplySaveWorkflow.toObject()));
+      const primeWorkflowData = JSON.parse(JSON.stringify(simplySaveWorkflow.toObject({ flattenMaps: true })));
       delete primeWorkflowData._id;
       delete primeWorkflowData.createdAt;
       delete primeWorkflowData.updatedAt;
@@ -0,0 +1,281 @@
+const Call = require('../models/Call');
+const CallState = require('../models/CallState');
+const Customer = require('../models/Customer');
+const WorkflowTestSuite = require('../models/WorkflowTestSuite');
+const workflowEngine = require('./workflowEngine');
+const customerDataCollectionService = require('./customerDataCollectionService');
+
+// Customer fields that can be asserted through expectations.collectedFields
+const COLLECTED_FIELDS = ['name', 'age', 'occupation', 'monthlyIncome', 'city', 'email', 'panCard', 'pincode'];
+
+const DEFAULT_VARIABLES = { cardType: 'sbi_simplysave', agentName: 'Test Agent', bankName: 'SBI' };
+
+/**
+ * Workflow Test Runner
+ *
+ * Replays scripted customer conversations through workflowEngine without placing
+ * a call, then checks visited steps, collected fields, final outcome and agent
+ * output against each case's expectations.
+ */
+class WorkflowTestRunner {
+  /**
+   * Run every active suite of a workflow.
+   * target is 'draft' (default) or a published version number.
+   */
+  async runAllSuites(workflowId, target = 'draft') {
+    const suites = await WorkflowTestSuite.find({ workflowId, isActive: true }).sort({ createdAt: 1 });
+    const results = [];
+
+    for (const suite of suites) {
+      results.push(await this.runSuite(suite, target));
+    }
+
+    const passed = results.reduce((sum, result) => sum + result.passed, 0);
+    const failed = results.reduce((sum, result) => sum + result.failed, 0);
+
+    return {
+      workflowId,
+      target: String(target),
+      passed,
+      failed,
+      success: failed === 0,
+      suites: results
+    };
+  }
+
+  async runSuite(suite, target = 'draft') {
+    const startedAt = Date.now();
+    const cases = [];
+
+    for (const testCase of suite.cases) {
+      cases.push(await this.runCase(suite.workflowId, testCase, target));
+    }
+
+    const passed = cases.filter(result => result.passed).length;
+    const failed = cases.length - passed;
+
+    suite.lastRun = { runAt: new Date(), target: String(target), passed, failed };
+    await suite.save();
+
+    return {
+      suiteId: suite._id,
+      name: suite.name,
+      passed,
+      failed,
+      durationMs: Date.now() - startedAt,
+      cases
+    };
+  }
+
+  /**
+   * Replay one conversation in a throwaway call sandbox and evaluate its expectations
+   */
+  async runCase(workflowId, testCase, target = 'draft') {
+    const sandbox = await this.createSandbox(workflowId);
+    const callId = sandbox.call._id.toString();
+    const transcript = [];
+    const visitedSteps = [];
+    let callEnded = false;
+    let error = null;
+
+    try {
+      const startOptions = {
+        variables: { ...DEFAULT_VARIABLES, ...(testCase.variables || {}), customerNumber: sandbox.phoneNumber },
+        language: testCase.language || 'english',
+        callRecordId: sandbox.call._id
+      };
+      if (target === 'draft') {
+        startOptions.useDraft = true;
+      } else {
+        startOptions.workflowVersion = parseInt(target, 10);
+      }
+
+      const start = await workflowEngine.startCallFlow(callId, workflowId, startOptions);
+      visitedSteps.push({ stepId: start.stepId, stepType: start.stepType });
+      transcript.push({ speaker: 'agent', text: start.content, stepId: start.stepId });
+
+      for (const response of testCase.customerResponses) {
+        if (callEnded) break;
+        transcript.push({ speaker: 'customer', text: response });
+
+        const result = await workflowEngine.processCustomerResponse(callId, response);
+        if (!result) continue;
+
+        if (result.stepId) {
+          visitedSteps.push({ stepId: result.stepId, stepType: result.stepType });
+        }
+        transcript.push({ speaker: 'agent', text: result.content, stepId: result.stepId });
+        callEnded = !!(result.callEnded || result.completed);
+      }
+    } catch (caseError) {
+      error = caseError.message;
+    }
+
+    const collectedFields = await this.getCollectedFields(callId);
+    await this.destroySandbox(sandbox, callId);
+
+    const last = visitedSteps[visitedSteps.length - 1] || {};
+    const actual = {
+      stepSequence: visitedSteps,
+      collectedFields,
+      finalOutcome: {
+        stepId: last.stepId || null,
+        stepType: last.stepType || null,
+        status: callEnded ? 'completed' : 'in_progress'
+      }
+    };
+
+    const expectations = testCase.expectations || {};
+    const failures = [
+      ...this.checkStepSequence(expectations, visitedSteps),
+      ...this.checkCollectedFields(expectations, collectedFields),
+      ...this.checkFinalOutcome(expectations, actual.finalOutcome),
+      ...this.checkForbiddenPhrases(expectations, transcript)
+    ];
+    if (error) {
+      failures.unshift({ check: 'execution', message: `Conversation failed: ${error}` });
+    }
+
+    return {
+      name: testCase.name,
+      passed: failures.length === 0,
+      failures,
+      actual,
+      transcript
+    };
+  }
+
+  // A temporary Call gives customerDataCollectionService somewhere to store fields
+  async createSandbox(workflowId) {
+    const phoneNumber = `test_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    const call = await Call.create({
+      customerNumber: phoneNumber,
+      workflowId,
+      status: 'initiating',
+      outcome: 'in-progress'
+    });
+    return { call, phoneNumber };
+  }
+
+  async destroySandbox(sandbox, callId) {
+    workflowEngine.activeCallStates.delete(callId);
+    await Promise.all([
+      CallState.deleteOne({ callId }),
+      Call.deleteOne({ _id: sandbox.call._id }),
+      Customer.deleteOne({ phoneNumber: sandbox.phoneNumber })
+    ]);
+  }
+
+  async getCollectedFields(callId) {
+    const progress = await customerDataCollectionService.getCollectionProgress(callId);
+    const collected = {};
+    if (progress.customer) {
+      COLLECTED_FIELDS.forEach(field => {
+        const value = progress.customer[field];
+        if (value !== undefined && value !== null && value !== 'Unknown') {
+          collected[field] = value;
+        }
+      });
+    }
+    return collected;
+  }
+
+  checkStepSequence(expectations, visitedSteps) {
+    const expected = expectations.stepSequence || [];
+    if (expected.length === 0) return [];
+
+    const matches = (reference, step) => step && (step.stepId === reference || step.stepType === reference);
+    const actualIds = visitedSteps.map(step => step.stepId);
+    const mode = expectations.stepSequenceMode || 'exact';
+
+    if (mode === 'subsequence') {
+      let position = 0;
+      visitedSteps.forEach(step => {
+        if (position < expected.length && matches(expected[position], step)) position++;
+      });
+      if (position === expected.length) return [];
+      return [{
+        check: 'stepSequence',
+        message: `Step "${expected[position]}" was not visited in order`,
+        expected,
+        actual: actualIds
+      }];
+    }
+
+    const length = mode === 'prefix' ? expected.length : Math.max(expected.length, visitedSteps.length);
+    const mismatches = [];
+    for (let index = 0; index < length; index++) {
+      if (!matches(expected[index], visitedSteps[index])) {
+        mismatches.push({
+          index,
+          expected: expected[index] === undefined ? null : expected[index],
+          actual: visitedSteps[index] ? visitedSteps[index].stepId : null
+        });
+      }
+    }
+
+    if (mismatches.length === 0) return [];
+    return [{
+      check: 'stepSequence',
+      message: `Step sequence differs at position ${mismatches[0].index}`,
+      expected,
+      actual: actualIds,
+      diff: mismatches
+    }];
+  }
+
+  checkCollectedFields(expectations, collectedFields) {
+    const expected = expectations.collectedFields || {};
+    const diff = Object.entries(expected)
+      .filter(([field, value]) => String(collectedFields[field]).toLowerCase() !== String(value).toLowerCase())
+      .map(([field, value]) => ({
+        field,
+        expected: value,
+        actual: collectedFields[field] === undefined ? null : collectedFields[field]
+      }));
+
+    if (diff.length === 0) return [];
+    return [{
+      check: 'collectedFields',
+      message: `${diff.length} collected field(s) differ`,
+      diff
+    }];
+  }
+
+  checkFinalOutcome(expectations, finalOutcome) {
+    const expected = expectations.finalOutcome;
+    if (!expected) return [];
+    if ([finalOutcome.stepId, finalOutcome.stepType, finalOutcome.status].includes(expected)) return [];
+
+    return [{
+      check: 'finalOutcome',
+      message: `Expected final outcome "${expected}"`,
+      expected,
+      actual: finalOutcome
+    }];
+  }
+
+  checkForbiddenPhrases(expectations, transcript) {
+    const phrases = expectations.forbiddenPhrases || [];
+    const violations = [];
+
+    transcript.forEach((turn, index) => {
+      if (turn.speaker !== 'agent' || !turn.text) return;
+      const text = turn.text.toLowerCase();
+      phrases.forEach(phrase => {
+        if (text.includes(phrase.toLowerCase())) {
+          violations.push({ phrase, turn: index, stepId: turn.stepId, text: turn.text });
+        }
+      });
+    });
+
+    if (violations.length === 0) return [];
+    return [{
+      check: 'forbiddenPhrases',
+      message: `Agent said ${violations.length} forbidden phrase(s)`,
+      diff: violations
+    }];
+  }
+}
+
+module.exports = new WorkflowTestRunner();
@@ -0,0 +1,254 @@
+/**
+ * Workflow Validator
+ *
+ * Builds the step graph of a CallWorkflow from steps[].branchingLogic,
+ * steps[].expectedResponses[].nextStep (and legacy steps[].responses[].nextStep)
+ * plus the flowStructure defaults, then reports structural problems.
+ */
+
+// Steps of these types end the call, so they count as a closing path
+const CLOSING_STEP_TYPES = ['closing', 'confirmation', 'confirmation_closing', 'not_interested_closing'];
+
+const SEVERITY = {
+  duplicate_step_id: 'error',
+  missing_entry_step: 'error',
+  missing_target: 'error',
+  dead_end: 'error',
+  cycle_without_exit: 'error',
+  no_closing_path: 'error',
+  unreachable_step: 'warning',
+  missing_flow_target: 'warning'
+};
+
+class WorkflowValidator {
+  /**
+   * Validate a workflow document (or plain object) and return a structured report
+   */
+  validate(workflow) {
+    const steps = (workflow.steps || []).map(step => (step.toObject ? step.toObject() : step));
+    const flowStructure = this.toPlainObject(workflow.flowStructure);
+    const issues = [];
+    const addIssue = (code, stepId, message, details = {}) => {
+      issues.push({ severity: SEVERITY[code], code, stepId, message, ...details });
+    };
+
+    // Index steps by id, and by type for references that use a step type (as workflowEngine does)
+    const stepsById = new Map();
+    const stepsByType = new Map();
+    [...steps].sort((a, b) => (a.order || 0) - (b.order || 0)).forEach(step => {
+      if (stepsById.has(step.id)) {
+        addIssue('duplicate_step_id', step.id, `Step id "${step.id}" is used more than once`);
+        return;
+      }
+      stepsById.set(step.id, step);
+      if (!stepsByType.has(step.type)) {
+        stepsByType.set(step.type, step);
+      }
+    });
+
+    const resolve = (reference) => stepsById.get(reference) || stepsByType.get(reference) || null;
+
+    // Build edges
+    const edges = [];
+    const adjacency = new Map();
+    stepsById.forEach((step, stepId) => {
+      const targets = new Set();
+      const addEdge = (reference, via) => {
+        if (reference === null || reference === undefined || reference === '') return;
+        const target = resolve(reference);
+        if (!target) {
+          addIssue('missing_target', stepId, `"${via}" points at "${reference}", which is not a step in this workflow`, { via, target: reference });
+          return;
+        }
+        edges.push({ from: stepId, to: target.id, via });
+        targets.add(target.id);
+      };
+
+      Object.entries(this.toPlainObject(step.branchingLogic)).forEach(([intent, reference]) => {
+        addEdge(reference, `branchingLogic.${intent}`);
+      });
+      (step.expectedResponses || []).forEach((response, index) => {
+        addEdge(response.nextStep, `expectedResponses[${index}].nextStep`);
+      });
+      (step.responses || []).forEach((response, index) => {
+        addEdge(response.nextStep, `responses[${index}].nextStep`);
+      });
+
+      // flowStructure only applies when the step declares no transitions of its own
+      const flowDefault = flowStructure[step.type];
+      if (targets.size === 0 && !this.isClosingStep(step) && flowDefault && flowDefault.nextStep) {
+        const target = resolve(flowDefault.nextStep);
+        if (target) {
+          edges.push({ from: stepId, to: target.id, via: `flowStructure.${step.type}.nextStep` });
+          targets.add(target.id);
+        } else {
+          addIssue('missing_flow_target', stepId, `flowStructure.${step.type}.nextStep points at "${flowDefault.nextStep}", which is not a step in this workflow`, { target: flowDefault.nextStep });
+        }
+      }
+
+      adjacency.set(stepId, targets);
+    });
+
+    // Reachability from the entry step
+    const entryStep = stepsByType.get('greeting') || null;
+    const reachable = new Set();
+    if (entryStep) {
+      const queue = [entryStep.id];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (reachable.has(current)) continue;
+        reachable.add(current);
+        adjacency.get(current).forEach(next => queue.push(next));
+      }
+
+      stepsById.forEach((step, stepId) => {
+        if (!reachable.has(stepId)) {
+          addIssue('unreachable_step', stepId, `Step "${stepId}" cannot be reached from the greeting step`);
+        }
+      });
+    } else if (stepsById.size > 0) {
+      addIssue('missing_entry_step', null, 'Workflow has no greeting step to start from');
+    }
+
+    // Steps from which some closing step can be reached
+    const closingIds = [...stepsById.values()].filter(step => this.isClosingStep(step)).map(step => step.id);
+    const canClose = this.reverseReachable(closingIds, adjacency);
+    const flagged = new Set();
+
+    stepsById.forEach((step, stepId) => {
+      if (!this.isClosingStep(step) && adjacency.get(stepId).size === 0) {
+        addIssue('dead_end', stepId, `Step "${stepId}" has no next step and is not a closing step`);
+        flagged.add(stepId);
+      }
+    });
+
+    this.findStronglyConnectedComponents(adjacency).forEach(component => {
+      const isCycle = component.length > 1 || adjacency.get(component[0]).has(component[0]);
+      if (!isCycle) return;
+
+      const members = new Set(component);
+      const hasExit = component.some(stepId =>
+        this.isClosingStep(stepsById.get(stepId)) ||
+        [...adjacency.get(stepId)].some(next => !members.has(next))
+      );
+
+      if (!hasExit) {
+        addIssue('cycle_without_exit', component[0], `Steps ${component.map(id => `"${id}"`).join(' -> ')} loop with no way out`, { cycle: component });
+        component.forEach(stepId => flagged.add(stepId));
+      }
+    });
+
+    stepsById.forEach((step, stepId) => {
+      if (!canClose.has(stepId) && !flagged.has(stepId)) {
+        addIssue('no_closing_path', stepId, `No closing step can be reached from "${stepId}"`);
+      }
+    });
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+
+    return {
+      valid: errors.length === 0,
+      entryStep: entryStep ? entryStep.id : null,
+      stats: {
+        steps: stepsById.size,
+        edges: edges.length,
+        closingSteps: closingIds.length,
+        reachableSteps: reachable.size
+      },
+      errors,
+      warnings,
+      graph: {
+        nodes: [...stepsById.values()].map(step => ({
+          id: step.id,
+          type: step.type,
+          name: step.name,
+          closing: this.isClosingStep(step),
+          reachable: reachable.has(step.id)
+        })),
+        edges
+      }
+    };
+  }
+
+  isClosingStep(step) {
+    return CLOSING_STEP_TYPES.includes(step.type);
+  }
+
+  toPlainObject(value) {
+    if (!value) return {};
+    if (value instanceof Map) return Object.fromEntries(value);
+    return value.toObject ? value.toObject() : value;
+  }
+
+  /**
+   * All nodes that can reach one of the given targets
+   */
+  reverseReachable(targets, adjacency) {
+    const reverse = new Map();
+    adjacency.forEach((nexts, from) => {
+      nexts.forEach(to => {
+        if (!reverse.has(to)) reverse.set(to, []);
+        reverse.get(to).push(from);
+      });
+    });
+
+    const visited = new Set();
+    const stack = [...targets];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (visited.has(current)) continue;
+      visited.add(current);
+      (reverse.get(current) || []).forEach(prev => stack.push(prev));
+    }
+    return visited;
+  }
+
+  /**
+   * Tarjan's algorithm; returns components as arrays of step ids
+   */
+  findStronglyConnectedComponents(adjacency) {
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+
+    const strongConnect = (node) => {
+      indices.set(node, index);
+      lowLinks.set(node, index);
+      index++;
+      stack.push(node);
+      onStack.add(node);
+
+      adjacency.get(node).forEach(next => {
+        if (!indices.has(next)) {
+          strongConnect(next);
+          lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+        } else if (onStack.has(next)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(next)));
+        }
+      });
+
+      if (lowLinks.get(node) === indices.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component.reverse());
+      }
+    };
+
+    adjacency.forEach((_, node) => {
+      if (!indices.has(node)) strongConnect(node);
+    });
+
+    return components;
+  }
+}
+
+module.exports = new WorkflowValidator();
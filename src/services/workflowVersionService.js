@@ -0,0 +1,262 @@
+const CallWorkflow = require('../models/CallWorkflow');
+const WorkflowVersion = require('../models/WorkflowVersion');
+const workflowValidator = require('./workflowValidator');
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Workflow fields captured in a published snapshot
+const SNAPSHOT_FIELDS = [
+  'name', 'description', 'industry', 'version',
+  'steps', 'flowStructure', 'cardConfigurations', 'objectionConfig', 'humanTransfer'
+];
+
+class WorkflowVersionService {
+  constructor() {
+    this.versionCache = new Map(); // Published versions never change, so they can be cached forever
+  }
+
+  /**
+   * Pick the snapshot fields from a workflow document as plain JSON
+   */
+  createSnapshot(workflow) {
+    const source = workflow.toObject ? workflow.toObject({ flattenMaps: true }) : workflow;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (source[field] !== undefined) {
+        snapshot[field] = source[field];
+      }
+    });
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Publish the current draft as the next immutable version.
+   * Returns { version } or { validation } when the draft fails graph validation.
+   */
+  async publish(workflowId, options = {}) {
+    const workflow = await CallWorkflow.findById(workflowId);
+    if (!workflow) return null;
+
+    if (!options.skipValidation) {
+      const validation = workflowValidator.validate(workflow);
+      if (!validation.valid) {
+        return { validation };
+      }
+    }
+
+    const version = await this.createVersion(workflow, this.createSnapshot(workflow), options);
+    return { version };
+  }
+
+  /**
+   * Republish an earlier version as the newest version and reset the draft to it
+   */
+  async rollback(workflowId, targetVersion, options = {}) {
+    const workflow = await CallWorkflow.findById(workflowId);
+    if (!workflow) return null;
+
+    const target = await this.getVersion(workflowId, targetVersion);
+    if (!target) return { version: null };
+
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (target.snapshot[field] !== undefined) {
+        workflow.set(field, target.snapshot[field]);
+      }
+    });
+
+    const version = await this.createVersion(workflow, target.snapshot, {
+      ...options,
+      notes: options.notes || `Rollback to version ${target.version}`,
+      rolledBackFrom: target.version
+    });
+    // Save the draft reset to the target version
+    await workflow.save();
+    return { version };
+  }
+
+  /**
+   * Write the next version number for a workflow. The (workflowId, version) index is
+   * unique, so when a concurrent publish takes the number first it is worked out
+   * again, up to MAX_VERSION_ATTEMPTS times. With options.initial only version 1 is
+   * written, and the duplicate key error is passed on when it already exists.
+   */
+  async createVersion(workflow, snapshot, options = {}) {
+    let version;
+    for (let attempt = 1; !version; attempt++) {
+      const latest = options.initial ? null : await WorkflowVersion.findOne({ workflowId: workflow._id }).sort({ version: -1 });
+      try {
+        version = await WorkflowVersion.create({
+          workflowId: workflow._id,
+          version: latest ? latest.version + 1 : 1,
+          label: snapshot.version,
+          snapshot,
+          notes: options.notes,
+          publishedBy: options.publishedBy,
+          rolledBackFrom: options.rolledBackFrom
+        });
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY || options.initial || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+      }
+    }
+
+    // Only move publishedVersion forward: a slower concurrent publish must not take it back
+    await CallWorkflow.updateOne(
+      { _id: workflow._id, $or: [{ publishedVersion: null }, { publishedVersion: { $lt: version.version } }] },
+      { $set: { publishedVersion: version.version, publishedAt: version.publishedAt, hasUnpublishedChanges: false } }
+    );
+    workflow.publishedVersion = version.version;
+    workflow.publishedAt = version.publishedAt;
+    workflow.hasUnpublishedChanges = false;
+
+    console.log(`[WorkflowVersion] Published ${workflow.name} v${version.version}`);
+    return version;
+  }
+
+  /**
+   * Version a new call should be pinned to. Workflows created before versioning
+   * existed are published as-is on first use, once their draft passes validation;
+   * when several calls start at once the first to publish wins and the others use
+   * its version.
+   */
+  async getLiveVersion(workflowId) {
+    const workflow = await CallWorkflow.findById(workflowId);
+    if (!workflow) return null;
+
+    if (workflow.publishedVersion) {
+      return this.getVersion(workflowId, workflow.publishedVersion);
+    }
+
+    const validation = workflowValidator.validate(workflow);
+    if (!validation.valid) {
+      throw new Error(`${workflow.name} has no published version and its draft fails validation: ${validation.errors.map(error => error.message).join('; ')}`);
+    }
+
+    console.log(`[WorkflowVersion] ${workflow.name} has no published version, publishing current content`);
+    try {
+      return await this.createVersion(workflow, this.createSnapshot(workflow), {
+        notes: 'Initial version (auto-published on first call)',
+        initial: true
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return this.getVersion(workflowId, 1);
+    }
+  }
+
+  async getVersion(workflowId, versionNumber) {
+    const cacheKey = `${workflowId}:${versionNumber}`;
+    if (this.versionCache.has(cacheKey)) {
+      return this.versionCache.get(cacheKey);
+    }
+
+    const version = await WorkflowVersion.findOne({ workflowId, version: versionNumber }).lean();
+    if (version) {
+      this.versionCache.set(cacheKey, version);
+    }
+    return version;
+  }
+
+  async listVersions(workflowId) {
+    return WorkflowVersion.find({ workflowId })
+      .select('-snapshot')
+      .sort({ version: -1 });
+  }
+
+  /**
+   * Workflow-shaped object for a pinned version, usable wherever a CallWorkflow is
+   */
+  async getWorkflowForVersion(workflowId, versionNumber) {
+    const version = await this.getVersion(workflowId, versionNumber);
+    if (!version) return null;
+
+    return {
+      _id: version.workflowId,
+      ...version.snapshot,
+      publishedVersion: version.version
+    };
+  }
+
+  /**
+   * Snapshot for a version number, or the current draft when version is 'draft'
+   */
+  async getSnapshot(workflowId, version) {
+    if (version === 'draft') {
+      const workflow = await CallWorkflow.findById(workflowId);
+      return workflow ? this.createSnapshot(workflow) : null;
+    }
+
+    const found = await this.getVersion(workflowId, parseInt(version, 10));
+    return found ? found.snapshot : null;
+  }
+
+  /**
+   * Diff two snapshots: steps are matched by id, other fields compared structurally
+   */
+  diffSnapshots(before, after) {
+    const beforeSteps = new Map((before.steps || []).map(step => [step.id, step]));
+    const afterSteps = new Map((after.steps || []).map(step => [step.id, step]));
+
+    const steps = { added: [], removed: [], changed: [] };
+    afterSteps.forEach((step, stepId) => {
+      if (!beforeSteps.has(stepId)) {
+        steps.added.push({ id: stepId, name: step.name, type: step.type });
+      }
+    });
+    beforeSteps.forEach((step, stepId) => {
+      if (!afterSteps.has(stepId)) {
+        steps.removed.push({ id: stepId, name: step.name, type: step.type });
+        return;
+      }
+      const changes = this.diffValues(this.stripIds(step), this.stripIds(afterSteps.get(stepId)));
+      if (changes.length > 0) {
+        steps.changed.push({ id: stepId, name: afterSteps.get(stepId).name, changes });
+      }
+    });
+
+    const fields = [];
+    SNAPSHOT_FIELDS.filter(field => field !== 'steps').forEach(field => {
+      this.diffValues(this.stripIds(before[field]), this.stripIds(after[field]), field)
+        .forEach(change => fields.push(change));
+    });
+
+    return {
+      identical: steps.added.length + steps.removed.length + steps.changed.length + fields.length === 0,
+      steps,
+      fields
+    };
+  }
+
+  diffValues(before, after, path = '') {
+    const isObject = (value) => value !== null && typeof value === 'object';
+
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      const changes = [];
+      keys.forEach(key => {
+        const childPath = path ? `${path}.${key}` : key;
+        changes.push(...this.diffValues(before[key], after[key], childPath));
+      });
+      return changes;
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    return [{ path, before: before === undefined ? null : before, after: after === undefined ? null : after }];
+  }
+
+  // Subdocument _ids change on every save and carry no meaning for a diff
+  stripIds(value) {
+    if (Array.isArray(value)) return value.map(item => this.stripIds(item));
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.entries(value).forEach(([key, child]) => {
+        if (key !== '_id') result[key] = this.stripIds(child);
+      });
+      return result;
+    }
+    return value;
+  }
+}
+
+module.exports = new WorkflowVersionService();
@@ -11,6 +11,8 @@
 
 const { EventEmitter } = require('events');
 const { Readable, Transform } = require('stream');
+const { VadEngine } = require('./vadEngine');
+const audioDsp = require('../utils/audioDsp');
 
 class ZeroLatencyAudioProcessor extends EventEmitter {
   constructor(callId, options = {}) {
@@ -21,7 +23,7 @@ class ZeroLatencyAudioProcessor extends EventEmitter {
       // Ultra-low latency targets (human-like timing)
       responseInitiationTarget: 50,  // Start responding within 50ms
       firstAudioChunkTarget: 100,   // First audio chunk within 100ms
-      vadSensitivity: 0.01,         // Very sensitive voice detection
+      sampleRate: 16000,            // PCM16 input
       silenceThreshold: 200,        // 200ms silence = user finished
       interruptionGrace: 150,       // Allow 150ms for natural pauses
       streamingChunkSize: 512,      // Small chunks for minimal buffering
@@ -77,36 +79,43 @@ class ZeroLatencyAudioProcessor extends EventEmitter {
   }
   
   /**
-   * Ultra-sensitive voice activity detection for instant response
+   * Voice activity detection for instant response: energy and spectral VAD with an
+   * adaptive noise floor, so line noise does not count as the user speaking
    */
   _setupInstantVAD() {
+    this.vadEngine = new VadEngine({
+      callId: this.callId,
+      sampleRate: this.config.sampleRate,
+      endpointing: {
+        endSilenceMs: this.config.silenceThreshold,
+        hangoverMs: this.config.interruptionGrace
+      }
+    });
+    
+    this.vadEngine.on('speechStart', () => {
+      const timestamp = Date.now();
+      this.userSpeaking = true;
+      this.lastUserActivity = timestamp;
+      
+      // Immediately stop AI if speaking
+      if (this.aiSpeaking) {
+        this._immediateInterrupt();
+      }
+      
+      this.emit('userStartedSpeaking', { timestamp, audioLevel: this.vadEngine.lastFeatures.rms });
+    });
+    
+    this.vadEngine.on('speechEnd', () => {
+      this.lastAudioChunk = Date.now();
+      this._handleUserFinishedSpeaking(this.lastAudioChunk);
+    });
+    
     this.vadProcessor = new Transform({
       transform: (chunk, encoding, callback) => {
-        const audioLevel = this._calculateAudioLevel(chunk);
-        const timestamp = Date.now();
-        
-        // Instant voice detection
-        if (audioLevel > this.config.vadSensitivity) {
-          if (!this.userSpeaking) {
-            this.userSpeaking = true;
-            this.lastUserActivity = timestamp;
-            
-            // Immediately stop AI if speaking
-            if (this.aiSpeaking) {
-              this._immediateInterrupt();
-            }
-            
-            this.emit('userStartedSpeaking', { timestamp, audioLevel });
-          }
-          this.lastAudioChunk = timestamp;
-        } else {
-          // Check for end of speech (silence detection)
-          if (this.userSpeaking && 
-              (timestamp - this.lastAudioChunk) > this.config.silenceThreshold) {
-            this._handleUserFinishedSpeaking(timestamp);
-          }
+        const vad = this.vadEngine.process(chunk);
+        if (vad.isSpeaking) {
+          this.lastAudioChunk = Date.now();
         }
-        
         callback(null, chunk);
       }
     });
@@ -381,18 +390,10 @@ class ZeroLatencyAudioProcessor extends EventEmitter {
   }
   
   /**
-   * Calculate audio level for voice activity detection
+   * Calculate audio level for voice activity detection (RMS, 0-1)
    */
   _calculateAudioLevel(audioBuffer) {
-    if (!audioBuffer || audioBuffer.length === 0) return 0;
-    
-    let sum = 0;
-    for (let i = 0; i < audioBuffer.length; i += 2) {
-      const sample = audioBuffer.readInt16LE(i);
-      sum += Math.abs(sample);
-    }
-    
-    return sum / (audioBuffer.length / 2) / 32768; // Normalize to 0-1
+    return audioDsp.pcm16Rms(audioBuffer);
   }
   
   /**
@@ -427,6 +428,7 @@ class ZeroLatencyAudioProcessor extends EventEmitter {
     this.audioInputBuffer = [];
     this.audioOutputQueue = [];
     this.responseCache.clear();
+    this.vadEngine.removeAllListeners();
     
     this.emit('destroyed');
   }
@@ -0,0 +1,549 @@
+/**
+ * Audio DSP
+ *
+ * In-process audio processing for the telephony hot path, with no temp files
+ * or external tools:
+ * - G.711 μ-law / A-law encode and decode
+ * - PCM16 resampling between 8, 16, 24 and 48 kHz, or any other rate a WAV
+ *   arrives in (stateful, for streams)
+ * - WAV header parsing and writing, MP3 (ID3 / frame header) inspection
+ * - Framing into Twilio's 20 ms media frames (160 bytes of 8 kHz μ-law)
+ *
+ * PCM16 buffers are signed 16-bit little-endian mono unless stated otherwise.
+ */
+
+const { Transform } = require('stream');
+
+const TWILIO_SAMPLE_RATE = 8000;
+const TWILIO_FRAME_MS = 20;
+const TWILIO_FRAME_BYTES = (TWILIO_SAMPLE_RATE * TWILIO_FRAME_MS) / 1000; // 160
+const MULAW_SILENCE = 0xff;
+
+// TTS output formats createTwilioEncoder can turn into μ-law frames (MP3 needs a decoder)
+const DECODABLE_FORMATS = ['mulaw', 'alaw', 'pcm_8000', 'pcm_16000', 'pcm_24000', 'pcm_48000', 'wav'];
+
+// WAVE_FORMAT tags
+const WAV_FORMATS = { 1: 'pcm', 3: 'float', 6: 'alaw', 7: 'mulaw' };
+
+// ---- G.711 ----
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+function mulawEncodeSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function mulawDecodeSample(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+// Upper bound of each A-law segment for 13-bit magnitudes
+const ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+function alawEncodeSample(sample) {
+  let magnitude = sample >> 3;
+  let mask = 0xd5;
+  if (magnitude < 0) {
+    mask = 0x55;
+    magnitude = -magnitude - 1;
+  }
+  const segment = ALAW_SEGMENT_ENDS.findIndex(end => magnitude <= end);
+  if (segment === -1) return 0x7f ^ mask;
+  const mantissa = segment < 2 ? (magnitude >> 1) & 0x0f : (magnitude >> segment) & 0x0f;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+function alawDecodeSample(byte) {
+  const value = byte ^ 0x55;
+  const segment = (value >> 4) & 0x07;
+  const mantissa = (value & 0x0f) << 4;
+  const magnitude = segment === 0
+    ? mantissa + 8
+    : (mantissa + 0x108) << (segment - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+// Decoding is a table lookup; 256 entries each
+const MULAW_TABLE = new Int16Array(256).map((_, byte) => mulawDecodeSample(byte));
+const ALAW_TABLE = new Int16Array(256).map((_, byte) => alawDecodeSample(byte));
+
+function decodeG711(buffer, table) {
+  const output = Buffer.alloc(buffer.length * 2);
+  for (let i = 0; i < buffer.length; i++) {
+    output.writeInt16LE(table[buffer[i]], i * 2);
+  }
+  return output;
+}
+
+function encodeG711(pcm, encodeSample) {
+  const samples = Math.floor(pcm.length / 2);
+  const output = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    output[i] = encodeSample(pcm.readInt16LE(i * 2));
+  }
+  return output;
+}
+
+const mulawToPcm16 = (buffer) => decodeG711(buffer, MULAW_TABLE);
+const alawToPcm16 = (buffer) => decodeG711(buffer, ALAW_TABLE);
+const pcm16ToMulaw = (pcm) => encodeG711(pcm, mulawEncodeSample);
+const pcm16ToAlaw = (pcm) => encodeG711(pcm, alawEncodeSample);
+
+// ---- PCM16 helpers ----
+
+/**
+ * RMS level of a PCM16 buffer, 0-1
+ */
+function pcm16Rms(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2) / 32768;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+function downmixPcm16(pcm, channels) {
+  if (channels <= 1) return pcm;
+  const frames = Math.floor(pcm.length / (2 * channels));
+  const output = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += pcm.readInt16LE((i * channels + channel) * 2);
+    }
+    output.writeInt16LE(Math.round(sum / channels), i * 2);
+  }
+  return output;
+}
+
+function float32ToPcm16(buffer) {
+  const samples = Math.floor(buffer.length / 4);
+  const output = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.max(-1, Math.min(1, buffer.readFloatLE(i * 4)));
+    output.writeInt16LE(Math.round(value * 32767), i * 2);
+  }
+  return output;
+}
+
+/**
+ * Streaming PCM16 resampler. Downsampling applies a moving-average low-pass
+ * over the rate ratio before linear interpolation, so 48/24/16 kHz speech
+ * does not alias into the 8 kHz telephone band.
+ */
+class Pcm16Resampler {
+  constructor(fromRate, toRate) {
+    [fromRate, toRate].forEach(rate => {
+      if (!Number.isInteger(rate) || rate <= 0) {
+        throw new Error(`Invalid sample rate: ${rate}`);
+      }
+    });
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.step = fromRate / toRate;
+    this.taps = toRate < fromRate ? Math.round(this.step) : 1;
+    this.history = new Array(this.taps - 1).fill(0);
+    this.position = 0; // next output position, in input samples from the start of the next chunk
+    this.previous = 0; // last filtered sample of the previous chunk
+    this.remainder = null; // odd trailing byte
+  }
+
+  process(chunk) {
+    let pcm = chunk;
+    if (this.remainder) {
+      pcm = Buffer.concat([this.remainder, pcm]);
+      this.remainder = null;
+    }
+    if (pcm.length % 2 === 1) {
+      this.remainder = pcm.subarray(pcm.length - 1);
+      pcm = pcm.subarray(0, pcm.length - 1);
+    }
+    if (this.fromRate === this.toRate) return Buffer.from(pcm);
+
+    const count = pcm.length / 2;
+    if (count === 0) return Buffer.alloc(0);
+
+    const filtered = new Float64Array(count);
+    let windowSum = this.history.reduce((sum, sample) => sum + sample, 0);
+    const window = [...this.history];
+    for (let i = 0; i < count; i++) {
+      const sample = pcm.readInt16LE(i * 2);
+      window.push(sample);
+      windowSum += sample;
+      if (window.length > this.taps) windowSum -= window.shift();
+      filtered[i] = windowSum / this.taps;
+    }
+    this.history = window.slice(window.length - (this.taps - 1));
+
+    const output = [];
+    while (this.position <= count - 1) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+      const a = index < 0 ? this.previous : filtered[index];
+      const b = index + 1 < count ? filtered[index + 1] : a;
+      output.push(Math.round(a + (b - a) * fraction));
+      this.position += this.step;
+    }
+    this.position -= count;
+    this.previous = filtered[count - 1];
+
+    const buffer = Buffer.alloc(output.length * 2);
+    output.forEach((sample, i) => buffer.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2));
+    return buffer;
+  }
+}
+
+/**
+ * One-shot resample of a complete PCM16 buffer
+ */
+function resamplePcm16(pcm, fromRate, toRate) {
+  return new Pcm16Resampler(fromRate, toRate).process(pcm);
+}
+
+// ---- Containers ----
+
+/**
+ * Parse a RIFF/WAVE header. Returns null until the header through the start of
+ * the data chunk is available.
+ * @returns {Object|null} { encoding, audioFormat, channels, sampleRate, bitsPerSample, dataOffset, dataLength }
+ */
+function parseWavHeader(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ') {
+      if (offset + 24 > buffer.length) return null;
+      let audioFormat = buffer.readUInt16LE(offset + 8);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format tag in the sub-format GUID
+      if (audioFormat === 0xfffe && offset + 34 <= buffer.length) {
+        audioFormat = buffer.readUInt16LE(offset + 32);
+      }
+      format = {
+        audioFormat,
+        encoding: WAV_FORMATS[audioFormat] || 'unknown',
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        bitsPerSample: buffer.readUInt16LE(offset + 22)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) return null;
+      // Streaming encoders write 0 or 0xFFFFFFFF when the length is unknown
+      const unknownLength = chunkSize === 0 || chunkSize === 0xffffffff;
+      return { ...format, dataOffset: offset + 8, dataLength: unknownLength ? null : chunkSize };
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+/**
+ * 44-byte canonical WAV header
+ * @param {Object} options - { sampleRate, channels, encoding ('pcm' | 'mulaw' | 'alaw'), dataLength }
+ */
+function createWavHeader({ sampleRate = 16000, channels = 1, encoding = 'pcm', dataLength = 0 } = {}) {
+  const audioFormat = { pcm: 1, alaw: 6, mulaw: 7 }[encoding];
+  if (!audioFormat) throw new Error(`Unsupported WAV encoding: ${encoding}`);
+  const bitsPerSample = encoding === 'pcm' ? 16 : 8;
+  const blockAlign = channels * (bitsPerSample / 8);
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+function wrapWav(data, options = {}) {
+  return Buffer.concat([createWavHeader({ ...options, dataLength: data.length }), data]);
+}
+
+/**
+ * Length of a leading ID3v2 tag, 0 when there is none
+ */
+function getId3Length(buffer) {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return 0;
+  // Tag size is a 28-bit synchsafe integer
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+}
+
+const MP3_BITRATES = {
+  // [version 1][layer 3] and [version 2/2.5][layer 3], kbps
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/**
+ * Parse an MPEG layer III frame header at offset, null when there is no valid frame there
+ */
+function parseMp3FrameHeader(buffer, offset = 0) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03; // 1 = layer III
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = MP3_BITRATES[versionBits === 3 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const samplesPerFrame = versionBits === 3 ? 1152 : 576;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  return {
+    bitrate,
+    sampleRate,
+    channels: ((buffer[offset + 3] >> 6) & 0x03) === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength: Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding
+  };
+}
+
+/**
+ * Walk the MP3 frames of a complete buffer
+ * @returns {Object|null} { sampleRate, channels, bitrate, frames, durationMs, audioOffset }
+ */
+function getMp3Info(buffer) {
+  const audioOffset = getId3Length(buffer);
+  let offset = audioOffset;
+  let first = null;
+  let frames = 0;
+  let samples = 0;
+
+  while (offset < buffer.length) {
+    const header = parseMp3FrameHeader(buffer, offset);
+    if (!header) {
+      if (frames > 0) break;
+      offset++; // resync to the first frame
+      continue;
+    }
+    first = first || header;
+    frames++;
+    samples += header.samplesPerFrame;
+    offset += header.frameLength;
+  }
+
+  if (!first) return null;
+  return {
+    sampleRate: first.sampleRate,
+    channels: first.channels,
+    bitrate: first.bitrate,
+    frames,
+    durationMs: Math.round((samples / first.sampleRate) * 1000),
+    audioOffset
+  };
+}
+
+/**
+ * Sniff the container of an audio buffer: 'wav', 'mp3' or null
+ */
+function detectFormat(buffer) {
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (getId3Length(buffer) > 0 || parseMp3FrameHeader(buffer, 0)) return 'mp3';
+  return null;
+}
+
+// ---- Framing ----
+
+/**
+ * Split a buffer into fixed-size frames, padding the last frame with silence
+ */
+function splitFrames(buffer, frameBytes = TWILIO_FRAME_BYTES, padByte = MULAW_SILENCE) {
+  const frames = [];
+  for (let offset = 0; offset < buffer.length; offset += frameBytes) {
+    const frame = buffer.subarray(offset, offset + frameBytes);
+    frames.push(frame.length === frameBytes ? frame : Buffer.concat([frame, Buffer.alloc(frameBytes - frame.length, padByte)]));
+  }
+  return frames;
+}
+
+/**
+ * Transform that re-chunks a byte stream into exact frames; the tail is padded on end
+ */
+class FrameChunker extends Transform {
+  constructor({ frameBytes = TWILIO_FRAME_BYTES, padByte = MULAW_SILENCE } = {}) {
+    super();
+    this.frameBytes = frameBytes;
+    this.padByte = padByte;
+    this.pending = Buffer.alloc(0);
+  }
+
+  pushFrames(buffer) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, buffer]) : buffer;
+    const whole = this.pending.length - (this.pending.length % this.frameBytes);
+    for (let offset = 0; offset < whole; offset += this.frameBytes) {
+      this.push(this.pending.subarray(offset, offset + this.frameBytes));
+    }
+    this.pending = this.pending.subarray(whole);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pushFrames(Buffer.from(chunk));
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.pending.length > 0) {
+      splitFrames(this.pending, this.frameBytes, this.padByte).forEach(frame => this.push(frame));
+    }
+    callback();
+  }
+}
+
+/**
+ * Transform from a TTS output format (see DECODABLE_FORMATS) to 20 ms frames
+ * of 8 kHz μ-law ready for a Twilio media message
+ */
+class TwilioMediaEncoder extends FrameChunker {
+  constructor({ format = 'mulaw' } = {}) {
+    super();
+    if (!DECODABLE_FORMATS.includes(format)) {
+      throw new Error(`Cannot encode ${format} audio for Twilio in-process; request one of ${DECODABLE_FORMATS.join(', ')}`);
+    }
+    this.format = format;
+    this.header = format === 'wav' ? null : this.describeFormat(format);
+    this.headerBuffer = Buffer.alloc(0);
+    this.resampler = null;
+    this.sampleRemainder = Buffer.alloc(0);
+  }
+
+  describeFormat(format) {
+    if (format === 'mulaw' || format === 'alaw') {
+      return { encoding: format, sampleRate: TWILIO_SAMPLE_RATE, channels: 1, bitsPerSample: 8 };
+    }
+    return { encoding: 'pcm', sampleRate: parseInt(format.split('_')[1], 10), channels: 1, bitsPerSample: 16 };
+  }
+
+  // Bytes per interleaved sample frame, so chunks are only decoded on sample boundaries
+  getBlockAlign() {
+    return this.header.channels * (this.header.bitsPerSample / 8);
+  }
+
+  toPcm16(data) {
+    const { encoding, channels } = this.header;
+    let pcm;
+    if (encoding === 'mulaw') pcm = mulawToPcm16(data);
+    else if (encoding === 'alaw') pcm = alawToPcm16(data);
+    else if (encoding === 'float') pcm = float32ToPcm16(data);
+    else if (encoding === 'pcm' && this.header.bitsPerSample === 16) pcm = data;
+    else throw new Error(`Unsupported WAV encoding for Twilio: ${encoding} ${this.header.bitsPerSample}-bit`);
+    return downmixPcm16(pcm, channels);
+  }
+
+  encode(data) {
+    const { encoding, sampleRate, channels } = this.header;
+    // 8 kHz mono μ-law passes through untouched
+    if (encoding === 'mulaw' && sampleRate === TWILIO_SAMPLE_RATE && channels === 1) return data;
+
+    const pcm = this.toPcm16(data);
+    if (!this.resampler) this.resampler = new Pcm16Resampler(sampleRate, TWILIO_SAMPLE_RATE);
+    return pcm16ToMulaw(this.resampler.process(pcm));
+  }
+
+  /**
+   * Convert the next chunk of input to 8 kHz μ-law, without framing
+   */
+  convert(chunk) {
+    let data = Buffer.from(chunk);
+    if (!this.header) {
+      this.headerBuffer = Buffer.concat([this.headerBuffer, data]);
+      const header = parseWavHeader(this.headerBuffer);
+      if (!header) return Buffer.alloc(0);
+      this.header = header;
+      data = this.headerBuffer.subarray(header.dataOffset);
+      this.headerBuffer = null;
+    }
+
+    data = Buffer.concat([this.sampleRemainder, data]);
+    const usable = data.length - (data.length % this.getBlockAlign());
+    this.sampleRemainder = data.subarray(usable);
+    return this.encode(data.subarray(0, usable));
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.pushFrames(this.convert(chunk));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+function createTwilioEncoder(options = {}) {
+  return new TwilioMediaEncoder(options);
+}
+
+/**
+ * Convert a complete buffer in a TTS output format to 8 kHz μ-law
+ */
+function toTwilioMulaw(buffer, format) {
+  return new TwilioMediaEncoder({ format }).convert(buffer);
+}
+
+module.exports = {
+  TWILIO_SAMPLE_RATE,
+  TWILIO_FRAME_MS,
+  TWILIO_FRAME_BYTES,
+  MULAW_SILENCE,
+  DECODABLE_FORMATS,
+  mulawEncodeSample,
+  mulawDecodeSample,
+  alawEncodeSample,
+  alawDecodeSample,
+  mulawToPcm16,
+  alawToPcm16,
+  pcm16ToMulaw,
+  pcm16ToAlaw,
+  pcm16Rms,
+  downmixPcm16,
+  Pcm16Resampler,
+  resamplePcm16,
+  parseWavHeader,
+  createWavHeader,
+  wrapWav,
+  getId3Length,
+  parseMp3FrameHeader,
+  getMp3Info,
+  detectFormat,
+  splitFrames,
+  FrameChunker,
+  TwilioMediaEncoder,
+  createTwilioEncoder,
+  toTwilioMulaw
+};
@@ -0,0 +1,381 @@
+/**
+ * Dictation
+ *
+ * Email addresses and PANs as customers spell them out on a call:
+ * - spoken punctuation: "rahul dot sharma at the rate gmail dot com", "underscore", "dash"
+ * - phonetic spelling: "A for apple", "B as in ball", NATO words ("alpha", "bravo"),
+ *   Hindi phrasings ("A se apple", "B jaise ball", "apple wala A") and letter names
+ *   STT writes out ("bee", "dee", "बी")
+ * - digits as words, English or Hindi ("one two", "double five", "ek do", "fifty six")
+ *
+ * A transcript is read into characters, each marked certain or not: a bare letter
+ * from a group that sounds alike over the phone (B/D/E/P/T/V, M/N, F/S) is
+ * uncertain, one spelled with a word is certain. Characters from several turns are
+ * joined into one capture, so a PAN can be given in parts ("ABCDE" ... "1234F").
+ * evaluate() checks the capture against the format and lists the characters that
+ * are still uncertain, so the agent can ask for just those again.
+ */
+
+const { toAsciiDigits, numberWordValue } = require('./spokenNumbers');
+
+const DICTATION_KINDS = ['email', 'pan'];
+
+// PAN: five letters, four digits, a letter; the fourth letter is the holder type
+const PAN_PATTERN = 'LLLLLDDDDL';
+const PAN_HOLDER_TYPES = 'ABCFGHJLPT'; // Association, Body, Company, Firm, Government, HUF, AJP, Local authority, Person, Trust
+
+const EMAIL_PATTERN = /^[a-z0-9](?:[a-z0-9._%+-]*[a-z0-9_+-])?@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}$/;
+
+// Providers whose domain is taken as heard, however its letters were spelled
+const KNOWN_EMAIL_DOMAINS = [
+  'gmail.com', 'yahoo.com', 'yahoo.co.in', 'yahoo.in', 'hotmail.com', 'outlook.com', 'live.com',
+  'rediffmail.com', 'icloud.com', 'protonmail.com', 'zoho.com'
+];
+
+// Letters easily heard as one another over the phone
+const CONFUSABLE_LETTERS = new Set('bdegptvzmnfs'.split(''));
+
+// Letters where a digit was expected and the other way round ("O" for zero)
+const LETTER_FOR_DIGIT = { 0: 'O', 1: 'I', 2: 'Z', 4: 'A', 5: 'S', 6: 'G', 7: 'T', 8: 'B' };
+const DIGIT_FOR_LETTER = { O: '0', D: '0', Q: '0', I: '1', L: '1', Z: '2', A: '4', S: '5', G: '6', T: '7', B: '8' };
+
+const NATO_WORDS = {
+  alpha: 'a', alfa: 'a', bravo: 'b', charlie: 'c', delta: 'd', echo: 'e', foxtrot: 'f', golf: 'g',
+  hotel: 'h', india: 'i', juliet: 'j', juliett: 'j', kilo: 'k', lima: 'l', mike: 'm', november: 'n',
+  oscar: 'o', papa: 'p', quebec: 'q', romeo: 'r', sierra: 's', tango: 't', uniform: 'u', victor: 'v',
+  whiskey: 'w', whisky: 'w', xray: 'x', 'x-ray': 'x', yankee: 'y', zulu: 'z'
+};
+
+// Letter names as STT writes them, English and Devanagari. के and जी are left out:
+// they are everyday Hindi words far more often than letters
+const LETTER_NAMES = {
+  ay: 'a', bee: 'b', be: 'b', see: 'c', sea: 'c', cee: 'c', dee: 'd', ee: 'e', ef: 'f', eff: 'f',
+  gee: 'g', aitch: 'h', etch: 'h', haitch: 'h', eye: 'i', jay: 'j', kay: 'k', el: 'l', ell: 'l',
+  em: 'm', en: 'n', oh: 'o', pee: 'p', queue: 'q', cue: 'q', kyu: 'q', are: 'r', ar: 'r', es: 's',
+  ess: 's', tee: 't', tea: 't', you: 'u', yu: 'u', vee: 'v', ex: 'x', why: 'y', wai: 'y', zed: 'z', zee: 'z',
+  'ए': 'a', 'बी': 'b', 'सी': 'c', 'डी': 'd', 'ई': 'e', 'एफ': 'f', 'एच': 'h', 'आई': 'i', 'जे': 'j',
+  'एल': 'l', 'एम': 'm', 'एन': 'n', 'ओ': 'o', 'पी': 'p', 'क्यू': 'q', 'आर': 'r', 'एस': 's', 'टी': 't',
+  'यू': 'u', 'वी': 'v', 'डब्ल्यू': 'w', 'डबल्यू': 'w', 'एक्स': 'x', 'वाई': 'y', 'ज़ेड': 'z', 'जेड': 'z'
+};
+
+// Letters and letter names that are also common words ("a", "I", "are", "you");
+// they only count next to other spelled characters
+const COMMON_WORD_LETTERS = new Set(['a', 'i', 'o', 'be', 'see', 'sea', 'are', 'you', 'why', 'eye', 'oh', 'tea', 'ex', 'el', 'em', 'en', 'es', 'ar']);
+
+// "A for apple", "A as in apple", "A se apple", "A jaise apple"
+const SPELLING_CONNECTORS = [
+  ['as', 'in'], ['for'], ['as'], ['like'], ['se'], ['jaise'], ['jaisa'], ['matlab'],
+  ['फॉर'], ['फ़ॉर'], ['से'], ['जैसे'], ['मतलब']
+];
+
+// Number words read as digits in an email; romanised Hindi ones are also names ("das", "sat")
+const EMAIL_NUMBER_WORD = /^(zero|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)$/;
+
+// "apple wala A", "A apple wala"
+const WALA_WORDS = new Set(['wala', 'waala', 'vala', 'vaala', 'wali', 'wale', 'वाला', 'वाली', 'वाले']);
+
+// Spoken punctuation in email addresses, longest phrases first
+const EMAIL_SYMBOLS = [
+  [['at', 'the', 'rate', 'of'], '@'], [['at', 'the', 'rate'], '@'], [['at', 'd', 'rate'], '@'], [['at', 'rate'], '@'],
+  [['attherate'], '@'], [['at'], '@'], [['एट', 'द', 'रेट'], '@'], [['ऐट', 'द', 'रेट'], '@'], [['एट'], '@'], [['ऐट'], '@'],
+  [['full', 'stop'], '.'], [['fullstop'], '.'], [['dot'], '.'], [['dott'], '.'], [['point'], '.'], [['period'], '.'],
+  [['bindu'], '.'], [['डॉट'], '.'], [['डाट'], '.'], [['पॉइंट'], '.'], [['बिंदु'], '.'],
+  [['dotcom'], '.com'],
+  [['under', 'score'], '_'], [['underscore'], '_'], [['अंडरस्कोर'], '_'],
+  [['dash'], '-'], [['hyphen'], '-'], [['minus'], '-'], [['डैश'], '-'], [['हाइफ़न'], '-'], [['हाइफन'], '-'],
+  [['plus'], '+']
+];
+
+// Said around a spelling without being part of it
+const CASE_WORDS = new Set(['capital', 'caps', 'small', 'upper', 'lower', 'case', 'bada', 'chhota', 'chota', 'बड़ा', 'छोटा']);
+
+// Words before or after an email address that are not part of it
+const EMAIL_FILLER = new Set([
+  'my', 'email', 'e-mail', 'mail', 'id', 'address', 'is', "it's", 'its', 'it', 'the', 'so', 'ok', 'okay',
+  'yes', 'yeah', 'sure', 'please', 'note', 'write', 'down', 'that', "that's", 'this', 'i', 'said', 'mean',
+  'no', 'not', 'sorry', 'actually', 'right', 'correct', 'thanks', 'thank', 'you', 'haan', 'han', 'ji',
+  'mera', 'meri', 'ka', 'ki', 'hai', 'he', 'toh', 'to', 'likhiye', 'मेरा', 'मेरी', 'ईमेल', 'आईडी', 'है', 'हाँ', 'जी'
+]);
+
+function tokenize(text) {
+  return toAsciiDigits(text || '')
+    .replace(/[,;:!?"()।]/g, ' ')
+    .split(/\s+/)
+    .map(raw => raw.replace(/^[.']+|[.']+$/g, ''))
+    .filter(Boolean)
+    .map(raw => ({ raw, word: raw.toLowerCase() }));
+}
+
+function matchesAt(tokens, i, phrase) {
+  return phrase.every((word, offset) => tokens[i + offset] && tokens[i + offset].word === word);
+}
+
+// The letter a token names, if any: "b", "bee", "बी"
+function letterOf(token) {
+  if (!token) return null;
+  if (/^[a-z]$/.test(token.word)) return token.word;
+  return LETTER_NAMES[token.word] || null;
+}
+
+// Whether a token spells a character on its own, without context
+function isSpelled(token) {
+  if (!token) return false;
+  return (/^[a-z]$/.test(token.word) && !COMMON_WORD_LETTERS.has(token.word))
+    || (!!LETTER_NAMES[token.word] && !COMMON_WORD_LETTERS.has(token.word))
+    || !!NATO_WORDS[token.word]
+    || /^\d+$/.test(token.word)
+    || numberWordValue(token.word) !== null;
+}
+
+/**
+ * Characters spelled in a transcript
+ * @param {string} text
+ * @param {string} kind - 'email' | 'pan'
+ * @returns {Object[]} [{ char, certain }] - lowercase for email, uppercase for PAN
+ */
+function parseCharacters(text, kind) {
+  const tokens = tokenize(text);
+  if (kind === 'email') {
+    while (tokens.length > 0 && EMAIL_FILLER.has(tokens[0].word)) tokens.shift();
+    while (tokens.length > 0 && EMAIL_FILLER.has(tokens[tokens.length - 1].word)) tokens.pop();
+  }
+
+  const chars = [];
+  let repeat = 1;
+  const push = (char, certain) => {
+    for (let n = 0; n < repeat; n++) chars.push({ char, certain });
+    repeat = 1;
+  };
+  const pushText = (value, certain) => value.split('').forEach(char => chars.push({ char, certain }));
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+
+    if (token.word === 'double' || token.word === 'triple') {
+      repeat = token.word === 'double' ? 2 : 3;
+      continue;
+    }
+    if (CASE_WORDS.has(token.word)) continue;
+
+    // "A for apple": the word's first letter is what the customer means
+    const letter = letterOf(token);
+    const connector = letter && SPELLING_CONNECTORS.find(phrase => matchesAt(tokens, i + 1, phrase));
+    if (connector) {
+      const wordToken = tokens[i + 1 + connector.length];
+      if (wordToken && /^\p{L}/u.test(wordToken.word)) {
+        const initial = wordToken.word.charAt(0);
+        if (/[a-z]/.test(initial)) {
+          push(initial, initial === letter);
+        } else {
+          push(letter, true);
+        }
+        i += connector.length + 1;
+        continue;
+      }
+    }
+
+    // "apple wala A" and "A apple wala", when the word starts with the letter
+    // ("P sugar wala S" is P, then S)
+    const startsWith = (wordToken, char) => !!wordToken && (wordToken.word.charAt(0) === char || !/^[a-z]/.test(wordToken.word));
+    if (next && WALA_WORDS.has(next.word) && letterOf(tokens[i + 2]) && startsWith(token, letterOf(tokens[i + 2]))) {
+      push(letterOf(tokens[i + 2]), true);
+      i += 2;
+      continue;
+    }
+    if (letter && tokens[i + 2] && WALA_WORDS.has(tokens[i + 2].word) && startsWith(next, letter)) {
+      push(letter, true);
+      i += 2;
+      continue;
+    }
+
+    if (NATO_WORDS[token.word]) {
+      push(NATO_WORDS[token.word], true);
+      continue;
+    }
+
+    if (kind === 'email') {
+      const symbol = EMAIL_SYMBOLS.find(([phrase]) => matchesAt(tokens, i, phrase));
+      if (symbol) {
+        pushText(symbol[1], true);
+        i += symbol[0].length - 1;
+        continue;
+      }
+    }
+
+    // Digits: "5", "five", "paanch", "fifty six"
+    const number = kind === 'email' && !EMAIL_NUMBER_WORD.test(token.word) ? null : numberWordValue(token.word);
+    if (number !== null && !/^\d+$/.test(token.word)) {
+      const unit = next && numberWordValue(next.word);
+      if (number.tens && unit && unit.value < 10 && !unit.tens) {
+        pushText(String(number.value + unit.value), true);
+        i++;
+      } else if (number.value < 10) {
+        push(String(number.value), true);
+      } else {
+        pushText(String(number.value), true);
+      }
+      continue;
+    }
+    if (/^\d$/.test(token.word)) {
+      push(token.word, true);
+      continue;
+    }
+
+    if (letter) {
+      const common = COMMON_WORD_LETTERS.has(token.word);
+      // A bare letter is only certain when no other letter sounds like it
+      if (!common || isSpelled(tokens[i - 1]) || isSpelled(next)) push(letter, !CONFUSABLE_LETTERS.has(letter));
+      continue;
+    }
+
+    // Whole words and written-out values: "rahul", "gmail.com", "ABCDE1234F", "1234"
+    if (kind === 'email') {
+      if (/^[a-z0-9._%+@-]+$/.test(token.word)) pushText(token.word, true);
+    } else if (/^[a-z0-9]+$/.test(token.word)
+      && (/\d/.test(token.word) || token.raw === token.raw.toUpperCase()
+        || (token.word.length <= 5 && (isSpelled(tokens[i - 1]) || isSpelled(next))))) {
+      pushText(token.word, true);
+    }
+  }
+
+  return kind === 'pan'
+    ? chars.filter(({ char }) => /[a-z0-9]/i.test(char)).map(({ char, certain }) => ({ char: char.toUpperCase(), certain }))
+    : chars;
+}
+
+/**
+ * A capture checked against its format
+ * @param {string} kind - 'email' | 'pan'
+ * @param {Object} capture - { chars: [{ char, certain }] }
+ * @returns {Object} {
+ *   chars: the characters, with PAN letters and digits swapped where the other was expected
+ *     ("O" in a digit position is 0, uncertain),
+ *   text, complete: the format is satisfied, invalid: the capture cannot become valid by adding to it,
+ *   uncertain: [{ index, char }] characters to ask about again,
+ *   value: the value once complete with nothing uncertain, else null
+ * }
+ */
+function evaluate(kind, capture) {
+  let chars = ((capture && capture.chars) || []).map(item => ({ char: item.char, certain: !!item.certain }));
+  let complete = false;
+  let invalid = false;
+
+  if (kind === 'pan') {
+    invalid = chars.length > PAN_PATTERN.length;
+    chars = chars.map((item, index) => {
+      const letterExpected = PAN_PATTERN[index] === 'L';
+      if (letterExpected && /\d/.test(item.char) && LETTER_FOR_DIGIT[item.char]) {
+        return { char: LETTER_FOR_DIGIT[item.char], certain: false };
+      }
+      if (!letterExpected && /[A-Z]/.test(item.char) && DIGIT_FOR_LETTER[item.char]) {
+        return { char: DIGIT_FOR_LETTER[item.char], certain: false };
+      }
+      const fits = letterExpected ? /[A-Z]/.test(item.char) : /\d/.test(item.char);
+      const holderType = index !== 3 || PAN_HOLDER_TYPES.includes(item.char);
+      return fits && holderType ? item : { char: item.char, certain: false };
+    });
+  }
+
+  const text = chars.map(item => item.char).join('');
+
+  if (kind === 'pan') {
+    complete = !invalid && /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/.test(text);
+  } else {
+    invalid = (text.match(/@/g) || []).length > 1 || text.includes('..') || text.startsWith('@') || text.startsWith('.');
+    complete = !invalid && EMAIL_PATTERN.test(text);
+    const domain = text.split('@')[1];
+    if (domain && KNOWN_EMAIL_DOMAINS.includes(domain)) {
+      chars = chars.map((item, index) => (index > text.indexOf('@') ? { ...item, certain: true } : item));
+    }
+  }
+
+  const uncertain = chars
+    .map((item, index) => ({ index, char: item.char, certain: item.certain }))
+    .filter(item => !item.certain)
+    .map(({ index, char }) => ({ index, char }));
+
+  return {
+    chars,
+    text,
+    complete,
+    invalid,
+    uncertain,
+    value: complete && uncertain.length === 0 ? text : null
+  };
+}
+
+/**
+ * Add newly spelled characters to a capture. A new spelling that is a whole value on
+ * its own, or that cannot follow what was captured, starts the capture again.
+ * @param {string} kind
+ * @param {Object} capture - { chars, asking }, or null
+ * @param {Object[]} chars - From parseCharacters
+ * @returns {Object} The new capture
+ */
+function extendCapture(kind, capture, chars) {
+  const previous = (capture && capture.chars) || [];
+  if (previous.length === 0 || evaluate(kind, { chars }).complete) return { chars };
+
+  const combined = [...previous, ...chars];
+  return evaluate(kind, { chars: combined }).invalid ? { chars } : { chars: combined };
+}
+
+/**
+ * Answer to "could you say that character again". One character replaces the one
+ * asked about; more are the customer carrying on, so they are added and the
+ * character is asked about again later.
+ * @param {string} kind
+ * @param {Object} capture - { chars, asking }
+ * @param {Object[]} chars - From parseCharacters; an empty list confirms the character as heard
+ */
+function answerAsked(kind, capture, chars) {
+  const previous = capture.chars.map(item => ({ ...item }));
+  if (chars.length > 1) return extendCapture(kind, capture, chars);
+
+  previous[capture.asking] = chars.length === 1
+    ? { char: chars[0].char, certain: true }
+    : { ...previous[capture.asking], certain: true };
+  return { chars: previous };
+}
+
+// Lone words that ask for something rather than spell it
+const NOT_SPELLING = new Set(['what', 'pardon', 'hello', 'repeat', 'again', 'huh', 'hmm', 'kya', 'haan', 'okay', 'sorry', 'wait']);
+
+/**
+ * The letter a lone word stands for, as an answer to "could you say that letter
+ * again": "sugar" is S
+ * @returns {Object[]} [{ char, certain }], empty unless the text is a single word
+ */
+function initialOf(text, kind) {
+  const tokens = tokenize(text);
+  if (tokens.length !== 1 || !/^[a-z]{2,}$/.test(tokens[0].word) || NOT_SPELLING.has(tokens[0].word)) return [];
+  const char = tokens[0].word.charAt(0);
+  return [{ char: kind === 'pan' ? char.toUpperCase() : char, certain: true }];
+}
+
+/**
+ * How a capture or value is read out: "rahul dot sharma at the rate gmail dot com", "A B C D E 1 2 3 4 F"
+ */
+function toSpoken(kind, text) {
+  if (kind === 'pan') return String(text).split('').join(' ');
+  return String(text)
+    .replace(/\./g, ' dot ')
+    .replace(/@/g, ' at the rate ')
+    .replace(/_/g, ' underscore ')
+    .replace(/-/g, ' dash ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  DICTATION_KINDS,
+  PAN_HOLDER_TYPES,
+  KNOWN_EMAIL_DOMAINS,
+  parseCharacters,
+  evaluate,
+  extendCapture,
+  answerAsked,
+  initialOf,
+  toSpoken
+};
@@ -0,0 +1,159 @@
+/**
+ * Field Encryption
+ *
+ * AES-256-GCM encryption of single document fields (PAN, Aadhaar, income band).
+ * Keys come from the environment:
+ * - PII_ENCRYPTION_KEY: the current key, 32 bytes as base64 or 64 hex characters
+ * - PII_ENCRYPTION_KEY_ID: its id, stored with every value it encrypts (default '1')
+ * - PII_PREVIOUS_KEYS: retired keys still needed to read older values, as
+ *   "id:key,id:key"
+ *
+ * Stored values look like "enc:<key id>:<iv>:<auth tag>:<ciphertext>". To rotate,
+ * move the current key to PII_PREVIOUS_KEYS, set a new one and run
+ * `npm run protect:pii`, which re-encrypts every value under the new key; the old
+ * key can be dropped once it reports nothing left to rotate.
+ *
+ * Without a key values are stored as they are, with a warning, except in
+ * production where writing a protected field fails.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+let warnedMissingKey = false;
+
+function parseKey(text) {
+  const value = (text || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) throw new Error('PII encryption keys must be 32 bytes (base64 or 64 hex characters)');
+  return key;
+}
+
+// Read on every call so keys can be set after the module loads (tests, scripts)
+function loadKeys() {
+  const keys = new Map();
+  (process.env.PII_PREVIOUS_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) throw new Error('PII_PREVIOUS_KEYS entries must be "id:key"');
+    keys.set(entry.slice(0, separator), parseKey(entry.slice(separator + 1)));
+  });
+
+  const currentId = process.env.PII_ENCRYPTION_KEY ? (process.env.PII_ENCRYPTION_KEY_ID || '1') : null;
+  if (currentId) keys.set(currentId, parseKey(process.env.PII_ENCRYPTION_KEY));
+  return { currentId, keys };
+}
+
+// Whether a current key is set, so values are encrypted when written
+function isConfigured() {
+  return !!loadKeys().currentId;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+function keyIdOf(value) {
+  return isEncrypted(value) ? value.split(':')[1] : null;
+}
+
+/**
+ * Encrypt a value with the current key
+ * @param {*} value - Strings are encrypted; empty values and values already encrypted are returned as they are
+ * @returns {*}
+ */
+function encrypt(value) {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const { currentId, keys } = loadKeys();
+  if (!currentId) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('PII_ENCRYPTION_KEY is not set; refusing to store PII in plaintext');
+    }
+    if (!warnedMissingKey) {
+      warnedMissingKey = true;
+      console.warn('[FieldEncryption] PII_ENCRYPTION_KEY is not set; PII fields are stored unencrypted');
+    }
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [PREFIX, currentId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a stored value
+ * @param {*} value - Values that are not encrypted are returned as they are
+ * @returns {*} The plaintext, or null when the key it was encrypted with is not configured
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, tag, data] = value.split(':');
+  const key = loadKeys().keys.get(keyId);
+  if (!key) {
+    console.error(`[FieldEncryption] No key "${keyId}" configured to decrypt a PII field`);
+    return null;
+  }
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error(`[FieldEncryption] Could not decrypt a PII field with key "${keyId}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether a stored value should be re-encrypted: plaintext, or encrypted with a key other than the current one
+ */
+function needsRotation(value) {
+  if (value === null || value === undefined || value === '') return false;
+  const { currentId } = loadKeys();
+  return !!currentId && keyIdOf(value) !== currentId;
+}
+
+/**
+ * Schema type options for an encrypted String path. Validation runs on the plaintext,
+ * since the stored value is ciphertext.
+ * @param {Object} [options] - { match, enum } as for a plain String path
+ * @returns {Object} Options for mongoose.Schema
+ */
+function encryptedField(options = {}) {
+  return {
+    type: String,
+    set: encrypt,
+    get: decrypt,
+    validate: {
+      validator(value) {
+        const plain = decrypt(value);
+        if (plain === null || plain === undefined || plain === '') return true;
+        if (options.match && !options.match.test(plain)) return false;
+        return !options.enum || options.enum.includes(plain);
+      },
+      message: props => `${props.path} is not a valid value`
+    }
+  };
+}
+
+/**
+ * Copy of a plain record (lean query result, toObject()) with every encrypted top-level value decrypted
+ */
+function decryptValues(record) {
+  if (!record || typeof record !== 'object') return record;
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => [key, decrypt(value)]));
+}
+
+module.exports = {
+  isConfigured,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  needsRotation,
+  encryptedField,
+  decryptValues
+};
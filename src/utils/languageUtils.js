@@ -1,11 +1,43 @@
 // Import advanced language detection for performance optimization
 const advancedDetection = require('./advancedLanguageDetection');
+const languages = require('./languages');
+
+// Language names for the locales detectLanguageAdvanced returns
+const ADVANCED_DETECTION_LANGUAGES = {
+  'hi-IN': 'hindi',
+  'en-US': 'english',
+  'mixed': 'mixed'
+};
+
+// Regional languages share one prompt, in English so the sales points read the same in every language
+const regionalLanguagePrompt = (language) => {
+  const { nativeName } = languages.LANGUAGES[language];
+  const name = language.charAt(0).toUpperCase() + language.slice(1);
+  return `You are a credit card sales agent speaking ${name} (${nativeName}). Please respond only in ${name}, written in its own script.
+
+Key points for credit card sales:
+- Highlight card benefits: reward points, cashback, airport lounge access, etc.
+- Discuss special introductory offers like zero annual fee or welcome bonus
+- Explain competitive interest rates and flexible payment options
+- Reassure about security features and fraud protection
+- Make the application process sound quick and easy
+
+Keep technical terms like "credit card", "cashback", "annual fee" and "EMI" in English, as customers say them that way.
+Use the respectful form of address customary in ${name}.`;
+};
 
 const languageUtils = {
   // Detect language from text with Hinglish support
   detectLanguage: (text) => {
     if (!text) return 'unknown';
     
+    // Regional scripts are recognised by their Unicode block; Devanagari is left to
+    // the Hindi/Hinglish detection below unless it is Marathi
+    const scriptResult = languages.detectScriptLanguage(text);
+    if (scriptResult && scriptResult.language !== 'hindi') {
+      return scriptResult.language;
+    }
+    
     // Use advanced detection if available
     try {
       // First, check for Hindi-English mixed language (Hinglish)
@@ -14,18 +46,10 @@ const languageUtils = {
       }
       
       // Use standard language detection
-      const language = advancedDetection.detectLanguageAdvanced(text);
+      const { language } = advancedDetection.detectLanguageAdvanced(text);
       
       // For credit card sales, map languages to our simplified set
-      if (language === 'hindi') {
-        return 'hindi';
-      } else if (language === 'hinglish') {
-        return 'mixed';
-      } else if (language === 'english') {
-        return 'english';
-      }
-      
-      return language;
+      return ADVANCED_DETECTION_LANGUAGES[language] || language;
     } catch (error) {
       console.log('Falling back to basic language detection due to error:', error.message);
       
@@ -83,6 +107,13 @@ const languageUtils = {
       'english': 'en-US',
       'hindi': 'hi-IN',
       'hinglish': 'hi-IN', // Use Hindi code for Hinglish
+      'mixed': 'hi-IN',
+      'marathi': 'mr-IN',
+      'bengali': 'bn-IN',
+      'gujarati': 'gu-IN',
+      'tamil': 'ta-IN',
+      'telugu': 'te-IN',
+      'kannada': 'kn-IN',
       'spanish': 'es-ES',
       'french': 'fr-FR',
       'german': 'de-DE',
@@ -103,6 +134,13 @@ const languageUtils = {
       'english': 'en',
       'hindi': 'hi',
       'hinglish': 'hi', // Use Hindi code for Hinglish
+      'mixed': 'hi',
+      'marathi': 'mr',
+      'bengali': 'bn',
+      'gujarati': 'gu',
+      'tamil': 'ta',
+      'telugu': 'te',
+      'kannada': 'kn',
       'spanish': 'es',
       'french': 'fr',
       'german': 'de',
@@ -156,6 +194,13 @@ CONVERSATION STYLE:
 - Use examples: "Jaise agar aap monthly 50,000 spend karte hain, to aap ko 2500 cashback milega"
 
 For technical terms like "credit score", "billing cycle", "reward points", use English mixed naturally in Hindi sentences.`;
+      case 'marathi':
+      case 'bengali':
+      case 'gujarati':
+      case 'tamil':
+      case 'telugu':
+      case 'kannada':
+        return regionalLanguagePrompt(language);
       case 'spanish':
         return 'Eres un asistente de IA que habla español. Por favor, responde en español.';
       case 'french':
@@ -193,6 +238,12 @@ Maintain effective and respectful conversation with the customer.`;
       'english',
       'hindi',
       'hinglish',
+      'marathi',
+      'bengali',
+      'gujarati',
+      'tamil',
+      'telugu',
+      'kannada',
       'spanish',
       'french',
       'german',
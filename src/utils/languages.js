@@ -0,0 +1,194 @@
+/**
+ * Languages
+ *
+ * The languages a call can be held in and the codes each layer knows them by:
+ * workflow templates and knowledge base answers are keyed by name ('tamil'),
+ * STT/TTS providers take the locale ('ta-IN') and ElevenLabs the ISO 639-1
+ * code ('ta'). 'mixed' is Hinglish; it has no templates of its own and is
+ * spoken from the Hindi text.
+ *
+ * Regional languages are detected from the Unicode block of their script.
+ * Hindi and Marathi share Devanagari and are told apart by common Marathi words.
+ */
+
+const DEFAULT_LANGUAGE = 'english';
+
+const LANGUAGES = {
+  english: { locale: 'en-US', code: 'en', script: 'latin', nativeName: 'English' },
+  hindi: { locale: 'hi-IN', code: 'hi', script: 'devanagari', nativeName: 'हिन्दी' },
+  marathi: { locale: 'mr-IN', code: 'mr', script: 'devanagari', nativeName: 'मराठी' },
+  bengali: { locale: 'bn-IN', code: 'bn', script: 'bengali', nativeName: 'বাংলা' },
+  gujarati: { locale: 'gu-IN', code: 'gu', script: 'gujarati', nativeName: 'ગુજરાતી' },
+  tamil: { locale: 'ta-IN', code: 'ta', script: 'tamil', nativeName: 'தமிழ்' },
+  telugu: { locale: 'te-IN', code: 'te', script: 'telugu', nativeName: 'తెలుగు' },
+  kannada: { locale: 'kn-IN', code: 'kn', script: 'kannada', nativeName: 'ಕನ್ನಡ' }
+};
+
+const LANGUAGE_NAMES = Object.keys(LANGUAGES);
+
+// Unicode blocks of the Indic scripts, first and last code point
+const SCRIPT_RANGES = {
+  devanagari: [0x0900, 0x097F],
+  bengali: [0x0980, 0x09FF],
+  gujarati: [0x0A80, 0x0AFF],
+  tamil: [0x0B80, 0x0BFF],
+  telugu: [0x0C00, 0x0C7F],
+  kannada: [0x0C80, 0x0CFF]
+};
+
+// Devanagari text with one of these is Marathi rather than Hindi (ळ is rare in Hindi)
+const MARATHI_MARKERS = /ळ|(^|\s)(आहे|आहेत|नाही|मला|तुम्ही|आम्ही|काय|आणि|होय|माझे|तुमचे|पाहिजे|करतो|करते|झाले)(?=\s|[.,!?।]|$)/;
+
+// Languages to fall back to, in order, when text is missing in the one asked for
+const TEXT_FALLBACKS = {
+  mixed: ['hindi']
+};
+
+/**
+ * The name of a language from its name, locale or code, e.g. 'ta-IN' -> 'tamil'
+ * @param {string} value
+ * @param {string} [fallback] - Returned for unknown values
+ * @returns {string}
+ */
+function toLanguageName(value, fallback = DEFAULT_LANGUAGE) {
+  if (!value || typeof value !== 'string') return fallback;
+  const key = value.trim().toLowerCase();
+  if (key === 'mixed' || key === 'hinglish') return 'mixed';
+  if (LANGUAGES[key]) return key;
+
+  const code = key.split(/[-_]/)[0];
+  const name = LANGUAGE_NAMES.find(candidate => LANGUAGES[candidate].code === code);
+  return name || fallback;
+}
+
+/**
+ * The provider locale of a language, e.g. 'tamil' -> 'ta-IN'; 'mixed' stays 'mixed'
+ * @param {string} value - Name, locale or code
+ * @returns {string}
+ */
+function toLocale(value) {
+  const name = toLanguageName(value);
+  return name === 'mixed' ? 'mixed' : LANGUAGES[name].locale;
+}
+
+/**
+ * Letters of each script in the text
+ * @param {string} text
+ * @returns {Object} { latin, devanagari, bengali, ... }
+ */
+function countScripts(text) {
+  const counts = { latin: 0 };
+  Object.keys(SCRIPT_RANGES).forEach(script => { counts[script] = 0; });
+  if (!text) return counts;
+
+  for (const char of text) {
+    const point = char.codePointAt(0);
+    if ((point >= 0x41 && point <= 0x5A) || (point >= 0x61 && point <= 0x7A)) {
+      counts.latin++;
+      continue;
+    }
+    for (const [script, [first, last]] of Object.entries(SCRIPT_RANGES)) {
+      if (point >= first && point <= last) {
+        counts[script]++;
+        break;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Language of the Indic script most of the text's letters are in
+ * @param {string} text
+ * @returns {Object|null} { language, script, scriptRatio, latinRatio }, null without Indic letters
+ */
+function detectScriptLanguage(text) {
+  const counts = countScripts(text);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const [script, count] = Object.entries(counts)
+    .filter(([name]) => name !== 'latin')
+    .sort(([, a], [, b]) => b - a)[0];
+  if (count === 0) return null;
+
+  let language = LANGUAGE_NAMES.find(name => LANGUAGES[name].script === script);
+  if (script === 'devanagari' && MARATHI_MARKERS.test(text)) {
+    language = 'marathi';
+  }
+  return {
+    language,
+    script,
+    scriptRatio: count / total,
+    latinRatio: counts.latin / total
+  };
+}
+
+// Entries of a language map stored as a Mongoose Map or a plain object (lean queries, snapshots)
+function entriesOf(texts) {
+  if (!texts) return [];
+  return texts instanceof Map ? [...texts.entries()] : Object.entries(texts);
+}
+
+/**
+ * Text of a language map in a language, falling back to English and then to any language
+ * @param {Map|Object} texts - Language name -> text
+ * @param {string} language - Name, locale or code
+ * @returns {string|null}
+ */
+function getLocalizedText(texts, language) {
+  const entries = entriesOf(texts).filter(([, text]) => typeof text === 'string' && text.trim());
+  if (entries.length === 0) return null;
+
+  const map = new Map(entries);
+  const name = toLanguageName(language);
+  const order = [name, ...(TEXT_FALLBACKS[name] || []), DEFAULT_LANGUAGE];
+  const found = order.find(candidate => map.has(candidate));
+  return found ? map.get(found) : entries[0][1];
+}
+
+/**
+ * Languages a language map has text for
+ * @param {Map|Object} texts
+ * @returns {string[]}
+ */
+function getTextLanguages(texts) {
+  return entriesOf(texts)
+    .filter(([, text]) => typeof text === 'string' && text.trim())
+    .map(([language]) => language);
+}
+
+/**
+ * Language maps combined into a plain object of their non-empty texts, later maps winning
+ * @param {...(Map|Object)} maps
+ * @returns {Object}
+ */
+function mergeLanguageMaps(...maps) {
+  const merged = {};
+  maps.forEach(texts => {
+    entriesOf(texts).forEach(([language, text]) => {
+      if (typeof text === 'string' && text.trim()) merged[language] = text;
+    });
+  });
+  return merged;
+}
+
+// Schema validator: English text is present and every key is a supported language
+function isValidLanguageMap(texts) {
+  const entries = entriesOf(texts);
+  return entries.every(([language]) => LANGUAGES[language])
+    && getTextLanguages(texts).includes(DEFAULT_LANGUAGE);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_NAMES,
+  SCRIPT_RANGES,
+  toLanguageName,
+  toLocale,
+  countScripts,
+  detectScriptLanguage,
+  getLocalizedText,
+  getTextLanguages,
+  mergeLanguageMaps,
+  isValidLanguageMap
+};
@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { redactText, redactValue } = require('./piiRedaction');
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, '../../logs');
@@ -8,10 +9,20 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// PAN, Aadhaar and phone numbers are redacted from messages and metadata before any transport sees them
+const redactPii = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    if (key === 'level') return;
+    info[key] = key === 'message' ? redactText(info[key]) : redactValue(info[key]);
+  });
+  return info;
+});
+
 // Define the custom logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    redactPii(),
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss'
     }),
@@ -0,0 +1,111 @@
+/**
+ * PII Redaction
+ *
+ * Keeps PAN, Aadhaar and phone numbers out of what is stored or written as text
+ * (conversation history, transcripts, logs) and masks customer fields in API
+ * responses for roles that may not see them in full.
+ *
+ * Redaction replaces the whole value with a label ("my PAN is [PAN]"). Numbers read
+ * out digit by digit ("9 8 7 6 5 4 3 2 1 0") and PANs spelled letter by letter
+ * ("a b c d e 1 2 3 4 f") are caught as well as written ones.
+ * Masking keeps the last characters so a record can still be told apart
+ * ("XXXXXX234F", "XXXX XXXX 9012").
+ */
+
+const { decryptValues } = require('./fieldEncryption');
+const { hasPermission } = require('../config/permissions');
+
+const PATTERNS = [
+  // Aadhaar before phone numbers, so a 12-digit number is not half redacted as a phone
+  { label: '[AADHAAR]', pattern: /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g },
+  { label: '[PAN]', pattern: /\b[A-Z](?:[\s-]?[A-Z]){4}(?:[\s-]?\d){4}[\s-]?[A-Z]\b/g },
+  // Any case, as transcribed: written in one piece or spelled a character at a time, so
+  // words like "since 2019 I" are left alone
+  { label: '[PAN]', pattern: /\b[a-z]{5}\d{4}[a-z]\b/gi },
+  { label: '[PAN]', pattern: /\b[a-z](?:[\s.,-]{1,2}[a-z]){4}(?:[\s.,-]{0,2}\d){4}[\s.,-]{0,2}[a-z]\b/gi },
+  { label: '[PHONE]', pattern: /(?:\+91[\s-]?|\b0)?\b[6-9]\d{4}[\s-]?\d{5}\b/g },
+  { label: '[PHONE]', pattern: /\+\d{11,14}\b/g },
+  // Any other run of 10 to 12 digits said one at a time
+  { label: '[NUMBER]', pattern: /\b\d(?:[\s-]\d){9,11}\b/g }
+];
+
+const MASKED_INCOME = 'hidden';
+
+function maskTail(value, visible, maskChar = 'X') {
+  const text = String(value);
+  if (text.length <= visible) return maskChar.repeat(text.length);
+  return text.slice(0, -visible).replace(/[A-Za-z0-9]/g, maskChar) + text.slice(-visible);
+}
+
+// How each customer field is masked
+const MASKERS = {
+  panCard: value => maskTail(value, 4),
+  aadharCard: value => maskTail(String(value).replace(/\D/g, '').replace(/(\d{4})(?=\d)/g, '$1 '), 4),
+  phoneNumber: value => maskTail(value, 4),
+  email: value => String(value).replace(/^(.)[^@]*(@.*)$/, '$1***$2'),
+  monthlyIncome: () => MASKED_INCOME
+};
+
+/**
+ * Text with PAN, Aadhaar and phone numbers replaced by labels
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  if (typeof text !== 'string' || !text) return text;
+  return PATTERNS.reduce((result, { label, pattern }) => result.replace(pattern, label), text);
+}
+
+/**
+ * Strings anywhere in a value redacted (log metadata, request bodies)
+ * @param {*} value
+ * @returns {*} A redacted copy; other types are returned as they are
+ */
+function redactValue(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object' || depth > 5 || value instanceof Date || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return value.map(item => redactValue(item, depth + 1));
+  if (value instanceof Error) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, depth + 1)]));
+}
+
+// Roles with the pii:view permission see customer PII in full; everyone else gets masked values
+function canViewPii(role) {
+  return hasPermission(role, 'pii:view');
+}
+
+/**
+ * A customer as the given role may see it
+ * @param {Object} customer - Plain object with decrypted values (see fieldEncryption.decryptValues)
+ * @param {string} [role] - Role of the user asking; no role gets masked values
+ * @returns {Object} A copy with PII fields masked, or the customer itself for roles that see PII
+ */
+function maskCustomer(customer, role) {
+  if (!customer || canViewPii(role)) return customer;
+  const masked = { ...customer };
+  Object.entries(MASKERS).forEach(([field, mask]) => {
+    if (masked[field] !== undefined && masked[field] !== null && masked[field] !== '') {
+      masked[field] = mask(masked[field]);
+    }
+  });
+  return masked;
+}
+
+/**
+ * A stored customer ready for an API response: decrypted, then masked for the role
+ * @param {Object} customer - Customer document or plain object (lean query result)
+ * @param {string} [role]
+ */
+function protectCustomer(customer, role) {
+  if (!customer) return customer;
+  const plain = typeof customer.toObject === 'function' ? customer.toObject() : customer;
+  return maskCustomer(decryptValues(plain), role);
+}
+
+module.exports = {
+  redactText,
+  redactValue,
+  canViewPii,
+  maskCustomer,
+  protectCustomer
+};
@@ -0,0 +1,94 @@
+/**
+ * Sentence Segmenter
+ *
+ * Cuts streamed LLM text into pieces TTS can start on before the answer is
+ * complete: sentences (. ! ? and the Devanagari danda), and clauses (, ; : and
+ * dashes) once the piece is long enough to sound natural on its own. The first
+ * piece may be shorter than the rest so the caller hears the agent sooner.
+ *
+ * Punctuation only counts when followed by whitespace, so "2.5" and "1,000" are
+ * never cut, and a sentence ending at the end of the text waits for flush().
+ */
+
+// Words whose trailing period does not end a sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'sr', 'jr', 'st', 'rs', 'no', 'vs', 'etc', 'e.g', 'i.e', 'approx']);
+
+const BOUNDARY = /[.!?।]+["'”’)\]]*(?=\s)|[,;:](?=\s)|\s[-–—](?=\s)/g;
+const SENTENCE_END = /[.!?।]/;
+
+const DEFAULT_OPTIONS = {
+  firstClauseMinChars: 15, // Shortest first piece cut at a clause boundary
+  clauseMinChars: 40,      // Shortest later piece cut at a clause boundary
+  maxChars: 200            // Longer text without a boundary is cut at a space
+};
+
+class SentenceSegmenter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.buffer = '';
+    this.count = 0; // Pieces returned so far
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} text - Next text delta
+   * @returns {string[]} Pieces completed by it, in order
+   */
+  push(text) {
+    this.buffer += text;
+    const pieces = [];
+    let piece;
+    while ((piece = this.next()) !== null) {
+      pieces.push(piece);
+    }
+    return pieces;
+  }
+
+  /**
+   * The text left once the stream has ended
+   * @returns {string|null}
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    if (!rest) return null;
+    this.count++;
+    return rest;
+  }
+
+  next() {
+    const minClauseChars = this.count === 0 ? this.options.firstClauseMinChars : this.options.clauseMinChars;
+    BOUNDARY.lastIndex = 0;
+    let match;
+    while ((match = BOUNDARY.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      if (SENTENCE_END.test(match[0])) {
+        if (!this.isAbbreviation(match.index)) return this.take(end);
+      } else if (this.buffer.slice(0, end).trim().length >= minClauseChars) {
+        return this.take(end);
+      }
+    }
+
+    if (this.buffer.length > this.options.maxChars) {
+      const cut = this.buffer.lastIndexOf(' ', this.options.maxChars);
+      if (cut > 0) return this.take(cut);
+    }
+    return null;
+  }
+
+  // Whether the period at index follows an abbreviation or an initial
+  isAbbreviation(index) {
+    const word = this.buffer.slice(0, index).split(/\s/).pop().toLowerCase();
+    return ABBREVIATIONS.has(word) || /^[a-z]$/.test(word);
+  }
+
+  take(end) {
+    const piece = this.buffer.slice(0, end).trim();
+    this.buffer = this.buffer.slice(end);
+    if (!piece) return this.next();
+    this.count++;
+    return piece;
+  }
+}
+
+module.exports = { SentenceSegmenter };
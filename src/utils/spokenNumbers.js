@@ -0,0 +1,352 @@
+/**
+ * Spoken Numbers
+ *
+ * Numbers in transcripts as customers say them: digits ("28", "1,50,000", "२८"),
+ * English words ("twenty eight", "two lakh fifty thousand"), Hindi words in
+ * Devanagari or romanised the way STT writes them ("athaais", "अट्ठाईस",
+ * "do lakh", "dedh lakh", "sade teen hazaar") and shorthand ("50k", "2L").
+ *
+ * Hindi has a separate word for every number below 100, so those are looked up
+ * rather than composed. Romanised spellings vary ("athaais", "atthais", "athais"),
+ * so words are compared by a spelling key that folds doubled letters and long vowels.
+ */
+
+const ENGLISH_UNITS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+
+const ENGLISH_TENS = {
+  twenty: 20, thirty: 30, forty: 40, fourty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+// Hindi 0-99: Devanagari first, then romanised spellings
+const HINDI_NUMBERS = [
+  ['शून्य', 'shunya', 'sunya'], ['एक', 'ek'], ['दो', 'do'], ['तीन', 'teen', 'tin'],
+  ['चार', 'char', 'chaar'], ['पांच', 'पाँच', 'paanch', 'panch'], ['छह', 'छः', 'छे', 'chhah', 'chhe', 'chah', 'che'],
+  ['सात', 'saat'], ['आठ', 'aath'], ['नौ', 'nau'], ['दस', 'das'],
+  ['ग्यारह', 'gyarah', 'gyara'], ['बारह', 'barah', 'bara'], ['तेरह', 'terah', 'tera'], ['चौदह', 'chaudah', 'chauda'],
+  ['पंद्रह', 'पन्द्रह', 'pandrah', 'pandra'], ['सोलह', 'solah', 'sola'], ['सत्रह', 'satrah', 'satra'],
+  ['अठारह', 'atharah', 'athara', 'attharah'], ['उन्नीस', 'unnees', 'unnis', 'unees'], ['बीस', 'bees', 'bis'],
+  ['इक्कीस', 'ikkees', 'ikkis'], ['बाईस', 'baees', 'bais', 'baais'], ['तेईस', 'teis', 'teees', 'taees'],
+  ['चौबीस', 'chaubees', 'chaubis', 'chobis'], ['पच्चीस', 'pachchees', 'pachees', 'pachis', 'pacchis'],
+  ['छब्बीस', 'chhabbees', 'chhabbis', 'chabbis'], ['सत्ताईस', 'sattaees', 'sattais', 'sataees'],
+  ['अट्ठाईस', 'atthaees', 'athaais', 'atthais', 'athais', 'athaees'], ['उनतीस', 'untees', 'untis'],
+  ['तीस', 'tees', 'tis'], ['इकतीस', 'iktees', 'iktis', 'ikattis'], ['बत्तीस', 'battees', 'battis', 'batis'],
+  ['तैंतीस', 'taintees', 'taintis', 'tentis'], ['चौंतीस', 'chauntees', 'chauntis', 'chontis'],
+  ['पैंतीस', 'paintees', 'paintis', 'pentis'], ['छत्तीस', 'chhattees', 'chhattis', 'chattis'],
+  ['सैंतीस', 'saintees', 'saintis', 'sentis'], ['अड़तीस', 'adtees', 'adtis', 'artis', 'adatis'],
+  ['उनतालीस', 'untalees', 'untalis'], ['चालीस', 'chalees', 'chalis'],
+  ['इकतालीस', 'iktalees', 'iktalis'], ['बयालीस', 'bayalees', 'bayalis', 'beyalis'],
+  ['तैंतालीस', 'taintalees', 'taintalis', 'tentalis'], ['चवालीस', 'chavalees', 'chavalis', 'chawalis'],
+  ['पैंतालीस', 'paintalees', 'paintalis', 'pentalis'], ['छियालीस', 'chhiyalees', 'chhiyalis', 'chiyalis'],
+  ['सैंतालीस', 'saintalees', 'saintalis', 'sentalis'], ['अड़तालीस', 'adtalees', 'adtalis', 'artalis'],
+  ['उनचास', 'unchas', 'unchaas'], ['पचास', 'pachaas', 'pachas'],
+  ['इक्यावन', 'ikyavan', 'ikyawan'], ['बावन', 'baavan', 'bavan', 'bawan'], ['तिरपन', 'tirpan'],
+  ['चौवन', 'chauvan', 'chauwan'], ['पचपन', 'pachpan'], ['छप्पन', 'chhappan', 'chappan'],
+  ['सत्तावन', 'sattavan', 'sattawan'], ['अट्ठावन', 'atthavan', 'athavan', 'atthawan'],
+  ['उनसठ', 'unsath', 'unsadh'], ['साठ', 'saath', 'sath'],
+  ['इकसठ', 'iksath'], ['बासठ', 'baasath', 'basath'], ['तिरसठ', 'tirsath'], ['चौंसठ', 'chaunsath', 'chausath'],
+  ['पैंसठ', 'painsath', 'pensath'], ['छियासठ', 'chhiyasath', 'chiyasath'], ['सड़सठ', 'sadsath', 'sarsath'],
+  ['अड़सठ', 'adsath', 'arsath'], ['उनहत्तर', 'unhattar'], ['सत्तर', 'sattar'],
+  ['इकहत्तर', 'ikhattar'], ['बहत्तर', 'bahattar'], ['तिहत्तर', 'tihattar'], ['चौहत्तर', 'chauhattar'],
+  ['पचहत्तर', 'pachhattar', 'pachattar'], ['छिहत्तर', 'chhihattar', 'chihattar'], ['सतहत्तर', 'satattar', 'sathattar'],
+  ['अठहत्तर', 'athattar', 'athhattar'], ['उन्यासी', 'unyasi', 'unasi'], ['अस्सी', 'assi', 'assee'],
+  ['इक्यासी', 'ikyasi'], ['बयासी', 'bayasi'], ['तिरासी', 'tirasi'], ['चौरासी', 'chaurasi'],
+  ['पचासी', 'pachasi'], ['छियासी', 'chhiyasi', 'chiyasi'], ['सत्तासी', 'sattasi'], ['अट्ठासी', 'atthasi', 'athasi'],
+  ['नवासी', 'navasi', 'nawasi'], ['नब्बे', 'nabbe'],
+  ['इक्यानवे', 'ikyanave', 'ikyanve'], ['बानवे', 'banave', 'baanve'], ['तिरानवे', 'tiranave', 'tiranve'],
+  ['चौरानवे', 'chauranave', 'chauranve'], ['पचानवे', 'pachanave', 'pachanve'], ['छियानवे', 'chhiyanave', 'chhiyanve'],
+  ['सत्तानवे', 'sattanave', 'sattanve'], ['अट्ठानवे', 'atthanave', 'atthanve'], ['निन्यानवे', 'ninyanave', 'ninyanve']
+];
+
+const MULTIPLIERS = {
+  hundred: 100, sau: 100, 'सौ': 100,
+  thousand: 1000, hazaar: 1000, hazar: 1000, hajar: 1000, hajaar: 1000, 'हज़ार': 1000, 'हजार': 1000,
+  lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000, laakh: 100000, 'लाख': 100000,
+  million: 1000000,
+  crore: 10000000, crores: 10000000, karod: 10000000, karor: 10000000, 'करोड़': 10000000, 'करोड': 10000000
+};
+
+// "dedh lakh" is 1.5 lakh, "dhai hazaar" 2,500
+const FRACTIONS = {
+  dedh: 1.5, derh: 1.5, 'डेढ़': 1.5, 'डेढ': 1.5,
+  dhai: 2.5, dhaai: 2.5, 'ढाई': 2.5
+};
+
+// "sade teen" is 3.5
+const PLUS_HALF = new Set(['sade', 'saade', 'sadhe', 'saadhe', 'साढ़े', 'साढे']);
+
+// Allowed inside a number: "two hundred and five", "do lakh aur pachas hazaar"
+const NUMBER_CONNECTORS = new Set(['and', 'aur', 'और']);
+
+// Between the two ends of a range: "1 to 2 lakh", "25 se 50 hazaar"
+const RANGE_CONNECTORS = new Set(['to', 'se', 'and', 'or', 'ya', 'से', 'या']);
+
+// Number words that are also everyday words ("do", "saath" = with, "bees", "tera" = your);
+// they only count next to a multiplier or when the utterance is only numbers
+const AMBIGUOUS_WORDS = new Set(['do', 'sath', 'bis', 'tis', 'tin', 'sat', 'che', 'cha', 'char', 'tera', 'bara', 'one']);
+
+const DIGIT_WORDS = { oh: 0, o: 0, nil: 0 };
+
+function spellingKey(word) {
+  return word
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/aa/g, 'a')
+    .replace(/w/g, 'v')
+    .replace(/chh/g, 'ch')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/(.{2,}a)h$/, '$1');
+}
+
+const HINDI_WORDS = new Map();
+HINDI_NUMBERS.forEach((spellings, value) => {
+  spellings.forEach(spelling => HINDI_WORDS.set(/[a-z]/.test(spelling) ? spellingKey(spelling) : spelling, value));
+});
+
+// Devanagari digits ०-९ as ASCII digits
+function toAsciiDigits(text) {
+  return text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+}
+
+function tokenize(text) {
+  return toAsciiDigits(text || '')
+    .toLowerCase()
+    .replace(/(\d),(?=\d)/g, '$1')
+    .replace(/(\d)\s*k\b/g, '$1 thousand')
+    .replace(/(\d)\s*(l|lac|lacs|lakhs?)\b/g, '$1 lakh')
+    .replace(/(\d)\s*(cr|crores?)\b/g, '$1 crore')
+    .replace(/[^\p{L}\p{M}\p{N}.\s]/gu, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * What a token is as part of a number
+ * @returns {Object|null} { kind: 'value'|'multiplier'|'plus_half'|'point', value, tens, ambiguous }
+ */
+function readToken(token) {
+  if (/^\d+(\.\d+)?$/.test(token)) return { kind: 'value', value: parseFloat(token), digits: true };
+  if (MULTIPLIERS[token]) return { kind: 'multiplier', value: MULTIPLIERS[token] };
+  if (FRACTIONS[token]) return { kind: 'value', value: FRACTIONS[token] };
+  if (PLUS_HALF.has(token)) return { kind: 'plus_half' };
+  if (token === 'point') return { kind: 'point' };
+
+  const englishUnit = ENGLISH_UNITS.indexOf(token);
+  if (englishUnit >= 0) return { kind: 'value', value: englishUnit, ambiguous: AMBIGUOUS_WORDS.has(token) };
+  if (ENGLISH_TENS[token]) return { kind: 'value', value: ENGLISH_TENS[token], tens: true };
+
+  const key = /[a-z]/.test(token) ? spellingKey(token) : token;
+  if (HINDI_WORDS.has(key)) {
+    return { kind: 'value', value: HINDI_WORDS.get(key), ambiguous: AMBIGUOUS_WORDS.has(key) };
+  }
+  return null;
+}
+
+/**
+ * Value of a single number word below 100 ('seven', 'saat', 'सात', 'twenty', '7')
+ * @param {string} token - Lowercase word
+ * @returns {Object|null} { value, tens } - tens for English tens words that take a unit ("fifty six")
+ */
+function numberWordValue(token) {
+  const word = readToken(toAsciiDigits(token || ''));
+  if (!word || word.kind !== 'value' || !Number.isInteger(word.value) || word.value >= 100) return null;
+  return { value: word.value, tens: !!word.tens };
+}
+
+/**
+ * Every number in a transcript, in order
+ * @param {string} text
+ * @returns {Object[]} [{ value, text, scale, rangeStart }] - scale is the largest multiplier
+ *   said (1 for a bare "fifty"); rangeStart marks the lower end of "1 to 2 lakh"
+ */
+function extractNumbers(text) {
+  const tokens = tokenize(text);
+  const read = tokens.map(readToken);
+  const onlyNumbers = tokens.every((token, i) => read[i] || NUMBER_CONNECTORS.has(token));
+  const numbers = [];
+  let current = null;
+  let plusHalf = false;
+
+  const finish = () => {
+    if (current) {
+      numbers.push({
+        value: current.total + current.group,
+        text: tokens.slice(current.start, current.end + 1).join(' '),
+        scale: current.scale,
+        start: current.start,
+        end: current.end
+      });
+    }
+    current = null;
+  };
+  const start = (i, value) => {
+    current = { total: 0, group: value, scale: 1, last: 'value', lastValue: value, start: i, end: i };
+  };
+
+  tokens.forEach((token, i) => {
+    let word = read[i];
+    const next = read[i + 1];
+    const beforeMultiplier = next && next.kind === 'multiplier';
+
+    if (token === 'a' && beforeMultiplier) word = { kind: 'value', value: 1 };
+    if (word && word.ambiguous && !onlyNumbers && !beforeMultiplier && !plusHalf) word = null;
+
+    if (!word) {
+      const continues = current && NUMBER_CONNECTORS.has(token) && current.last !== 'value'
+        && next && next.kind === 'value';
+      if (!continues) finish();
+      return;
+    }
+
+    if (word.kind === 'plus_half') {
+      finish();
+      plusHalf = true;
+      return;
+    }
+
+    if (word.kind === 'point') {
+      if (current && current.last === 'value') current.last = 'point';
+      else finish();
+      return;
+    }
+
+    if (word.kind === 'multiplier') {
+      if (!current) return;
+      if (word.value === 100) {
+        current.group = (current.group || 1) * 100;
+        current.last = 'hundred';
+      } else {
+        current.total += (current.group || 1) * word.value;
+        current.group = 0;
+        current.last = 'multiplier';
+      }
+      current.scale = Math.max(current.scale, word.value);
+      current.end = i;
+      return;
+    }
+
+    const value = word.value + (plusHalf ? 0.5 : 0);
+    plusHalf = false;
+    if (!current) {
+      start(i, value);
+    } else if (current.last === 'point' && Number.isInteger(value) && value < 10) {
+      current.group += value / 10;
+      current.last = 'value';
+      current.end = i;
+    } else if (current.last === 'value' && current.lastTens && value < 10 && !word.digits) {
+      current.group += value; // "twenty eight"
+      current.last = 'value';
+      current.end = i;
+    } else if (current.last === 'hundred' || current.last === 'multiplier') {
+      current.group += value;
+      current.last = 'value';
+      current.end = i;
+    } else {
+      finish();
+      start(i, value);
+    }
+    current.lastTens = !!word.tens;
+  });
+  finish();
+
+  // "nineteen ninety five" is the year 1995, not 19 and 95
+  for (let i = numbers.length - 2; i >= 0; i--) {
+    const century = numbers[i];
+    const year = numbers[i + 1];
+    const spoken = index => !read[index].digits;
+    if (century.value === 19 && century.start === century.end && spoken(century.start)
+      && year.start === century.end + 1 && year.scale === 1 && spoken(year.start)
+      && Number.isInteger(year.value) && year.value >= 10 && year.value <= 99) {
+      numbers.splice(i, 2, { ...century, value: 1900 + year.value, text: `${century.text} ${year.text}`, end: year.end });
+    }
+  }
+
+  // "1 to 2 lakh": the multiplier of the upper end applies to the lower end too
+  numbers.forEach((number, i) => {
+    const upper = numbers[i + 1];
+    if (!upper || upper.start !== number.end + 2 || !RANGE_CONNECTORS.has(tokens[number.end + 1])) return;
+    number.rangeStart = true;
+    if (number.scale === 1 && upper.scale > 1 && number.value < upper.value / upper.scale) {
+      number.value *= upper.scale;
+      number.scale = upper.scale;
+    }
+  });
+
+  return numbers.map(({ start: _start, end: _end, ...number }) => number);
+}
+
+/**
+ * The last number in a transcript ("28, no, 38" is 38)
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseSpokenNumber(text) {
+  const numbers = extractNumbers(text);
+  return numbers.length > 0 ? numbers[numbers.length - 1].value : null;
+}
+
+/**
+ * Runs of digits said one by one or in groups, e.g. "five six zero zero one seven",
+ * "double five", "560 017" (pincodes, account and phone numbers)
+ * @param {string} text
+ * @returns {string[]} Digit strings, in order
+ */
+function extractDigitSequences(text) {
+  const tokens = tokenize(text);
+  const sequences = [];
+  let digits = '';
+  let repeat = 1;
+
+  const flush = () => {
+    if (digits) sequences.push(digits);
+    digits = '';
+    repeat = 1;
+  };
+
+  tokens.forEach((token, i) => {
+    if (token === 'double' || token === 'triple') {
+      repeat = token === 'double' ? 2 : 3;
+      return;
+    }
+    let part = null;
+    if (/^\d+$/.test(token)) {
+      part = token;
+    } else if (DIGIT_WORDS[token] !== undefined && digits) {
+      part = String(DIGIT_WORDS[token]);
+    } else {
+      const word = readToken(token);
+      if (word && word.kind === 'value' && Number.isInteger(word.value) && word.value < 100) {
+        const next = readToken(tokens[i + 1] || '');
+        // "fifty six" is one two-digit group
+        if (word.tens && next && next.kind === 'value' && next.value < 10 && !next.digits) {
+          tokens[i + 1] = '';
+          part = String(word.value + next.value);
+        } else {
+          part = String(word.value);
+        }
+      }
+    }
+
+    if (part === null) {
+      if (token) flush();
+      return;
+    }
+    digits += part.length === 1 ? part.repeat(repeat) : part;
+    repeat = 1;
+  });
+  flush();
+  return sequences;
+}
+
+module.exports = {
+  MULTIPLIERS,
+  toAsciiDigits,
+  tokenize,
+  numberWordValue,
+  extractNumbers,
+  parseSpokenNumber,
+  extractDigitSequences
+};
@@ -0,0 +1,99 @@
+/**
+ * INTENT CLASSIFICATION REGRESSION TEST
+ *
+ * Trains the naive Bayes classifier on the seed examples and runs customer answers
+ * from data collection steps through the classifier chain. Plain answers must not
+ * be taken for questions (which skipped slot filling) or for "not interested"
+ * (which ends the call), and real questions must still be recognised.
+ *
+ * No database or API keys needed.
+ */
+
+const intentClassifierService = require('./src/services/intentClassifierService');
+const naiveBayesIntentClassifier = require('./src/services/naiveBayesIntentClassifier');
+const slotFilling = require('./src/services/slotFilling');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    testsFailed++;
+  }
+}
+
+// Whether workflowEngine.processCustomerResponse would answer the turn as a question
+function routedAsQuestion(analysis, stepType, text) {
+  const slots = slotFilling.resolveStepSlots({ type: stepType });
+  if (slots.length === 0) return analysis.intent === 'question';
+  return analysis.intent === 'question' && slotFilling.isQuestion(slots, text);
+}
+
+const ANSWERS = [
+  { stepType: 'collect_age', text: 'my age is 28' },
+  { stepType: 'collect_age', text: 'no, I said 38' },
+  { stepType: 'collect_income', text: 'income is 2 lakh' },
+  { stepType: 'collect_email', text: 'my email is rahul dot sharma at the rate gmail dot com' },
+  { stepType: 'collect_occupation', text: 'I am a software engineer' },
+  { stepType: 'collect_name', text: 'my name is rahul sharma' }
+];
+
+const QUESTIONS = [
+  { stepType: 'collect_age', text: 'What is the annual fee?' },
+  { stepType: 'collect_name', text: 'why do you need my name' },
+  { stepType: 'collect_income', text: 'iska annual charge kitna hai' },
+  { stepType: 'benefits', text: 'what documents are needed' }
+];
+
+async function run() {
+  console.log('🧪 INTENT CLASSIFICATION REGRESSION TEST');
+  console.log('========================================');
+
+  naiveBayesIntentClassifier.train(intentClassifierService.SEED_EXAMPLES);
+
+  console.log('\n1️⃣ PLAIN ANSWERS AT DATA COLLECTION STEPS');
+  console.log('-----------------------------------------');
+  for (const { stepType, text } of ANSWERS) {
+    const analysis = await intentClassifierService.classify(text);
+    const label = `"${text}" (${analysis.intent} ${analysis.confidence.toFixed(2)} via ${analysis.classifier})`;
+    assert(!routedAsQuestion(analysis, stepType, text), `${label} is handled as an answer at ${stepType}`);
+    assert(analysis.intent !== 'not_interested', `${label} does not end the call`);
+  }
+
+  console.log('\n2️⃣ CALIBRATED CONFIDENCE');
+  console.log('------------------------');
+  for (const text of ['my age is 28', 'income is 2 lakh', 'my email is rahul dot sharma at the rate gmail dot com']) {
+    const result = await naiveBayesIntentClassifier.classify(text);
+    assert(result.intent !== 'question' || result.confidence < intentClassifierService.getThreshold('question'),
+      `naive Bayes is not confident "${text}" is a question (${result.intent} ${result.confidence.toFixed(2)})`);
+  }
+  for (const text of ['I am a software engineer', 'no, I said 38']) {
+    const result = await naiveBayesIntentClassifier.classify(text);
+    assert(result.intent !== 'not_interested' || result.confidence < intentClassifierService.getThreshold('not_interested'),
+      `naive Bayes is not confident "${text}" is not interested (${result.intent} ${result.confidence.toFixed(2)})`);
+  }
+
+  console.log('\n3️⃣ QUESTIONS ARE STILL ANSWERED');
+  console.log('-------------------------------');
+  for (const { stepType, text } of QUESTIONS) {
+    const analysis = await intentClassifierService.classify(text);
+    assert(routedAsQuestion(analysis, stepType, text), `"${text}" is answered as a question at ${stepType} (${analysis.intent} ${analysis.confidence.toFixed(2)})`);
+  }
+
+  const refusal = await intentClassifierService.classify('I am not interested');
+  assert(refusal.intent === 'not_interested', `"I am not interested" is still not interested (${refusal.confidence.toFixed(2)})`);
+
+  console.log('\n========================================');
+  console.log(`🧪 TEST RESULTS: ${testsPassed} passed, ${testsFailed} failed`);
+  console.log('========================================');
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error('❌ Test run failed:', error);
+  process.exit(1);
+});
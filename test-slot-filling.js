@@ -0,0 +1,78 @@
+/**
+ * SLOT FILLING REGRESSION TEST
+ *
+ * Runs customer answers through the default slots of the collect_* steps. A
+ * description of the customer ("I am a software engineer") must not be saved as
+ * their name, and a year of birth ("nineteen ninety five") must be read as an age
+ * rather than as its last two digits.
+ *
+ * No database or API keys needed.
+ */
+
+const slotFilling = require('./src/services/slotFilling');
+const spokenNumbers = require('./src/utils/spokenNumbers');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    testsFailed++;
+  }
+}
+
+function parse(stepType, text) {
+  const [slot] = slotFilling.resolveStepSlots({ type: stepType });
+  return slotFilling.parseSlotValue(slot, text);
+}
+
+const thisYear = new Date().getFullYear();
+
+console.log('🧪 SLOT FILLING REGRESSION TEST');
+console.log('==============================');
+
+console.log('\n1️⃣ NAMES');
+console.log('---------');
+for (const text of ['I am a software engineer', 'I am an engineer', 'I am the manager', 'I am a doctor', 'software engineer']) {
+  const name = parse('collect_name', text);
+  assert(name === null, `"${text}" is not taken for a name (${name})`);
+}
+for (const [text, expected] of [['my name is rahul sharma', 'Rahul Sharma'], ['I am Priya', 'Priya'], ['my name is A Kumar', 'A Kumar']]) {
+  const name = parse('collect_name', text);
+  assert(name === expected, `"${text}" is the name ${expected} (${name})`);
+}
+
+console.log('\n2️⃣ OCCUPATIONS');
+console.log('---------------');
+for (const [text, expected] of [['I am a software engineer', 'salaried'], ['software engineer', 'salaried'], ['I am a doctor', 'self_employed'], ['I run a shop', 'business_owner']]) {
+  const occupation = parse('collect_occupation', text);
+  assert(occupation === expected, `"${text}" is ${expected} (${occupation})`);
+}
+
+console.log('\n3️⃣ AGES');
+console.log('--------');
+assert(spokenNumbers.parseSpokenNumber('nineteen ninety five') === 1995, '"nineteen ninety five" is read as 1995');
+for (const [text, expected] of [
+  ['nineteen ninety five', thisYear - 1995],
+  ['I was born in 1995', thisYear - 1995],
+  ['born in nineteen eighty', thisYear - 1980],
+  ['my age is 28', 28],
+  ['twenty eight', 28],
+  ['nineteen', 19]
+]) {
+  const age = parse('collect_age', text);
+  assert(age === expected, `"${text}" is age ${expected} (${age})`);
+}
+const tooYoung = parse('collect_age', 'I was born in 2015');
+assert(tooYoung === null, `"I was born in 2015" is not an accepted age (${tooYoung})`);
+const year = slotFilling.parseSlotValue(slotFilling.resolveSlot({ name: 'year', type: 'number', min: 1900, max: 2100 }), 'nineteen ninety five');
+assert(year === 1995, `number slots without birthYear keep the year (${year})`);
+
+console.log('\n==============================');
+console.log(`🧪 TEST RESULTS: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('==============================');
+process.exit(testsFailed > 0 ? 1 : 0);